@@ -13,9 +13,40 @@ const {
 const createBucket = require("./tools/createBucket");
 const deleteBucket = require("./tools/deleteBucket");
 const listBuckets = require("./tools/listBuckets");
+const listProfiles = require("./tools/listProfiles");
 const putObject = require("./tools/putObject");
 const getObject = require("./tools/getObject");
+const headObject = require("./tools/headObject");
+const restoreObject = require("./tools/restoreObject");
+const queryObject = require("./tools/queryObject");
 const deleteObject = require("./tools/deleteObject");
+const listObjects = require("./tools/listObjects");
+const copyObject = require("./tools/copyObject");
+const moveObject = require("./tools/moveObject");
+const updateObjectMetadata = require("./tools/updateObjectMetadata");
+const generatePresignedUrl = require("./tools/generatePresignedUrl");
+const bucketVersioning = require("./tools/bucketVersioning");
+const listObjectVersions = require("./tools/listObjectVersions");
+const restoreObjectVersion = require("./tools/restoreObjectVersion");
+const deleteObjects = require("./tools/deleteObjects");
+const syncDirectory = require("./tools/syncDirectory");
+const bucketLifecycle = require("./tools/bucketLifecycle");
+const bucketPolicy = require("./tools/bucketPolicy");
+const publicAccessBlock = require("./tools/publicAccessBlock");
+const objectTagging = require("./tools/objectTagging");
+const bucketTagging = require("./tools/bucketTagging");
+const searchByTags = require("./tools/searchByTags");
+const bucketCors = require("./tools/bucketCors");
+const bucketWebsite = require("./tools/bucketWebsite");
+const bucketEncryption = require("./tools/bucketEncryption");
+const checkEncryption = require("./tools/checkEncryption");
+const bucketObjectLock = require("./tools/bucketObjectLock");
+const objectRetention = require("./tools/objectRetention");
+const objectLegalHold = require("./tools/objectLegalHold");
+const lockedObjectsReport = require("./tools/lockedObjectsReport");
+const bucketUsage = require("./tools/bucketUsage");
+const searchObjects = require("./tools/searchObjects");
+const diffPrefixes = require("./tools/diffPrefixes");
 
 // Import new file system tools
 const readFile = require("./tools/readFile");
@@ -31,6 +62,12 @@ const writeTextToFile = require("./tools/writeTextToFile");
 // Load environment variables
 require("dotenv").config();
 
+const { withProfile, getActiveProfile } = require("./utils/s3Client");
+const { applyTlsHint } = require("./utils/tls");
+
+// Tools that never call S3 take no profile
+const LOCAL_ONLY_TOOLS = ["read_file", "list_directory", "list_profiles"];
+
 class S3MCPServer {
   constructor() {
     this.server = new Server(
@@ -148,7 +185,7 @@ REQUIRED:
 
 ⚠️ ERROR HANDLING:
 - If bucket name missing: "I need a bucket name. Which bucket would you like to delete?"
-- If bucket not empty: "The bucket must be empty before it can be deleted"
+- If bucket not empty: "The bucket must be empty before it can be deleted" - offer to empty it with delete_objects
 - If bucket doesn't exist: "The specified bucket does not exist"
 
 Pass all extracted parameters as a flat object.`,
@@ -216,6 +253,40 @@ Pass all extracted parameters as a flat object.`,
               additionalProperties: true,
             },
           },
+          {
+            name: "list_profiles",
+            description: `List the configured S3 stores (profiles) - e.g. AWS, an on-prem Nutanix Objects cluster and MinIO - that the other tools can run against.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use when the user asks "which stores / endpoints / accounts can you access", mentions a store by name you have not seen, or when a tool fails with an unknown profile.
+
+📋 PARAMETER MAPPING GUIDE:
+
+OPTIONAL PARAMETERS:
+- checkConnectivity: Boolean - Try a ListBuckets request on every profile
+  → "which ones are up?", "test the connections" → true
+
+🎯 EXAMPLES:
+"What S3 stores do I have?" → {}
+"Are all my endpoints reachable?" → { checkConnectivity: true }
+
+⚠️ IMPORTANT NOTES:
+- Every S3 tool accepts profile: "<name>"; without it the default profile is used
+- Profiles come from s3-profiles.json (or S3_PROFILES_FILE) and S3_PROFILE_<NAME>_* environment variables
+- Secrets are never shown; access keys are masked
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                checkConnectivity: {
+                  type: "boolean",
+                  description: "Test each profile with a ListBuckets request",
+                },
+              },
+              additionalProperties: true,
+            },
+          },
           {
             name: "put_object",
             description: `Universal upload tool - handles direct content, single files, or entire directories!
@@ -245,31 +316,2263 @@ UPLOAD SCENARIOS (choose one):
 - fileExtensions: Array (optional) - Filter by extensions like [".jpg", ".pdf"]
 - maxFiles: Integer (optional) - Limit files uploaded (default: 100)
 
-OPTIONAL PARAMETERS (all scenarios):
-- acl: "private" | "public-read" | "public-read-write" | "authenticated-read"
-- serverSideEncryption: "AES256" | "aws:kms" | "aws:kms:dsse"
-- storageClass: "STANDARD" | "STANDARD_IA" | "GLACIER" | "DEEP_ARCHIVE"
-- contentType: String - MIME type (auto-detected for files)
-- metadata: Object - Custom metadata key-value pairs
+OPTIONAL PARAMETERS (all scenarios):
+- acl: "private" | "public-read" | "public-read-write" | "authenticated-read"
+- serverSideEncryption: "AES256" | "aws:kms" | "aws:kms:dsse"
+- storageClass: "STANDARD" | "STANDARD_IA" | "GLACIER" | "DEEP_ARCHIVE"
+- contentType: String - MIME type (auto-detected for files)
+- metadata: Object - Custom metadata key-value pairs
+
+📦 LARGE FILE OPTIONS (scenarios 2 and 3):
+- multipartThresholdMB: Number - Switch to multipart upload above this size (default: 64, env S3_MULTIPART_THRESHOLD_MB)
+- partSizeMB: Number - Multipart part size, minimum 5 (default: 16, env S3_MULTIPART_PART_SIZE_MB)
+- concurrency: Integer - Parts uploaded in parallel (default: 4, env S3_MULTIPART_CONCURRENCY)
+- maxRetries: Integer - Retries per failed part (default: 3)
+  → From: "large backup", "upload faster", "8 parallel parts"
+
+🎯 EXAMPLES:
+"Upload hello.txt with content 'Hello World'" → { bucketName: "my-bucket", fileName: "hello.txt", fileContent: "Hello World" }
+"Upload /home/user/photo.jpg to my-bucket" → { bucketName: "my-bucket", filePath: "/home/user/photo.jpg" }
+"Upload entire photos directory with backup/ prefix" → { bucketName: "my-bucket", directoryPath: "/home/user/photos", s3Prefix: "backup" }
+"Upload only PDFs from documents folder" → { bucketName: "my-bucket", directoryPath: "/home/user/docs", fileExtensions: [".pdf"] }
+"Upload the 20 GB backup.tar with 8 parallel parts" → { bucketName: "my-bucket", filePath: "/backups/backup.tar", concurrency: 8 }
+
+✨ SMART FEATURES:
+- Automatic file type detection (binary vs text)
+- Content-Type auto-detection from file extensions
+- Directory structure preservation or flattening
+- Batch upload progress tracking
+- Files streamed from disk; multipart upload with per-part retries for large files
+- Failed multipart uploads are aborted (no orphaned parts)
+- Comprehensive error handling
+
+⚠️ ERROR HANDLING:
+- Missing bucket: "bucketName is required"
+- Invalid scenario: "Provide either fileContent+fileName, filePath, or directoryPath"
+- File not found: Clear error with file path
+- Batch failures: Detailed per-file error reporting
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Target bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key/file name (for direct content)",
+                },
+                fileContent: {
+                  type: "string",
+                  description: "File content (for direct content)",
+                },
+                filePath: {
+                  type: "string",
+                  description: "Local file path to upload",
+                },
+                directoryPath: {
+                  type: "string",
+                  description: "Local directory path to upload",
+                },
+                s3Key: { type: "string", description: "Custom S3 object key" },
+                preserveStructure: {
+                  type: "boolean",
+                  description: "Keep directory structure in S3",
+                },
+                s3Prefix: {
+                  type: "string",
+                  description: "Prefix for uploaded objects",
+                },
+                fileExtensions: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Filter by file extensions",
+                },
+                maxFiles: {
+                  type: "integer",
+                  description: "Maximum files to upload",
+                },
+                multipartThresholdMB: {
+                  type: "number",
+                  description: "Use multipart upload above this size (MB)",
+                },
+                partSizeMB: {
+                  type: "number",
+                  description: "Multipart part size (MB, minimum 5)",
+                },
+                concurrency: {
+                  type: "integer",
+                  description: "Parts uploaded in parallel",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "get_object",
+            description: `Download an object from S3 bucket with advanced options.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract download parameters and conditions from natural language requests.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Source bucket name
+- fileName: String - Object key/file name to download
+
+OPTIONAL PARAMETERS (extract if mentioned):
+
+🔄 CONDITIONAL DOWNLOADS:
+- ifMatch: String (ETag)
+  → From: "if ETag matches", "only if unchanged"
+  
+- ifModifiedSince: Date
+  → From: "if modified since", "updated after", "newer than"
+  
+- ifNoneMatch: String (ETag) 
+  → From: "if different", "if changed", "if ETag differs"
+
+📏 RANGE REQUESTS:
+- range: String
+  → From: "first 1000 bytes", "bytes 0-1023", "partial download"
+  → Format: "bytes=0-1023"
+
+🔐 ENCRYPTION:
+- sseCustomerAlgorithm: String
+  → From: "customer encryption", "SSE-C", "AES256"
+  
+- versionId: String
+  → From: "specific version", "version ID", "historical version"
+
+📋 RESPONSE MODIFICATION:
+- responseCacheControl: String
+  → From: "cache control", "no-cache", "max-age"
+  
+- responseContentType: String
+  → From: "return as", "content type", "MIME type override"
+
+💾 SAVE TO LOCAL DISK (recommended for large or binary files):
+- localFilePath: String
+  → From: "save to", "download to /tmp/...", "put it in my Downloads folder"
+  → Streams the object to disk and returns only metadata + path (no content in the response)
+- overwrite: Boolean - Replace an existing local file (default: false)
+- resume: Boolean - Continue an interrupted download from its .part file if the object is unchanged (default: true)
+- verifyChecksum: Boolean - Verify SHA-256 checksum or ETag after download (default: true)
+
+🎯 EXAMPLES:
+"Download file.txt from bucket" → { bucketName: "...", fileName: "file.txt" }
+"Save backup.tar.gz from my-bucket to /data/restore/" → { bucketName: "my-bucket", fileName: "backup.tar.gz", localFilePath: "/data/restore/backup.tar.gz" }
+"Get first 1000 bytes of data.bin" → { ..., range: "bytes=0-999" }
+"Download if modified since yesterday" → { ..., ifModifiedSince: "2024-01-01" }
+"Get specific version of document" → { ..., versionId: "abc123" }
+
+⚠️ ERROR HANDLING:
+- Missing required params: "Need bucketName and fileName"
+- Invalid range format: "Range must be 'bytes=start-end'"
+- Archived (GLACIER / DEEP_ARCHIVE) object: returns its restore status and suggests restore_object
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Source bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key/file name to download",
+                },
+                localFilePath: {
+                  type: "string",
+                  description:
+                    "Save the object to this local path instead of returning its content",
+                },
+                overwrite: {
+                  type: "boolean",
+                  description: "Replace an existing local file",
+                },
+              },
+              required: ["bucketName", "fileName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "head_object",
+            description: `Inspect an object's metadata without downloading it: size, content type, user metadata, storage class, checksums, encryption, restore status, Object Lock state and replication status.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Prefer this over get_object whenever the user only asks ABOUT a file ("how big is", "what type is", "when was it modified", "is it archived", "is it encrypted", "is it locked") rather than for its content.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- fileName: String - Object key
+
+OPTIONAL PARAMETERS (extract if mentioned):
+
+🔄 CONDITIONAL CHECKS (same as get_object):
+- ifMatch: String (ETag) → "is it still ETag ..."
+- ifNoneMatch: String (ETag) → "has it changed since ETag ..."
+- ifModifiedSince: Date → "modified since", "updated after"
+- ifUnmodifiedSince: Date → "unchanged since"
+  → An unmet condition returns success with conditionMet: false
+
+🔐 VERSIONS / ENCRYPTION:
+- versionId: String - Specific version
+- sseCustomerAlgorithm, sseCustomerKey: String - Required for SSE-C objects
+- partNumber: Number - Inspect a single part of a multipart object
+
+🎯 EXAMPLES:
+"How big is backup.tar.gz in my-bucket?" → { bucketName: "my-bucket", fileName: "backup.tar.gz" }
+"Is report.pdf archived in Glacier?" → { bucketName: "...", fileName: "report.pdf" }
+"Has data.csv changed since yesterday?" → { ..., fileName: "data.csv", ifModifiedSince: "2024-01-01" }
+"Show metadata of version abc123" → { ..., versionId: "abc123" }
+
+⚠️ IMPORTANT NOTES:
+- No content is transferred, so it is fast and cheap for any object size
+- Archived objects (GLACIER / DEEP_ARCHIVE) report whether a restore is needed, ongoing or available
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key",
+                },
+                versionId: {
+                  type: "string",
+                  description: "Object version ID",
+                },
+                ifMatch: {
+                  type: "string",
+                  description: "Only succeed if the ETag matches",
+                },
+                ifNoneMatch: {
+                  type: "string",
+                  description: "Only succeed if the ETag differs",
+                },
+                ifModifiedSince: {
+                  type: "string",
+                  description: "Only succeed if modified since this date",
+                },
+                ifUnmodifiedSince: {
+                  type: "string",
+                  description: "Only succeed if unmodified since this date",
+                },
+              },
+              required: ["bucketName", "fileName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "restore_object",
+            description: `Request a temporary restored copy of an archived object (GLACIER, DEEP_ARCHIVE or Intelligent-Tiering archive tiers), or check the status of a restore.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use when get_object reports that a file is archived, or the user asks to "thaw", "retrieve from Glacier" or "check if the restore is done". Map "fast"/"urgent" to tier "Expedited" and "cheap"/"no rush" to tier "Bulk".
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- fileName: String - Object key
+
+OPTIONAL PARAMETERS:
+- action: "restore" | "status" (default: "restore")
+  → "restore", "thaw", "retrieve" → "restore"
+  → "is it restored yet?", "restore progress" → "status"
+- tier: "Expedited" | "Standard" | "Bulk" (default: "Standard")
+  → Expedited: 1-5 minutes, GLACIER only
+  → Standard: 3-5 hours (GLACIER), within 12 hours (DEEP_ARCHIVE)
+  → Bulk: 5-12 hours (GLACIER), within 48 hours (DEEP_ARCHIVE)
+- days: Number (default: 7) - How long the restored copy stays available
+- versionId: String - Specific version
+
+🎯 EXAMPLES:
+"Restore backup-2020.tar from Glacier" → { bucketName: "...", fileName: "backup-2020.tar" }
+"I need it in a few minutes" → { ..., tier: "Expedited" }
+"Restore it cheaply for 30 days" → { ..., tier: "Bulk", days: 30 }
+"Is the restore of backup-2020.tar done?" → { ..., fileName: "backup-2020.tar", action: "status" }
+
+⚠️ IMPORTANT NOTES:
+- A restore is asynchronous; check with action "status", then download with get_object
+- Requesting again for an already restored copy extends its availability
+- Retrieval is billed per GB and per request depending on tier
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key",
+                },
+                action: {
+                  type: "string",
+                  enum: ["restore", "status"],
+                  description: "restore or status (default: restore)",
+                },
+                tier: {
+                  type: "string",
+                  enum: ["Expedited", "Standard", "Bulk"],
+                  description: "Retrieval tier (default: Standard)",
+                },
+                days: {
+                  type: "number",
+                  description: "Days the restored copy is kept (default: 7)",
+                },
+                versionId: {
+                  type: "string",
+                  description: "Object version ID",
+                },
+              },
+              required: ["bucketName", "fileName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "query_object",
+            description: `Run a SQL SELECT against a CSV, JSON or Parquet object and return only the matching rows or aggregates, without downloading the whole file (S3 Select).
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use for questions about the contents of a large data file: "total profit in sales.csv", "rows where status is failed", "how many events in logs.jsonl". Translate the question into an S3 Select SQL expression over S3Object. Columns are referenced by header name (s.column) or position (_1, _2, ...).
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- fileName: String - Object key
+- expression: String - SQL, e.g. SELECT s.name FROM S3Object s WHERE ...
+
+OPTIONAL PARAMETERS:
+- inputFormat: "csv" | "json" | "parquet" (default: from the file extension)
+- compression: "NONE" | "GZIP" | "BZIP2" (default: from .gz / .bz2 extension)
+- fileHeaderInfo: "USE" | "IGNORE" | "NONE" (CSV, default: "USE")
+  → "USE": first line holds column names (s.region)
+  → "IGNORE" / "NONE": refer to columns as _1, _2, ...
+- fieldDelimiter: String (CSV, default: "," or tab for .tsv)
+- quoteCharacter: String (CSV, default: '"')
+- comments: String - Prefix of comment lines to skip (CSV)
+- jsonType: "LINES" | "DOCUMENT" (default: LINES for .jsonl/.ndjson, otherwise DOCUMENT)
+- maxRows: Number (default: 500) - Maximum rows returned
+- engine: "auto" | "s3" | "local" (default: "auto")
+  → "auto": S3 Select, evaluated locally if the endpoint does not support it
+  → "local": always download and evaluate locally
+
+🎯 EXAMPLES:
+"Total Q4 profit in sales.csv" → { bucketName: "...", fileName: "sales.csv", expression: "SELECT SUM(CAST(s.profit AS FLOAT)) FROM S3Object s WHERE s.date BETWEEN '2024-10-01' AND '2024-12-31'" }
+"Show failed orders from orders.csv.gz" → { ..., fileName: "orders.csv.gz", expression: "SELECT * FROM S3Object s WHERE s.status = 'failed'" }
+"How many error events in events.jsonl?" → { ..., fileName: "events.jsonl", expression: "SELECT COUNT(*) FROM S3Object s WHERE s.level = 'error'" }
+"List item names in catalog.json" → { ..., fileName: "catalog.json", expression: "SELECT i.name FROM S3Object[*].items[*] i" }
+
+⚠️ IMPORTANT NOTES:
+- CSV values are strings; use CAST(s.col AS INT / FLOAT) for numeric comparisons and sums
+- Supports WHERE, LIMIT, LIKE, IN, BETWEEN, IS NULL, CAST and COUNT/SUM/AVG/MIN/MAX; no GROUP BY, ORDER BY or JOIN
+- The local fallback downloads the object and cannot read Parquet or BZIP2 files
+- Results are capped at maxRows; add LIMIT or a tighter WHERE for large result sets
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key",
+                },
+                expression: {
+                  type: "string",
+                  description: "S3 Select SQL expression",
+                },
+                inputFormat: {
+                  type: "string",
+                  enum: ["csv", "json", "parquet"],
+                  description: "Input format (default: from file extension)",
+                },
+                compression: {
+                  type: "string",
+                  enum: ["NONE", "GZIP", "BZIP2"],
+                  description: "Compression (default: from file extension)",
+                },
+                fileHeaderInfo: {
+                  type: "string",
+                  enum: ["USE", "IGNORE", "NONE"],
+                  description: "CSV header handling (default: USE)",
+                },
+                fieldDelimiter: {
+                  type: "string",
+                  description: "CSV field delimiter",
+                },
+                jsonType: {
+                  type: "string",
+                  enum: ["LINES", "DOCUMENT"],
+                  description: "JSON layout",
+                },
+                maxRows: {
+                  type: "number",
+                  description: "Maximum rows returned (default: 500)",
+                },
+                engine: {
+                  type: "string",
+                  enum: ["auto", "s3", "local"],
+                  description: "Query engine (default: auto)",
+                },
+              },
+              required: ["bucketName", "fileName", "expression"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "read_file",
+            description: `Read any file from the local file system with automatic type detection.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract file reading parameters from natural language requests.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- filePath: String - Path to the file to read
+
+🎯 EXAMPLES:
+"Read the file /home/user/document.pdf" → { filePath: "/home/user/document.pdf" }
+"Show me the contents of config.json" → { filePath: "config.json" }
+"What's in that image file?" → { filePath: "image.jpg" }
+
+✨ FEATURES:
+- Automatic binary/text detection
+- Proper encoding handling (base64 for binary, utf8 for text)
+- Content type detection from file extension
+- File metadata (size, modified date, etc.)
+- Support for all file types (images, documents, code, etc.)
+
+⚠️ ERROR HANDLING:
+- File not found: Clear error message with file path
+- Permission denied: Helpful access error information
+- Invalid path: Path validation and suggestions`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                filePath: {
+                  type: "string",
+                  description: "Path to the file to read",
+                },
+              },
+              required: ["filePath"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "delete_object",
+            description: `Delete an object from S3 bucket with versioning and governance support.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract deletion parameters from natural language requests.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Source bucket name
+- fileName: String - Object key/file name to delete
+
+OPTIONAL PARAMETERS (extract if mentioned):
+
+🔄 VERSIONING:
+- versionId: String
+  → From: "specific version", "version ID", "delete version"
+  → Permanently deletes a specific version
+
+🔐 ADVANCED OPTIONS:
+- mfa: String
+  → From: "with MFA", "MFA delete"
+  → Format: "serial-number token-code"
+  → Required for MFA Delete enabled buckets
+
+- bypassGovernanceRetention: Boolean
+  → From: "bypass governance", "override retention"
+  → Requires s3:BypassGovernanceRetention permission
+
+- requestPayer: String
+  → From: "requester pays"
+  → Possible values: "requester"
+
+- expectedBucketOwner: String
+  → From: "expected owner", "account ID"
+  → Account ID validation
+
+🎯 EXAMPLES:
+"Delete file.txt from bucket" → { bucketName: "...", fileName: "file.txt" }
+"Delete specific version of document" → { ..., versionId: "abc123" }
+"Delete with MFA" → { ..., mfa: "serial-number token" }
+"Delete bypassing governance" → { ..., bypassGovernanceRetention: true }
+
+⚠️ IMPORTANT NOTES:
+- S3 delete is idempotent - success doesn't guarantee object existed
+- Versioned buckets create delete markers instead of permanent deletion
+- Use versionId to permanently delete a specific version
+- MFA delete requires HTTPS and proper MFA configuration
+
+🛡️ PERMISSIONS REQUIRED:
+- s3:DeleteObject - Standard delete permission
+- s3:DeleteObjectVersion - For deleting specific versions
+- s3:BypassGovernanceRetention - For bypassing governance mode
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Source bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key/file name to delete",
+                },
+                versionId: {
+                  type: "string",
+                  description: "Specific version ID to delete",
+                },
+                mfa: {
+                  type: "string",
+                  description: "MFA authentication (serial-number token-code)",
+                },
+                bypassGovernanceRetention: {
+                  type: "boolean",
+                  description: "Bypass governance retention mode",
+                },
+              },
+              required: ["bucketName", "fileName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "list_objects",
+            description: `List objects inside an S3 bucket with folder-style browsing and pagination.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract listing, filtering and pagination parameters from natural language requests. Use this tool to discover object keys instead of guessing them.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket to list (ask the user if not provided)
+
+OPTIONAL PARAMETERS (extract if mentioned):
+
+📂 FOLDER BROWSING:
+- prefix: String
+  → From: "inside the reports folder", "files under logs/2024/", "keys starting with 'backup-'"
+  → Use a trailing "/" to browse a folder: "reports/"
+
+- delimiter: String (default: "/")
+  → Groups keys into folders (returned as directories)
+
+- recursive: Boolean (default: false)
+  → From: "everything", "all files recursively", "flat listing"
+  → Lists every key under the prefix without grouping into folders
+
+🔢 PAGINATION:
+- maxKeys: Integer (1-1000, default: 1000)
+  → From: "first 20 files", "show 50 objects"
+
+- continuationToken: String
+  → From: "next page", "show more" - use nextContinuationToken from the previous result
+
+- startAfter: String
+  → From: "after key X", "starting after report-2023.csv"
+
+👤 EXTRA DETAILS:
+- fetchOwner: Boolean
+  → From: "who owns", "show owners"
+
+🎯 EXAMPLES:
+"What's in my-bucket?" → { bucketName: "my-bucket" }
+"List files in the reports folder of my-bucket" → { bucketName: "my-bucket", prefix: "reports/" }
+"Show first 20 objects recursively under logs/" → { bucketName: "...", prefix: "logs/", recursive: true, maxKeys: 20 }
+"Next page" → { bucketName: "...", prefix: "...", continuationToken: "<nextContinuationToken>" }
+
+✨ FEATURES:
+- Folder/file tree summary (folders first, then files)
+- Size, last-modified date and storage class per object
+- Total size of listed objects
+- Continuation tokens for large buckets
+
+⚠️ ERROR HANDLING:
+- Missing bucket: "bucketName is required"
+- Bucket not found: Clear error with bucket name
+- Access denied: Requires s3:ListBucket permission
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket to list",
+                },
+                prefix: {
+                  type: "string",
+                  description: "Only list keys starting with this prefix",
+                },
+                delimiter: {
+                  type: "string",
+                  description: "Delimiter used to group keys into folders",
+                },
+                recursive: {
+                  type: "boolean",
+                  description: "List all keys without folder grouping",
+                },
+                maxKeys: {
+                  type: "integer",
+                  description: "Maximum keys to return (1-1000)",
+                },
+                continuationToken: {
+                  type: "string",
+                  description: "Token from a previous truncated listing",
+                },
+                startAfter: {
+                  type: "string",
+                  description: "Start listing after this key",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "copy_object",
+            description: `Copy objects server-side between keys and buckets - no download/upload round trip.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract source, destination and copy options from natural language requests. Always prefer this tool over get_object + put_object for duplicating objects.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- sourceBucket: String - Bucket containing the source object (bucketName also accepted)
+
+COPY SCENARIOS (choose one):
+
+🔸 SCENARIO 1: Single Object
+- sourceKey: String - Key of the object to copy (fileName also accepted)
+- destinationKey: String (optional) - New key (default: same key)
+- destinationBucket: String (optional) - Target bucket (default: sourceBucket)
+- sourceVersionId: String (optional) - Copy a specific version
+
+🔸 SCENARIO 2: Whole Prefix (Bulk)
+- sourcePrefix: String - Copy every object under this prefix
+- destinationPrefix: String (optional) - Replaces sourcePrefix in each key (default: same prefix)
+- destinationBucket: String (optional) - Target bucket
+- maxObjects: Integer (optional) - Safety limit (default: 1000)
+
+OPTIONAL PARAMETERS (all scenarios):
+
+📋 METADATA:
+- metadataDirective: "COPY" | "REPLACE" (default: "COPY")
+  → From: "keep metadata" → COPY, "new metadata", "replace headers" → REPLACE
+- metadata: Object - Custom metadata (used with REPLACE)
+- contentType, cacheControl, contentDisposition: String - System headers (used with REPLACE)
+- taggingDirective: "COPY" | "REPLACE", tagging: String ("key1=value1&key2=value2")
+
+🗄️ STORAGE & ENCRYPTION:
+- storageClass: "STANDARD" | "STANDARD_IA" | "INTELLIGENT_TIERING" | "GLACIER" | "DEEP_ARCHIVE"
+  → From: "move to infrequent access", "archive to glacier"
+- serverSideEncryption: "AES256" | "aws:kms", sseKMSKeyId: String
+- acl: "private" | "public-read" | "bucket-owner-full-control"
+
+🔄 CONDITIONS:
+- copySourceIfMatch / copySourceIfNoneMatch: String (ETag)
+- copySourceIfModifiedSince / copySourceIfUnmodifiedSince: Date
+
+🎯 EXAMPLES:
+"Copy report.pdf to archive-bucket" → { sourceBucket: "...", sourceKey: "report.pdf", destinationBucket: "archive-bucket" }
+"Duplicate config.json as config.backup.json" → { sourceBucket: "...", sourceKey: "config.json", destinationKey: "config.backup.json" }
+"Copy everything in logs/2024/ to backup-bucket" → { sourceBucket: "...", sourcePrefix: "logs/2024/", destinationBucket: "backup-bucket" }
+"Change data.csv to Glacier storage" → { sourceBucket: "...", sourceKey: "data.csv", storageClass: "GLACIER" }
+
+✨ FEATURES:
+- Server-side copy (no data passes through the assistant)
+- Automatic multipart copy for objects larger than 5 GB
+- Cross-bucket copies
+- Content-Type preserved when replacing metadata
+
+⚠️ ERROR HANDLING:
+- Missing source: "Provide sourceKey or sourcePrefix"
+- Self-copy without changes: Needs metadataDirective REPLACE, storageClass or encryption change
+- Batch failures: Detailed per-object error reporting
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                sourceBucket: {
+                  type: "string",
+                  description: "Bucket containing the source object(s)",
+                },
+                sourceKey: {
+                  type: "string",
+                  description: "Key of the object to copy",
+                },
+                sourceVersionId: {
+                  type: "string",
+                  description: "Specific source version to copy",
+                },
+                sourcePrefix: {
+                  type: "string",
+                  description: "Copy every object under this prefix",
+                },
+                destinationBucket: {
+                  type: "string",
+                  description: "Target bucket (default: source bucket)",
+                },
+                destinationKey: {
+                  type: "string",
+                  description: "Target key (default: source key)",
+                },
+                destinationPrefix: {
+                  type: "string",
+                  description: "Target prefix for bulk copies",
+                },
+                metadataDirective: {
+                  type: "string",
+                  description: "COPY or REPLACE source metadata",
+                },
+                storageClass: {
+                  type: "string",
+                  description: "Storage class for the copy",
+                },
+                maxObjects: {
+                  type: "integer",
+                  description: "Maximum objects for bulk copies",
+                },
+              },
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "move_object",
+            description: `Move or rename objects server-side (copy, then delete the source).
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract source, destination and move options from natural language requests. Use for "rename", "move", "relocate" requests.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- sourceBucket: String - Bucket containing the source object (bucketName also accepted)
+
+MOVE SCENARIOS (choose one):
+
+🔸 SCENARIO 1: Single Object / Rename
+- sourceKey: String - Key of the object to move
+- destinationKey: String - New key (required unless destinationBucket differs)
+- destinationBucket: String (optional) - Target bucket (default: sourceBucket)
+
+🔸 SCENARIO 2: Whole Prefix (Bulk Move)
+- sourcePrefix: String - Move every object under this prefix
+- destinationPrefix: String - Replaces sourcePrefix in each key
+- destinationBucket: String (optional) - Target bucket
+- maxObjects: Integer (optional) - Safety limit (default: 1000)
+
+OPTIONAL PARAMETERS: Same as copy_object (metadataDirective, metadata, storageClass, serverSideEncryption, acl, ...)
+
+🎯 EXAMPLES:
+"Rename draft.txt to final.txt" → { sourceBucket: "...", sourceKey: "draft.txt", destinationKey: "final.txt" }
+"Move photo.jpg to the images folder" → { sourceBucket: "...", sourceKey: "photo.jpg", destinationKey: "images/photo.jpg" }
+"Move everything under tmp/ to archive/" → { sourceBucket: "...", sourcePrefix: "tmp/", destinationPrefix: "archive/" }
+"Move old-logs/ to the cold-bucket" → { sourceBucket: "...", sourcePrefix: "old-logs/", destinationBucket: "cold-bucket" }
+
+⚠️ IMPORTANT NOTES:
+- The source is deleted only after the copy succeeds
+- In versioned buckets the source gets a delete marker (older versions remain)
+- Confirm with the user before bulk moves
+
+⚠️ ERROR HANDLING:
+- Same source and destination: Asks for a different destination
+- Batch failures: Detailed per-object error reporting
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                sourceBucket: {
+                  type: "string",
+                  description: "Bucket containing the source object(s)",
+                },
+                sourceKey: {
+                  type: "string",
+                  description: "Key of the object to move",
+                },
+                sourcePrefix: {
+                  type: "string",
+                  description: "Move every object under this prefix",
+                },
+                destinationBucket: {
+                  type: "string",
+                  description: "Target bucket (default: source bucket)",
+                },
+                destinationKey: {
+                  type: "string",
+                  description: "Target key",
+                },
+                destinationPrefix: {
+                  type: "string",
+                  description: "Target prefix for bulk moves",
+                },
+                maxObjects: {
+                  type: "integer",
+                  description: "Maximum objects for bulk moves",
+                },
+              },
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "update_object_metadata",
+            description: `Change an object's user metadata or system headers (Content-Type, Cache-Control, ...) in place, without re-uploading it. Works on a single key or every object under a prefix.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use for "fix the content type", "set cache-control on all images", "add metadata owner=...", "remove the x-amz-meta-draft tag". Metadata is rewritten with a server-side self-copy (MetadataDirective REPLACE); storage class, encryption, tags, ACL grants, website redirect and Object Lock retention / legal hold are preserved.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- fileName: String - Object key (single object), OR
+- prefix: String - Update every object under this prefix ("" for the whole bucket)
+
+OPTIONAL PARAMETERS:
+- metadata: Object - User metadata to set, e.g. { "owner": "data-team" }
+- removeMetadataKeys: Array - User metadata keys to remove
+- contentType: String - e.g. "text/html; charset=utf-8"
+- cacheControl: String - e.g. "public, max-age=31536000"
+- contentDisposition: String - e.g. 'attachment; filename="report.pdf"'
+- contentEncoding: String - e.g. "gzip"
+- contentLanguage: String - e.g. "en-US"
+- expires: String - HTTP expiry date
+- mode: "merge" | "replace" (default: "merge")
+  → "merge": keep existing metadata/headers, apply the changes
+  → "replace": the object ends up with exactly the metadata/headers given (Content-Type is kept if not given)
+- dryRun: Boolean (default: false) - Show before/after without changing anything
+- maxObjects: Number (default: 1000) - Objects per call for prefixes
+- continuationToken: String - Continue a previous prefix run
+
+🎯 EXAMPLES:
+"index.html is served as binary, fix it" → { bucketName: "...", fileName: "index.html", contentType: "text/html" }
+"Cache all assets/ for a year" → { bucketName: "...", prefix: "assets/", cacheControl: "public, max-age=31536000, immutable" }
+"Tag report.csv with owner=finance" → { ..., fileName: "report.csv", metadata: { owner: "finance" } }
+"Clear all custom metadata on data.json" → { ..., fileName: "data.json", mode: "replace" }
+
+⚠️ IMPORTANT NOTES:
+- Versioned buckets get a new version for each updated object
+- Object ACLs are reset to the bucket default; object tags are kept
+- Archived (GLACIER / DEEP_ARCHIVE) objects must be restored first; SSE-C objects are not supported
+- Objects whose metadata already matches are skipped
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key to update",
+                },
+                prefix: {
+                  type: "string",
+                  description: "Update every object under this prefix",
+                },
+                metadata: {
+                  type: "object",
+                  description: "User metadata to set",
+                },
+                removeMetadataKeys: {
+                  type: "array",
+                  description: "User metadata keys to remove",
+                },
+                contentType: {
+                  type: "string",
+                  description: "New Content-Type",
+                },
+                cacheControl: {
+                  type: "string",
+                  description: "New Cache-Control",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["merge", "replace"],
+                  description: "merge or replace (default: merge)",
+                },
+                dryRun: {
+                  type: "boolean",
+                  description: "Preview changes only (default: false)",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "generate_presigned_url",
+            description: `Generate temporary links to objects (download, upload, or browser upload forms).
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract the object, operation and expiry from natural language. Use this instead of get_object when the user wants to SHARE a file or let someone UPLOAD a file.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- fileName: String - Object key (for POST forms, keyStartsWith may be used instead)
+
+OPTIONAL PARAMETERS (extract if mentioned):
+
+🔗 OPERATION:
+- operation: "get" | "put" | "post" (default: "get")
+  → "share", "send a link", "download link" → "get"
+  → "let someone upload", "upload link" → "put"
+  → "upload form", "browser upload", "HTML form" → "post"
+
+⏱️ EXPIRY:
+- expiresIn: Integer seconds (default: 3600, max: 604800 = 7 days)
+  → "15 minutes" → 900, "1 hour" → 3600, "1 day" → 86400, "a week" → 604800
+
+📥 GET OPTIONS:
+- versionId: String - Link to a specific version
+- responseContentDisposition: String - e.g. 'attachment; filename="report.pdf"' to force download
+- responseContentType: String - Override the Content-Type
+
+📤 PUT / POST OPTIONS:
+- contentType: String - Required Content-Type for the upload
+- metadata: Object, acl, serverSideEncryption, storageClass
+- minSizeBytes / maxSizeBytes: Integer (POST only) - Allowed upload size range
+  → "max 10 MB" → maxSizeBytes: 10485760
+- keyStartsWith: String (POST only) - Allow any key under this prefix
+- contentTypeStartsWith: String (POST only) - e.g. "image/"
+
+🎯 EXAMPLES:
+"Give me a link to report.pdf valid for 1 day" → { bucketName: "...", fileName: "report.pdf", expiresIn: 86400 }
+"Create an upload link for data.csv" → { bucketName: "...", fileName: "data.csv", operation: "put", contentType: "text/csv" }
+"Upload form for images up to 5 MB in uploads/" → { bucketName: "...", keyStartsWith: "uploads/", operation: "post", contentTypeStartsWith: "image/", maxSizeBytes: 5242880 }
+
+✨ FEATURES:
+- Uses the configured endpoint (works with MinIO / on-prem stores, path-style URLs)
+- Returns ready-to-use curl examples
+- PUT links list the headers the uploader must send
+
+⚠️ IMPORTANT NOTES:
+- Anyone with the link can use it until it expires
+- Links stop working early if the signing credentials expire
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key",
+                },
+                operation: {
+                  type: "string",
+                  description: "get, put or post (default: get)",
+                },
+                expiresIn: {
+                  type: "integer",
+                  description: "Link lifetime in seconds (max 604800)",
+                },
+                contentType: {
+                  type: "string",
+                  description: "Content-Type required for uploads",
+                },
+                maxSizeBytes: {
+                  type: "integer",
+                  description: "Maximum upload size for POST forms",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "bucket_versioning",
+            description: `View or change versioning on an S3 bucket (including MFA delete).
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Decide whether the user wants to CHECK versioning (action "get") or CHANGE it (action "put").
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" (default: "get")
+  → "is versioning on?", "check versioning" → "get"
+  → "turn on versioning", "enable versioning", "suspend versioning" → "put"
+
+- status: "Enabled" | "Suspended" (required for "put")
+  → "enable", "turn on", "keep old versions" → "Enabled"
+  → "suspend", "pause", "turn off" → "Suspended" (versioning can never be fully disabled once enabled)
+
+- mfaDelete: "Enabled" | "Disabled" (optional, "put" only)
+  → From: "require MFA to delete", "MFA delete"
+- mfa: String - "serial-number token-code" (required when changing mfaDelete; root credentials only)
+
+🎯 EXAMPLES:
+"Is versioning enabled on my-bucket?" → { bucketName: "my-bucket" }
+"Turn on versioning for backups" → { bucketName: "backups", action: "put", status: "Enabled" }
+"Suspend versioning on logs" → { bucketName: "logs", action: "put", status: "Suspended" }
+
+⚠️ IMPORTANT NOTES:
+- Versioning is what makes "undo delete" possible (see list_object_versions / restore_object_version)
+- Confirm with the user before suspending versioning
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                action: {
+                  type: "string",
+                  description: "get or put (default: get)",
+                },
+                status: {
+                  type: "string",
+                  description: "Enabled or Suspended (for put)",
+                },
+                mfaDelete: {
+                  type: "string",
+                  description: "Enabled or Disabled (for put)",
+                },
+                mfa: {
+                  type: "string",
+                  description: "MFA authentication (serial-number token-code)",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "list_object_versions",
+            description: `List object versions and delete markers in a versioned bucket.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use this to answer "what versions exist?", "what was deleted?", or before restoring an older version.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS (extract if mentioned):
+- fileName: String - Show versions of exactly this key
+- prefix: String - Show versions of every key under this prefix
+  → From: "versions in the reports folder", "what was deleted under logs/"
+- maxKeys: Integer - Maximum entries per page (default: 1000)
+- keyMarker / versionIdMarker: String - Continue from nextKeyMarker / nextVersionIdMarker
+
+🎯 EXAMPLES:
+"Show all versions of report.pdf" → { bucketName: "...", fileName: "report.pdf" }
+"What files were deleted under data/?" → { bucketName: "...", prefix: "data/" }
+
+✨ FEATURES:
+- Versions grouped per key, newest first
+- Delete markers flagged; keys whose latest entry is a delete marker listed as deletedKeys
+- Size, date and storage class per version
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Exact key to list versions for",
+                },
+                prefix: {
+                  type: "string",
+                  description: "List versions of keys under this prefix",
+                },
+                maxKeys: {
+                  type: "integer",
+                  description: "Maximum entries to return",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "restore_object_version",
+            description: `Restore a previous version of an object ("undo that delete" / "undo that overwrite").
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract the object and (optionally) the version to restore. The chosen version is copied over the current one, so no history is lost.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- fileName: String - Object key to restore
+
+OPTIONAL PARAMETERS:
+- versionId: String - Version to restore (from list_object_versions)
+  → Default: the most recent version before the current one
+    • If the object was deleted → newest real version (undoes the delete)
+    • If the object was overwritten → the version before the overwrite
+
+🎯 EXAMPLES:
+"Undo the delete of report.pdf" → { bucketName: "...", fileName: "report.pdf" }
+"Restore config.json to version abc123" → { bucketName: "...", fileName: "config.json", versionId: "abc123" }
+
+⚠️ IMPORTANT NOTES:
+- Requires versioning to have been enabled when the object was changed
+- Creates a NEW current version; older versions and delete markers remain
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key to restore",
+                },
+                versionId: {
+                  type: "string",
+                  description: "Version to restore (default: previous version)",
+                },
+              },
+              required: ["bucketName", "fileName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "delete_objects",
+            description: `Bulk delete everything under a prefix, or empty a whole bucket - always previewed first.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract the bucket, prefix and version handling. This tool ALWAYS runs as a dry run first and returns a preview with a confirmationToken. Only delete after the user has seen the preview and explicitly confirmed.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- prefix: String - Delete every object under this prefix
+  OR
+- emptyBucket: true - Delete every object in the bucket (needed when no prefix is given)
+
+OPTIONAL PARAMETERS:
+- includeVersions: Boolean (default: false)
+  → From: "permanently", "all versions", "including old versions", "so I can delete the bucket"
+  → Removes every version and delete marker (required to empty a versioned bucket)
+
+- dryRun: Boolean (default: true) - Set to false ONLY after the user confirms the preview
+- confirmationToken: String - Token from the preview (required when dryRun is false)
+
+🔐 ADVANCED OPTIONS:
+- bypassGovernanceRetention: Boolean - Delete governance-locked versions
+- mfa: String - "serial-number token-code" for MFA delete buckets
+
+🔁 WORKFLOW:
+1. Call with { bucketName, prefix } → preview: object count, versions, total bytes, sample keys, confirmationToken
+2. Show the preview and ask the user to confirm
+3. Call again with the same parameters + { dryRun: false, confirmationToken }
+   → If the contents changed since the preview, a fresh preview is returned instead of deleting
+
+🎯 EXAMPLES:
+"Delete everything in logs/2023/" → { bucketName: "...", prefix: "logs/2023/" }
+"Empty my-bucket so I can delete it" → { bucketName: "my-bucket", emptyBucket: true, includeVersions: true }
+"Yes, go ahead" (after preview) → { ...same params, dryRun: false, confirmationToken: "<token>" }
+
+⚠️ IMPORTANT NOTES:
+- Deletes in batches of up to 1000 keys (DeleteObjects)
+- Without includeVersions, versioned buckets only get delete markers (data is recoverable)
+- With includeVersions, deletion is PERMANENT
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                prefix: {
+                  type: "string",
+                  description: "Delete every object under this prefix",
+                },
+                emptyBucket: {
+                  type: "boolean",
+                  description: "Delete every object in the bucket",
+                },
+                includeVersions: {
+                  type: "boolean",
+                  description: "Also delete all versions and delete markers",
+                },
+                dryRun: {
+                  type: "boolean",
+                  description: "Preview only (default: true)",
+                },
+                confirmationToken: {
+                  type: "string",
+                  description: "Token from the dry-run preview",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "sync",
+            description: `Sync a local directory with a bucket prefix in either direction, transferring only new or changed files.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Extract the local directory, bucket, prefix and direction. This tool runs as a dry run by default and returns a plan (new / changed / unchanged / extraneous files). Only execute after the user has seen the plan and confirmed.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- localPath: String - Local directory (also accepted as directoryPath)
+
+OPTIONAL PARAMETERS:
+- prefix: String - Bucket prefix to sync with (treated as a folder)
+- direction: "upload" | "download" (default: "upload")
+  → "upload": From "push", "back up", "sync to S3", "mirror my folder to the bucket"
+  → "download": From "pull", "restore locally", "sync from S3", "fetch the bucket into"
+
+- compareMode: "size-mtime" | "etag" | "size" (default: "size-mtime")
+  → "size-mtime": Size differs, or the source side is newer
+  → "etag": Size differs, or local MD5 differs from the ETag (falls back to size-mtime for multipart/KMS ETags)
+  → "size": Size only
+  → From: "compare content", "checksum" → "etag"
+
+- deleteExtraneous: Boolean (default: false)
+  → From: "mirror", "exact copy", "delete files that are not in the source", "--delete"
+  → Upload: deletes objects with no local file. Download: deletes local files with no object
+
+- dryRun: Boolean (default: true) - Set to false ONLY after the user confirms the plan
+- includeHidden: Boolean (default: false) - Include local dot-files
+- maxDepth: Number (default: 20) - Local directory depth (0 = only top-level files)
+
+📤 UPLOAD OPTIONS (passed to put_object):
+- storageClass, serverSideEncryption, acl
+- multipartThresholdMB, partSizeMB, concurrency, maxRetries
+
+🔁 WORKFLOW:
+1. Call with { bucketName, localPath, prefix, direction } → plan with counts, bytes and sample paths
+2. Show the plan and ask the user to confirm
+3. Call again with the same parameters + { dryRun: false }
+
+🎯 EXAMPLES:
+"Sync ./site to my-bucket/www" → { bucketName: "my-bucket", localPath: "./site", prefix: "www" }
+"Mirror ./site to my-bucket/www, remove old files" → { ..., deleteExtraneous: true }
+"Pull reports/ from my-bucket into ./reports" → { bucketName: "my-bucket", localPath: "./reports", prefix: "reports", direction: "download" }
+"Yes, go ahead" (after plan) → { ...same params, dryRun: false }
+
+⚠️ IMPORTANT NOTES:
+- Refuses deleteExtraneous when the source side is empty (protects against a wrong path)
+- Downloaded files get the object's LastModified as mtime so the next sync sees them unchanged
+- Keys that would escape localPath (e.g. "../") are never downloaded
+- Objects under local directories that could not be read are left untouched and listed in unreadableDirectories
+- Remote deletes use DeleteObjects in batches of up to 1000 keys
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                localPath: {
+                  type: "string",
+                  description: "Local directory to sync",
+                },
+                prefix: {
+                  type: "string",
+                  description: "Bucket prefix to sync with",
+                },
+                direction: {
+                  type: "string",
+                  enum: ["upload", "download"],
+                  description: "Sync direction (default: upload)",
+                },
+                compareMode: {
+                  type: "string",
+                  enum: ["size-mtime", "etag", "size"],
+                  description: "How to detect changed files",
+                },
+                deleteExtraneous: {
+                  type: "boolean",
+                  description:
+                    "Delete destination files missing from the source",
+                },
+                dryRun: {
+                  type: "boolean",
+                  description: "Plan only (default: true)",
+                },
+              },
+              required: ["bucketName", "localPath"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "bucket_lifecycle",
+            description: `View, add or remove lifecycle rules that move objects to cheaper storage classes or delete them automatically.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Decide whether the user wants to SEE the rules (action "get"), ADD/CHANGE rules (action "put") or REMOVE rules (action "delete"). Rules are validated before anything is sent to S3.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "delete" (default: "get")
+  → "what lifecycle rules", "show expiration" → "get"
+  → "archive after", "delete after", "move to glacier", "clean up" → "put"
+  → "remove the rule", "stop expiring" → "delete"
+
+- mode: "merge" | "replace" (put only, default: "merge")
+  → "merge": Add rules, replacing existing rules with the same id
+  → "replace": The given rules become the whole configuration
+
+- ruleId: String (delete only) - Remove just this rule; omit to remove ALL rules
+
+📐 RULE SHAPE (pass one rule as flat parameters, or several as rules: [...]):
+- id: String - Rule name (default: "rule-N", the next number not used on the bucket)
+- enabled: Boolean (default: true)
+- prefix: String - Only objects under this prefix
+- tags: Object - Only objects with these tags, e.g. { "archive": "true" }
+- objectSizeGreaterThan / objectSizeLessThan: Number (bytes)
+- transitions: [{ days | date, storageClass }]
+  → storageClass accepts friendly names: "infrequent access" → STANDARD_IA, "one zone" → ONEZONE_IA,
+    "intelligent tiering", "glacier instant retrieval" → GLACIER_IR, "glacier", "deep archive"
+  → STANDARD_IA / ONEZONE_IA need at least 30 days
+- expirationDays: Number OR expirationDate: "YYYY-MM-DD" - Delete current objects
+- expireDeleteMarkers: true - Remove delete markers with no versions left (not with expirationDays)
+- noncurrentExpirationDays: Number - Delete old versions N days after they are replaced
+- noncurrentVersionsToKeep: Number - Always keep the newest N old versions
+- noncurrentTransitions: [{ days, storageClass, newerNoncurrentVersions }]
+- abortIncompleteMultipartDays: Number - Clean up unfinished uploads (not with tags)
+
+🎯 EXAMPLES:
+"Show lifecycle rules on my-bucket" → { bucketName: "my-bucket" }
+"Move logs/ to Glacier after 90 days and delete after a year" → { bucketName: "...", action: "put", id: "logs-archive", prefix: "logs/", transitions: [{ days: 90, storageClass: "GLACIER" }], expirationDays: 365 }
+"Keep only 3 old versions for 30 days" → { bucketName: "...", action: "put", id: "old-versions", noncurrentExpirationDays: 30, noncurrentVersionsToKeep: 3 }
+"Clean up failed uploads after a week" → { bucketName: "...", action: "put", id: "abort-mpu", abortIncompleteMultipartDays: 7 }
+"Remove the logs-archive rule" → { bucketName: "...", action: "delete", ruleId: "logs-archive" }
+
+⚠️ IMPORTANT NOTES:
+- Expiration permanently deletes data (or creates delete markers in versioned buckets) - confirm with the user
+- Invalid rules are rejected with a list of problems before reaching S3
+- Rules can take up to 48 hours to start applying
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "delete"],
+                  description: "get, put or delete (default: get)",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["merge", "replace"],
+                  description: "put: merge with or replace existing rules",
+                },
+                rules: {
+                  type: "array",
+                  description: "Lifecycle rules in the friendly rule shape",
+                },
+                ruleId: {
+                  type: "string",
+                  description: "delete: remove only this rule",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "bucket_policy",
+            description: `View, write, validate or delete an S3 bucket policy - from a full JSON document or a built-in template.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Decide whether the user wants to SEE the policy ("get"), CHANGE it ("put"), CHECK a policy without applying it ("validate"), REMOVE it ("delete") or see the available templates ("templates"). Prefer a template when the request matches one.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name (not needed for action "templates")
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "validate" | "delete" | "templates" (default: "get")
+
+- template: String - Built-in policy, expanded with the bucket ARN (arn:aws-cn / arn:aws-us-gov for China and GovCloud regions)
+  → "read-only": From "give account X read access", "let this role download" (needs principal)
+  → "public-website-read": From "make it public", "host a website", "anyone can download"
+  → "deny-insecure-transport": From "require HTTPS", "enforce TLS", "block plain HTTP"
+- principal: String or Array - AWS account ID (123456789012) or IAM ARN (read-only template)
+- prefix: String - Limit a template to objects under this prefix
+
+- policy: Object or JSON string - A complete policy document (instead of template)
+- mode: "merge" | "replace"
+  → Default "merge" for templates (statements with the same Sid are replaced, others kept)
+  → Default "replace" for a full policy document
+- allowPublic: Boolean - Required to save a policy that grants public access (confirm with the user first). Principal "*" counts as public unless a condition limits it to source IPs, VPCs / VPC endpoints, accounts or an organization
+- sid: String (delete only) - Remove just this statement; omit to delete the whole policy
+
+🎯 EXAMPLES:
+"Show the policy on my-bucket" → { bucketName: "my-bucket" }
+"Require HTTPS on my-bucket" → { bucketName: "my-bucket", action: "put", template: "deny-insecure-transport" }
+"Give account 123456789012 read access to reports/" → { bucketName: "...", action: "put", template: "read-only", principal: "123456789012", prefix: "reports/" }
+"Make my-site publicly readable" → { bucketName: "my-site", action: "put", template: "public-website-read" } → confirm → add allowPublic: true
+"Is this policy OK? {...}" → { bucketName: "...", action: "validate", policy: {...} }
+"Remove the bucket policy" → { bucketName: "...", action: "delete" }
+
+⚠️ IMPORTANT NOTES:
+- Policies are validated locally first (Version, Effect, Principal, Action, Resource must be this bucket, unique Sids, 20 KB limit)
+- Public policies are rejected while Block Public Access is on - see public_access_block
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "validate", "delete", "templates"],
+                  description: "Operation (default: get)",
+                },
+                template: {
+                  type: "string",
+                  enum: [
+                    "read-only",
+                    "public-website-read",
+                    "deny-insecure-transport",
+                  ],
+                  description: "Built-in policy template",
+                },
+                principal: {
+                  type: "string",
+                  description:
+                    "Account ID or IAM ARN for the read-only template",
+                },
+                prefix: {
+                  type: "string",
+                  description: "Limit the template to this prefix",
+                },
+                policy: {
+                  type: "object",
+                  description: "Full policy document",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["merge", "replace"],
+                  description: "Merge with or replace the existing policy",
+                },
+                allowPublic: {
+                  type: "boolean",
+                  description: "Confirm a policy that grants public access",
+                },
+                sid: {
+                  type: "string",
+                  description: "delete: remove only this statement",
+                },
+              },
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "public_access_block",
+            description: `View or change Block Public Access settings on an S3 bucket.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Decide whether the user wants to CHECK the settings ("get"), CHANGE them ("put") or REMOVE the configuration ("delete").
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "delete" (default: "get")
+  → "is my bucket public?", "check public access" → "get"
+  → "block public access", "lock it down", "allow a public policy" → "put"
+
+- blockAll: Boolean - Set all four settings at once
+  → "block all public access", "lock down" → true
+- blockPublicAcls: Boolean - Reject new public ACLs
+- ignorePublicAcls: Boolean - Ignore existing public ACLs
+- blockPublicPolicy: Boolean - Reject public bucket policies
+  → "so I can make it a public website" → false
+- restrictPublicBuckets: Boolean - Limit public policies to AWS services and the owner
+
+Settings that are not mentioned keep their current value.
+
+🎯 EXAMPLES:
+"Is public access blocked on my-bucket?" → { bucketName: "my-bucket" }
+"Block all public access on backups" → { bucketName: "backups", action: "put", blockAll: true }
+"Allow a public policy on my-site" → { bucketName: "my-site", action: "put", blockPublicPolicy: false, restrictPublicBuckets: false }
+
+⚠️ IMPORTANT NOTES:
+- Turning settings off can expose data - confirm with the user
+- An account-level Block Public Access setting overrides the bucket setting
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "delete"],
+                  description: "get, put or delete (default: get)",
+                },
+                blockAll: {
+                  type: "boolean",
+                  description: "Set all four settings",
+                },
+                blockPublicAcls: {
+                  type: "boolean",
+                  description: "Reject new public ACLs",
+                },
+                ignorePublicAcls: {
+                  type: "boolean",
+                  description: "Ignore existing public ACLs",
+                },
+                blockPublicPolicy: {
+                  type: "boolean",
+                  description: "Reject public bucket policies",
+                },
+                restrictPublicBuckets: {
+                  type: "boolean",
+                  description: "Restrict access under public policies",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "object_tagging",
+            description: `View, add, change or remove tags on an existing S3 object.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Decide whether the user wants to SEE tags ("get"), ADD/CHANGE tags ("put") or REMOVE tags ("delete").
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- fileName: String - Object key
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "delete" (default: "get")
+  → "what tags", "show tags" → "get"
+  → "tag it", "set project to", "label as" → "put"
+  → "remove the tag", "clear tags" → "delete"
+
+- tags: Object (put) - e.g. { "project": "alpha", "cost-center": "1234" }
+  → Also accepts "project=alpha&owner=me" or [{ key, value }]
+- mode: "merge" | "replace" (put, default: "merge")
+  → "merge": Keep existing tags, add/overwrite the given ones
+  → "replace": The given tags become the only tags
+- tagKeys: String or Array (delete) - Remove only these tags; omit to remove all
+- versionId: String - Tag a specific version
+
+🎯 EXAMPLES:
+"What tags does report.pdf have?" → { bucketName: "...", fileName: "report.pdf" }
+"Tag report.pdf with project alpha" → { bucketName: "...", fileName: "report.pdf", action: "put", tags: { "project": "alpha" } }
+"Remove the owner tag from report.pdf" → { ..., action: "delete", tagKeys: ["owner"] }
+
+⚠️ IMPORTANT NOTES:
+- Objects can have at most 10 tags; keys up to 128 and values up to 256 characters
+- Keys starting with "aws:" are reserved
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "delete"],
+                  description: "get, put or delete (default: get)",
+                },
+                tags: {
+                  type: "object",
+                  description: "Tags as key/value pairs",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["merge", "replace"],
+                  description: "put: merge with or replace existing tags",
+                },
+                tagKeys: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "delete: remove only these tag keys",
+                },
+              },
+              required: ["bucketName", "fileName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "bucket_tagging",
+            description: `View, add, change or remove tags on an S3 bucket (e.g. cost-allocation tags).
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Decide whether the user wants to SEE bucket tags ("get"), ADD/CHANGE them ("put") or REMOVE them ("delete").
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "delete" (default: "get")
+- tags: Object (put) - e.g. { "cost-center": "1234", "team": "data" }
+  → Also accepts "team=data&env=prod" or [{ key, value }]
+- mode: "merge" | "replace" (put, default: "merge")
+- tagKeys: String or Array (delete) - Remove only these tags; omit to remove all
+
+🎯 EXAMPLES:
+"Show tags on my-bucket" → { bucketName: "my-bucket" }
+"Set cost center 1234 on my-bucket" → { bucketName: "my-bucket", action: "put", tags: { "cost-center": "1234" } }
+"Remove all tags from my-bucket" → { bucketName: "my-bucket", action: "delete" }
+
+⚠️ IMPORTANT NOTES:
+- Buckets can have at most 50 tags
+- Cost-allocation tags must also be activated in the Billing console
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "delete"],
+                  description: "get, put or delete (default: get)",
+                },
+                tags: {
+                  type: "object",
+                  description: "Tags as key/value pairs",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["merge", "replace"],
+                  description: "put: merge with or replace existing tags",
+                },
+                tagKeys: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "delete: remove only these tag keys",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "search_by_tags",
+            description: `Find objects in a bucket whose tags match key/value filters.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use when the user asks which objects carry a tag ("everything tagged project=alpha", "files with a cost-center tag").
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- tags: Object - Every filter must match, e.g. { "project": "alpha" }
+  → Value "*" matches any value (tag key present)
+  OR
+- tagKey: String (+ optional tagValue) - Single filter shorthand
+
+OPTIONAL PARAMETERS:
+- prefix: String - Only search under this prefix
+- maxObjects: Number (default: 1000) - Objects to scan per call
+- continuationToken: String - Continue a previous scan
+- concurrency: Number (default: 10) - Parallel tag lookups
+
+🎯 EXAMPLES:
+"Which files are tagged project=alpha?" → { bucketName: "...", tags: { "project": "alpha" } }
+"Find objects with a cost-center tag under invoices/" → { bucketName: "...", prefix: "invoices/", tagKey: "cost-center" }
+
+⚠️ IMPORTANT NOTES:
+- S3 cannot list by tag, so each scanned object costs one GetObjectTagging request
+- Large buckets are scanned in chunks - continue with nextContinuationToken
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                tags: {
+                  type: "object",
+                  description: "Tag filters (value * = any)",
+                },
+                tagKey: {
+                  type: "string",
+                  description: "Single tag key to match",
+                },
+                tagValue: {
+                  type: "string",
+                  description: "Value for tagKey (omit for any)",
+                },
+                prefix: {
+                  type: "string",
+                  description: "Only search under this prefix",
+                },
+                maxObjects: {
+                  type: "number",
+                  description: "Objects to scan per call (default: 1000)",
+                },
+                continuationToken: {
+                  type: "string",
+                  description: "Continue a previous scan",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "bucket_cors",
+            description: `View, add or remove CORS rules so browser apps on other origins can use the bucket.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Decide whether the user wants to SEE the CORS rules ("get"), ADD/CHANGE rules ("put") or REMOVE rules ("delete"). Rules are validated before anything is sent to S3.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "delete" (default: "get")
+  → "show CORS", "why does my browser get a CORS error" → "get"
+  → "allow my site to load", "enable CORS for", "let the browser upload" → "put"
+  → "remove CORS" → "delete"
+
+- mode: "merge" | "replace" (put only, default: "merge")
+- ruleId: String (delete only) - Remove just this rule; omit to remove ALL rules
+
+📐 RULE SHAPE (pass one rule as flat parameters, or several as rules: [...]):
+- id: String - Optional rule name
+- allowedOrigins: Array - "https://app.example.com", "https://*.example.com" or "*" (REQUIRED)
+  → Origins need a scheme and no path
+- allowedMethods: Array - GET, PUT, POST, DELETE, HEAD (REQUIRED)
+  → "load assets", "fonts", "read" → ["GET", "HEAD"]
+  → "upload from the browser" → ["PUT", "POST"]
+- allowedHeaders: Array - Request headers allowed in preflight, e.g. ["*"] or ["Content-Type"]
+- exposeHeaders: Array - Response headers the browser may read, e.g. ["ETag"]
+- maxAgeSeconds: Number - How long browsers cache the preflight response
+
+🎯 EXAMPLES:
+"Let https://app.example.com load assets from my-cdn" → { bucketName: "my-cdn", action: "put", allowedOrigins: ["https://app.example.com"], allowedMethods: ["GET", "HEAD"], maxAgeSeconds: 3000 }
+"Allow browser uploads from our site" → { bucketName: "...", action: "put", id: "uploads", allowedOrigins: ["https://example.com"], allowedMethods: ["PUT", "POST"], allowedHeaders: ["*"], exposeHeaders: ["ETag"] }
+"Show CORS for my-cdn" → { bucketName: "my-cdn" }
+
+⚠️ IMPORTANT NOTES:
+- The summary lists the effective rules; warnings flag "*" origins with write methods
+- Browsers use the first rule that matches origin and method
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "delete"],
+                  description: "get, put or delete (default: get)",
+                },
+                allowedOrigins: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Origins allowed to make requests",
+                },
+                allowedMethods: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "GET, PUT, POST, DELETE, HEAD",
+                },
+                allowedHeaders: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Allowed request headers",
+                },
+                exposeHeaders: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Response headers readable by the browser",
+                },
+                maxAgeSeconds: {
+                  type: "number",
+                  description: "Preflight cache time in seconds",
+                },
+                rules: {
+                  type: "array",
+                  description: "Several rules in the rule shape",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["merge", "replace"],
+                  description: "put: merge with or replace existing rules",
+                },
+                ruleId: {
+                  type: "string",
+                  description: "delete: remove only this rule",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "bucket_website",
+            description: `Enable, inspect or disable static website hosting on an S3 bucket and report the website URL.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Decide whether the user wants to CHECK website hosting ("get"), ENABLE/CHANGE it ("put") or DISABLE it ("delete"). To publish a site end to end: upload the folder (put_object directoryPath or sync), enable hosting here, then allow public reads (public_access_block + bucket_policy template "public-website-read").
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "delete" (default: "get"; "enable"/"disable" also accepted)
+  → "is it a website?", "what's the URL" → "get"
+  → "host a website", "publish", "serve index.html" → "put"
+  → "stop hosting", "turn off the website" → "delete"
+
+- indexDocument: String (default: "index.html") - File served for "folder" URLs
+- errorDocument: String - Page served on errors, e.g. "404.html" or "index.html" for single-page apps
+- routingRules: Array - Conditional redirects:
+  [{ condition: { keyPrefixEquals, httpErrorCodeReturnedEquals },
+     redirect: { hostName, protocol, replaceKeyPrefixWith | replaceKeyWith, httpRedirectCode } }]
+- redirectAllRequestsTo: String or Object - Redirect every request elsewhere
+  → "https://www.example.com" or { hostName: "www.example.com", protocol: "https" }
+  → Cannot be combined with the other options
+
+🎯 EXAMPLES:
+"Host my-site as a website" → { bucketName: "my-site", action: "put" }
+"Single-page app, send errors to index.html" → { bucketName: "...", action: "put", errorDocument: "index.html" }
+"Redirect docs/ to documents/" → { ..., action: "put", routingRules: [{ condition: { keyPrefixEquals: "docs/" }, redirect: { replaceKeyPrefixWith: "documents/" } }] }
+"Redirect example.com bucket to www.example.com" → { bucketName: "example.com", action: "put", redirectAllRequestsTo: "https://www.example.com" }
+"What's the website URL of my-site?" → { bucketName: "my-site" }
+
+⚠️ IMPORTANT NOTES:
+- Returns the website endpoint URL (AWS website endpoints are HTTP only)
+- Hosting does not make objects public - follow the nextSteps in the result
+- Custom S3-compatible endpoints may not support website configuration
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "delete", "enable", "disable"],
+                  description: "get, put or delete (default: get)",
+                },
+                indexDocument: {
+                  type: "string",
+                  description: "Index document (default: index.html)",
+                },
+                errorDocument: {
+                  type: "string",
+                  description: "Error document key",
+                },
+                routingRules: {
+                  type: "array",
+                  description: "Conditional redirect rules",
+                },
+                redirectAllRequestsTo: {
+                  type: "string",
+                  description: "Redirect every request to this host/URL",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "bucket_encryption",
+            description: `Inspect, set or remove the default server-side encryption of an S3 bucket (SSE-S3, SSE-KMS, DSSE-KMS).
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Decide whether the user wants to CHECK the default encryption ("get"), SET it ("put") or REMOVE it ("delete"). Map "S3 managed keys"/"AES256" to SSE-S3 and "KMS"/"customer managed key" to SSE-KMS. To audit existing objects use check_encryption instead.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "delete" (default: "get")
+  → "is my bucket encrypted?", "show encryption" → "get"
+  → "encrypt with KMS", "turn on default encryption" → "put"
+  → "remove encryption config" → "delete"
+
+- algorithm: String (default: "SSE-S3") - "SSE-S3" / "AES256", "SSE-KMS" / "aws:kms", "DSSE-KMS" / "aws:kms:dsse"
+- kmsKeyId: String - KMS key ID, key ARN or alias ARN (SSE-KMS only; omit for the AWS managed aws/s3 key)
+- bucketKeyEnabled: Boolean (default: true for KMS) - Use an S3 Bucket Key to reduce KMS request costs
+- expectedBucketOwner: String - Account ID that must own the bucket
+
+🎯 EXAMPLES:
+"Is logs-bucket encrypted?" → { bucketName: "logs-bucket" }
+"Encrypt my-data with S3 managed keys" → { bucketName: "my-data", action: "put", algorithm: "SSE-S3" }
+"Use KMS key 1234abcd-... on my-data" → { bucketName: "my-data", action: "put", algorithm: "SSE-KMS", kmsKeyId: "1234abcd-..." }
+"KMS without bucket key" → { ..., action: "put", algorithm: "SSE-KMS", bucketKeyEnabled: false }
+
+⚠️ IMPORTANT NOTES:
+- Default encryption only applies to new uploads; existing objects keep their encryption
+- On AWS, removing the configuration reverts to SSE-S3 (objects are never stored unencrypted)
+- SSE-KMS requires kms permissions on the key for every reader and writer
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "delete"],
+                  description: "get, put or delete (default: get)",
+                },
+                algorithm: {
+                  type: "string",
+                  description: "SSE-S3, SSE-KMS or DSSE-KMS (default: SSE-S3)",
+                },
+                kmsKeyId: {
+                  type: "string",
+                  description: "KMS key ID or ARN for SSE-KMS",
+                },
+                bucketKeyEnabled: {
+                  type: "boolean",
+                  description: "Enable S3 Bucket Key for KMS (default: true)",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "check_encryption",
+            description: `Audit the objects under a bucket/prefix and report those that are not encrypted as expected.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use when the user asks which objects are unencrypted, use the wrong KMS key or do not follow the bucket's default encryption. Without an explicit expectation the bucket's default encryption is used.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- prefix: String - Only check keys under this prefix
+- expectedAlgorithm: String - "SSE-S3", "SSE-KMS" or "DSSE-KMS" (default: bucket default encryption)
+- expectedKmsKeyId: String - KMS key ID or ARN objects must use
+- maxObjects: Number (default: 1000) - Objects to check per call
+- continuationToken: String - Resume a previous check (from nextContinuationToken)
+- concurrency: Number (default: 10) - Parallel metadata requests
+
+🎯 EXAMPLES:
+"Which objects in my-data are not encrypted?" → { bucketName: "my-data" }
+"Check reports/ uses KMS key abcd-..." → { bucketName: "...", prefix: "reports/", expectedAlgorithm: "SSE-KMS", expectedKmsKeyId: "abcd-..." }
+"Continue the encryption check" → { bucketName: "...", continuationToken: "<nextContinuationToken>" }
+
+⚠️ IMPORTANT NOTES:
+- One HEAD request per object; large prefixes are checked in pages
+- Fix offending objects with copy_object onto the same key with serverSideEncryption set
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                prefix: {
+                  type: "string",
+                  description: "Key prefix to check",
+                },
+                expectedAlgorithm: {
+                  type: "string",
+                  description: "Expected encryption (default: bucket default)",
+                },
+                expectedKmsKeyId: {
+                  type: "string",
+                  description: "Expected KMS key ID or ARN",
+                },
+                maxObjects: {
+                  type: "number",
+                  description: "Objects to check per call (default: 1000)",
+                },
+                continuationToken: {
+                  type: "string",
+                  description: "Token from a previous truncated check",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "bucket_object_lock",
+            description: `Inspect or set the default Object Lock retention of a bucket (WORM protection for new objects).
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use for bucket-wide retention ("keep everything in audit-logs for 7 years"). For a single object use object_retention or object_legal_hold. Object Lock must be enabled at bucket creation (create_bucket objectLockEnabledForBucket: true) or on a versioned bucket.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "delete" (default: "get")
+  → "is object lock on?", "what's the default retention" → "get"
+  → "retain new objects for 90 days", "enable object lock" → "put"
+  → "remove the default retention" → "delete" (Object Lock itself stays enabled)
+
+- mode: "governance" | "compliance" - Retention mode for put
+  → "governance": privileged users can bypass/shorten it
+  → "compliance": nobody can delete or shorten it, including root
+- days: Number - Default retention in days
+- years: Number - Default retention in years (use days OR years)
+
+🎯 EXAMPLES:
+"Does audit-logs have object lock?" → { bucketName: "audit-logs" }
+"Keep new files in audit-logs for 7 years, compliance mode" → { bucketName: "audit-logs", action: "put", mode: "compliance", years: 7 }
+"Default 30 day governance retention" → { bucketName: "...", action: "put", mode: "governance", days: 30 }
+"Turn on object lock for my versioned bucket" → { bucketName: "...", action: "put" }
+
+⚠️ IMPORTANT NOTES:
+- Default retention only applies to objects written after the change
+- Object Lock cannot be disabled once enabled
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "delete"],
+                  description: "get, put or delete (default: get)",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["governance", "compliance"],
+                  description: "Retention mode",
+                },
+                days: {
+                  type: "number",
+                  description: "Default retention in days",
+                },
+                years: {
+                  type: "number",
+                  description: "Default retention in years",
+                },
+              },
+              required: ["bucketName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "object_retention",
+            description: `Read, set, extend or remove the Object Lock retention period of a single object (version).
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use when the user wants to lock a specific file until a date or for a period, check how long it is locked, or lift a governance lock. Convert "for 90 days" to days, "for 2 years" to years and "until 2030-01-01" to retainUntilDate.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- fileName: String - Object key
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" | "delete" (default: "get")
+- versionId: String - Specific version (default: current version)
+- mode: "governance" | "compliance" - Required for put
+- retainUntilDate: String - ISO date the lock expires
+- days / years: Number - Retention period from now (use exactly one of retainUntilDate, days, years)
+- bypassGovernanceRetention: Boolean - Needed to shorten or remove GOVERNANCE retention
+- acknowledgeCompliance: Boolean - Must be true to apply COMPLIANCE mode
+
+🎯 EXAMPLES:
+"How long is contract.pdf locked?" → { bucketName: "...", fileName: "contract.pdf" }
+"Lock contract.pdf for 1 year in governance mode" → { ..., fileName: "contract.pdf", action: "put", mode: "governance", years: 1 }
+"Lock it in compliance mode until 2030-01-01" → { ..., action: "put", mode: "compliance", retainUntilDate: "2030-01-01", acknowledgeCompliance: true }
+"Remove the governance lock on draft.docx" → { ..., fileName: "draft.docx", action: "delete", bypassGovernanceRetention: true }
+
+⚠️ IMPORTANT NOTES:
+- COMPLIANCE retention can only be extended, never shortened or removed - confirm with the user before setting acknowledgeCompliance
+- Requires a bucket with Object Lock enabled
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
+                },
+                fileName: {
+                  type: "string",
+                  description: "Object key",
+                },
+                action: {
+                  type: "string",
+                  enum: ["get", "put", "delete"],
+                  description: "get, put or delete (default: get)",
+                },
+                versionId: {
+                  type: "string",
+                  description: "Object version ID",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["governance", "compliance"],
+                  description: "Retention mode",
+                },
+                retainUntilDate: {
+                  type: "string",
+                  description: "ISO date the retention expires",
+                },
+                days: {
+                  type: "number",
+                  description: "Retention in days from now",
+                },
+                years: {
+                  type: "number",
+                  description: "Retention in years from now",
+                },
+                bypassGovernanceRetention: {
+                  type: "boolean",
+                  description: "Bypass GOVERNANCE retention",
+                },
+                acknowledgeCompliance: {
+                  type: "boolean",
+                  description: "Confirm irreversible COMPLIANCE retention",
+                },
+              },
+              required: ["bucketName", "fileName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "object_legal_hold",
+            description: `Check, place or release a legal hold on a single object (version). A legal hold blocks deletion indefinitely, independent of any retention period.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+"Put a legal hold on", "freeze", "preserve for litigation" → put with status "ON". "Release/lift the hold" → put with status "OFF".
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+- fileName: String - Object key
+
+OPTIONAL PARAMETERS:
+- action: "get" | "put" (default: "get")
+- status: "ON" | "OFF" - Required for put (legalHold: true/false also accepted)
+- versionId: String - Specific version (default: current version)
 
 🎯 EXAMPLES:
-"Upload hello.txt with content 'Hello World'" → { bucketName: "my-bucket", fileName: "hello.txt", fileContent: "Hello World" }
-"Upload /home/user/photo.jpg to my-bucket" → { bucketName: "my-bucket", filePath: "/home/user/photo.jpg" }
-"Upload entire photos directory with backup/ prefix" → { bucketName: "my-bucket", directoryPath: "/home/user/photos", s3Prefix: "backup" }
-"Upload only PDFs from documents folder" → { bucketName: "my-bucket", directoryPath: "/home/user/docs", fileExtensions: [".pdf"] }
-
-✨ SMART FEATURES:
-- Automatic file type detection (binary vs text)
-- Content-Type auto-detection from file extensions
-- Directory structure preservation or flattening
-- Batch upload progress tracking
-- Comprehensive error handling
+"Is invoice-2023.pdf on legal hold?" → { bucketName: "...", fileName: "invoice-2023.pdf" }
+"Place a legal hold on invoice-2023.pdf" → { ..., action: "put", status: "ON" }
+"Release the legal hold" → { ..., action: "put", status: "OFF" }
 
-⚠️ ERROR HANDLING:
-- Missing bucket: "bucketName is required"
-- Invalid scenario: "Provide either fileContent+fileName, filePath, or directoryPath"
-- File not found: Clear error with file path
-- Batch failures: Detailed per-file error reporting
+⚠️ IMPORTANT NOTES:
+- Requires a bucket with Object Lock enabled
+- Anyone with s3:PutObjectLegalHold can release a hold
 
 Pass all extracted parameters as a flat object.`,
             inputSchema: {
@@ -277,41 +2580,81 @@ Pass all extracted parameters as a flat object.`,
               properties: {
                 bucketName: {
                   type: "string",
-                  description: "Target bucket name",
+                  description: "Bucket name",
                 },
                 fileName: {
                   type: "string",
-                  description: "Object key/file name (for direct content)",
+                  description: "Object key",
                 },
-                fileContent: {
+                action: {
                   type: "string",
-                  description: "File content (for direct content)",
+                  enum: ["get", "put"],
+                  description: "get or put (default: get)",
                 },
-                filePath: {
+                status: {
                   type: "string",
-                  description: "Local file path to upload",
+                  enum: ["ON", "OFF"],
+                  description: "Legal hold status for put",
                 },
-                directoryPath: {
+                versionId: {
                   type: "string",
-                  description: "Local directory path to upload",
+                  description: "Object version ID",
                 },
-                s3Key: { type: "string", description: "Custom S3 object key" },
-                preserveStructure: {
-                  type: "boolean",
-                  description: "Keep directory structure in S3",
+              },
+              required: ["bucketName", "fileName"],
+              additionalProperties: true,
+            },
+          },
+          {
+            name: "locked_objects_report",
+            description: `Report the objects under a bucket/prefix that are protected by Object Lock retention or a legal hold, with their retain-until dates.
+
+🧠 PARAMETER EXTRACTION INTELLIGENCE:
+Use for "what's locked in ...", "which files can't be deleted", "what unlocks soon". Results are sorted by the date they unlock.
+
+📋 PARAMETER MAPPING GUIDE:
+
+REQUIRED:
+- bucketName: String - Bucket name
+
+OPTIONAL PARAMETERS:
+- prefix: String - Only check keys under this prefix
+- expiringWithinDays: Number (default: 30) - Window for the expiringSoon count
+- maxObjects: Number (default: 1000) - Objects to check per call
+- continuationToken: String - Resume a previous report (from nextContinuationToken)
+- concurrency: Number (default: 10) - Parallel metadata requests
+
+🎯 EXAMPLES:
+"What's locked in audit-logs?" → { bucketName: "audit-logs" }
+"Which contracts/ files unlock in the next week?" → { bucketName: "...", prefix: "contracts/", expiringWithinDays: 7 }
+
+⚠️ IMPORTANT NOTES:
+- Checks current versions only, one HEAD request per object
+- Expired retention periods are not reported as locked
+
+Pass all extracted parameters as a flat object.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                bucketName: {
+                  type: "string",
+                  description: "Bucket name",
                 },
-                s3Prefix: {
+                prefix: {
                   type: "string",
-                  description: "Prefix for uploaded objects",
+                  description: "Key prefix to check",
                 },
-                fileExtensions: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Filter by file extensions",
+                expiringWithinDays: {
+                  type: "number",
+                  description: "Window for expiring-soon count (default: 30)",
                 },
-                maxFiles: {
-                  type: "integer",
-                  description: "Maximum files to upload",
+                maxObjects: {
+                  type: "number",
+                  description: "Objects to check per call (default: 1000)",
+                },
+                continuationToken: {
+                  type: "string",
+                  description: "Token from a previous truncated report",
                 },
               },
               required: ["bucketName"],
@@ -319,58 +2662,36 @@ Pass all extracted parameters as a flat object.`,
             },
           },
           {
-            name: "get_object",
-            description: `Download an object from S3 bucket with advanced options.
+            name: "bucket_usage",
+            description: `Storage usage analytics for a bucket or prefix: object count, total size, and breakdowns by storage class, top-level prefix, file extension and age.
 
 🧠 PARAMETER EXTRACTION INTELLIGENCE:
-Extract download parameters and conditions from natural language requests.
+Use for "how big is my bucket", "what is using the most space", "how much is in Glacier", "how old is my data" or when summarizing storage. Results are cached, so follow-up questions about the same bucket/prefix are answered without rescanning.
 
 📋 PARAMETER MAPPING GUIDE:
 
 REQUIRED:
-- bucketName: String - Source bucket name
-- fileName: String - Object key/file name to download
-
-OPTIONAL PARAMETERS (extract if mentioned):
-
-🔄 CONDITIONAL DOWNLOADS:
-- ifMatch: String (ETag)
-  → From: "if ETag matches", "only if unchanged"
-  
-- ifModifiedSince: Date
-  → From: "if modified since", "updated after", "newer than"
-  
-- ifNoneMatch: String (ETag) 
-  → From: "if different", "if changed", "if ETag differs"
-
-📏 RANGE REQUESTS:
-- range: String
-  → From: "first 1000 bytes", "bytes 0-1023", "partial download"
-  → Format: "bytes=0-1023"
-
-🔐 ENCRYPTION:
-- sseCustomerAlgorithm: String
-  → From: "customer encryption", "SSE-C", "AES256"
-  
-- versionId: String
-  → From: "specific version", "version ID", "historical version"
+- bucketName: String - Bucket to analyze
 
-📋 RESPONSE MODIFICATION:
-- responseCacheControl: String
-  → From: "cache control", "no-cache", "max-age"
-  
-- responseContentType: String
-  → From: "return as", "content type", "MIME type override"
+OPTIONAL PARAMETERS:
+- prefix: String - Only analyze keys under this prefix ("folder")
+- top: Number (default: 20) - Largest prefixes / extensions listed; the rest are grouped as "(other)"
+- maxObjects: Number (default: 100000) - Stop counting after this many objects
+- refresh: Boolean - Ignore the cache and rescan
+  → "recalculate", "fresh numbers", "I just uploaded files" → refresh: true
+- cacheTtlMinutes: Number (default: 15) - How old cached results may be
 
 🎯 EXAMPLES:
-"Download file.txt from bucket" → { bucketName: "...", fileName: "file.txt" }
-"Get first 1000 bytes of data.bin" → { ..., range: "bytes=0-999" }
-"Download if modified since yesterday" → { ..., ifModifiedSince: "2024-01-01" }
-"Get specific version of document" → { ..., versionId: "abc123" }
+"How much space does my-bucket use?" → { bucketName: "my-bucket" }
+"Which folders in logs/ are the biggest?" → { bucketName: "...", prefix: "logs/" }
+"How much of my-bucket is in Glacier?" → { bucketName: "my-bucket" } (see byStorageClass)
+"Recalculate usage for my-bucket" → { bucketName: "my-bucket", refresh: true }
 
-⚠️ ERROR HANDLING:
-- Missing required params: "Need bucketName and fileName"
-- Invalid range format: "Range must be 'bytes=start-end'"
+⚠️ IMPORTANT NOTES:
+- Counts current object versions only (noncurrent versions are not included)
+- Zero-byte "folder/" placeholder keys are reported as folderMarkers, not objects
+- Age buckets are based on LastModified
+- Requires s3:ListBucket only - no object content is read
 
 Pass all extracted parameters as a flat object.`,
             inputSchema: {
@@ -378,138 +2699,240 @@ Pass all extracted parameters as a flat object.`,
               properties: {
                 bucketName: {
                   type: "string",
-                  description: "Source bucket name",
+                  description: "Bucket name",
                 },
-                fileName: {
+                prefix: {
                   type: "string",
-                  description: "Object key/file name to download",
+                  description: "Only analyze keys under this prefix",
+                },
+                top: {
+                  type: "number",
+                  description:
+                    "Largest prefixes / extensions to list (default: 20)",
+                },
+                maxObjects: {
+                  type: "number",
+                  description: "Maximum objects counted (default: 100000)",
+                },
+                refresh: {
+                  type: "boolean",
+                  description: "Ignore cached results and rescan",
+                },
+                cacheTtlMinutes: {
+                  type: "number",
+                  description: "Maximum age of cached results (default: 15)",
                 },
               },
-              required: ["bucketName", "fileName"],
+              required: ["bucketName"],
               additionalProperties: true,
             },
           },
           {
-            name: "read_file",
-            description: `Read any file from the local file system with automatic type detection.
+            name: "search_objects",
+            description: `Find objects in one or more buckets by key pattern (glob or regex), size range, last-modified range, storage class and content type.
 
 🧠 PARAMETER EXTRACTION INTELLIGENCE:
-Extract file reading parameters from natural language requests.
+Use for "find all PDFs over 10 MB modified last month in the archive bucket", "which files are in Glacier", "large videos older than a year". Convert relative dates ("last month", "since Monday") to ISO dates, or use modifiedWithinDays. Sizes can be numbers (bytes) or strings like "10 MB".
 
 📋 PARAMETER MAPPING GUIDE:
 
-REQUIRED:
-- filePath: String - Path to the file to read
+REQUIRED (one of):
+- bucketName: String - Bucket to search
+- bucketNames: Array - Several buckets, searched in order
+
+OPTIONAL PARAMETERS:
+- prefix: String - Only search under this prefix ("folder")
+- pattern: String - Glob; without "/" it matches the file name, with "/" the full key
+  → "*.pdf", "report-202?-*.csv", "*.{jpg,png}", "logs/**/*.gz"
+- regex: String - Regular expression tested against the full key
+- caseSensitive: Boolean (default: false) - Applies to pattern and regex
+- minSize / maxSize: Number or String - e.g. 10485760 or "10 MB"
+- modifiedAfter / modifiedBefore: String - ISO date, e.g. "2024-09-01"
+- modifiedWithinDays: Number - Modified in the last N days
+- storageClass: String - e.g. "GLACIER", or "STANDARD_IA,ONEZONE_IA" for several
+- contentType: String - "application/pdf", or "image/*" for a whole type (one extra request per candidate)
+- maxResults: Number (default: 100) - Stop after this many matches
+- maxScanned: Number (default: 10000) - Stop after listing this many objects
+- cursor: String - nextCursor from a previous call, to continue the same search
 
 🎯 EXAMPLES:
-"Read the file /home/user/document.pdf" → { filePath: "/home/user/document.pdf" }
-"Show me the contents of config.json" → { filePath: "config.json" }
-"What's in that image file?" → { filePath: "image.jpg" }
+"Find all PDFs over 10 MB modified last month in archive" → { bucketName: "archive", pattern: "*.pdf", minSize: "10 MB", modifiedAfter: "2024-09-01", modifiedBefore: "2024-10-01" }
+"Which images in my-bucket/photos are still in STANDARD?" → { bucketName: "my-bucket", prefix: "photos/", contentType: "image/*", storageClass: "STANDARD" }
+"Search logs and backups buckets for .gz files from the last week" → { bucketNames: ["logs", "backups"], pattern: "*.gz", modifiedWithinDays: 7 }
+"Keep going" (after a partial result) → { ...same filters, cursor: "<nextCursor>" }
 
-✨ FEATURES:
-- Automatic binary/text detection
-- Proper encoding handling (base64 for binary, utf8 for text)
-- Content type detection from file extension
-- File metadata (size, modified date, etc.)
-- Support for all file types (images, documents, code, etc.)
+⚠️ IMPORTANT NOTES:
+- Results stop at maxResults or maxScanned; searchInfo.complete is false and nextCursor is set when there is more
+- Reuse the same buckets and filters with the cursor, otherwise results are inconsistent
+- Filters other than contentType come from the listing and cost no extra requests
+- A bucket that cannot be listed is reported in bucketErrors while the others are still searched
 
-⚠️ ERROR HANDLING:
-- File not found: Clear error message with file path
-- Permission denied: Helpful access error information
-- Invalid path: Path validation and suggestions`,
+Pass all extracted parameters as a flat object.`,
             inputSchema: {
               type: "object",
               properties: {
-                filePath: {
+                bucketName: {
                   type: "string",
-                  description: "Path to the file to read",
+                  description: "Bucket to search",
+                },
+                bucketNames: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Several buckets to search in order",
+                },
+                prefix: {
+                  type: "string",
+                  description: "Only search under this prefix",
+                },
+                pattern: {
+                  type: "string",
+                  description: "Glob pattern, e.g. *.pdf",
+                },
+                regex: {
+                  type: "string",
+                  description: "Regular expression for the full key",
+                },
+                minSize: {
+                  type: "string",
+                  description: 'Minimum size in bytes or e.g. "10 MB"',
+                },
+                maxSize: {
+                  type: "string",
+                  description: 'Maximum size in bytes or e.g. "1 GB"',
+                },
+                modifiedAfter: {
+                  type: "string",
+                  description: "ISO date - only objects modified after it",
+                },
+                modifiedBefore: {
+                  type: "string",
+                  description: "ISO date - only objects modified before it",
+                },
+                modifiedWithinDays: {
+                  type: "number",
+                  description: "Only objects modified in the last N days",
+                },
+                storageClass: {
+                  type: "string",
+                  description: "Storage class, or several separated by commas",
+                },
+                contentType: {
+                  type: "string",
+                  description: "Content type, e.g. application/pdf or image/*",
+                },
+                maxResults: {
+                  type: "number",
+                  description: "Maximum matches returned (default: 100)",
+                },
+                cursor: {
+                  type: "string",
+                  description: "nextCursor from a previous search",
                 },
               },
-              required: ["filePath"],
               additionalProperties: true,
             },
           },
           {
-            name: "delete_object",
-            description: `Delete an object from S3 bucket with versioning and governance support.
+            name: "diff_prefixes",
+            description: `Compare two S3 locations (prefixes in the same bucket, different buckets, or different endpoints) by key, size and ETag/checksum, and report added, removed and changed objects.
 
 🧠 PARAMETER EXTRACTION INTELLIGENCE:
-Extract deletion parameters from natural language requests.
+Use for "does the backup match production", "what changed between release-1/ and release-2/", "verify the copy in the DR site". The first location is the source (reference), the second is the target being checked.
 
 📋 PARAMETER MAPPING GUIDE:
 
 REQUIRED:
-- bucketName: String - Source bucket name
-- fileName: String - Object key/file name to delete
-
-OPTIONAL PARAMETERS (extract if mentioned):
-
-🔄 VERSIONING:
-- versionId: String
-  → From: "specific version", "version ID", "delete version"
-  → Permanently deletes a specific version
+- sourceBucket: String - Reference bucket (or bucketName when both sides are in one bucket)
 
-🔐 ADVANCED OPTIONS:
-- mfa: String
-  → From: "with MFA", "MFA delete"
-  → Format: "serial-number token-code"
-  → Required for MFA Delete enabled buckets
-
-- bypassGovernanceRetention: Boolean
-  → From: "bypass governance", "override retention"
-  → Requires s3:BypassGovernanceRetention permission
-
-- requestPayer: String
-  → From: "requester pays"
-  → Possible values: "requester"
-
-- expectedBucketOwner: String
-  → From: "expected owner", "account ID"
-  → Account ID validation
+OPTIONAL PARAMETERS:
+- sourcePrefix: String - Prefix in the source bucket
+- targetBucket: String (default: sourceBucket) - Bucket being checked
+- targetPrefix: String - Prefix in the target bucket
+- sourceProfile / targetProfile: String - Named S3 store for that side (see list_profiles)
+- sourceEndpoint / targetEndpoint: String - Another S3 endpoint URL (same credentials), e.g. "https://dr-minio:9000"
+- sourceRegion / targetRegion: String - Region for that side
+- compareBy: "auto" | "size" | "etag" | "checksum" (default: "auto")
+  → "auto": size + ETag; multipart ETags are verified with stored checksums
+  → "size": size only (fastest, e.g. between different storage systems)
+  → "checksum": verify every same-size object with stored checksums
+- reportFormat: "json" | "csv" - Also save the full report as an object
+- reportBucket: String (default: sourceBucket, on the source's store) / reportKey: String (default: diff-reports/diff-<time>.<format>) - must be outside the compared prefixes, so set one of them when comparing whole buckets
+- maxListed: Number (default: 100) - Entries shown per list in the response
+- maxObjects: Number (default: 100000) - Objects listed per side
 
 🎯 EXAMPLES:
-"Delete file.txt from bucket" → { bucketName: "...", fileName: "file.txt" }
-"Delete specific version of document" → { ..., versionId: "abc123" }
-"Delete with MFA" → { ..., mfa: "serial-number token" }
-"Delete bypassing governance" → { ..., bypassGovernanceRetention: true }
+"Does backup/ match prod/ in my-bucket?" → { sourceBucket: "my-bucket", sourcePrefix: "prod/", targetPrefix: "backup/" }
+"Compare data-bucket with data-backup and save a CSV report" → { sourceBucket: "data-bucket", targetBucket: "data-backup", reportFormat: "csv" }
+"Check the DR copy on https://dr:9000 matches" → { sourceBucket: "prod", targetBucket: "prod", targetEndpoint: "https://dr:9000" }
+"Is the minio copy of assets the same as on AWS?" → { sourceBucket: "assets", sourceProfile: "aws", targetProfile: "minio" }
 
 ⚠️ IMPORTANT NOTES:
-- S3 delete is idempotent - success doesn't guarantee object existed
-- Versioned buckets create delete markers instead of permanent deletion
-- Use versionId to permanently delete a specific version
-- MFA delete requires HTTPS and proper MFA configuration
-
-🛡️ PERMISSIONS REQUIRED:
-- s3:DeleteObject - Standard delete permission
-- s3:DeleteObjectVersion - For deleting specific versions
-- s3:BypassGovernanceRetention - For bypassing governance mode
+- Keys are compared relative to each prefix
+- added = only in target, removed = only in source (e.g. missing from the backup), changed = different content
+- unverified = same size but different ETags with no common checksum (often multipart uploads with different part sizes)
+- The report object is written with the default connection
 
 Pass all extracted parameters as a flat object.`,
             inputSchema: {
               type: "object",
               properties: {
-                bucketName: {
+                sourceBucket: {
                   type: "string",
-                  description: "Source bucket name",
+                  description: "Reference bucket",
                 },
-                fileName: {
+                sourcePrefix: {
                   type: "string",
-                  description: "Object key/file name to delete",
+                  description: "Prefix in the source bucket",
                 },
-                versionId: {
+                targetBucket: {
                   type: "string",
-                  description: "Specific version ID to delete",
+                  description: "Bucket being checked (default: sourceBucket)",
                 },
-                mfa: {
+                targetPrefix: {
                   type: "string",
-                  description: "MFA authentication (serial-number token-code)",
+                  description: "Prefix in the target bucket",
                 },
-                bypassGovernanceRetention: {
-                  type: "boolean",
-                  description: "Bypass governance retention mode",
+                sourceProfile: {
+                  type: "string",
+                  description: "Profile (S3 store) for the source",
+                },
+                targetProfile: {
+                  type: "string",
+                  description: "Profile (S3 store) for the target",
+                },
+                sourceEndpoint: {
+                  type: "string",
+                  description: "S3 endpoint URL for the source",
+                },
+                targetEndpoint: {
+                  type: "string",
+                  description: "S3 endpoint URL for the target",
+                },
+                compareBy: {
+                  type: "string",
+                  enum: ["auto", "size", "etag", "checksum"],
+                  description: "How objects are compared (default: auto)",
+                },
+                reportFormat: {
+                  type: "string",
+                  enum: ["json", "csv"],
+                  description: "Save the full report in this format",
+                },
+                reportBucket: {
+                  type: "string",
+                  description:
+                    "Bucket for the report on the source's store (default: sourceBucket)",
+                },
+                reportKey: {
+                  type: "string",
+                  description: "Key for the report object",
+                },
+                maxListed: {
+                  type: "number",
+                  description: "Entries shown per list (default: 100)",
                 },
               },
-              required: ["bucketName", "fileName"],
+              required: ["sourceBucket"],
               additionalProperties: true,
             },
           },
@@ -895,7 +3318,7 @@ Pass all extracted parameters as a flat object.`,
               additionalProperties: true,
             },
           },
-        ],
+        ].map(addProfileArgument),
       };
     });
 
@@ -906,65 +3329,226 @@ Pass all extracted parameters as a flat object.`,
       try {
         let result;
 
-        switch (name) {
-          case "create_bucket":
-            // Pass ALL arguments directly to the tool - truly generic!
-            result = await createBucket(args);
-            break;
-
-          case "delete_bucket":
-            // Pass ALL arguments directly to the tool - truly generic!
-            result = await deleteBucket(args);
-            break;
-
-          case "list_buckets":
-            // Pass ALL arguments directly to the tool - truly generic!
-            result = await listBuckets(args);
-            break;
-
-          case "put_object":
-            // Pass ALL arguments directly to the tool - truly generic!
-            result = await putObject(args);
-            break;
-
-          case "get_object":
-            // Pass ALL arguments directly to the tool - truly generic!
-            result = await getObject(args);
-            break;
-
-
-          case "delete_object":
-            // Pass ALL arguments directly to the tool - truly generic!
-            result = await deleteObject(args);
-            break;
-          case "read_file":
-            // File system tool - read any file type
-            result = await readFile(args);
-            break;
-
-          case "list_directory":
-            // File system tool - browse directories
-            result = await listDirectory(args);
-            break;
-
-          case "export_table_to_storage":
-            // MySQL MCP bridge tool - export table data to S3
-            result = await exportTableToStorage(args);
-            break;
-
-          case "scrape_website_to_file":
-            // Web scraping tool - scrape website, save to file, upload to S3
-            result = await scrapeWebsiteToFile(args);
-            break;
-
-          case "write_text_to_file":
-            // Write text to file tool - write text to file, upload to S3
-            result = await writeTextToFile(args);
-            break;
-
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
+        // Every S3 call the tool makes goes to the requested profile
+        await withProfile(args?.profile, async () => {
+          switch (name) {
+            case "create_bucket":
+              // Pass ALL arguments directly to the tool - truly generic!
+              result = await createBucket(args);
+              break;
+
+            case "delete_bucket":
+              // Pass ALL arguments directly to the tool - truly generic!
+              result = await deleteBucket(args);
+              break;
+
+            case "list_buckets":
+              // Pass ALL arguments directly to the tool - truly generic!
+              result = await listBuckets(args);
+              break;
+
+            case "list_profiles":
+              // Configured stores - secrets masked
+              result = await listProfiles(args);
+              break;
+
+            case "put_object":
+              // Pass ALL arguments directly to the tool - truly generic!
+              result = await putObject(args);
+              break;
+
+            case "get_object":
+              // Pass ALL arguments directly to the tool - truly generic!
+              result = await getObject(args);
+              break;
+
+            case "head_object":
+              // Metadata only - no content transfer
+              result = await headObject(args);
+              break;
+
+            case "restore_object":
+              // Glacier / Deep Archive restore requests and status
+              result = await restoreObject(args);
+              break;
+
+            case "query_object":
+              // S3 Select, with local evaluation where unsupported
+              result = await queryObject(args);
+              break;
+
+            case "delete_object":
+              // Pass ALL arguments directly to the tool - truly generic!
+              result = await deleteObject(args);
+              break;
+
+            case "list_objects":
+              // Pass ALL arguments directly to the tool - truly generic!
+              result = await listObjects(args);
+              break;
+
+            case "copy_object":
+              // Server-side copy - single key or whole prefix
+              result = await copyObject(args);
+              break;
+
+            case "move_object":
+              // Server-side move - copy then delete source
+              result = await moveObject(args);
+              break;
+
+            case "update_object_metadata":
+              // In-place metadata/header change via self-copy
+              result = await updateObjectMetadata(args);
+              break;
+
+            case "generate_presigned_url":
+              // Presigned GET/PUT URLs and POST forms
+              result = await generatePresignedUrl(args);
+              break;
+
+            case "bucket_versioning":
+              // Get or change bucket versioning
+              result = await bucketVersioning(args);
+              break;
+
+            case "list_object_versions":
+              // Versions and delete markers
+              result = await listObjectVersions(args);
+              break;
+
+            case "restore_object_version":
+              // Copy a previous version over the current one
+              result = await restoreObjectVersion(args);
+              break;
+
+            case "delete_objects":
+              // Bulk delete with mandatory dry-run preview
+              result = await deleteObjects(args);
+              break;
+
+            case "sync":
+              // Local directory <-> bucket prefix sync with dry-run plan
+              result = await syncDirectory(args);
+              break;
+
+            case "bucket_lifecycle":
+              // Lifecycle rules: transitions, expirations, cleanup
+              result = await bucketLifecycle(args);
+              break;
+
+            case "bucket_policy":
+              // Bucket policy get/put/validate/delete with templates
+              result = await bucketPolicy(args);
+              break;
+
+            case "public_access_block":
+              // Block Public Access settings
+              result = await publicAccessBlock(args);
+              break;
+
+            case "object_tagging":
+              // Object tags get/put/delete
+              result = await objectTagging(args);
+              break;
+
+            case "bucket_tagging":
+              // Bucket (cost allocation) tags get/put/delete
+              result = await bucketTagging(args);
+              break;
+
+            case "search_by_tags":
+              // Find objects by tag key/value
+              result = await searchByTags(args);
+              break;
+
+            case "bucket_cors":
+              // CORS rules get/put/delete
+              result = await bucketCors(args);
+              break;
+
+            case "bucket_website":
+              // Static website hosting enable/inspect/disable
+              result = await bucketWebsite(args);
+              break;
+
+            case "bucket_encryption":
+              // Default bucket encryption get/put/delete
+              result = await bucketEncryption(args);
+              break;
+
+            case "check_encryption":
+              // Encryption compliance report for objects under a prefix
+              result = await checkEncryption(args);
+              break;
+
+            case "bucket_object_lock":
+              // Bucket default Object Lock retention
+              result = await bucketObjectLock(args);
+              break;
+
+            case "object_retention":
+              // Per-object retention get/put/remove
+              result = await objectRetention(args);
+              break;
+
+            case "object_legal_hold":
+              // Per-object legal hold get/put
+              result = await objectLegalHold(args);
+              break;
+
+            case "locked_objects_report":
+              // Objects under a prefix protected by retention or legal hold
+              result = await lockedObjectsReport(args);
+              break;
+
+            case "bucket_usage":
+              // Listing-based aggregation, cached per bucket/prefix
+              result = await bucketUsage(args);
+              break;
+
+            case "search_objects":
+              // Listing filters first, HeadObject only for contentType
+              result = await searchObjects(args);
+              break;
+
+            case "diff_prefixes":
+              // Listing comparison, checksums only where ETags are ambiguous
+              result = await diffPrefixes(args);
+              break;
+
+            case "read_file":
+              // File system tool - read any file type
+              result = await readFile(args);
+              break;
+
+            case "list_directory":
+              // File system tool - browse directories
+              result = await listDirectory(args);
+              break;
+
+            case "export_table_to_storage":
+              // MySQL MCP bridge tool - export table data to S3
+              result = await exportTableToStorage(args);
+              break;
+
+            case "scrape_website_to_file":
+              // Web scraping tool - scrape website, save to file, upload to S3
+              result = await scrapeWebsiteToFile(args);
+              break;
+
+            case "write_text_to_file":
+              // Write text to file tool - write text to file, upload to S3
+              result = await writeTextToFile(args);
+              break;
+
+            default:
+              throw new Error(`Unknown tool: ${name}`);
+          }
+
+          // Certificate problems get a TLS specific hint instead of the tool's generic one
+          applyTlsHint(result, getActiveProfile().name);
+        });
 
         return {
           content: [
@@ -1015,4 +3599,25 @@ if (require.main === module) {
   });
 }
 
+/**
+ * Advertise the optional profile argument on every S3 tool
+ */
+function addProfileArgument(tool) {
+  if (LOCAL_ONLY_TOOLS.includes(tool.name)) return tool;
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        profile: {
+          type: "string",
+          description:
+            "Named S3 store to use (see list_profiles; default profile if omitted)",
+        },
+      },
+    },
+  };
+}
+
 module.exports = S3MCPServer;
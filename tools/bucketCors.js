@@ -0,0 +1,426 @@
+// tools/bucketCors.js - Read, change or remove bucket CORS rules
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetBucketCorsCommand,
+  PutBucketCorsCommand,
+  DeleteBucketCorsCommand,
+} = require("@aws-sdk/client-s3");
+
+const ALLOWED_METHODS = ["GET", "PUT", "POST", "DELETE", "HEAD"];
+const WRITE_METHODS = ["PUT", "POST", "DELETE"];
+const MAX_RULES = 100;
+
+async function bucketCors(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+
+  if (action === "get") {
+    return await getCors(params);
+  }
+
+  if (action === "put") {
+    return await putCors(params);
+  }
+
+  if (action === "delete") {
+    return await deleteCors(params);
+  }
+
+  return {
+    success: false,
+    message: `Error: action must be "get", "put" or "delete" (received "${params.action}").`,
+    receivedParams: params,
+  };
+}
+
+async function getCors(params) {
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    const rules = await fetchRules(commandParams);
+
+    return {
+      success: true,
+      message: rules.length
+        ? `✅ "${params.bucketName}" has ${rules.length} CORS rule(s)`
+        : `ℹ️  "${params.bucketName}" has no CORS rules - browsers on other origins cannot call it`,
+      cors: {
+        bucketName: params.bucketName,
+        ruleCount: rules.length,
+        summary: rules.map(describeRule),
+        warnings: collectWarnings(rules),
+        rules: rules,
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+async function putCors(params) {
+  // Accept either a rules array or a single rule given as flat parameters
+  const inputRules = Array.isArray(params.rules)
+    ? params.rules
+    : params.rules
+    ? [params.rules]
+    : [params];
+
+  const errors = [];
+  const newRules = inputRules.map((rule, index) =>
+    buildRule(rule, index, errors)
+  );
+
+  if (errors.length > 0) {
+    return {
+      success: false,
+      message: `Error: Invalid CORS rules:\n- ${errors.join("\n- ")}`,
+      validationErrors: errors,
+      receivedParams: params,
+    };
+  }
+
+  const mode = (params.mode || "merge").toLowerCase();
+  if (!["merge", "replace"].includes(mode)) {
+    return {
+      success: false,
+      message: `Error: mode must be "merge" or "replace" (received "${params.mode}").`,
+      receivedParams: params,
+    };
+  }
+
+  let commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    // put replaces the whole configuration, so merge keeps unrelated rules
+    let rules = newRules;
+    if (mode === "merge") {
+      // Same ID replaces; an identical unnamed rule is not added twice
+      const newIds = new Set(newRules.map((rule) => rule.ID).filter(Boolean));
+      const newShapes = new Set(newRules.map((rule) => JSON.stringify(rule)));
+      const existing = await fetchRules(commandParams);
+      rules = [
+        ...existing.filter(
+          (rule) =>
+            !(rule.ID && newIds.has(rule.ID)) &&
+            !newShapes.has(JSON.stringify(rule))
+        ),
+        ...newRules,
+      ];
+    }
+
+    if (rules.length > MAX_RULES) {
+      return {
+        success: false,
+        message: `Error: A bucket can have at most ${MAX_RULES} CORS rules (would have ${rules.length}).`,
+        receivedParams: params,
+      };
+    }
+
+    commandParams = {
+      ...commandParams,
+      CORSConfiguration: { CORSRules: rules },
+    };
+
+    console.log(
+      "📤 Sending to AWS S3:",
+      JSON.stringify(commandParams, null, 2)
+    );
+
+    const result = await s3Client.send(new PutBucketCorsCommand(commandParams));
+
+    return {
+      success: true,
+      message: `✅ CORS configuration for "${params.bucketName}" saved: ${
+        newRules.length
+      } rule(s) ${mode === "merge" ? "added/updated" : "set"}, ${
+        rules.length
+      } in total`,
+      cors: {
+        bucketName: params.bucketName,
+        mode: mode,
+        ruleCount: rules.length,
+        summary: rules.map(describeRule),
+        warnings: collectWarnings(rules),
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      awsResponse: {
+        metadata: result.$metadata,
+      },
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+async function deleteCors(params) {
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    // Removing one rule means re-putting the others
+    if (params.ruleId) {
+      const existing = await fetchRules(commandParams);
+      const remaining = existing.filter((rule) => rule.ID !== params.ruleId);
+
+      if (remaining.length === existing.length) {
+        return {
+          success: false,
+          message: `❌ No CORS rule with ID "${params.ruleId}" on "${params.bucketName}".`,
+          existingRuleIds: existing.map((rule) => rule.ID).filter(Boolean),
+        };
+      }
+
+      if (remaining.length > 0) {
+        const putParams = {
+          ...commandParams,
+          CORSConfiguration: { CORSRules: remaining },
+        };
+        await s3Client.send(new PutBucketCorsCommand(putParams));
+
+        return {
+          success: true,
+          message: `✅ Removed CORS rule "${params.ruleId}" from "${params.bucketName}" (${remaining.length} rule(s) left)`,
+          cors: {
+            bucketName: params.bucketName,
+            ruleCount: remaining.length,
+            summary: remaining.map(describeRule),
+          },
+          aiExtractedParams: params,
+          awsCommandParams: putParams,
+        };
+      }
+    }
+
+    await s3Client.send(new DeleteBucketCorsCommand(commandParams));
+
+    return {
+      success: true,
+      message: `✅ All CORS rules removed from "${params.bucketName}"`,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+/**
+ * Current rules, or [] when the bucket has no CORS configuration
+ */
+async function fetchRules(commandParams) {
+  try {
+    const result = await s3Client.send(
+      new GetBucketCorsCommand({
+        Bucket: commandParams.Bucket,
+        ExpectedBucketOwner: commandParams.ExpectedBucketOwner,
+      })
+    );
+    return result.CORSRules || [];
+  } catch (error) {
+    if (error.name === "NoSuchCORSConfiguration") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Turn a friendly rule into an SDK CORSRule, collecting problems
+ * @param {Object} input - { id, allowedOrigins, allowedMethods, allowedHeaders, exposeHeaders, maxAgeSeconds }
+ * @param {number} index - Position, used in error messages
+ * @param {Array} errors - Validation errors are pushed here
+ * @returns {Object} - SDK CORSRule
+ */
+function buildRule(input, index, errors) {
+  const label = input.id ? `Rule "${input.id}"` : `Rule ${index + 1}`;
+  const toList = (value) =>
+    value === undefined
+      ? []
+      : (Array.isArray(value) ? value : String(value).split(","))
+          .map((item) => String(item).trim())
+          .filter(Boolean);
+
+  const origins = toList(input.allowedOrigins ?? input.origins);
+  const methods = toList(input.allowedMethods ?? input.methods).map((method) =>
+    method.toUpperCase()
+  );
+  const headers = toList(input.allowedHeaders ?? input.headers);
+  const exposeHeaders = toList(input.exposeHeaders);
+
+  if (origins.length === 0) {
+    errors.push(
+      `${label}: allowedOrigins is required (e.g. "https://app.example.com" or "*")`
+    );
+  }
+  for (const origin of origins) {
+    if ((origin.match(/\*/g) || []).length > 1) {
+      errors.push(`${label}: origin "${origin}" may contain only one "*"`);
+    } else if (origin !== "*" && !/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(origin)) {
+      errors.push(
+        `${label}: origin "${origin}" must be "*" or include a scheme, e.g. "https://${origin}"`
+      );
+    } else if (/^https?:\/\/[^/]+\/.+/.test(origin)) {
+      errors.push(
+        `${label}: origin "${origin}" must not contain a path (browsers send only scheme://host[:port])`
+      );
+    }
+  }
+
+  if (methods.length === 0) {
+    errors.push(
+      `${label}: allowedMethods is required (${ALLOWED_METHODS.join(", ")})`
+    );
+  }
+  for (const method of methods) {
+    if (!ALLOWED_METHODS.includes(method)) {
+      errors.push(
+        `${label}: method "${method}" is not allowed (use ${ALLOWED_METHODS.join(
+          ", "
+        )})`
+      );
+    }
+  }
+
+  for (const header of headers) {
+    if ((header.match(/\*/g) || []).length > 1) {
+      errors.push(`${label}: header "${header}" may contain only one "*"`);
+    }
+  }
+  for (const header of exposeHeaders) {
+    if (header.includes("*")) {
+      errors.push(`${label}: exposeHeaders cannot use wildcards ("${header}")`);
+    }
+  }
+
+  const maxAge = input.maxAgeSeconds ?? input.maxAge;
+  if (
+    maxAge !== undefined &&
+    !(Number.isInteger(Number(maxAge)) && Number(maxAge) >= 0)
+  ) {
+    errors.push(`${label}: maxAgeSeconds must be a whole number of seconds`);
+  }
+
+  if (input.id && String(input.id).length > 255) {
+    errors.push(`${label}: id must be at most 255 characters`);
+  }
+
+  return {
+    ...(input.id && { ID: String(input.id) }),
+    AllowedOrigins: origins,
+    AllowedMethods: [...new Set(methods)],
+    ...(headers.length && { AllowedHeaders: headers }),
+    ...(exposeHeaders.length && { ExposeHeaders: exposeHeaders }),
+    ...(maxAge !== undefined && { MaxAgeSeconds: Number(maxAge) }),
+  };
+}
+
+/**
+ * One-line human summary of an SDK rule
+ */
+function describeRule(rule, index) {
+  const parts = [
+    `${(rule.AllowedMethods || []).join(", ")} from ${(
+      rule.AllowedOrigins || []
+    ).join(", ")}`,
+  ];
+  if (rule.AllowedHeaders?.length) {
+    parts.push(`request headers: ${rule.AllowedHeaders.join(", ")}`);
+  }
+  if (rule.ExposeHeaders?.length) {
+    parts.push(`exposes: ${rule.ExposeHeaders.join(", ")}`);
+  }
+  if (rule.MaxAgeSeconds !== undefined) {
+    parts.push(`preflight cached ${rule.MaxAgeSeconds}s`);
+  }
+  return `${rule.ID || `Rule ${index + 1}`}: ${parts.join("; ")}`;
+}
+
+/**
+ * Flag risky but valid configurations
+ */
+function collectWarnings(rules) {
+  const warnings = [];
+  rules.forEach((rule, index) => {
+    const name = rule.ID || `Rule ${index + 1}`;
+    const writes = (rule.AllowedMethods || []).filter((method) =>
+      WRITE_METHODS.includes(method)
+    );
+    if ((rule.AllowedOrigins || []).includes("*") && writes.length > 0) {
+      warnings.push(
+        `${name}: any website may send ${writes.join(
+          "/"
+        )} requests - limit allowedOrigins if browsers upload directly`
+      );
+    }
+    if (
+      writes.length > 0 &&
+      !(rule.ExposeHeaders || []).some(
+        (header) => header.toLowerCase() === "etag"
+      )
+    ) {
+      warnings.push(
+        `${name}: browsers cannot read the ETag header; add exposeHeaders ["ETag"] for multipart uploads`
+      );
+    }
+  });
+  return warnings;
+}
+
+function buildErrorResult(error, params, commandParams) {
+  let hint = "Check AWS credentials and permissions";
+
+  switch (error.name) {
+    case "NoSuchBucket":
+      hint = `The bucket "${params.bucketName}" does not exist`;
+      break;
+    case "NoSuchCORSConfiguration":
+      hint = `"${params.bucketName}" has no CORS rules`;
+      break;
+    case "AccessDenied":
+      hint = "Requires s3:GetBucketCORS / s3:PutBucketCORS permission";
+      break;
+    case "MalformedXML":
+    case "InvalidRequest":
+      hint = "Check origins, methods and headers - run action get to compare";
+      break;
+  }
+
+  return {
+    success: false,
+    message: `❌ AWS Error: ${error.message}`,
+    errorDetails: {
+      errorCode: error.name,
+      errorMessage: error.message,
+      statusCode: error.$metadata?.httpStatusCode,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      hint: hint,
+    },
+  };
+}
+
+module.exports = bucketCors;
@@ -0,0 +1,232 @@
+// tools/bucketEncryption.js - Read, set or remove default bucket encryption
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetBucketEncryptionCommand,
+  PutBucketEncryptionCommand,
+  DeleteBucketEncryptionCommand,
+} = require("@aws-sdk/client-s3");
+
+// Friendly names → SSE algorithm
+const ALGORITHM_ALIASES = {
+  aes256: "AES256",
+  "sse-s3": "AES256",
+  s3: "AES256",
+  "aws:kms": "aws:kms",
+  kms: "aws:kms",
+  "sse-kms": "aws:kms",
+  "aws:kms:dsse": "aws:kms:dsse",
+  dsse: "aws:kms:dsse",
+  "dsse-kms": "aws:kms:dsse",
+};
+
+async function bucketEncryption(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+  if (!["get", "put", "delete"].includes(action)) {
+    return {
+      success: false,
+      message: `Error: action must be "get", "put" or "delete" (received "${params.action}").`,
+      receivedParams: params,
+    };
+  }
+
+  let commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    if (action === "get") {
+      const encryption = await getDefaultEncryption(commandParams);
+
+      return {
+        success: true,
+        message: encryption
+          ? `✅ Default encryption for "${params.bucketName}": ${describe(
+              encryption
+            )}`
+          : `⚠️  "${params.bucketName}" has no default encryption configuration`,
+        encryption: {
+          bucketName: params.bucketName,
+          configured: Boolean(encryption),
+          ...(encryption || {}),
+        },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    if (action === "put") {
+      const algorithm = normalizeAlgorithm(
+        params.algorithm || params.serverSideEncryption || "AES256"
+      );
+      if (!algorithm) {
+        return {
+          success: false,
+          message: `Error: Unknown encryption "${
+            params.algorithm || params.serverSideEncryption
+          }". Use "SSE-S3" (AES256), "SSE-KMS" (aws:kms) or "DSSE-KMS" (aws:kms:dsse).`,
+          receivedParams: params,
+        };
+      }
+
+      const kmsKeyId = params.kmsKeyId || params.sseKMSKeyId;
+      if (kmsKeyId && algorithm === "AES256") {
+        return {
+          success: false,
+          message:
+            'Error: kmsKeyId only applies to SSE-KMS - set algorithm to "aws:kms".',
+          receivedParams: params,
+        };
+      }
+
+      // Bucket keys cut KMS request costs; on by default for SSE-KMS
+      const bucketKeyEnabled =
+        algorithm === "AES256" ? undefined : params.bucketKeyEnabled !== false;
+
+      commandParams = {
+        ...commandParams,
+        ServerSideEncryptionConfiguration: {
+          Rules: [
+            {
+              ApplyServerSideEncryptionByDefault: {
+                SSEAlgorithm: algorithm,
+                ...(kmsKeyId && { KMSMasterKeyID: kmsKeyId }),
+              },
+              ...(bucketKeyEnabled !== undefined && {
+                BucketKeyEnabled: bucketKeyEnabled,
+              }),
+            },
+          ],
+        },
+      };
+
+      console.log(
+        "📤 Sending to AWS S3:",
+        JSON.stringify(commandParams, null, 2)
+      );
+
+      const result = await s3Client.send(
+        new PutBucketEncryptionCommand(commandParams)
+      );
+      const encryption = {
+        algorithm: algorithm,
+        kmsKeyId: kmsKeyId,
+        bucketKeyEnabled: bucketKeyEnabled,
+      };
+
+      return {
+        success: true,
+        message: `✅ Default encryption for "${
+          params.bucketName
+        }" set to ${describe(encryption)}`,
+        encryption: {
+          bucketName: params.bucketName,
+          configured: true,
+          ...encryption,
+          note: "Applies to new uploads only. Use check_encryption to find existing objects that differ.",
+        },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        awsResponse: {
+          metadata: result.$metadata,
+        },
+      };
+    }
+
+    await s3Client.send(new DeleteBucketEncryptionCommand(commandParams));
+
+    return {
+      success: true,
+      message: `✅ Default encryption configuration removed from "${params.bucketName}" (AWS still applies SSE-S3 to new objects)`,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint =
+          "Requires s3:GetEncryptionConfiguration / s3:PutEncryptionConfiguration permission (and kms:DescribeKey for SSE-KMS)";
+        break;
+      case "KMS.NotFoundException":
+      case "InvalidArgument":
+        hint =
+          "Check kmsKeyId - use a key ID, key ARN or alias ARN in the bucket's region";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Current default encryption, or null when none is configured
+ * @param {Object} commandParams - { Bucket, ExpectedBucketOwner }
+ * @returns {Object|null} - { algorithm, kmsKeyId, bucketKeyEnabled }
+ */
+async function getDefaultEncryption(commandParams) {
+  try {
+    const result = await s3Client.send(
+      new GetBucketEncryptionCommand(commandParams)
+    );
+    const rule = result.ServerSideEncryptionConfiguration?.Rules?.[0];
+    if (!rule) return null;
+
+    return {
+      algorithm: rule.ApplyServerSideEncryptionByDefault?.SSEAlgorithm,
+      kmsKeyId: rule.ApplyServerSideEncryptionByDefault?.KMSMasterKeyID,
+      bucketKeyEnabled: rule.BucketKeyEnabled,
+    };
+  } catch (error) {
+    if (error.name === "ServerSideEncryptionConfigurationNotFoundError") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function normalizeAlgorithm(value) {
+  if (!value) return undefined;
+  return ALGORITHM_ALIASES[String(value).trim().toLowerCase()];
+}
+
+function describe(encryption) {
+  if (encryption.algorithm === "AES256") return "SSE-S3 (AES256)";
+  const name = encryption.algorithm === "aws:kms:dsse" ? "DSSE-KMS" : "SSE-KMS";
+  return `${name} with ${
+    encryption.kmsKeyId ? `key ${encryption.kmsKeyId}` : "the AWS managed key"
+  }${encryption.bucketKeyEnabled ? ", bucket key enabled" : ""}`;
+}
+
+module.exports = bucketEncryption;
+module.exports.getDefaultEncryption = getDefaultEncryption;
+module.exports.normalizeAlgorithm = normalizeAlgorithm;
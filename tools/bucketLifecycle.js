@@ -0,0 +1,675 @@
+// tools/bucketLifecycle.js - Read, change or remove bucket lifecycle rules
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetBucketLifecycleConfigurationCommand,
+  PutBucketLifecycleConfigurationCommand,
+  DeleteBucketLifecycleCommand,
+} = require("@aws-sdk/client-s3");
+
+// Friendly storage class names → S3 values (keys are lowercase, space separated)
+const STORAGE_CLASS_ALIASES = {
+  "standard ia": "STANDARD_IA",
+  ia: "STANDARD_IA",
+  infrequent: "STANDARD_IA",
+  "infrequent access": "STANDARD_IA",
+  "onezone ia": "ONEZONE_IA",
+  "one zone": "ONEZONE_IA",
+  "one zone ia": "ONEZONE_IA",
+  "intelligent tiering": "INTELLIGENT_TIERING",
+  intelligent: "INTELLIGENT_TIERING",
+  "glacier ir": "GLACIER_IR",
+  "glacier instant retrieval": "GLACIER_IR",
+  glacier: "GLACIER",
+  "glacier flexible retrieval": "GLACIER",
+  "deep archive": "DEEP_ARCHIVE",
+  "glacier deep archive": "DEEP_ARCHIVE",
+};
+
+// S3 rejects transitions to the IA classes before 30 days
+const MIN_TRANSITION_DAYS = { STANDARD_IA: 30, ONEZONE_IA: 30 };
+const MAX_RULES = 1000;
+
+async function bucketLifecycle(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+
+  if (action === "get") {
+    return await getLifecycle(params);
+  }
+
+  if (action === "put") {
+    return await putLifecycle(params);
+  }
+
+  if (action === "delete") {
+    return await deleteLifecycle(params);
+  }
+
+  return {
+    success: false,
+    message: `Error: action must be "get", "put" or "delete" (received "${params.action}").`,
+    receivedParams: params,
+  };
+}
+
+async function getLifecycle(params) {
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    const rules = await fetchRules(params.bucketName, params);
+
+    return {
+      success: true,
+      message: rules.length
+        ? `✅ "${params.bucketName}" has ${rules.length} lifecycle rule(s)`
+        : `ℹ️  "${params.bucketName}" has no lifecycle rules`,
+      lifecycle: {
+        bucketName: params.bucketName,
+        ruleCount: rules.length,
+        summary: rules.map(describeRule),
+        rules: rules,
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+async function putLifecycle(params) {
+  // Accept either a rules array or a single rule given as flat parameters
+  const inputRules = Array.isArray(params.rules)
+    ? params.rules
+    : params.rules
+    ? [params.rules]
+    : [params];
+
+  const errors = [];
+  const newRules = inputRules.map((rule, index) =>
+    buildRule(rule, index, errors)
+  );
+
+  if (errors.length > 0) {
+    return {
+      success: false,
+      message: `Error: Invalid lifecycle rules:\n- ${errors.join("\n- ")}`,
+      validationErrors: errors,
+      receivedParams: params,
+    };
+  }
+
+  const mode = (params.mode || "merge").toLowerCase();
+  if (!["merge", "replace"].includes(mode)) {
+    return {
+      success: false,
+      message: `Error: mode must be "merge" or "replace" (received "${params.mode}").`,
+      receivedParams: params,
+    };
+  }
+
+  let commandParams;
+
+  try {
+    // put replaces the whole configuration, so merge keeps unrelated rules
+    let rules = newRules;
+    if (mode === "merge") {
+      const existing = await fetchRules(params.bucketName, params);
+
+      // A rule without an id must not replace an existing "rule-1"; give it
+      // the next free number instead
+      const takenIds = new Set([
+        ...existing.map((rule) => rule.ID),
+        ...newRules
+          .filter((rule, index) => hasId(inputRules[index]))
+          .map((rule) => rule.ID),
+      ]);
+      let next = 1;
+      newRules.forEach((rule, index) => {
+        if (hasId(inputRules[index])) return;
+        while (takenIds.has(`rule-${next}`)) next++;
+        rule.ID = `rule-${next}`;
+        takenIds.add(rule.ID);
+      });
+
+      const newIds = new Set(newRules.map((rule) => rule.ID));
+      rules = [...existing.filter((rule) => !newIds.has(rule.ID)), ...newRules];
+    }
+
+    const ids = rules.map((rule) => rule.ID);
+    const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+    if (duplicates.length > 0) {
+      return {
+        success: false,
+        message: `Error: Rule IDs must be unique (duplicated: ${[
+          ...new Set(duplicates),
+        ].join(", ")}).`,
+        receivedParams: params,
+      };
+    }
+    if (rules.length > MAX_RULES) {
+      return {
+        success: false,
+        message: `Error: A bucket can have at most ${MAX_RULES} lifecycle rules (would have ${rules.length}).`,
+        receivedParams: params,
+      };
+    }
+
+    commandParams = {
+      Bucket: params.bucketName,
+      LifecycleConfiguration: { Rules: rules },
+      ExpectedBucketOwner: params.expectedBucketOwner,
+    };
+
+    console.log(
+      "📤 Sending to AWS S3:",
+      JSON.stringify(commandParams, null, 2)
+    );
+
+    const result = await s3Client.send(
+      new PutBucketLifecycleConfigurationCommand(commandParams)
+    );
+
+    return {
+      success: true,
+      message: `✅ Lifecycle configuration for "${params.bucketName}" saved: ${
+        newRules.length
+      } rule(s) ${mode === "merge" ? "added/updated" : "set"}, ${
+        rules.length
+      } in total`,
+      lifecycle: {
+        bucketName: params.bucketName,
+        mode: mode,
+        ruleCount: rules.length,
+        summary: rules.map(describeRule),
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      awsResponse: {
+        metadata: result.$metadata,
+      },
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+async function deleteLifecycle(params) {
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    // Removing one rule means re-putting the others
+    if (params.ruleId) {
+      const existing = await fetchRules(params.bucketName, params);
+      const remaining = existing.filter((rule) => rule.ID !== params.ruleId);
+
+      if (remaining.length === existing.length) {
+        return {
+          success: false,
+          message: `❌ No lifecycle rule with ID "${params.ruleId}" on "${params.bucketName}".`,
+          existingRuleIds: existing.map((rule) => rule.ID),
+        };
+      }
+
+      if (remaining.length > 0) {
+        const putParams = {
+          ...commandParams,
+          LifecycleConfiguration: { Rules: remaining },
+        };
+        await s3Client.send(
+          new PutBucketLifecycleConfigurationCommand(putParams)
+        );
+
+        return {
+          success: true,
+          message: `✅ Removed lifecycle rule "${params.ruleId}" from "${params.bucketName}" (${remaining.length} rule(s) left)`,
+          lifecycle: {
+            bucketName: params.bucketName,
+            ruleCount: remaining.length,
+            summary: remaining.map(describeRule),
+          },
+          aiExtractedParams: params,
+          awsCommandParams: putParams,
+        };
+      }
+    }
+
+    await s3Client.send(new DeleteBucketLifecycleCommand(commandParams));
+
+    return {
+      success: true,
+      message: `✅ All lifecycle rules removed from "${params.bucketName}"`,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+/**
+ * Current rules, or [] when the bucket has no lifecycle configuration
+ */
+async function fetchRules(bucketName, params) {
+  try {
+    const result = await s3Client.send(
+      new GetBucketLifecycleConfigurationCommand({
+        Bucket: bucketName,
+        ExpectedBucketOwner: params.expectedBucketOwner,
+      })
+    );
+    return result.Rules || [];
+  } catch (error) {
+    if (error.name === "NoSuchLifecycleConfiguration") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Whether the caller named the rule (otherwise it gets "rule-N")
+function hasId(input) {
+  return Boolean(input.id || input.ruleId);
+}
+
+/**
+ * Turn a friendly rule into an SDK LifecycleRule, collecting problems
+ * @param {Object} input - Friendly rule (prefix, transitions, expirationDays, ...)
+ * @param {number} index - Position, used in error messages
+ * @param {Array} errors - Validation errors are pushed here
+ * @returns {Object} - SDK LifecycleRule
+ */
+function buildRule(input, index, errors) {
+  const id = input.id || input.ruleId || `rule-${index + 1}`;
+  const label = `Rule "${id}"`;
+  const rule = {
+    ID: String(id),
+    Status:
+      input.enabled === false ||
+      String(input.status).toLowerCase() === "disabled"
+        ? "Disabled"
+        : "Enabled",
+    Filter: buildFilter(input, label, errors),
+  };
+
+  if (rule.ID.length > 255) {
+    errors.push(`${label}: id must be at most 255 characters`);
+  }
+
+  // Current-version transitions
+  const transitions = normalizeTransitions(
+    input.transitions,
+    label,
+    errors,
+    false
+  );
+  if (transitions.length > 0) {
+    rule.Transitions = transitions;
+  }
+
+  // Current-version expiration
+  const expiration = normalizeWhen(
+    input.expirationDays ?? input.expiration?.days,
+    input.expirationDate ?? input.expiration?.date,
+    `${label} expiration`,
+    errors
+  );
+  if (input.expireDeleteMarkers === true) {
+    if (expiration) {
+      errors.push(
+        `${label}: expireDeleteMarkers cannot be combined with expirationDays/expirationDate`
+      );
+    } else {
+      rule.Expiration = { ExpiredObjectDeleteMarker: true };
+    }
+  } else if (expiration) {
+    rule.Expiration = expiration;
+  }
+
+  for (const transition of transitions) {
+    if (
+      expiration?.Days !== undefined &&
+      transition.Days !== undefined &&
+      transition.Days >= expiration.Days
+    ) {
+      errors.push(
+        `${label}: expiration (${expiration.Days} days) must be later than the ${transition.StorageClass} transition (${transition.Days} days)`
+      );
+    }
+  }
+
+  // Noncurrent versions
+  const noncurrentTransitions = normalizeTransitions(
+    input.noncurrentTransitions,
+    label,
+    errors,
+    true
+  );
+  if (noncurrentTransitions.length > 0) {
+    rule.NoncurrentVersionTransitions = noncurrentTransitions;
+  }
+
+  const noncurrentDays = input.noncurrentExpirationDays;
+  if (noncurrentDays !== undefined) {
+    if (!isPositiveInteger(noncurrentDays)) {
+      errors.push(
+        `${label}: noncurrentExpirationDays must be a positive whole number`
+      );
+    } else {
+      rule.NoncurrentVersionExpiration = {
+        NoncurrentDays: Number(noncurrentDays),
+        ...(input.noncurrentVersionsToKeep !== undefined && {
+          NewerNoncurrentVersions: Number(input.noncurrentVersionsToKeep),
+        }),
+      };
+    }
+  } else if (input.noncurrentVersionsToKeep !== undefined) {
+    errors.push(
+      `${label}: noncurrentVersionsToKeep needs noncurrentExpirationDays`
+    );
+  }
+
+  // Incomplete multipart uploads
+  const abortDays = input.abortIncompleteMultipartDays;
+  if (abortDays !== undefined) {
+    if (!isPositiveInteger(abortDays)) {
+      errors.push(
+        `${label}: abortIncompleteMultipartDays must be a positive whole number`
+      );
+    } else if (input.tags && Object.keys(input.tags).length > 0) {
+      errors.push(
+        `${label}: abortIncompleteMultipartDays cannot be used with a tag filter`
+      );
+    } else {
+      rule.AbortIncompleteMultipartUpload = {
+        DaysAfterInitiation: Number(abortDays),
+      };
+    }
+  }
+
+  const hasAction =
+    rule.Transitions ||
+    rule.Expiration ||
+    rule.NoncurrentVersionTransitions ||
+    rule.NoncurrentVersionExpiration ||
+    rule.AbortIncompleteMultipartUpload;
+  if (!hasAction) {
+    errors.push(
+      `${label}: needs at least one action (transitions, expirationDays, expireDeleteMarkers, noncurrentExpirationDays, noncurrentTransitions or abortIncompleteMultipartDays)`
+    );
+  }
+
+  return rule;
+}
+
+/**
+ * Prefix, tags and size limits → Filter (And when more than one condition)
+ */
+function buildFilter(input, label, errors) {
+  const conditions = {};
+
+  if (input.prefix) {
+    conditions.Prefix = input.prefix;
+  }
+  if (input.tags && typeof input.tags === "object") {
+    conditions.Tags = Object.entries(input.tags).map(([Key, Value]) => ({
+      Key,
+      Value: String(Value),
+    }));
+  }
+  for (const [field, sdkField] of [
+    ["objectSizeGreaterThan", "ObjectSizeGreaterThan"],
+    ["objectSizeLessThan", "ObjectSizeLessThan"],
+  ]) {
+    if (input[field] === undefined) continue;
+    if (!Number.isInteger(Number(input[field])) || Number(input[field]) < 0) {
+      errors.push(`${label}: ${field} must be a size in bytes`);
+    } else {
+      conditions[sdkField] = Number(input[field]);
+    }
+  }
+
+  const count =
+    (conditions.Prefix ? 1 : 0) +
+    (conditions.Tags?.length || 0) +
+    (conditions.ObjectSizeGreaterThan !== undefined ? 1 : 0) +
+    (conditions.ObjectSizeLessThan !== undefined ? 1 : 0);
+
+  if (count === 0) {
+    // Empty filter = whole bucket
+    return { Prefix: "" };
+  }
+  if (count === 1) {
+    return conditions.Tags ? { Tag: conditions.Tags[0] } : conditions;
+  }
+  return { And: conditions };
+}
+
+/**
+ * Normalise [{ days|date, storageClass }] and check the S3 constraints
+ */
+function normalizeTransitions(transitions, label, errors, noncurrent) {
+  if (transitions === undefined) return [];
+  const list = Array.isArray(transitions) ? transitions : [transitions];
+  const result = [];
+  const seenClasses = new Set();
+
+  for (const transition of list) {
+    const storageClass = normalizeStorageClass(transition.storageClass);
+    if (!storageClass) {
+      errors.push(
+        `${label}: unknown storage class "${transition.storageClass}" (use STANDARD_IA, ONEZONE_IA, INTELLIGENT_TIERING, GLACIER_IR, GLACIER or DEEP_ARCHIVE)`
+      );
+      continue;
+    }
+    if (seenClasses.has(storageClass)) {
+      errors.push(`${label}: more than one transition to ${storageClass}`);
+      continue;
+    }
+    seenClasses.add(storageClass);
+
+    if (noncurrent) {
+      if (!isPositiveInteger(transition.days)) {
+        errors.push(
+          `${label}: noncurrent transition to ${storageClass} needs days as a positive whole number`
+        );
+        continue;
+      }
+      result.push({
+        NoncurrentDays: Number(transition.days),
+        StorageClass: storageClass,
+        ...(transition.newerNoncurrentVersions !== undefined && {
+          NewerNoncurrentVersions: Number(transition.newerNoncurrentVersions),
+        }),
+      });
+      continue;
+    }
+
+    const when = normalizeWhen(
+      transition.days,
+      transition.date,
+      `${label} transition to ${storageClass}`,
+      errors,
+      true
+    );
+    if (!when) {
+      if (transition.days === undefined && transition.date === undefined) {
+        errors.push(
+          `${label}: transition to ${storageClass} needs days or date`
+        );
+      }
+      continue;
+    }
+    if (
+      when.Days !== undefined &&
+      when.Days < (MIN_TRANSITION_DAYS[storageClass] || 0)
+    ) {
+      errors.push(
+        `${label}: transitions to ${storageClass} need at least ${MIN_TRANSITION_DAYS[storageClass]} days`
+      );
+      continue;
+    }
+    result.push({ ...when, StorageClass: storageClass });
+  }
+
+  return result;
+}
+
+/**
+ * Days or an ISO date (midnight UTC), never both
+ */
+function normalizeWhen(days, date, label, errors, allowZeroDays = false) {
+  if (days !== undefined && date !== undefined) {
+    errors.push(`${label}: use days or date, not both`);
+    return null;
+  }
+  if (days !== undefined) {
+    const valid = allowZeroDays
+      ? Number.isInteger(Number(days)) && Number(days) >= 0
+      : isPositiveInteger(days);
+    if (!valid) {
+      errors.push(`${label}: days must be a positive whole number`);
+      return null;
+    }
+    return { Days: Number(days) };
+  }
+  if (date !== undefined) {
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) {
+      errors.push(`${label}: "${date}" is not a valid date`);
+      return null;
+    }
+    // S3 only accepts dates at midnight UTC
+    parsed.setUTCHours(0, 0, 0, 0);
+    return { Date: parsed };
+  }
+  return null;
+}
+
+function normalizeStorageClass(value) {
+  if (!value) return undefined;
+  const key = String(value)
+    .toLowerCase()
+    .replace(/[_-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return STORAGE_CLASS_ALIASES[key];
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(Number(value)) && Number(value) > 0;
+}
+
+/**
+ * One-line human summary of an SDK rule
+ */
+function describeRule(rule) {
+  const filter = rule.Filter?.And || rule.Filter || {};
+  const scope = [];
+  if (filter.Prefix || rule.Prefix)
+    scope.push(`prefix "${filter.Prefix || rule.Prefix}"`);
+  const tags = filter.Tags || (filter.Tag ? [filter.Tag] : []);
+  if (tags.length) {
+    scope.push(`tags ${tags.map((t) => `${t.Key}=${t.Value}`).join(", ")}`);
+  }
+  if (filter.ObjectSizeGreaterThan !== undefined) {
+    scope.push(`> ${filter.ObjectSizeGreaterThan} bytes`);
+  }
+  if (filter.ObjectSizeLessThan !== undefined) {
+    scope.push(`< ${filter.ObjectSizeLessThan} bytes`);
+  }
+
+  const when = (item) =>
+    item.Days !== undefined
+      ? `${item.Days} days`
+      : `${new Date(item.Date).toISOString().slice(0, 10)}`;
+
+  const actions = [];
+  for (const transition of rule.Transitions || []) {
+    actions.push(`→ ${transition.StorageClass} after ${when(transition)}`);
+  }
+  if (rule.Expiration?.ExpiredObjectDeleteMarker) {
+    actions.push("remove expired delete markers");
+  } else if (rule.Expiration) {
+    actions.push(`expire after ${when(rule.Expiration)}`);
+  }
+  for (const transition of rule.NoncurrentVersionTransitions || []) {
+    actions.push(
+      `old versions → ${transition.StorageClass} after ${transition.NoncurrentDays} days`
+    );
+  }
+  if (rule.NoncurrentVersionExpiration) {
+    const keep = rule.NoncurrentVersionExpiration.NewerNoncurrentVersions;
+    actions.push(
+      `delete old versions after ${
+        rule.NoncurrentVersionExpiration.NoncurrentDays
+      } days${keep ? ` (keep newest ${keep})` : ""}`
+    );
+  }
+  if (rule.AbortIncompleteMultipartUpload) {
+    actions.push(
+      `abort incomplete uploads after ${rule.AbortIncompleteMultipartUpload.DaysAfterInitiation} days`
+    );
+  }
+
+  return `${rule.ID} [${rule.Status}] ${
+    scope.length ? scope.join(", ") : "whole bucket"
+  }: ${actions.join("; ")}`;
+}
+
+function buildErrorResult(error, params, commandParams) {
+  let hint = "Check AWS credentials and permissions";
+
+  switch (error.name) {
+    case "NoSuchBucket":
+      hint = `The bucket "${params.bucketName}" does not exist`;
+      break;
+    case "NoSuchLifecycleConfiguration":
+      hint = `"${params.bucketName}" has no lifecycle rules to remove`;
+      break;
+    case "AccessDenied":
+      hint =
+        "Requires s3:GetLifecycleConfiguration / s3:PutLifecycleConfiguration permission";
+      break;
+    case "InvalidRequest":
+    case "InvalidArgument":
+    case "MalformedXML":
+      hint =
+        "Check transition days (IA classes need 30+), that expiration is after transitions, and storage class names";
+      break;
+  }
+
+  return {
+    success: false,
+    message: `❌ AWS Error: ${error.message}`,
+    errorDetails: {
+      errorCode: error.name,
+      errorMessage: error.message,
+      statusCode: error.$metadata?.httpStatusCode,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      hint: hint,
+    },
+  };
+}
+
+module.exports = bucketLifecycle;
@@ -0,0 +1,221 @@
+// tools/bucketObjectLock.js - Read or set a bucket's default Object Lock retention
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetObjectLockConfigurationCommand,
+  PutObjectLockConfigurationCommand,
+} = require("@aws-sdk/client-s3");
+const { normalizeLockMode } = require("../utils/objectLock");
+
+async function bucketObjectLock(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+  if (!["get", "put", "delete"].includes(action)) {
+    return {
+      success: false,
+      message: `Error: action must be "get", "put" or "delete" (received "${params.action}").`,
+      receivedParams: params,
+    };
+  }
+
+  let commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    if (action === "get") {
+      const config = await getLockConfiguration(commandParams);
+
+      return {
+        success: true,
+        message: !config.enabled
+          ? `ℹ️  Object Lock is not enabled on "${params.bucketName}"`
+          : config.defaultRetention
+          ? `🔒 "${
+              params.bucketName
+            }" retains new objects for ${describeRetention(
+              config.defaultRetention
+            )}`
+          : `🔒 Object Lock is enabled on "${params.bucketName}" with no default retention`,
+        objectLock: {
+          bucketName: params.bucketName,
+          ...config,
+        },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    let rule;
+    if (action === "put" && (params.mode || params.days || params.years)) {
+      const validationErrors = [];
+      const mode = normalizeLockMode(params.mode);
+      if (!mode) {
+        validationErrors.push(
+          `mode must be "governance" or "compliance" (received "${params.mode}")`
+        );
+      }
+      const hasDays = params.days !== undefined;
+      const hasYears = params.years !== undefined;
+      if (hasDays === hasYears) {
+        validationErrors.push("Provide either days or years, not both");
+      }
+      const period = Number(hasDays ? params.days : params.years);
+      if ((hasDays || hasYears) && (!Number.isInteger(period) || period < 1)) {
+        validationErrors.push(
+          `${hasDays ? "days" : "years"} must be a positive whole number`
+        );
+      }
+
+      if (validationErrors.length > 0) {
+        return {
+          success: false,
+          message: `Error: Invalid default retention:\n- ${validationErrors.join(
+            "\n- "
+          )}`,
+          validationErrors: validationErrors,
+          receivedParams: params,
+        };
+      }
+
+      rule = {
+        DefaultRetention: {
+          Mode: mode,
+          ...(hasDays ? { Days: period } : { Years: period }),
+        },
+      };
+    }
+
+    // Omitting Rule keeps Object Lock enabled but clears the default retention
+    commandParams = {
+      ...commandParams,
+      ObjectLockConfiguration: {
+        ObjectLockEnabled: "Enabled",
+        ...(rule && { Rule: rule }),
+      },
+    };
+
+    console.log(
+      "📤 Sending to AWS S3:",
+      JSON.stringify(commandParams, null, 2)
+    );
+
+    const result = await s3Client.send(
+      new PutObjectLockConfigurationCommand(commandParams)
+    );
+
+    const defaultRetention = rule && {
+      mode: rule.DefaultRetention.Mode,
+      days: rule.DefaultRetention.Days,
+      years: rule.DefaultRetention.Years,
+    };
+
+    return {
+      success: true,
+      message: defaultRetention
+        ? `✅ New objects in "${
+            params.bucketName
+          }" will be retained for ${describeRetention(defaultRetention)}`
+        : action === "delete"
+        ? `✅ Default retention removed from "${params.bucketName}" (existing object locks are unchanged)`
+        : `✅ Object Lock enabled on "${params.bucketName}" with no default retention`,
+      objectLock: {
+        bucketName: params.bucketName,
+        enabled: true,
+        defaultRetention: defaultRetention || null,
+        ...(defaultRetention?.mode === "COMPLIANCE" && {
+          warning:
+            "COMPLIANCE mode: objects written from now on cannot be deleted or have their retention shortened by anyone, including the root account, until it expires.",
+        }),
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      awsResponse: {
+        metadata: result.$metadata,
+      },
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint =
+          "Requires s3:GetBucketObjectLockConfiguration / s3:PutBucketObjectLockConfiguration permission";
+        break;
+      case "InvalidBucketState":
+        hint =
+          "Object Lock needs versioning - enable it with bucket_versioning, or create the bucket with objectLockEnabledForBucket: true";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Object Lock state of a bucket
+ * @param {Object} commandParams - { Bucket, ExpectedBucketOwner }
+ * @returns {Object} - { enabled, defaultRetention: { mode, days, years } | null }
+ */
+async function getLockConfiguration(commandParams) {
+  try {
+    const result = await s3Client.send(
+      new GetObjectLockConfigurationCommand(commandParams)
+    );
+    const config = result.ObjectLockConfiguration || {};
+    const retention = config.Rule?.DefaultRetention;
+
+    return {
+      enabled: config.ObjectLockEnabled === "Enabled",
+      defaultRetention: retention
+        ? {
+            mode: retention.Mode,
+            days: retention.Days,
+            years: retention.Years,
+          }
+        : null,
+    };
+  } catch (error) {
+    if (error.name === "ObjectLockConfigurationNotFoundError") {
+      return { enabled: false, defaultRetention: null };
+    }
+    throw error;
+  }
+}
+
+function describeRetention(retention) {
+  const period = retention.days
+    ? `${retention.days} day${retention.days === 1 ? "" : "s"}`
+    : `${retention.years} year${retention.years === 1 ? "" : "s"}`;
+  return `${period} in ${retention.mode} mode`;
+}
+
+module.exports = bucketObjectLock;
+module.exports.getLockConfiguration = getLockConfiguration;
@@ -0,0 +1,383 @@
+// tools/bucketPolicy.js - Read, write, validate or delete a bucket policy (with templates)
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetBucketPolicyCommand,
+  GetBucketPolicyStatusCommand,
+  PutBucketPolicyCommand,
+  DeleteBucketPolicyCommand,
+} = require("@aws-sdk/client-s3");
+const {
+  POLICY_VERSION,
+  POLICY_TEMPLATES,
+  buildTemplateStatements,
+  partitionForRegion,
+  validatePolicy,
+} = require("../utils/policyTemplates");
+
+async function bucketPolicy(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  const action = (params.action || "get").toLowerCase();
+
+  // Templates can be listed without a bucket
+  if (action === "templates") {
+    return {
+      success: true,
+      message: `✅ ${
+        Object.keys(POLICY_TEMPLATES).length
+      } policy templates available`,
+      templates: POLICY_TEMPLATES,
+    };
+  }
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  if (action === "get") {
+    return await getPolicy(params);
+  }
+
+  if (action === "put" || action === "validate") {
+    return await putPolicy(params, action === "validate");
+  }
+
+  if (action === "delete") {
+    return await deletePolicy(params);
+  }
+
+  return {
+    success: false,
+    message: `Error: action must be "get", "put", "validate", "delete" or "templates" (received "${params.action}").`,
+    receivedParams: params,
+  };
+}
+
+async function getPolicy(params) {
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    const policy = await fetchPolicy(commandParams);
+
+    if (!policy) {
+      return {
+        success: true,
+        message: `ℹ️  "${params.bucketName}" has no bucket policy`,
+        policy: null,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    // Not every S3-compatible service implements policy status
+    const status = await s3Client
+      .send(new GetBucketPolicyStatusCommand(commandParams))
+      .catch(() => null);
+    const validation = validatePolicy(
+      policy,
+      params.bucketName,
+      await currentPartition()
+    );
+
+    return {
+      success: true,
+      message: `✅ "${params.bucketName}" has a bucket policy with ${
+        [].concat(policy.Statement || []).length
+      } statement(s)`,
+      policy: policy,
+      policyInfo: {
+        bucketName: params.bucketName,
+        isPublic: status?.PolicyStatus?.IsPublic ?? validation.isPublic,
+        statements: [].concat(policy.Statement || []).map(describeStatement),
+        warnings: validation.warnings,
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+async function putPolicy(params, validateOnly) {
+  const partition = await currentPartition();
+  let incoming;
+
+  // Either a template expanded for this bucket, or a full policy document
+  if (params.template) {
+    const expanded = buildTemplateStatements(
+      params.template,
+      params.bucketName,
+      { principal: params.principal, prefix: params.prefix, partition }
+    );
+    if (expanded.error) {
+      return {
+        success: false,
+        message: `Error: ${expanded.error}`,
+        receivedParams: params,
+      };
+    }
+    incoming = { Version: POLICY_VERSION, Statement: expanded.statements };
+  } else if (params.policy) {
+    try {
+      incoming =
+        typeof params.policy === "string"
+          ? JSON.parse(params.policy)
+          : params.policy;
+    } catch (error) {
+      return {
+        success: false,
+        message: `Error: policy is not valid JSON (${error.message}).`,
+        receivedParams: params,
+      };
+    }
+  } else {
+    return {
+      success: false,
+      message: `Error: Provide a policy document or a template (${Object.keys(
+        POLICY_TEMPLATES
+      ).join(", ")}).`,
+      receivedParams: params,
+    };
+  }
+
+  // Templates add to the existing policy; a full document replaces it
+  const mode = (
+    params.mode || (params.template ? "merge" : "replace")
+  ).toLowerCase();
+  if (!["merge", "replace"].includes(mode)) {
+    return {
+      success: false,
+      message: `Error: mode must be "merge" or "replace" (received "${params.mode}").`,
+      receivedParams: params,
+    };
+  }
+
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    let policy = incoming;
+    if (mode === "merge") {
+      const existing = await fetchPolicy(commandParams);
+      if (existing) {
+        const incomingStatements = [].concat(incoming.Statement || []);
+        const newSids = new Set(
+          incomingStatements.map((statement) => statement.Sid).filter(Boolean)
+        );
+        policy = {
+          ...existing,
+          Statement: [
+            ...[]
+              .concat(existing.Statement || [])
+              .filter((statement) => !newSids.has(statement.Sid)),
+            ...incomingStatements,
+          ],
+        };
+      }
+    }
+
+    const validation = validatePolicy(policy, params.bucketName, partition);
+
+    if (validateOnly || !validation.valid) {
+      return {
+        success: validation.valid,
+        message: validation.valid
+          ? `✅ Policy for "${params.bucketName}" is valid${
+              validation.isPublic ? " (grants PUBLIC access)" : ""
+            }. Nothing has been changed.`
+          : `Error: Invalid bucket policy:\n- ${validation.errors.join(
+              "\n- "
+            )}`,
+        validation: validation,
+        policy: policy,
+        receivedParams: params,
+      };
+    }
+
+    // Making a bucket public must be an explicit decision
+    if (validation.isPublic && params.allowPublic !== true) {
+      return {
+        success: false,
+        message:
+          "❌ This policy grants PUBLIC access to the bucket. Confirm with the user, then call again with allowPublic: true.",
+        validation: validation,
+        policy: policy,
+        receivedParams: params,
+      };
+    }
+
+    const putParams = {
+      ...commandParams,
+      Policy: JSON.stringify(policy),
+    };
+
+    console.log("📤 Sending to AWS S3:", JSON.stringify(putParams, null, 2));
+
+    const result = await s3Client.send(new PutBucketPolicyCommand(putParams));
+
+    return {
+      success: true,
+      message: `✅ Bucket policy for "${params.bucketName}" saved (${
+        policy.Statement.length
+      } statement(s)${validation.isPublic ? ", PUBLIC" : ""})`,
+      policy: policy,
+      policyInfo: {
+        bucketName: params.bucketName,
+        mode: mode,
+        template: params.template,
+        isPublic: validation.isPublic,
+        statements: policy.Statement.map(describeStatement),
+        warnings: validation.warnings,
+      },
+      aiExtractedParams: params,
+      awsCommandParams: putParams,
+      awsResponse: {
+        metadata: result.$metadata,
+      },
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+async function deletePolicy(params) {
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    // Removing one statement means re-putting the others
+    if (params.sid) {
+      const existing = await fetchPolicy(commandParams);
+      const statements = [].concat(existing?.Statement || []);
+      const remaining = statements.filter(
+        (statement) => statement.Sid !== params.sid
+      );
+
+      if (remaining.length === statements.length) {
+        return {
+          success: false,
+          message: `❌ No policy statement with Sid "${params.sid}" on "${params.bucketName}".`,
+          existingSids: statements.map((statement) => statement.Sid),
+        };
+      }
+
+      if (remaining.length > 0) {
+        const policy = { ...existing, Statement: remaining };
+        const putParams = { ...commandParams, Policy: JSON.stringify(policy) };
+        await s3Client.send(new PutBucketPolicyCommand(putParams));
+
+        return {
+          success: true,
+          message: `✅ Removed statement "${params.sid}" from the policy of "${params.bucketName}" (${remaining.length} left)`,
+          policy: policy,
+          aiExtractedParams: params,
+          awsCommandParams: putParams,
+        };
+      }
+    }
+
+    await s3Client.send(new DeleteBucketPolicyCommand(commandParams));
+
+    return {
+      success: true,
+      message: `✅ Bucket policy removed from "${params.bucketName}"`,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+/**
+ * ARN partition of the active profile's region (GovCloud and China buckets
+ * use arn:aws-us-gov / arn:aws-cn)
+ */
+async function currentPartition() {
+  const region = await s3Client.config.region().catch(() => undefined);
+  return partitionForRegion(region);
+}
+
+/**
+ * Current policy document, or null when the bucket has none
+ */
+async function fetchPolicy(commandParams) {
+  try {
+    const result = await s3Client.send(
+      new GetBucketPolicyCommand(commandParams)
+    );
+    return result.Policy ? JSON.parse(result.Policy) : null;
+  } catch (error) {
+    if (error.name === "NoSuchBucketPolicy") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * One-line human summary of a statement
+ */
+function describeStatement(statement) {
+  const principal =
+    statement.Principal === "*"
+      ? "everyone"
+      : JSON.stringify(statement.Principal || statement.NotPrincipal);
+  return `${statement.Sid || "(no Sid)"}: ${statement.Effect} ${[]
+    .concat(statement.Action || statement.NotAction || [])
+    .join(", ")} for ${principal} on ${[]
+    .concat(statement.Resource || statement.NotResource || [])
+    .join(", ")}${statement.Condition ? " (conditional)" : ""}`;
+}
+
+function buildErrorResult(error, params, commandParams) {
+  let hint = "Check AWS credentials and permissions";
+
+  switch (error.name) {
+    case "NoSuchBucket":
+      hint = `The bucket "${params.bucketName}" does not exist`;
+      break;
+    case "NoSuchBucketPolicy":
+      hint = `"${params.bucketName}" has no bucket policy`;
+      break;
+    case "AccessDenied":
+      hint =
+        "Requires s3:GetBucketPolicy / s3:PutBucketPolicy permission. Public policies are also rejected while Block Public Access (BlockPublicPolicy) is on - see public_access_block";
+      break;
+    case "MalformedPolicy":
+      hint =
+        "Check principals (must exist), actions and resource ARNs - run action validate first";
+      break;
+  }
+
+  return {
+    success: false,
+    message: `❌ AWS Error: ${error.message}`,
+    errorDetails: {
+      errorCode: error.name,
+      errorMessage: error.message,
+      statusCode: error.$metadata?.httpStatusCode,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      hint: hint,
+    },
+  };
+}
+
+module.exports = bucketPolicy;
@@ -0,0 +1,166 @@
+// tools/bucketTagging.js - Read, change or remove tags on a bucket (cost allocation)
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetBucketTaggingCommand,
+  PutBucketTaggingCommand,
+  DeleteBucketTaggingCommand,
+} = require("@aws-sdk/client-s3");
+const {
+  normalizeTags,
+  validateTags,
+  toTagSet,
+  fromTagSet,
+} = require("../utils/tagging");
+
+async function bucketTagging(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+  if (!["get", "put", "delete"].includes(action)) {
+    return {
+      success: false,
+      message: `Error: action must be "get", "put" or "delete" (received "${params.action}").`,
+      receivedParams: params,
+    };
+  }
+
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    const current = await fetchBucketTags(commandParams);
+
+    if (action === "get") {
+      return {
+        success: true,
+        message: `✅ Bucket "${params.bucketName}" has ${
+          Object.keys(current).length
+        } tag(s)`,
+        tagging: {
+          bucketName: params.bucketName,
+          tags: current,
+        },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    let tags;
+    if (action === "put") {
+      const incoming = normalizeTags(params.tags);
+      if (Object.keys(incoming).length === 0) {
+        return {
+          success: false,
+          message:
+            'Error: tags are required for action "put", e.g. { "cost-center": "1234" }.',
+          receivedParams: params,
+        };
+      }
+      // merge (default) keeps tags that are not mentioned
+      tags =
+        (params.mode || "merge").toLowerCase() === "replace"
+          ? incoming
+          : { ...current, ...incoming };
+    } else {
+      // delete: only the named keys, or everything
+      const tagKeys = [].concat(params.tagKeys || []);
+      tags = { ...current };
+      tagKeys.forEach((key) => delete tags[key]);
+      if (tagKeys.length === 0) tags = {};
+    }
+
+    const errors = validateTags(tags, "bucket");
+    if (errors.length > 0) {
+      return {
+        success: false,
+        message: `Error: Invalid tags:\n- ${errors.join("\n- ")}`,
+        validationErrors: errors,
+        receivedParams: params,
+      };
+    }
+
+    let sentParams = commandParams;
+    if (Object.keys(tags).length === 0) {
+      await s3Client.send(new DeleteBucketTaggingCommand(commandParams));
+    } else {
+      sentParams = { ...commandParams, Tagging: { TagSet: toTagSet(tags) } };
+      console.log("📤 Sending to AWS S3:", JSON.stringify(sentParams, null, 2));
+      await s3Client.send(new PutBucketTaggingCommand(sentParams));
+    }
+
+    return {
+      success: true,
+      message: `✅ Tags on bucket "${params.bucketName}" updated (${
+        Object.keys(tags).length
+      } tag(s))`,
+      tagging: {
+        bucketName: params.bucketName,
+        previousTags: current,
+        tags: tags,
+      },
+      aiExtractedParams: params,
+      awsCommandParams: sentParams,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint = "Requires s3:GetBucketTagging / s3:PutBucketTagging permission";
+        break;
+      case "InvalidTag":
+        hint =
+          "Tag keys/values may contain letters, digits, spaces and + - = . _ : / @";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Current bucket tags, or {} when the bucket has none
+ */
+async function fetchBucketTags(commandParams) {
+  try {
+    const result = await s3Client.send(
+      new GetBucketTaggingCommand(commandParams)
+    );
+    return fromTagSet(result.TagSet);
+  } catch (error) {
+    if (error.name === "NoSuchTagSet" || error.name === "NoSuchTagSetError") {
+      return {};
+    }
+    throw error;
+  }
+}
+
+module.exports = bucketTagging;
@@ -0,0 +1,297 @@
+// tools/bucketUsage.js - Storage usage analytics for a bucket or prefix
+const { getActiveProfile } = require("../utils/s3Client");
+const { listAllObjects } = require("../utils/objectLister");
+const { formatBytes } = require("../utils/formatters");
+
+// Listing only (no per-object requests), so the scan can go much further than HEAD-based reports
+const DEFAULT_MAX_OBJECTS = 100000;
+const DEFAULT_TOP = 20;
+const DEFAULT_CACHE_TTL_MINUTES = 15;
+const MAX_CACHE_ENTRIES = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound in days (inclusive) for each age bucket
+const AGE_BUCKETS = [
+  { label: "0-7 days", maxDays: 7 },
+  { label: "8-30 days", maxDays: 30 },
+  { label: "31-90 days", maxDays: 90 },
+  { label: "91-365 days", maxDays: 365 },
+  { label: "1-2 years", maxDays: 730 },
+  { label: "over 2 years", maxDays: Infinity },
+];
+
+// Scan results keyed by profile / bucket / prefix / scan limit
+const usageCache = new Map();
+
+async function bucketUsage(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const validationErrors = [];
+  for (const name of ["maxObjects", "top"]) {
+    if (params[name] === undefined) continue;
+    const value = Number(params[name]);
+    if (!Number.isInteger(value) || value < 1) {
+      validationErrors.push(
+        `${name} must be a whole number of 1 or more (received "${params[name]}")`
+      );
+    }
+  }
+  // 0 turns the cache off; anything that is not a number would never hit it
+  if (
+    params.cacheTtlMinutes !== undefined &&
+    !(Number(params.cacheTtlMinutes) >= 0)
+  ) {
+    validationErrors.push(
+      `cacheTtlMinutes must be 0 or a positive number (received "${params.cacheTtlMinutes}")`
+    );
+  }
+
+  if (validationErrors.length > 0) {
+    return {
+      success: false,
+      message: `Error: Invalid usage report:\n- ${validationErrors.join(
+        "\n- "
+      )}`,
+      validationErrors: validationErrors,
+      receivedParams: params,
+    };
+  }
+
+  const prefix = params.prefix || "";
+  const maxObjects = Number(params.maxObjects) || DEFAULT_MAX_OBJECTS;
+  const top = Number(params.top) || DEFAULT_TOP;
+  const ttlMinutes =
+    params.cacheTtlMinutes === undefined
+      ? DEFAULT_CACHE_TTL_MINUTES
+      : Number(params.cacheTtlMinutes);
+  const cacheKey = JSON.stringify([
+    getActiveProfile().name,
+    params.bucketName,
+    prefix,
+    maxObjects,
+  ]);
+
+  try {
+    let entry = usageCache.get(cacheKey);
+    const cacheHit =
+      entry !== undefined &&
+      !params.refresh &&
+      Date.now() - entry.computedAt < ttlMinutes * 60 * 1000;
+
+    if (!cacheHit) {
+      console.log(
+        `📊 Scanning "${params.bucketName}/${prefix}" for usage (up to ${maxObjects} objects)...`
+      );
+      const listing = await listAllObjects(params.bucketName, prefix, {
+        maxObjects: maxObjects,
+      });
+
+      entry = {
+        computedAt: Date.now(),
+        usage: aggregateUsage(listing.objects, prefix),
+        isTruncated: listing.isTruncated,
+      };
+      usageCache.delete(cacheKey);
+      usageCache.set(cacheKey, entry);
+      if (usageCache.size > MAX_CACHE_ENTRIES) {
+        usageCache.delete(usageCache.keys().next().value);
+      }
+    }
+
+    const { usage } = entry;
+    const ageSeconds = Math.round((Date.now() - entry.computedAt) / 1000);
+
+    return {
+      success: true,
+      message: `📊 "${params.bucketName}/${prefix}" holds ${usage.objectCount}${
+        entry.isTruncated ? "+" : ""
+      } object(s) using ${formatBytes(usage.totalBytes)}${
+        cacheHit ? ` (cached ${formatAge(ageSeconds)} ago)` : ""
+      }`,
+      usage: {
+        bucketName: params.bucketName,
+        prefix: prefix,
+        objectCount: usage.objectCount,
+        totalBytes: usage.totalBytes,
+        totalSizeFormatted: formatBytes(usage.totalBytes),
+        averageObjectSize: usage.objectCount
+          ? Math.round(usage.totalBytes / usage.objectCount)
+          : 0,
+        folderMarkers: usage.folderMarkers,
+        oldestObject: usage.oldest,
+        newestObject: usage.newest,
+        isTruncated: entry.isTruncated,
+      },
+      byStorageClass: summarizeGroups(usage.byStorageClass, usage.totalBytes),
+      byPrefix: summarizeGroups(usage.byPrefix, usage.totalBytes, top),
+      byExtension: summarizeGroups(usage.byExtension, usage.totalBytes, top),
+      byAge: AGE_BUCKETS.map((bucket) => ({
+        name: bucket.label,
+        ...describeGroup(usage.byAge.get(bucket.label), usage.totalBytes),
+      })),
+      cache: {
+        hit: cacheHit,
+        computedAt: new Date(entry.computedAt).toISOString(),
+        ageSeconds: ageSeconds,
+        ttlMinutes: ttlMinutes,
+      },
+      ...(entry.isTruncated && {
+        truncationNote: `Only the first ${
+          usage.objectCount + usage.folderMarkers
+        } objects were counted. Raise maxObjects or narrow the prefix for complete figures.`,
+      }),
+      ...(cacheHit && {
+        note: "Served from cache - pass refresh: true to rescan.",
+      }),
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint = "Requires s3:ListBucket permission";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Aggregate listed objects by storage class, top-level prefix, extension and age
+ * @param {Array} objects - Entries from listAllObjects
+ * @param {string} prefix - Prefix the listing was made under
+ * @returns {Object} - Totals plus Maps of { objects, bytes } per group
+ */
+function aggregateUsage(objects, prefix) {
+  const usage = {
+    objectCount: 0,
+    totalBytes: 0,
+    folderMarkers: 0,
+    oldest: undefined,
+    newest: undefined,
+    byStorageClass: new Map(),
+    byPrefix: new Map(),
+    byExtension: new Map(),
+    byAge: new Map(),
+  };
+  const now = Date.now();
+
+  for (const object of objects) {
+    // Zero-byte "folder/" keys created by consoles are not real content
+    if (object.key.endsWith("/") && !object.size) {
+      usage.folderMarkers++;
+      continue;
+    }
+
+    const size = object.size || 0;
+    usage.objectCount++;
+    usage.totalBytes += size;
+
+    const lastModified = new Date(object.lastModified);
+    if (!usage.oldest || lastModified < new Date(usage.oldest.lastModified)) {
+      usage.oldest = { key: object.key, lastModified: lastModified };
+    }
+    if (!usage.newest || lastModified > new Date(usage.newest.lastModified)) {
+      usage.newest = { key: object.key, lastModified: lastModified };
+    }
+
+    const relativeKey = object.key.slice(prefix.length);
+    const slash = relativeKey.indexOf("/");
+    const topLevel =
+      slash === -1 ? "(files at this level)" : relativeKey.slice(0, slash + 1);
+
+    const fileName = relativeKey.slice(relativeKey.lastIndexOf("/") + 1);
+    const dot = fileName.lastIndexOf(".");
+    const extension =
+      dot > 0 ? fileName.slice(dot).toLowerCase() : "(no extension)";
+
+    const ageDays = (now - lastModified.getTime()) / DAY_MS;
+    const ageBucket = AGE_BUCKETS.find((bucket) => ageDays <= bucket.maxDays);
+
+    addToGroup(usage.byStorageClass, object.storageClass || "STANDARD", size);
+    addToGroup(usage.byPrefix, topLevel, size);
+    addToGroup(usage.byExtension, extension, size);
+    addToGroup(usage.byAge, ageBucket.label, size);
+  }
+
+  return usage;
+}
+
+function addToGroup(groups, name, size) {
+  const group = groups.get(name) || { objects: 0, bytes: 0 };
+  group.objects++;
+  group.bytes += size;
+  groups.set(name, group);
+}
+
+function describeGroup(group = { objects: 0, bytes: 0 }, totalBytes) {
+  return {
+    objects: group.objects,
+    bytes: group.bytes,
+    sizeFormatted: formatBytes(group.bytes),
+    percentOfBytes: totalBytes
+      ? Math.round((group.bytes / totalBytes) * 1000) / 10
+      : 0,
+  };
+}
+
+/**
+ * Largest groups first, with the remainder folded into "(other)"
+ */
+function summarizeGroups(groups, totalBytes, top = Infinity) {
+  const sorted = [...groups.entries()].sort(
+    ([a, x], [b, y]) => y.bytes - x.bytes || a.localeCompare(b)
+  );
+  const shown = sorted
+    .slice(0, top)
+    .map(([name, group]) => ({ name, ...describeGroup(group, totalBytes) }));
+
+  if (sorted.length > top) {
+    const rest = sorted.slice(top).reduce(
+      (sum, [, group]) => ({
+        objects: sum.objects + group.objects,
+        bytes: sum.bytes + group.bytes,
+      }),
+      { objects: 0, bytes: 0 }
+    );
+    shown.push({
+      name: `(other - ${sorted.length - top} more)`,
+      ...describeGroup(rest, totalBytes),
+    });
+  }
+  return shown;
+}
+
+function formatAge(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.round(seconds / 60)} min`;
+}
+
+module.exports = bucketUsage;
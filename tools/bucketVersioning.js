@@ -0,0 +1,198 @@
+// tools/bucketVersioning.js - Read or change bucket versioning (incl. MFA delete)
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetBucketVersioningCommand,
+  PutBucketVersioningCommand,
+} = require("@aws-sdk/client-s3");
+
+async function bucketVersioning(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+
+  if (action === "get") {
+    return await getVersioning(params);
+  }
+
+  if (action === "put") {
+    return await putVersioning(params);
+  }
+
+  return {
+    success: false,
+    message: `Error: action must be "get" or "put" (received "${params.action}").`,
+    receivedParams: params,
+  };
+}
+
+async function getVersioning(params) {
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    const result = await s3Client.send(
+      new GetBucketVersioningCommand(commandParams)
+    );
+
+    // A bucket that never had versioning enabled returns no Status at all
+    const status = result.Status || "Disabled";
+
+    return {
+      success: true,
+      message: `✅ Versioning for "${params.bucketName}" is ${status}`,
+      versioning: {
+        bucketName: params.bucketName,
+        status: status,
+        mfaDelete: result.MFADelete || "Disabled",
+        note:
+          status === "Disabled"
+            ? "Versioning has never been enabled. Deleted or overwritten objects cannot be recovered."
+            : status === "Suspended"
+            ? "Existing versions are kept, but new writes do not create versions."
+            : "Every overwrite and delete keeps the previous version.",
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+async function putVersioning(params) {
+  const status = normalizeStatus(params.status, {
+    enabled: "Enabled",
+    suspended: "Suspended",
+  });
+  if (!status) {
+    return {
+      success: false,
+      message:
+        'Error: status is required for action "put" - use "Enabled" or "Suspended" (versioning cannot be fully disabled once enabled).',
+      receivedParams: params,
+    };
+  }
+
+  const mfaDelete =
+    params.mfaDelete === undefined
+      ? undefined
+      : normalizeStatus(params.mfaDelete, {
+          enabled: "Enabled",
+          disabled: "Disabled",
+        });
+
+  if (mfaDelete && !params.mfa) {
+    return {
+      success: false,
+      message:
+        'Error: Changing MFA delete requires mfa ("serial-number token-code") and must be done with root credentials.',
+      receivedParams: params,
+    };
+  }
+
+  const commandParams = {
+    Bucket: params.bucketName,
+    VersioningConfiguration: {
+      Status: status,
+      ...(mfaDelete && { MFADelete: mfaDelete }),
+    },
+    MFA: params.mfa,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  console.log("📤 Sending to AWS S3:", JSON.stringify(commandParams, null, 2));
+
+  try {
+    const result = await s3Client.send(
+      new PutBucketVersioningCommand(commandParams)
+    );
+
+    return {
+      success: true,
+      message: `✅ Versioning for "${params.bucketName}" set to ${status}${
+        mfaDelete ? ` (MFA delete ${mfaDelete})` : ""
+      }`,
+      versioning: {
+        bucketName: params.bucketName,
+        status: status,
+        ...(mfaDelete && { mfaDelete: mfaDelete }),
+      },
+      aiExtractedParams: params,
+      awsCommandParams: { ...commandParams, MFA: params.mfa && "***" },
+      awsResponse: {
+        metadata: result.$metadata,
+      },
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, {
+      ...commandParams,
+      MFA: params.mfa && "***",
+    });
+  }
+}
+
+/**
+ * Accept true/false, "on"/"off", "enable"/"suspend" etc.
+ */
+function normalizeStatus(value, allowed) {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).toLowerCase();
+
+  if (["true", "on", "enable", "enabled"].includes(text)) {
+    return allowed.enabled;
+  }
+  if (["suspend", "suspended", "pause", "paused"].includes(text)) {
+    return allowed.suspended;
+  }
+  if (["false", "off", "disable", "disabled"].includes(text)) {
+    return allowed.disabled || allowed.suspended;
+  }
+  return undefined;
+}
+
+function buildErrorResult(error, params, commandParams) {
+  let hint = "Check AWS credentials and permissions";
+
+  switch (error.name) {
+    case "NoSuchBucket":
+      hint = `The bucket "${params.bucketName}" does not exist`;
+      break;
+    case "AccessDenied":
+      hint =
+        "Requires s3:GetBucketVersioning / s3:PutBucketVersioning permission (MFA delete changes need the root account)";
+      break;
+    case "InvalidRequest":
+    case "InvalidArgument":
+      hint = 'Check status and mfa format ("serial-number token-code")';
+      break;
+  }
+
+  return {
+    success: false,
+    message: `❌ AWS Error: ${error.message}`,
+    errorDetails: {
+      errorCode: error.name,
+      errorMessage: error.message,
+      statusCode: error.$metadata?.httpStatusCode,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      hint: hint,
+    },
+  };
+}
+
+module.exports = bucketVersioning;
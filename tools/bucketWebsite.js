@@ -0,0 +1,421 @@
+// tools/bucketWebsite.js - Enable, inspect or disable static website hosting
+const { s3Client, getActiveProfile } = require("../utils/s3Client");
+const {
+  GetBucketWebsiteCommand,
+  PutBucketWebsiteCommand,
+  DeleteBucketWebsiteCommand,
+  GetBucketLocationCommand,
+} = require("@aws-sdk/client-s3");
+
+// Older regions use "s3-website-<region>", newer ones "s3-website.<region>"
+const DASH_WEBSITE_REGIONS = [
+  "us-east-1",
+  "us-west-1",
+  "us-west-2",
+  "ap-southeast-1",
+  "ap-southeast-2",
+  "ap-northeast-1",
+  "eu-west-1",
+  "sa-east-1",
+  "us-gov-west-1",
+];
+
+async function bucketWebsite(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+
+  if (action === "get") {
+    return await getWebsite(params);
+  }
+
+  if (action === "put" || action === "enable") {
+    return await putWebsite(params);
+  }
+
+  if (action === "delete" || action === "disable") {
+    return await deleteWebsite(params);
+  }
+
+  return {
+    success: false,
+    message: `Error: action must be "get", "put" or "delete" (received "${params.action}").`,
+    receivedParams: params,
+  };
+}
+
+async function getWebsite(params) {
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    let result;
+    try {
+      result = await s3Client.send(new GetBucketWebsiteCommand(commandParams));
+    } catch (error) {
+      if (error.name !== "NoSuchWebsiteConfiguration") throw error;
+      return {
+        success: true,
+        message: `ℹ️  Static website hosting is not enabled on "${params.bucketName}"`,
+        website: { bucketName: params.bucketName, enabled: false },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    const endpoint = await getWebsiteEndpoint(params);
+
+    return {
+      success: true,
+      message: `✅ Static website hosting is enabled on "${params.bucketName}" at ${endpoint.url}`,
+      website: {
+        bucketName: params.bucketName,
+        enabled: true,
+        endpoint: endpoint.url,
+        ...(endpoint.note && { endpointNote: endpoint.note }),
+        indexDocument: result.IndexDocument?.Suffix,
+        errorDocument: result.ErrorDocument?.Key,
+        ...(result.RedirectAllRequestsTo && {
+          redirectAllRequestsTo: result.RedirectAllRequestsTo,
+        }),
+        routingRules: (result.RoutingRules || []).map(describeRoutingRule),
+      },
+      awsResponse: {
+        indexDocument: result.IndexDocument,
+        errorDocument: result.ErrorDocument,
+        redirectAllRequestsTo: result.RedirectAllRequestsTo,
+        routingRules: result.RoutingRules,
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+async function putWebsite(params) {
+  const errors = [];
+  const configuration = buildConfiguration(params, errors);
+
+  if (errors.length > 0) {
+    return {
+      success: false,
+      message: `Error: Invalid website configuration:\n- ${errors.join(
+        "\n- "
+      )}`,
+      validationErrors: errors,
+      receivedParams: params,
+    };
+  }
+
+  const commandParams = {
+    Bucket: params.bucketName,
+    WebsiteConfiguration: configuration,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  console.log("📤 Sending to AWS S3:", JSON.stringify(commandParams, null, 2));
+
+  try {
+    const result = await s3Client.send(
+      new PutBucketWebsiteCommand(commandParams)
+    );
+    const endpoint = await getWebsiteEndpoint(params);
+
+    return {
+      success: true,
+      message: `✅ Static website hosting enabled on "${params.bucketName}": ${endpoint.url}`,
+      website: {
+        bucketName: params.bucketName,
+        enabled: true,
+        endpoint: endpoint.url,
+        ...(endpoint.note && { endpointNote: endpoint.note }),
+        indexDocument: configuration.IndexDocument?.Suffix,
+        errorDocument: configuration.ErrorDocument?.Key,
+        ...(configuration.RedirectAllRequestsTo && {
+          redirectAllRequestsTo: configuration.RedirectAllRequestsTo,
+        }),
+        routingRules: (configuration.RoutingRules || []).map(
+          describeRoutingRule
+        ),
+      },
+      // Hosting alone does not make objects readable
+      nextSteps: configuration.RedirectAllRequestsTo
+        ? []
+        : [
+            `Upload the site: put_object with { bucketName: "${params.bucketName}", directoryPath: "<build folder>" } (or sync)`,
+            `Allow public policies: public_access_block with { bucketName: "${params.bucketName}", action: "put", blockPublicPolicy: false, restrictPublicBuckets: false }`,
+            `Make objects readable: bucket_policy with { bucketName: "${params.bucketName}", action: "put", template: "public-website-read" }`,
+          ],
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      awsResponse: {
+        metadata: result.$metadata,
+      },
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+async function deleteWebsite(params) {
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    await s3Client.send(new DeleteBucketWebsiteCommand(commandParams));
+
+    return {
+      success: true,
+      message: `✅ Static website hosting disabled on "${params.bucketName}". The bucket policy is unchanged - review it with bucket_policy if the site was public.`,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return buildErrorResult(error, params, commandParams);
+  }
+}
+
+/**
+ * Build a WebsiteConfiguration from friendly parameters, collecting problems
+ * @param {Object} params - Tool parameters
+ * @param {Array} errors - Validation errors are pushed here
+ * @returns {Object} - SDK WebsiteConfiguration
+ */
+function buildConfiguration(params, errors) {
+  // Redirect-all accepts "https://example.com" or { hostName, protocol }
+  const redirectAll =
+    typeof params.redirectAllRequestsTo === "string"
+      ? parseRedirectTarget(params.redirectAllRequestsTo)
+      : params.redirectAllRequestsTo;
+
+  if (redirectAll) {
+    if (params.indexDocument || params.errorDocument || params.routingRules) {
+      errors.push(
+        "redirectAllRequestsTo cannot be combined with indexDocument, errorDocument or routingRules"
+      );
+    }
+    if (!redirectAll.hostName) {
+      errors.push("redirectAllRequestsTo needs a host name");
+    }
+    const protocol = redirectAll.protocol?.toLowerCase();
+    if (protocol && !["http", "https"].includes(protocol)) {
+      errors.push('redirectAllRequestsTo protocol must be "http" or "https"');
+    }
+    return {
+      RedirectAllRequestsTo: {
+        HostName: redirectAll.hostName,
+        ...(protocol && { Protocol: protocol }),
+      },
+    };
+  }
+
+  const indexDocument = params.indexDocument || "index.html";
+  if (indexDocument.includes("/")) {
+    errors.push(
+      `indexDocument "${indexDocument}" must be a file name like "index.html" (no "/")`
+    );
+  }
+
+  const configuration = {
+    IndexDocument: { Suffix: indexDocument },
+    ...(params.errorDocument && {
+      ErrorDocument: { Key: params.errorDocument.replace(/^\/+/, "") },
+    }),
+  };
+
+  const routingRules = params.routingRules
+    ? [].concat(params.routingRules)
+    : [];
+  if (routingRules.length > 50) {
+    errors.push("A website configuration can have at most 50 routing rules");
+  }
+
+  if (routingRules.length > 0) {
+    configuration.RoutingRules = routingRules.map((rule, index) =>
+      buildRoutingRule(rule, index, errors)
+    );
+  }
+
+  return configuration;
+}
+
+/**
+ * { condition: { keyPrefixEquals, httpErrorCodeReturnedEquals },
+ *   redirect: { hostName, protocol, replaceKeyPrefixWith, replaceKeyWith, httpRedirectCode } }
+ */
+function buildRoutingRule(rule, index, errors) {
+  const label = `Routing rule ${index + 1}`;
+  const condition = rule.condition || {};
+  const redirect = rule.redirect || {};
+  const result = {};
+
+  const errorCode = condition.httpErrorCodeReturnedEquals;
+  if (errorCode !== undefined && !/^[45]\d\d$/.test(String(errorCode))) {
+    errors.push(
+      `${label}: httpErrorCodeReturnedEquals must be a 4xx or 5xx code`
+    );
+  }
+  if (condition.keyPrefixEquals !== undefined || errorCode !== undefined) {
+    result.Condition = {
+      ...(condition.keyPrefixEquals !== undefined && {
+        KeyPrefixEquals: condition.keyPrefixEquals,
+      }),
+      ...(errorCode !== undefined && {
+        HttpErrorCodeReturnedEquals: String(errorCode),
+      }),
+    };
+  }
+
+  if (redirect.replaceKeyPrefixWith !== undefined && redirect.replaceKeyWith) {
+    errors.push(
+      `${label}: use replaceKeyPrefixWith or replaceKeyWith, not both`
+    );
+  }
+  const redirectCode = redirect.httpRedirectCode;
+  if (redirectCode !== undefined && !/^3\d\d$/.test(String(redirectCode))) {
+    errors.push(`${label}: httpRedirectCode must be a 3xx code`);
+  }
+  const protocol = redirect.protocol?.toLowerCase();
+  if (protocol && !["http", "https"].includes(protocol)) {
+    errors.push(`${label}: protocol must be "http" or "https"`);
+  }
+
+  result.Redirect = {
+    ...(redirect.hostName && { HostName: redirect.hostName }),
+    ...(protocol && { Protocol: protocol }),
+    ...(redirect.replaceKeyPrefixWith !== undefined && {
+      ReplaceKeyPrefixWith: redirect.replaceKeyPrefixWith,
+    }),
+    ...(redirect.replaceKeyWith && { ReplaceKeyWith: redirect.replaceKeyWith }),
+    ...(redirectCode !== undefined && {
+      HttpRedirectCode: String(redirectCode),
+    }),
+  };
+
+  if (Object.keys(result.Redirect).length === 0) {
+    errors.push(`${label}: redirect needs at least one field`);
+  }
+
+  return result;
+}
+
+function parseRedirectTarget(target) {
+  const match = /^(?:(https?):\/\/)?([^/]+)/i.exec(target.trim());
+  return match ? { protocol: match[1], hostName: match[2] } : {};
+}
+
+function describeRoutingRule(rule) {
+  const condition = rule.Condition || {};
+  const redirect = rule.Redirect || {};
+  const when = [
+    condition.KeyPrefixEquals !== undefined &&
+      `key starts with "${condition.KeyPrefixEquals}"`,
+    condition.HttpErrorCodeReturnedEquals &&
+      `error ${condition.HttpErrorCodeReturnedEquals}`,
+  ]
+    .filter(Boolean)
+    .join(" and ");
+  const target = [
+    redirect.Protocol && `${redirect.Protocol}://`,
+    redirect.HostName,
+    redirect.ReplaceKeyWith !== undefined && `/${redirect.ReplaceKeyWith}`,
+    redirect.ReplaceKeyPrefixWith !== undefined &&
+      `/${redirect.ReplaceKeyPrefixWith}…`,
+  ]
+    .filter(Boolean)
+    .join("");
+  return `${when || "always"} → ${target || "(same host)"}${
+    redirect.HttpRedirectCode ? ` (${redirect.HttpRedirectCode})` : ""
+  }`;
+}
+
+/**
+ * Work out the website URL from the bucket's region (AWS), or note that a
+ * custom S3 endpoint decides how websites are served
+ */
+async function getWebsiteEndpoint(params) {
+  const profile = getActiveProfile();
+  if (profile.endpoint) {
+    return {
+      url: `${profile.endpoint.replace(/\/+$/, "")}/${params.bucketName}/`,
+      note: "Custom S3 endpoint - website hosting support and URLs depend on the service (e.g. MinIO serves objects but ignores index/error documents)",
+    };
+  }
+
+  let region = profile.region;
+  try {
+    const location = await s3Client.send(
+      new GetBucketLocationCommand({ Bucket: params.bucketName })
+    );
+    // Buckets in us-east-1 report no location; "EU" is the legacy eu-west-1
+    region =
+      location.LocationConstraint === "EU"
+        ? "eu-west-1"
+        : location.LocationConstraint || "us-east-1";
+  } catch (error) {
+    console.warn(`⚠️  Could not read bucket location: ${error.message}`);
+  }
+
+  const separator = DASH_WEBSITE_REGIONS.includes(region) ? "-" : ".";
+  return {
+    url: `http://${params.bucketName}.s3-website${separator}${region}.amazonaws.com`,
+    note: "Website endpoints are HTTP only - put CloudFront in front for HTTPS",
+  };
+}
+
+function buildErrorResult(error, params, commandParams) {
+  let hint = "Check AWS credentials and permissions";
+
+  switch (error.name) {
+    case "NoSuchBucket":
+      hint = `The bucket "${params.bucketName}" does not exist`;
+      break;
+    case "NoSuchWebsiteConfiguration":
+      hint = `Website hosting is not enabled on "${params.bucketName}"`;
+      break;
+    case "AccessDenied":
+      hint = "Requires s3:GetBucketWebsite / s3:PutBucketWebsite permission";
+      break;
+    case "NotImplemented":
+      hint =
+        "This S3-compatible service does not support website configuration";
+      break;
+    case "MalformedXML":
+    case "InvalidArgument":
+      hint = "Check index/error documents and routing rule fields";
+      break;
+  }
+
+  return {
+    success: false,
+    message: `❌ AWS Error: ${error.message}`,
+    errorDetails: {
+      errorCode: error.name,
+      errorMessage: error.message,
+      statusCode: error.$metadata?.httpStatusCode,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      hint: hint,
+    },
+  };
+}
+
+module.exports = bucketWebsite;
@@ -0,0 +1,237 @@
+// tools/checkEncryption.js - Report objects under a prefix that are not encrypted as expected
+const { s3Client } = require("../utils/s3Client");
+const { HeadObjectCommand } = require("@aws-sdk/client-s3");
+const { listAllObjects } = require("../utils/objectLister");
+const {
+  mapWithConcurrency,
+  validateConcurrency,
+} = require("../utils/concurrency");
+const {
+  getDefaultEncryption,
+  normalizeAlgorithm,
+} = require("./bucketEncryption");
+
+const DEFAULT_MAX_SCANNED = 1000;
+const DEFAULT_CONCURRENCY = 10;
+const REPORT_SAMPLE_SIZE = 100;
+
+async function checkEncryption(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const concurrencyError = validateConcurrency(params.concurrency);
+  if (concurrencyError) {
+    return {
+      success: false,
+      message: `Error: ${concurrencyError}.`,
+      receivedParams: params,
+    };
+  }
+
+  try {
+    // Expected setting: given explicitly, or the bucket's default encryption
+    let expected;
+    if (params.expectedAlgorithm) {
+      const algorithm = normalizeAlgorithm(params.expectedAlgorithm);
+      if (!algorithm) {
+        return {
+          success: false,
+          message: `Error: Unknown expectedAlgorithm "${params.expectedAlgorithm}". Use "SSE-S3", "SSE-KMS" or "DSSE-KMS".`,
+          receivedParams: params,
+        };
+      }
+      expected = {
+        algorithm: algorithm,
+        kmsKeyId: params.expectedKmsKeyId,
+        source: "parameters",
+      };
+    } else {
+      const bucketDefault = await getDefaultEncryption({
+        Bucket: params.bucketName,
+        ExpectedBucketOwner: params.expectedBucketOwner,
+      });
+      expected = bucketDefault
+        ? { ...bucketDefault, source: "bucket default" }
+        : { algorithm: "any", source: "none configured - any encryption" };
+    }
+
+    const listing = await listAllObjects(params.bucketName, params.prefix, {
+      maxObjects: params.maxObjects || DEFAULT_MAX_SCANNED,
+      continuationToken: params.continuationToken,
+    });
+
+    const nonCompliant = [];
+    const errors = [];
+    const byAlgorithm = {};
+    let checked = 0;
+    let vanished = 0;
+
+    await mapWithConcurrency(
+      listing.objects,
+      Number(params.concurrency) || DEFAULT_CONCURRENCY,
+      async (object) => {
+        try {
+          const head = await s3Client.send(
+            new HeadObjectCommand({
+              Bucket: params.bucketName,
+              Key: object.key,
+              ExpectedBucketOwner: params.expectedBucketOwner,
+            })
+          );
+          checked++;
+          const actual = {
+            algorithm:
+              head.ServerSideEncryption ||
+              (head.SSECustomerAlgorithm ? "SSE-C" : "none"),
+            kmsKeyId: head.SSEKMSKeyId,
+            bucketKeyEnabled: head.BucketKeyEnabled,
+          };
+          byAlgorithm[actual.algorithm] =
+            (byAlgorithm[actual.algorithm] || 0) + 1;
+
+          const problem = compare(actual, expected);
+          if (problem) {
+            nonCompliant.push({
+              key: object.key,
+              size: object.size,
+              encryption: actual.algorithm,
+              ...(actual.kmsKeyId && { kmsKeyId: actual.kmsKeyId }),
+              problem: problem,
+            });
+          }
+        } catch (error) {
+          // Deleted since the listing - nothing to report
+          if (error.name === "NotFound" || error.name === "NoSuchKey") {
+            vanished++;
+          } else {
+            errors.push({ key: object.key, error: error.message });
+          }
+        }
+      }
+    );
+
+    nonCompliant.sort((a, b) => a.key.localeCompare(b.key));
+    const location = `"${params.bucketName}/${params.prefix || ""}"`;
+    // Only objects that were actually inspected count as compliant
+    const nothingChecked = checked === 0 && errors.length > 0;
+    const failedNote =
+      errors.length > 0 ? ` - ${errors.length} could not be checked` : "";
+
+    return {
+      success: !nothingChecked,
+      message: nothingChecked
+        ? `❌ None of the ${listing.objects.length} objects in ${location} could be checked (${errors[0].error})`
+        : nonCompliant.length === 0
+        ? `✅ All ${checked} checked objects in ${location} match the expected encryption (${describeExpected(
+            expected
+          )})${failedNote}`
+        : `⚠️  ${
+            nonCompliant.length
+          } of ${checked} objects in ${location} do not match the expected encryption (${describeExpected(
+            expected
+          )})${failedNote}`,
+      encryptionReport: {
+        bucketName: params.bucketName,
+        prefix: params.prefix || "",
+        expected: expected,
+        scanned: listing.objects.length,
+        checked: checked,
+        compliant: checked - nonCompliant.length,
+        nonCompliant: nonCompliant.length,
+        failed: errors.length,
+        ...(vanished > 0 && { deletedSinceListing: vanished }),
+        byAlgorithm: byAlgorithm,
+        isTruncated: listing.isTruncated,
+        nextContinuationToken: listing.nextContinuationToken,
+      },
+      nonCompliantObjects: nonCompliant.slice(0, REPORT_SAMPLE_SIZE),
+      ...(errors.length > 0 && { errors: errors.slice(0, 20) }),
+      ...(nonCompliant.length > 0 && {
+        remediation:
+          "Re-encrypt in place with copy_object (same source and destination key, serverSideEncryption / sseKMSKeyId set).",
+      }),
+      ...(listing.isTruncated && {
+        paginationNote: `Only the first ${listing.objects.length} objects were checked. Call check_encryption again with continuationToken set to nextContinuationToken to continue.`,
+      }),
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint =
+          "Requires s3:ListBucket, s3:GetObject and s3:GetEncryptionConfiguration permissions";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Why an object's encryption differs from the expectation, or null
+ */
+function compare(actual, expected) {
+  if (actual.algorithm === "none") {
+    return "not encrypted";
+  }
+  if (expected.algorithm === "any") {
+    return null;
+  }
+  if (actual.algorithm !== expected.algorithm) {
+    return `encrypted with ${actual.algorithm}, expected ${expected.algorithm}`;
+  }
+  if (expected.kmsKeyId && !kmsKeyMatches(actual.kmsKeyId, expected.kmsKeyId)) {
+    return `uses KMS key ${actual.kmsKeyId || "(AWS managed)"}, expected ${
+      expected.kmsKeyId
+    }`;
+  }
+  return null;
+}
+
+/**
+ * HeadObject reports the key ARN; accept a matching ARN or bare key ID.
+ * Aliases cannot be resolved without KMS, so they are not compared.
+ */
+function kmsKeyMatches(actualKeyId, expectedKeyId) {
+  if (expectedKeyId.includes("alias/")) return true;
+  if (!actualKeyId) return false;
+  return (
+    actualKeyId === expectedKeyId ||
+    actualKeyId.endsWith(`:key/${expectedKeyId}`)
+  );
+}
+
+function describeExpected(expected) {
+  if (expected.algorithm === "any") return "any server-side encryption";
+  return `${expected.algorithm}${
+    expected.kmsKeyId ? ` with key ${expected.kmsKeyId}` : ""
+  }, from ${expected.source}`;
+}
+
+module.exports = checkEncryption;
@@ -0,0 +1,506 @@
+// tools/copyObject.js - Server-side copy (single key, multipart, or whole prefix)
+const { s3Client } = require("../utils/s3Client");
+const {
+  CopyObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCopyCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require("@aws-sdk/client-s3");
+const parameterMapper = require("../utils/parameterMapper");
+const { listAllObjects } = require("../utils/objectLister");
+
+// CopyObject is limited to 5 GB - larger objects need UploadPartCopy
+const MULTIPART_COPY_THRESHOLD = 5 * 1024 * 1024 * 1024;
+const MULTIPART_COPY_PART_SIZE = 512 * 1024 * 1024;
+const MULTIPART_COPY_CONCURRENCY = 4;
+const MAX_PARTS = 10000;
+
+// S3 options that may be forwarded to the destination object
+const COPY_OPTION_KEYS = [
+  "metadataDirective",
+  "taggingDirective",
+  "tagging",
+  "metadata",
+  "storageClass",
+  "acl",
+  "grantFullControl",
+  "grantRead",
+  "grantReadACP",
+  "grantWriteACP",
+  "contentType",
+  "cacheControl",
+  "contentDisposition",
+  "contentEncoding",
+  "contentLanguage",
+  "expires",
+  "serverSideEncryption",
+  "sseKMSKeyId",
+  "bucketKeyEnabled",
+  "websiteRedirectLocation",
+  "objectLockMode",
+  "objectLockRetainUntilDate",
+  "objectLockLegalHoldStatus",
+  "copySourceIfMatch",
+  "copySourceIfNoneMatch",
+  "copySourceIfModifiedSince",
+  "copySourceIfUnmodifiedSince",
+  "requestPayer",
+  "expectedBucketOwner",
+];
+
+async function copyObject(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  return await transferObjects(params, { deleteSource: false });
+}
+
+/**
+ * Shared entry point for copy_object and move_object
+ * @param {Object} params - Tool parameters
+ * @param {Object} options - { deleteSource: remove the source after copying }
+ * @returns {Object} - Result object
+ */
+async function transferObjects(params, options = {}) {
+  const operation = options.deleteSource ? "move" : "copy";
+  const sourceBucket = params.sourceBucket || params.bucketName;
+
+  if (!sourceBucket) {
+    return {
+      success: false,
+      message: "Error: sourceBucket (or bucketName) is required.",
+      receivedParams: params,
+    };
+  }
+
+  // SCENARIO 2: Every object under a prefix
+  if (params.sourcePrefix !== undefined) {
+    return await transferPrefix(params, sourceBucket, options);
+  }
+
+  // SCENARIO 1: Single object
+  const sourceKey = params.sourceKey || params.fileName;
+  if (!sourceKey) {
+    return {
+      success: false,
+      message: `Error: Provide sourceKey (single ${operation}) or sourcePrefix (bulk ${operation}).`,
+      receivedParams: params,
+    };
+  }
+
+  const destinationBucket = params.destinationBucket || sourceBucket;
+  const destinationKey = params.destinationKey || sourceKey;
+
+  if (
+    options.deleteSource &&
+    destinationBucket === sourceBucket &&
+    destinationKey === sourceKey
+  ) {
+    return {
+      success: false,
+      message:
+        "Error: Source and destination are the same. Provide destinationKey or destinationBucket.",
+      receivedParams: params,
+    };
+  }
+
+  const result = await transferSingleObject(
+    {
+      ...params,
+      sourceBucket,
+      sourceKey,
+      destinationBucket,
+      destinationKey,
+    },
+    options
+  );
+
+  return {
+    ...result,
+    aiExtractedParams: params,
+  };
+}
+
+/**
+ * Copy one object server-side, optionally deleting the source afterwards
+ */
+async function transferSingleObject(params, options = {}) {
+  const operation = options.deleteSource ? "move" : "copy";
+  const source = `${params.sourceBucket}/${params.sourceKey}`;
+  const destination = `${params.destinationBucket}/${params.destinationKey}`;
+  let commandParams;
+
+  try {
+    // Size and headers decide between CopyObject and multipart copy
+    const head = await s3Client.send(
+      new HeadObjectCommand({
+        Bucket: params.sourceBucket,
+        Key: params.sourceKey,
+        VersionId: params.sourceVersionId,
+      })
+    );
+
+    const destinationParams = {
+      bucketName: params.destinationBucket,
+      fileName: params.destinationKey,
+    };
+    for (const key of COPY_OPTION_KEYS) {
+      if (params[key] !== undefined) destinationParams[key] = params[key];
+    }
+
+    // Replacing metadata would otherwise reset Content-Type to binary/octet-stream
+    if (
+      destinationParams.metadataDirective === "REPLACE" &&
+      !destinationParams.contentType &&
+      head.ContentType
+    ) {
+      destinationParams.contentType = head.ContentType;
+    }
+
+    commandParams = parameterMapper.mapParameters(destinationParams);
+    commandParams.CopySource = buildCopySource(
+      params.sourceBucket,
+      params.sourceKey,
+      params.sourceVersionId
+    );
+
+    let copyResult;
+    if (head.ContentLength > MULTIPART_COPY_THRESHOLD) {
+      console.log(
+        `📦 Object is ${head.ContentLength} bytes - using multipart copy`
+      );
+      copyResult = await multipartCopy(commandParams, head);
+    } else {
+      console.log(
+        "📤 Sending to AWS S3:",
+        JSON.stringify(commandParams, null, 2)
+      );
+      const result = await s3Client.send(new CopyObjectCommand(commandParams));
+      copyResult = {
+        copyMode: "single_request",
+        etag: result.CopyObjectResult?.ETag,
+        lastModified: result.CopyObjectResult?.LastModified,
+        versionId: result.VersionId,
+        sourceVersionId: result.CopySourceVersionId,
+      };
+    }
+
+    // Only remove the source once the copy is confirmed
+    let deleteResult;
+    if (options.deleteSource) {
+      const deleted = await s3Client.send(
+        new DeleteObjectCommand({
+          Bucket: params.sourceBucket,
+          Key: params.sourceKey,
+          VersionId: params.sourceVersionId,
+        })
+      );
+      deleteResult = {
+        deleteMarker: deleted.DeleteMarker,
+        versionId: deleted.VersionId,
+      };
+    }
+
+    return {
+      success: true,
+      message: `✅ Object "${source}" ${
+        options.deleteSource ? "moved" : "copied"
+      } to "${destination}" successfully!`,
+      operation: operation,
+      transferInfo: {
+        sourceBucket: params.sourceBucket,
+        sourceKey: params.sourceKey,
+        destinationBucket: params.destinationBucket,
+        destinationKey: params.destinationKey,
+        size: head.ContentLength,
+        metadataDirective: params.metadataDirective || "COPY",
+        storageClass: params.storageClass || head.StorageClass || "STANDARD",
+      },
+      awsCommandParams: commandParams,
+      awsResponse: copyResult,
+      ...(deleteResult && { sourceDeletion: deleteResult }),
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NotFound":
+      case "NoSuchKey":
+        hint = `The source object "${source}" does not exist`;
+        break;
+      case "NoSuchBucket":
+        hint = "The source or destination bucket does not exist";
+        break;
+      case "AccessDenied":
+        hint = options.deleteSource
+          ? "Moving requires s3:GetObject on the source, s3:PutObject on the destination and s3:DeleteObject on the source"
+          : "Copying requires s3:GetObject on the source and s3:PutObject on the destination";
+        break;
+      case "InvalidRequest":
+        hint =
+          "Copying an object onto itself requires a change (metadataDirective REPLACE, storageClass or encryption)";
+        break;
+      case "PreconditionFailed":
+        hint = "A copySourceIf* condition was not met";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      operation: operation,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Copy or move every object under sourcePrefix to destinationPrefix
+ */
+async function transferPrefix(params, sourceBucket, options = {}) {
+  const operation = options.deleteSource ? "move" : "copy";
+  const destinationBucket = params.destinationBucket || sourceBucket;
+  const sourcePrefix = params.sourcePrefix || "";
+  const destinationPrefix =
+    params.destinationPrefix !== undefined
+      ? params.destinationPrefix
+      : sourcePrefix;
+  const maxObjects = params.maxObjects || 1000;
+
+  if (
+    options.deleteSource &&
+    destinationBucket === sourceBucket &&
+    destinationPrefix === sourcePrefix
+  ) {
+    return {
+      success: false,
+      message:
+        "Error: Source and destination prefixes are the same. Provide destinationPrefix or destinationBucket.",
+      receivedParams: params,
+    };
+  }
+
+  try {
+    const listing = await listAllObjects(sourceBucket, sourcePrefix, {
+      maxObjects,
+    });
+
+    if (listing.objects.length === 0) {
+      return {
+        success: false,
+        message: `❌ No objects found under "${sourceBucket}/${sourcePrefix}"`,
+        operation: operation,
+      };
+    }
+
+    const results = { successful: [], failed: [] };
+
+    console.log(
+      `📦 Starting bulk ${operation} of ${listing.objects.length} objects...`
+    );
+
+    for (const object of listing.objects) {
+      const destinationKey =
+        destinationPrefix + object.key.slice(sourcePrefix.length);
+
+      const result = await transferSingleObject(
+        {
+          ...params,
+          sourceBucket,
+          sourceKey: object.key,
+          sourceVersionId: undefined,
+          destinationBucket,
+          destinationKey,
+        },
+        options
+      );
+
+      if (result.success) {
+        results.successful.push({
+          sourceKey: object.key,
+          destinationKey,
+          size: object.size,
+        });
+      } else {
+        results.failed.push({
+          sourceKey: object.key,
+          destinationKey,
+          error: result.message,
+        });
+      }
+    }
+
+    const totalBytes = results.successful.reduce(
+      (sum, entry) => sum + (entry.size || 0),
+      0
+    );
+
+    return {
+      success: results.successful.length > 0,
+      message: `📦 Bulk ${operation} completed: ${results.successful.length} successful, ${results.failed.length} failed`,
+      operation: operation,
+      transferSummary: {
+        sourceBucket,
+        sourcePrefix,
+        destinationBucket,
+        destinationPrefix,
+        objectsFound: listing.objects.length,
+        successfulTransfers: results.successful.length,
+        failedTransfers: results.failed.length,
+        totalBytes,
+        ...(listing.isTruncated && {
+          note: `Stopped at maxObjects (${maxObjects}). Run again to process the remaining objects.`,
+        }),
+      },
+      results: results,
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `❌ Bulk ${operation} error: ${error.message}`,
+      operation: operation,
+      errorDetails: { errorCode: error.name, errorMessage: error.message },
+    };
+  }
+}
+
+/**
+ * Copy objects larger than 5 GB with UploadPartCopy, aborting on failure
+ * @param {Object} commandParams - Mapped CopyObject parameters
+ * @param {Object} head - HeadObject result for the source
+ * @returns {Object} - Completion details
+ */
+async function multipartCopy(commandParams, head) {
+  const {
+    CopySource,
+    MetadataDirective,
+    TaggingDirective,
+    CopySourceIfMatch,
+    CopySourceIfNoneMatch,
+    CopySourceIfModifiedSince,
+    CopySourceIfUnmodifiedSince,
+    ...createParams
+  } = commandParams;
+
+  // Multipart uploads never inherit source headers, so carry them over for COPY
+  if (MetadataDirective !== "REPLACE") {
+    createParams.ContentType = createParams.ContentType || head.ContentType;
+    createParams.CacheControl = createParams.CacheControl || head.CacheControl;
+    createParams.ContentDisposition =
+      createParams.ContentDisposition || head.ContentDisposition;
+    createParams.ContentEncoding =
+      createParams.ContentEncoding || head.ContentEncoding;
+    createParams.ContentLanguage =
+      createParams.ContentLanguage || head.ContentLanguage;
+    createParams.Metadata = createParams.Metadata || head.Metadata;
+  }
+
+  const created = await s3Client.send(
+    new CreateMultipartUploadCommand(createParams)
+  );
+  const uploadId = created.UploadId;
+
+  try {
+    const size = head.ContentLength;
+    const partSize = Math.max(
+      MULTIPART_COPY_PART_SIZE,
+      Math.ceil(size / MAX_PARTS)
+    );
+
+    const ranges = [];
+    for (let start = 0; start < size; start += partSize) {
+      ranges.push({
+        partNumber: ranges.length + 1,
+        range: `bytes=${start}-${Math.min(start + partSize, size) - 1}`,
+      });
+    }
+
+    const parts = [];
+    for (let i = 0; i < ranges.length; i += MULTIPART_COPY_CONCURRENCY) {
+      const batch = ranges.slice(i, i + MULTIPART_COPY_CONCURRENCY);
+      const batchResults = await Promise.all(
+        batch.map((part) =>
+          s3Client.send(
+            new UploadPartCopyCommand({
+              Bucket: createParams.Bucket,
+              Key: createParams.Key,
+              UploadId: uploadId,
+              PartNumber: part.partNumber,
+              CopySource,
+              CopySourceRange: part.range,
+              CopySourceIfMatch,
+              CopySourceIfNoneMatch,
+              CopySourceIfModifiedSince,
+              CopySourceIfUnmodifiedSince,
+            })
+          )
+        )
+      );
+      batchResults.forEach((result, index) => {
+        parts.push({
+          PartNumber: batch[index].partNumber,
+          ETag: result.CopyPartResult.ETag,
+        });
+      });
+      console.log(`📤 Copied ${parts.length}/${ranges.length} parts`);
+    }
+
+    const completed = await s3Client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: createParams.Bucket,
+        Key: createParams.Key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts },
+      })
+    );
+
+    return {
+      copyMode: "multipart",
+      etag: completed.ETag,
+      versionId: completed.VersionId,
+      partCount: parts.length,
+      partSize: partSize,
+    };
+  } catch (error) {
+    console.warn(`⚠️  Multipart copy failed, aborting upload ${uploadId}`);
+    await s3Client
+      .send(
+        new AbortMultipartUploadCommand({
+          Bucket: createParams.Bucket,
+          Key: createParams.Key,
+          UploadId: uploadId,
+        })
+      )
+      .catch((abortError) => {
+        console.warn(
+          `⚠️  Could not abort multipart upload: ${abortError.message}`
+        );
+      });
+    throw error;
+  }
+}
+
+/**
+ * Build the URL-encoded CopySource header value
+ */
+function buildCopySource(bucketName, key, versionId) {
+  const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+  return versionId
+    ? `${bucketName}/${encodedKey}?versionId=${encodeURIComponent(versionId)}`
+    : `${bucketName}/${encodedKey}`;
+}
+
+module.exports = copyObject;
+module.exports.transferObjects = transferObjects;
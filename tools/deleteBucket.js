@@ -38,6 +38,10 @@ async function deleteBucket(params) {
         errorMessage: error.message,
         aiExtractedParams: params,
         awsCommandParams: commandParams,
+        ...(error.name === "BucketNotEmpty" && {
+          suggestion:
+            "Empty the bucket first with delete_objects (emptyBucket: true, includeVersions: true for versioned buckets), then retry.",
+        }),
       },
     };
   }
@@ -0,0 +1,373 @@
+// tools/deleteObjects.js - Bulk delete (prefix or whole bucket) with dry-run preview
+const { s3Client } = require("../utils/s3Client");
+const { DeleteObjectsCommand } = require("@aws-sdk/client-s3");
+const crypto = require("crypto");
+const {
+  listAllObjects,
+  listAllObjectVersions,
+} = require("../utils/objectLister");
+const { formatBytes } = require("../utils/formatters");
+
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+const PREVIEW_SAMPLE_SIZE = 20;
+
+async function deleteObjects(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const prefix = params.prefix || "";
+  const includeVersions = params.includeVersions === true;
+
+  // Deleting a whole bucket must be asked for explicitly
+  if (!prefix && params.emptyBucket !== true) {
+    return {
+      success: false,
+      message:
+        "Error: Provide a prefix, or set emptyBucket: true to delete every object in the bucket.",
+      receivedParams: params,
+    };
+  }
+
+  if (params.bypassGovernanceRetention) {
+    console.warn(
+      "⚠️  WARNING: Bypassing governance retention - this is a privileged operation"
+    );
+  }
+
+  try {
+    const preview = await buildPreview(
+      params.bucketName,
+      prefix,
+      includeVersions
+    );
+
+    if (preview.totalEntries === 0) {
+      return {
+        success: true,
+        message: `ℹ️  Nothing to delete under "${params.bucketName}/${prefix}"`,
+        preview: preview,
+      };
+    }
+
+    // DRY RUN (default): report what would be removed and hand out a token
+    if (params.dryRun !== false) {
+      return {
+        success: true,
+        dryRun: true,
+        message: `🔎 Dry run: ${preview.objectCount} objects${
+          includeVersions
+            ? ` (${preview.versionCount} versions, ${preview.deleteMarkerCount} delete markers)`
+            : ""
+        } totalling ${preview.totalSizeFormatted} would be deleted from "${
+          params.bucketName
+        }/${prefix}". Nothing has been deleted.`,
+        preview: preview,
+        confirmationToken: preview.confirmationToken,
+        nextStep:
+          "Show this preview to the user. If they confirm, call delete_objects again with the same parameters plus dryRun: false and confirmationToken.",
+      };
+    }
+
+    // EXECUTE: only with a token from a preview of exactly these contents
+    if (params.confirmationToken !== preview.confirmationToken) {
+      return {
+        success: false,
+        dryRun: true,
+        message: params.confirmationToken
+          ? "❌ The objects under this prefix changed since the preview, or the token does not match these parameters. Review the new preview and confirm again."
+          : "❌ A confirmationToken from a dry-run preview is required before deleting. Review the preview below first.",
+        preview: preview,
+        confirmationToken: preview.confirmationToken,
+      };
+    }
+
+    const results = await deleteInBatches(params, prefix, preview);
+    const stopped = results.stoppedBy;
+
+    return {
+      success: results.errors.length === 0 && !stopped,
+      message: stopped
+        ? `⚠️  Bulk delete stopped at batch ${results.batches + 1} (${
+            stopped.errorCode
+          }: ${stopped.errorMessage}): ${results.deleted} already deleted, ${
+            results.remaining
+          } not attempted in "${params.bucketName}/${prefix}"`
+        : `🗑️  Bulk delete completed: ${results.deleted} deleted, ${results.errors.length} failed in "${params.bucketName}/${prefix}"`,
+      deleteSummary: {
+        bucketName: params.bucketName,
+        prefix: prefix,
+        includeVersions: includeVersions,
+        requested: preview.totalEntries,
+        deleted: results.deleted,
+        failed: results.errors.length,
+        batches: results.batches,
+        remaining: results.remaining,
+        bytesFreed: results.bytesFreed,
+        bytesFreedFormatted: formatBytes(results.bytesFreed),
+        ...(results.deleteMarkersCreated > 0 && {
+          deleteMarkersCreated: results.deleteMarkersCreated,
+        }),
+        ...(results.skippedNewer > 0 && {
+          skippedNewer: results.skippedNewer,
+          skippedNewerNote:
+            "Objects written after the confirmed preview were left in place.",
+        }),
+        ...(stopped && {
+          stoppedBy: stopped,
+          nextStep:
+            "Objects in completed batches stay deleted. Fix the cause, then run a new dry run to preview and confirm what is left.",
+        }),
+        ...(!includeVersions && {
+          note: "In versioned buckets this creates delete markers and frees no space (not counted in bytesFreed); run with includeVersions: true to remove all versions permanently.",
+        }),
+      },
+      errors: results.errors.slice(0, 100),
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint = includeVersions
+          ? "Requires s3:ListBucketVersions and s3:DeleteObjectVersion permissions"
+          : "Requires s3:ListBucket and s3:DeleteObject permissions";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Walk the keys (or key+versions) that would be deleted one listing page at a
+ * time, so memory stays bounded however many objects the prefix holds
+ * @param {Function} onPage - Called with each page; returning false stops the walk
+ */
+async function forEachTargetPage(bucketName, prefix, includeVersions, onPage) {
+  let continuationToken;
+  let keyMarker;
+  let versionIdMarker;
+  let more = true;
+
+  while (more) {
+    let page;
+    if (includeVersions) {
+      const listing = await listAllObjectVersions(bucketName, prefix, {
+        maxEntries: DELETE_BATCH_SIZE,
+        keyMarker: keyMarker,
+        versionIdMarker: versionIdMarker,
+      });
+      page = listing.versions;
+      keyMarker = listing.nextKeyMarker;
+      versionIdMarker = listing.nextVersionIdMarker;
+      more = listing.isTruncated;
+    } else {
+      const listing = await listAllObjects(bucketName, prefix, {
+        maxObjects: DELETE_BATCH_SIZE,
+        continuationToken: continuationToken,
+      });
+      page = listing.objects.map((object) => ({
+        ...object,
+        isDeleteMarker: false,
+      }));
+      continuationToken = listing.nextContinuationToken;
+      more = listing.isTruncated;
+    }
+
+    if ((await onPage(page)) === false) return;
+  }
+}
+
+/**
+ * Summarise targets; the token fingerprints the exact set being removed
+ */
+async function buildPreview(bucketName, prefix, includeVersions) {
+  const fingerprint = crypto.createHash("sha256");
+  fingerprint.update(JSON.stringify([bucketName, prefix, includeVersions]));
+
+  let totalEntries = 0;
+  let totalSize = 0;
+  let deleteMarkerCount = 0;
+  let objectCount = 0;
+  let lastKey;
+  let newestModified;
+  const sampleKeys = [];
+
+  await forEachTargetPage(bucketName, prefix, includeVersions, (page) => {
+    // Listings are sorted by key, so only the previous page's last key can repeat
+    const pageKeys = new Set(page.map((target) => target.key));
+    objectCount += pageKeys.size - (pageKeys.has(lastKey) ? 1 : 0);
+
+    for (const target of page) {
+      totalEntries++;
+      totalSize += target.size || 0;
+      if (target.isDeleteMarker) deleteMarkerCount++;
+      if (!newestModified || target.lastModified > newestModified) {
+        newestModified = target.lastModified;
+      }
+      if (!lastKey || target.key > lastKey) lastKey = target.key;
+      fingerprint.update(`${target.key}\0${target.versionId || ""}\0`);
+
+      if (sampleKeys.length < PREVIEW_SAMPLE_SIZE) {
+        sampleKeys.push(
+          target.versionId && includeVersions
+            ? `${target.key} (${
+                target.isDeleteMarker ? "delete marker" : "version"
+              } ${target.versionId})`
+            : target.key
+        );
+      }
+    }
+  });
+
+  return {
+    bucketName: bucketName,
+    prefix: prefix,
+    includeVersions: includeVersions,
+    objectCount: objectCount,
+    ...(includeVersions && {
+      versionCount: totalEntries - deleteMarkerCount,
+      deleteMarkerCount: deleteMarkerCount,
+    }),
+    totalEntries: totalEntries,
+    totalSize: totalSize,
+    totalSizeFormatted: formatBytes(totalSize),
+    batchesRequired: Math.ceil(totalEntries / DELETE_BATCH_SIZE),
+    sampleKeys: sampleKeys,
+    confirmationToken: fingerprint.digest("hex").slice(0, 16),
+    // Server time of the newest entry; anything later was not confirmed
+    newestModified: newestModified,
+  };
+}
+
+/**
+ * Delete the confirmed targets page by page with DeleteObjects (1000 keys per
+ * request). Entries written after the preview are skipped. A failed request
+ * stops the run; earlier batches are already gone, so the counts are returned
+ * rather than thrown away with the error.
+ */
+async function deleteInBatches(params, prefix, preview) {
+  const results = {
+    deleted: 0,
+    errors: [],
+    batches: 0,
+    remaining: 0,
+    bytesFreed: 0,
+    deleteMarkersCreated: 0,
+    skippedNewer: 0,
+  };
+  const targetId = (key, versionId) =>
+    `${key}\0${(params.includeVersions && versionId) || ""}`;
+  let processed = 0;
+
+  await forEachTargetPage(
+    params.bucketName,
+    prefix,
+    params.includeVersions === true,
+    async (page) => {
+      const batch = page.filter(
+        (target) => !(target.lastModified > preview.newestModified)
+      );
+      results.skippedNewer += page.length - batch.length;
+      if (batch.length === 0) return true;
+
+      let response;
+      try {
+        response = await s3Client.send(
+          new DeleteObjectsCommand({
+            Bucket: params.bucketName,
+            Delete: {
+              Objects: batch.map((target) => ({
+                Key: target.key,
+                ...(params.includeVersions && { VersionId: target.versionId }),
+              })),
+              // Per-key results tell real deletions from new delete markers
+              Quiet: false,
+            },
+            MFA: params.mfa,
+            BypassGovernanceRetention: params.bypassGovernanceRetention,
+            ExpectedBucketOwner: params.expectedBucketOwner,
+          })
+        );
+      } catch (error) {
+        results.remaining = Math.max(0, preview.totalEntries - processed);
+        results.stoppedBy = {
+          errorCode: error.name,
+          errorMessage: error.message,
+          statusCode: error.$metadata?.httpStatusCode,
+          firstKeyNotAttempted: batch[0].key,
+        };
+        console.warn(
+          `⚠️  Batch ${results.batches + 1} failed (${error.message}), stopping`
+        );
+        return false;
+      }
+
+      const batchErrors = (response.Errors || []).map((error) => ({
+        key: error.Key,
+        versionId: error.VersionId,
+        code: error.Code,
+        message: error.Message,
+      }));
+
+      // A delete without a version ID in a versioned bucket only adds a
+      // delete marker; the data stays, so nothing is freed
+      const sizes = new Map(
+        batch.map((target) => [
+          targetId(target.key, target.versionId),
+          target.size || 0,
+        ])
+      );
+      for (const deleted of response.Deleted || []) {
+        if (!params.includeVersions && deleted.DeleteMarker) {
+          results.deleteMarkersCreated++;
+        } else {
+          results.bytesFreed +=
+            sizes.get(targetId(deleted.Key, deleted.VersionId)) || 0;
+        }
+      }
+
+      processed += batch.length;
+      results.batches++;
+      results.deleted += batch.length - batchErrors.length;
+      results.errors.push(...batchErrors);
+
+      console.log(
+        `🗑️  Batch ${results.batches}: ${batch.length - batchErrors.length}/${
+          batch.length
+        } deleted`
+      );
+      return true;
+    }
+  );
+
+  return results;
+}
+
+module.exports = deleteObjects;
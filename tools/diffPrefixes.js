@@ -0,0 +1,531 @@
+// tools/diffPrefixes.js - Compare two S3 locations and report added, removed and changed objects
+const { s3Client, createS3Client, getS3Client } = require("../utils/s3Client");
+const { getProfile } = require("../utils/profiles");
+const { HeadObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+const { listAllObjects } = require("../utils/objectLister");
+const {
+  mapWithConcurrency,
+  validateConcurrency,
+} = require("../utils/concurrency");
+const { formatBytes } = require("../utils/formatters");
+
+const COMPARE_MODES = ["auto", "size", "etag", "checksum"];
+const REPORT_FORMATS = ["json", "csv"];
+const DEFAULT_MAX_OBJECTS = 100000;
+const DEFAULT_MAX_LISTED = 100;
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_REPORT_PREFIX = "diff-reports/";
+
+// HeadObject checksum fields, strongest match first
+const CHECKSUM_FIELDS = [
+  "ChecksumCRC64NVME",
+  "ChecksumSHA256",
+  "ChecksumSHA1",
+  "ChecksumCRC32C",
+  "ChecksumCRC32",
+];
+
+async function diffPrefixes(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  const source = {
+    bucketName: params.sourceBucket || params.bucketName,
+    prefix: params.sourcePrefix || "",
+    profile: params.sourceProfile,
+    endpoint: params.sourceEndpoint,
+    region: params.sourceRegion,
+  };
+  const target = {
+    bucketName: params.targetBucket || params.bucketName || source.bucketName,
+    prefix: params.targetPrefix || "",
+    profile: params.targetProfile,
+    endpoint: params.targetEndpoint,
+    region: params.targetRegion,
+  };
+
+  // Validate required parameters
+  if (!source.bucketName) {
+    return {
+      success: false,
+      message:
+        "Error: sourceBucket is required (plus targetBucket and/or sourcePrefix / targetPrefix).",
+      receivedParams: params,
+    };
+  }
+
+  const validationErrors = [];
+  const compareBy = (params.compareBy || "auto").toLowerCase();
+  if (!COMPARE_MODES.includes(compareBy)) {
+    validationErrors.push(
+      `compareBy must be one of ${COMPARE_MODES.join(", ")} (received "${
+        params.compareBy
+      }")`
+    );
+  }
+  const reportFormat =
+    params.reportFormat || params.reportKey
+      ? String(params.reportFormat || "json").toLowerCase()
+      : undefined;
+  if (reportFormat && !REPORT_FORMATS.includes(reportFormat)) {
+    validationErrors.push(
+      `reportFormat must be "json" or "csv" (received "${params.reportFormat}")`
+    );
+  }
+  // The report is written to the source store, never inside a compared
+  // location - the next run would list it as a difference
+  const reportLocation = reportFormat && {
+    bucketName: params.reportBucket || source.bucketName,
+    fileName:
+      params.reportKey ||
+      `${DEFAULT_REPORT_PREFIX}diff-${new Date()
+        .toISOString()
+        .replace(/[:.]/g, "-")}.${reportFormat}`,
+  };
+  const sameStore =
+    source.profile === target.profile &&
+    source.endpoint === target.endpoint &&
+    source.region === target.region;
+  for (const [label, side] of [
+    ["source", source],
+    ["target", sameStore && target],
+  ]) {
+    if (
+      reportLocation &&
+      side &&
+      reportLocation.bucketName === side.bucketName &&
+      reportLocation.fileName.startsWith(side.prefix)
+    ) {
+      validationErrors.push(
+        `the report "${reportLocation.bucketName}/${reportLocation.fileName}" would be written inside the compared ${label} location "${side.bucketName}/${side.prefix}" - set reportBucket or a reportKey outside it`
+      );
+    }
+  }
+  const concurrencyError = validateConcurrency(params.concurrency);
+  if (concurrencyError) {
+    validationErrors.push(concurrencyError);
+  }
+  for (const side of [source, target]) {
+    if (!side.profile) continue;
+    const profile = getProfile(side.profile);
+    if (profile) {
+      side.profile = profile.name;
+    } else {
+      validationErrors.push(
+        `unknown profile "${side.profile}" - use list_profiles to see the configured stores`
+      );
+    }
+  }
+  if (
+    source.bucketName === target.bucketName &&
+    source.prefix === target.prefix &&
+    source.profile === target.profile &&
+    source.endpoint === target.endpoint
+  ) {
+    validationErrors.push(
+      "source and target are the same location - set targetBucket, targetPrefix, targetProfile or targetEndpoint"
+    );
+  }
+  if (validationErrors.length > 0) {
+    return {
+      success: false,
+      message: `Error: Invalid comparison:\n- ${validationErrors.join("\n- ")}`,
+      validationErrors: validationErrors,
+      receivedParams: params,
+    };
+  }
+
+  // Each side uses its own profile / endpoint, otherwise the tool's profile
+  source.client = clientFor(source);
+  target.client = clientFor(target);
+
+  const maxObjects = params.maxObjects || DEFAULT_MAX_OBJECTS;
+  const maxListed = params.maxListed || DEFAULT_MAX_LISTED;
+
+  let side = source;
+  try {
+    console.log(
+      `🔀 Comparing ${describeLocation(source)} with ${describeLocation(
+        target
+      )}...`
+    );
+    const sourceListing = await listAllObjects(
+      source.bucketName,
+      source.prefix,
+      { maxObjects: maxObjects, client: source.client }
+    );
+    side = target;
+    const targetListing = await listAllObjects(
+      target.bucketName,
+      target.prefix,
+      { maxObjects: maxObjects, client: target.client }
+    );
+
+    const sourceObjects = indexByRelativeKey(
+      sourceListing.objects,
+      source.prefix
+    );
+    const targetObjects = indexByRelativeKey(
+      targetListing.objects,
+      target.prefix
+    );
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    const unverified = [];
+    const needsChecksum = [];
+    let identical = 0;
+
+    for (const [key, object] of sourceObjects) {
+      const other = targetObjects.get(key);
+      if (!other) {
+        removed.push(describeEntry(key, object));
+        continue;
+      }
+
+      const verdict = compareListed(object, other, compareBy);
+      if (verdict === "same") identical++;
+      else if (verdict === "verify") needsChecksum.push([key, object, other]);
+      else changed.push(describeChange(key, object, other, verdict));
+    }
+    for (const [key, object] of targetObjects) {
+      if (!sourceObjects.has(key)) added.push(describeEntry(key, object));
+    }
+
+    // ETags of multipart uploads depend on part size, so fall back to checksums
+    const errors = [];
+    const checks = await mapWithConcurrency(
+      needsChecksum,
+      Number(params.concurrency) || DEFAULT_CONCURRENCY,
+      async ([key, object, other]) => {
+        try {
+          const [sourceHead, targetHead] = await Promise.all([
+            headWithChecksums(source, object.key),
+            headWithChecksums(target, other.key),
+          ]);
+          const algorithm = CHECKSUM_FIELDS.find(
+            (field) =>
+              isFullObjectChecksum(sourceHead, field) &&
+              isFullObjectChecksum(targetHead, field)
+          );
+
+          if (!algorithm) {
+            unverified.push({
+              ...describeChange(key, object, other, "etag"),
+              note: "ETags differ and no common full-object checksum is available",
+            });
+          } else if (sourceHead[algorithm] === targetHead[algorithm]) {
+            identical++;
+          } else {
+            changed.push(
+              describeChange(
+                key,
+                object,
+                other,
+                algorithm.replace("Checksum", "checksum ").toLowerCase()
+              )
+            );
+          }
+        } catch (error) {
+          errors.push({ key: key, error: error.message || error.name });
+        }
+        return true;
+      }
+    );
+    // A pair whose check never ran is unknown, not identical
+    needsChecksum.forEach(([key], index) => {
+      if (checks[index] !== true) {
+        errors.push({ key: key, error: "checksum check did not run" });
+      }
+    });
+
+    const byKey = (a, b) => a.key.localeCompare(b.key);
+    added.sort(byKey);
+    removed.sort(byKey);
+    changed.sort(byKey);
+    unverified.sort(byKey);
+
+    const complete = !sourceListing.isTruncated && !targetListing.isTruncated;
+    const sumSize = (entries) =>
+      entries.reduce((sum, entry) => sum + entry.size, 0);
+    const summary = {
+      source: summarizeSide(source, sourceListing.objects),
+      target: summarizeSide(target, targetListing.objects),
+      compareBy: compareBy,
+      identical: identical,
+      added: added.length,
+      addedBytes: sumSize(added),
+      removed: removed.length,
+      removedBytes: sumSize(removed),
+      changed: changed.length,
+      unverified: unverified.length,
+      failed: errors.length,
+      complete: complete,
+    };
+    const differences =
+      added.length + removed.length + changed.length + unverified.length;
+    // Failed checksum checks or a truncated listing mean the comparison is
+    // incomplete, not in sync
+    const inSync = differences === 0 && errors.length === 0 && complete;
+
+    let report;
+    if (reportFormat) {
+      report = await writeReport(
+        source,
+        reportLocation,
+        reportFormat,
+        summary,
+        {
+          added,
+          removed,
+          changed,
+          unverified,
+        }
+      );
+    }
+
+    const limit = (entries) => entries.slice(0, maxListed);
+    const listsCut = [added, removed, changed, unverified].some(
+      (entries) => entries.length > maxListed
+    );
+
+    return {
+      success: errors.length === 0 || errors.length < needsChecksum.length,
+      message: inSync
+        ? `✅ ${describeLocation(target)} matches ${describeLocation(
+            source
+          )} (${identical} identical object(s))`
+        : `⚠️  ${describeLocation(target)} ${
+            differences > 0
+              ? "differs from"
+              : "could not be fully verified against"
+          } ${describeLocation(source)}: ${added.length} added, ${
+            removed.length
+          } removed, ${changed.length} changed${
+            unverified.length ? `, ${unverified.length} unverified` : ""
+          }${
+            errors.length ? `, ${errors.length} checksum check(s) failed` : ""
+          } (${identical} identical)${
+            complete ? "" : ` in the first ${maxObjects} objects per side`
+          }`,
+      inSync: inSync,
+      diffSummary: {
+        ...summary,
+        addedBytesFormatted: formatBytes(summary.addedBytes),
+        removedBytesFormatted: formatBytes(summary.removedBytes),
+      },
+      added: limit(added),
+      removed: limit(removed),
+      changed: limit(changed),
+      ...(unverified.length > 0 && { unverified: limit(unverified) }),
+      ...(errors.length > 0 && { errors: errors.slice(0, 20) }),
+      ...(listsCut && {
+        listNote: `Only the first ${maxListed} entries of each list are shown${
+          report?.success ? " - the report object has all of them" : ""
+        }.`,
+      }),
+      ...(!complete && {
+        paginationNote: `Only the first ${maxObjects} objects of each side were compared; raise maxObjects or compare narrower prefixes.`,
+      }),
+      ...(report && { report: report }),
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${side.bucketName}" does not exist${
+          side.endpoint || side.profile
+            ? ` on ${side.endpoint || `profile "${side.profile}"`}`
+            : ""
+        }`;
+        break;
+      case "AccessDenied":
+        hint = `Requires s3:ListBucket on "${side.bucketName}" (and s3:GetObject for checksum comparison)`;
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        failedSide: side === source ? "source" : "target",
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Decide from the listing alone whether two objects match
+ * @returns {string} - "same", "verify" (needs checksums) or the reason they differ
+ */
+function compareListed(object, other, compareBy) {
+  if (object.size !== other.size) return "size";
+  if (compareBy === "size" || object.etag === other.etag) return "same";
+  if (compareBy === "checksum") return "verify";
+  if (
+    compareBy === "auto" &&
+    (isMultipartEtag(object.etag) || isMultipartEtag(other.etag))
+  ) {
+    return "verify";
+  }
+  return "etag";
+}
+
+function isMultipartEtag(etag) {
+  return /-\d+"?$/.test(etag || "");
+}
+
+// Composite (per-part) checksums, like multipart ETags, depend on part size
+function isFullObjectChecksum(head, field) {
+  return Boolean(head[field]) && !/-\d+$/.test(head[field]);
+}
+
+function clientFor(side) {
+  if (side.endpoint || side.region) return createS3Client(side);
+  if (side.profile) return getS3Client(side.profile);
+  return s3Client;
+}
+
+function headWithChecksums(side, key) {
+  return side.client.send(
+    new HeadObjectCommand({
+      Bucket: side.bucketName,
+      Key: key,
+      ChecksumMode: "ENABLED",
+    })
+  );
+}
+
+function indexByRelativeKey(objects, prefix) {
+  return new Map(
+    objects.map((object) => [object.key.slice(prefix.length), object])
+  );
+}
+
+function describeEntry(key, object) {
+  return {
+    key: key,
+    size: object.size,
+    sizeFormatted: formatBytes(object.size),
+    lastModified: object.lastModified,
+  };
+}
+
+function describeChange(key, object, other, reason) {
+  const describe = (entry) => ({
+    size: entry.size,
+    etag: (entry.etag || "").replace(/"/g, ""),
+    lastModified: entry.lastModified,
+  });
+  return {
+    key: key,
+    size: other.size,
+    reason: reason,
+    source: describe(object),
+    target: describe(other),
+  };
+}
+
+function summarizeSide(side, objects) {
+  const bytes = objects.reduce((sum, object) => sum + object.size, 0);
+  return {
+    bucketName: side.bucketName,
+    prefix: side.prefix,
+    ...(side.profile && { profile: side.profile }),
+    ...(side.endpoint && { endpoint: side.endpoint }),
+    objects: objects.length,
+    bytes: bytes,
+    sizeFormatted: formatBytes(bytes),
+  };
+}
+
+function describeLocation(side) {
+  return `"${side.bucketName}/${side.prefix}"${
+    side.endpoint || side.profile ? ` (${side.endpoint || side.profile})` : ""
+  }`;
+}
+
+/**
+ * Upload the full diff as JSON or CSV to the source store
+ */
+async function writeReport(source, location, format, summary, lists) {
+  const content =
+    format === "csv"
+      ? toCsv(lists)
+      : JSON.stringify(
+          { generatedAt: new Date().toISOString(), summary, ...lists },
+          null,
+          2
+        );
+
+  try {
+    await source.client.send(
+      new PutObjectCommand({
+        Bucket: location.bucketName,
+        Key: location.fileName,
+        Body: content,
+        ContentType: format === "csv" ? "text/csv" : "application/json",
+      })
+    );
+    return { success: true, ...location, format: format };
+  } catch (error) {
+    return {
+      success: false,
+      ...location,
+      format: format,
+      error: `❌ AWS Error: ${error.message}`,
+    };
+  }
+}
+
+function toCsv(lists) {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = [
+    [
+      "status",
+      "key",
+      "reason",
+      "sourceSize",
+      "targetSize",
+      "sourceETag",
+      "targetETag",
+    ],
+  ];
+
+  for (const entry of lists.removed) {
+    rows.push(["removed", entry.key, "", entry.size, "", "", ""]);
+  }
+  for (const entry of lists.added) {
+    rows.push(["added", entry.key, "", "", entry.size, "", ""]);
+  }
+  for (const status of ["changed", "unverified"]) {
+    for (const entry of lists[status]) {
+      rows.push([
+        status,
+        entry.key,
+        entry.reason,
+        entry.source.size,
+        entry.target.size,
+        entry.source.etag,
+        entry.target.etag,
+      ]);
+    }
+  }
+
+  return rows.map((row) => row.map(escape).join(",")).join("\n") + "\n";
+}
+
+module.exports = diffPrefixes;
@@ -0,0 +1,225 @@
+// tools/generatePresignedUrl.js - Time-limited GET/PUT URLs and POST forms
+const {
+  s3Client,
+  createS3Client,
+  getActiveProfile,
+} = require("../utils/s3Client");
+const { GetObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { createPresignedPost } = require("@aws-sdk/s3-presigned-post");
+const parameterMapper = require("../utils/parameterMapper");
+
+// SigV4 presigned URLs are valid for at most 7 days
+const DEFAULT_EXPIRES_IN = 3600;
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60;
+
+// PUT URLs are signed without the SDK's default CRC32 checksum: it would be the
+// checksum of an empty body and S3 would reject every real upload
+const presignPutClients = new Map();
+
+// Tool options that must not be signed into the request
+const PRESIGN_OPTION_KEYS = [
+  "operation",
+  "expiresIn",
+  "minSizeBytes",
+  "maxSizeBytes",
+  "keyStartsWith",
+  "contentTypeStartsWith",
+  "successActionStatus",
+];
+
+async function generatePresignedUrl(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameters
+  if (!params.bucketName || (!params.fileName && !params.keyStartsWith)) {
+    return {
+      success: false,
+      message:
+        "Error: bucketName and fileName are required (keyStartsWith may replace fileName for POST forms).",
+      receivedParams: params,
+    };
+  }
+
+  const operation = (params.operation || "get").toLowerCase();
+  if (!["get", "put", "post"].includes(operation)) {
+    return {
+      success: false,
+      message: `Error: operation must be "get", "put" or "post" (received "${params.operation}").`,
+      receivedParams: params,
+    };
+  }
+
+  const expiresIn = parseInt(params.expiresIn || DEFAULT_EXPIRES_IN, 10);
+  if (!(expiresIn > 0) || expiresIn > MAX_EXPIRES_IN) {
+    return {
+      success: false,
+      message: `Error: expiresIn must be between 1 and ${MAX_EXPIRES_IN} seconds (7 days).`,
+      receivedParams: params,
+    };
+  }
+
+  const awsParams = { ...params };
+  PRESIGN_OPTION_KEYS.forEach((key) => delete awsParams[key]);
+
+  // Use smart parameter mapper for AWS SDK compliance
+  const commandParams = parameterMapper.mapParameters(awsParams);
+  const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+
+  try {
+    if (operation === "post") {
+      return await buildPresignedPost(
+        params,
+        commandParams,
+        expiresIn,
+        expiresAt
+      );
+    }
+
+    const command =
+      operation === "put"
+        ? new PutObjectCommand(commandParams)
+        : new GetObjectCommand(commandParams);
+    const client = operation === "put" ? presignPutClient() : s3Client;
+    const url = await getSignedUrl(client, command, { expiresIn });
+
+    // Headers signed into a PUT URL must be sent by the uploader verbatim
+    const requiredHeaders = {};
+    if (operation === "put") {
+      if (commandParams.ContentType)
+        requiredHeaders["Content-Type"] = commandParams.ContentType;
+      if (commandParams.ACL) requiredHeaders["x-amz-acl"] = commandParams.ACL;
+      if (commandParams.ServerSideEncryption)
+        requiredHeaders["x-amz-server-side-encryption"] =
+          commandParams.ServerSideEncryption;
+      if (commandParams.StorageClass)
+        requiredHeaders["x-amz-storage-class"] = commandParams.StorageClass;
+      for (const [key, value] of Object.entries(commandParams.Metadata || {})) {
+        requiredHeaders[`x-amz-meta-${key}`] = value;
+      }
+    }
+
+    const headerFlags = Object.entries(requiredHeaders)
+      .map(([name, value]) => ` -H "${name}: ${value}"`)
+      .join("");
+
+    return {
+      success: true,
+      message: `✅ Presigned ${operation.toUpperCase()} URL for "${
+        params.bucketName
+      }/${params.fileName}" valid until ${expiresAt}`,
+      presignedUrl: url,
+      method: operation.toUpperCase(),
+      expiresIn: expiresIn,
+      expiresAt: expiresAt,
+      ...(operation === "put" && { requiredHeaders }),
+      usageExample:
+        operation === "put"
+          ? `curl -X PUT${headerFlags} --upload-file ./local-file "${url}"`
+          : `curl -o "${params.fileName.split("/").pop()}" "${url}"`,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `❌ Presign Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: "Presigning happens locally - check AWS credentials, region and S3_ENDPOINT configuration",
+      },
+    };
+  }
+}
+
+// One checksum-free client per profile, so assumed-role credentials are reused
+function presignPutClient() {
+  const profileName = getActiveProfile().name;
+  if (!presignPutClients.has(profileName)) {
+    presignPutClients.set(
+      profileName,
+      createS3Client({
+        profile: profileName,
+        requestChecksumCalculation: "WHEN_REQUIRED",
+      })
+    );
+  }
+  return presignPutClients.get(profileName);
+}
+
+/**
+ * Build a presigned POST form (browser uploads) with policy conditions
+ */
+async function buildPresignedPost(params, commandParams, expiresIn, expiresAt) {
+  const conditions = [];
+  const fields = {};
+
+  if (params.minSizeBytes !== undefined || params.maxSizeBytes !== undefined) {
+    conditions.push([
+      "content-length-range",
+      parseInt(params.minSizeBytes || 0, 10),
+      parseInt(params.maxSizeBytes || 5 * 1024 * 1024 * 1024, 10),
+    ]);
+  }
+
+  // Let the browser choose the file name within a fixed prefix
+  const key = params.fileName || `${params.keyStartsWith}\${filename}`;
+  if (params.keyStartsWith) {
+    conditions.push(["starts-with", "$key", params.keyStartsWith]);
+  }
+
+  if (params.contentTypeStartsWith) {
+    conditions.push([
+      "starts-with",
+      "$Content-Type",
+      params.contentTypeStartsWith,
+    ]);
+  } else if (commandParams.ContentType) {
+    fields["Content-Type"] = commandParams.ContentType;
+  }
+
+  if (commandParams.ACL) fields.acl = commandParams.ACL;
+  if (commandParams.ServerSideEncryption)
+    fields["x-amz-server-side-encryption"] = commandParams.ServerSideEncryption;
+  if (commandParams.StorageClass)
+    fields["x-amz-storage-class"] = commandParams.StorageClass;
+  if (params.successActionStatus)
+    fields.success_action_status = String(params.successActionStatus);
+  for (const [name, value] of Object.entries(commandParams.Metadata || {})) {
+    fields[`x-amz-meta-${name}`] = value;
+  }
+
+  const post = await createPresignedPost(s3Client, {
+    Bucket: commandParams.Bucket,
+    Key: key,
+    Conditions: conditions,
+    Fields: fields,
+    Expires: expiresIn,
+  });
+
+  const formFlags = Object.entries(post.fields)
+    .map(([name, value]) => ` -F "${name}=${value}"`)
+    .join("");
+
+  return {
+    success: true,
+    message: `✅ Presigned POST form for "${params.bucketName}/${key}" valid until ${expiresAt}`,
+    method: "POST",
+    url: post.url,
+    fields: post.fields,
+    conditions: conditions,
+    expiresIn: expiresIn,
+    expiresAt: expiresAt,
+    usageExample: `curl -X POST${formFlags} -F "file=@./local-file" "${post.url}"`,
+    note: "Send every field as multipart/form-data, with the file field last.",
+    aiExtractedParams: params,
+  };
+}
+
+module.exports = generatePresignedUrl;
@@ -1,9 +1,22 @@
 // tools/getObject.js - Smart Parameter Mapping with Text/Binary Detection
 const { s3Client } = require("../utils/s3Client");
-const { GetObjectCommand } = require("@aws-sdk/client-s3");
+const { GetObjectCommand, HeadObjectCommand } = require("@aws-sdk/client-s3");
 const parameterMapper = require("../utils/parameterMapper");
+const { describeRestoreStatus } = require("./restoreObject");
+const { createReadStream, createWriteStream } = require("fs");
+const fs = require("fs").promises;
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
 const path = require("path");
 
+// Tool options that must not reach the AWS SDK
+const DOWNLOAD_OPTION_KEYS = [
+  "localFilePath",
+  "overwrite",
+  "resume",
+  "verifyChecksum",
+];
+
 async function getObject(params) {
   console.log(
     "🔍 Received parameters from AI:",
@@ -19,6 +32,11 @@ async function getObject(params) {
     };
   }
 
+  // Download mode: stream straight to disk instead of returning content
+  if (params.localFilePath) {
+    return await downloadToFile(params);
+  }
+
   // Use smart parameter mapper for AWS SDK compliance
   const commandParams = parameterMapper.mapParameters(params);
 
@@ -120,6 +138,10 @@ async function getObject(params) {
       },
     };
   } catch (error) {
+    if (error.name === "InvalidObjectState") {
+      return await archivedObjectResult(params, commandParams);
+    }
+
     return {
       success: false,
       message: `❌ AWS Error: ${error.message}`,
@@ -133,6 +155,287 @@ async function getObject(params) {
   }
 }
 
+/**
+ * Stream an object to a local file, resuming a previous partial download
+ * and verifying integrity once complete
+ * @param {Object} params - Tool parameters (requires localFilePath)
+ * @returns {Object} - Metadata and local path, never the content
+ */
+async function downloadToFile(params) {
+  const localFilePath = path.resolve(params.localFilePath);
+  const partialPath = `${localFilePath}.part`;
+  // ETag of the version the .part file holds bytes of
+  const partialEtagPath = `${partialPath}.etag`;
+  const awsParams = { ...params };
+  DOWNLOAD_OPTION_KEYS.forEach((key) => delete awsParams[key]);
+  const commandParams = parameterMapper.mapParameters(awsParams);
+
+  try {
+    // Refuse to clobber an existing file unless asked to
+    const existing = await fs.stat(localFilePath).catch(() => null);
+    if (existing && params.overwrite !== true) {
+      return {
+        success: false,
+        message: `❌ Local file "${localFilePath}" already exists. Set overwrite: true to replace it.`,
+        localFilePath: localFilePath,
+      };
+    }
+
+    const head = await s3Client.send(
+      new HeadObjectCommand({
+        Bucket: commandParams.Bucket,
+        Key: commandParams.Key,
+        VersionId: commandParams.VersionId,
+        SSECustomerAlgorithm: commandParams.SSECustomerAlgorithm,
+        SSECustomerKey: commandParams.SSECustomerKey,
+        SSECustomerKeyMD5: commandParams.SSECustomerKeyMD5,
+        ChecksumMode: "ENABLED",
+      })
+    );
+    const totalSize = head.ContentLength;
+    const isRangeRequest = Boolean(commandParams.Range);
+
+    // Resume from a previous partial download (not for explicit ranges), but
+    // only when it was started from the version that is there now
+    let startByte = 0;
+    let discardedPartial;
+    if (params.resume !== false && !isRangeRequest) {
+      const partial = await fs.stat(partialPath).catch(() => null);
+      if (partial && partial.size < totalSize) {
+        const partialEtag = await fs
+          .readFile(partialEtagPath, "utf8")
+          .catch(() => null);
+        if (partialEtag === head.ETag) {
+          startByte = partial.size;
+        } else {
+          discardedPartial = {
+            size: partial.size,
+            reason: partialEtag
+              ? `started from ETag ${partialEtag}, the object is now ${head.ETag}`
+              : "unknown object version (no .etag file)",
+          };
+          console.log(
+            `🗑️  Discarding partial download of ${params.fileName}: ${discardedPartial.reason}`
+          );
+        }
+      }
+    }
+
+    await fs.mkdir(path.dirname(localFilePath), { recursive: true });
+
+    if (startByte > 0) {
+      console.log(
+        `⏯️  Resuming download of ${params.fileName} at byte ${startByte}/${totalSize}`
+      );
+      commandParams.Range = `bytes=${startByte}-`;
+    }
+    if (!isRangeRequest) {
+      // Fail instead of stitching together two different object versions
+      commandParams.IfMatch = commandParams.IfMatch || head.ETag;
+      if (startByte === 0) {
+        await fs.writeFile(partialEtagPath, head.ETag || "");
+      }
+    }
+
+    if (startByte < totalSize || totalSize === 0 || isRangeRequest) {
+      console.log(
+        "📤 Sending to AWS S3:",
+        JSON.stringify(commandParams, null, 2)
+      );
+      const result = await s3Client.send(new GetObjectCommand(commandParams));
+      await pipeline(
+        result.Body,
+        createWriteStream(partialPath, { flags: startByte > 0 ? "a" : "w" })
+      );
+    }
+
+    const downloaded = await fs.stat(partialPath);
+    const verification =
+      params.verifyChecksum === false || isRangeRequest
+        ? { method: "skipped", verified: null }
+        : await verifyDownload(partialPath, downloaded.size, head);
+
+    if (verification.verified === false) {
+      await fs.unlink(partialPath).catch(() => {});
+      await fs.unlink(partialEtagPath).catch(() => {});
+      return {
+        success: false,
+        message: `❌ Integrity check failed for "${params.fileName}" (${verification.method}). The partial file was removed; retry the download.`,
+        verification: verification,
+        aiExtractedParams: params,
+      };
+    }
+
+    await fs.rename(partialPath, localFilePath);
+    await fs.unlink(partialEtagPath).catch(() => {});
+
+    return {
+      success: true,
+      message: `✅ File "${params.fileName}" downloaded from bucket "${params.bucketName}" to "${localFilePath}"!`,
+      downloadMode: "local_file",
+      fileName: params.fileName,
+      localFilePath: localFilePath,
+      fileSize: downloaded.size,
+      resumedFromByte: startByte,
+      ...(discardedPartial && { discardedPartial: discardedPartial }),
+      verification: verification,
+      contentType: head.ContentType,
+      lastModified: head.LastModified,
+      etag: head.ETag,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      awsResponse: {
+        contentLength: head.ContentLength,
+        contentType: head.ContentType,
+        lastModified: head.LastModified,
+        etag: head.ETag,
+        versionId: head.VersionId,
+        metadata: head.Metadata,
+        serverSideEncryption: head.ServerSideEncryption,
+      },
+    };
+  } catch (error) {
+    if (error.name === "InvalidObjectState") {
+      return await archivedObjectResult(params, commandParams);
+    }
+
+    let hint = "Check AWS credentials, permissions and local path";
+    if (error.name === "PreconditionFailed") {
+      // The .part holds bytes of a version that no longer exists
+      await fs.unlink(partialPath).catch(() => {});
+      await fs.unlink(partialEtagPath).catch(() => {});
+      hint =
+        "The object changed during the download. The partial file was removed; retry to download the current version.";
+    } else if (error.code === "EACCES" || error.code === "ENOENT") {
+      hint = `Cannot write to "${localFilePath}"`;
+    }
+
+    return {
+      success: false,
+      message: `❌ Download error: ${error.message}`,
+      downloadMode: "local_file",
+      partialFile: partialPath,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Explain why an archived object cannot be read yet, instead of the raw
+ * InvalidObjectState error
+ * @param {Object} params - Tool parameters
+ * @param {Object} commandParams - Mapped GetObject parameters
+ * @returns {Object} - Failure result with restore status and suggestion
+ */
+async function archivedObjectResult(params, commandParams) {
+  let status;
+  try {
+    const head = await s3Client.send(
+      new HeadObjectCommand({
+        Bucket: commandParams.Bucket,
+        Key: commandParams.Key,
+        VersionId: commandParams.VersionId,
+      })
+    );
+    status = describeRestoreStatus(head);
+  } catch (error) {
+    status = { archived: true, state: "unknown" };
+  }
+
+  const suggestion =
+    status.state === "in_progress"
+      ? `Wait for the restore to finish - check it with restore_object (action "status"), then retry get_object.`
+      : status.state === "restored"
+      ? "The restored copy is now available - retry get_object."
+      : `Request a restore with restore_object (bucketName "${params.bucketName}", fileName "${params.fileName}", tier "Standard" or "Bulk"), then download once it completes.`;
+
+  return {
+    success: false,
+    archived: true,
+    message: `📦 "${params.fileName}" is archived${
+      status.storageClass ? ` in ${status.storageClass}` : ""
+    } and cannot be downloaded yet (${
+      status.state === "in_progress"
+        ? "restore in progress"
+        : status.state === "restored"
+        ? "restore just completed"
+        : "restore not requested"
+    })`,
+    restoreStatus: status,
+    suggestion: suggestion,
+    aiExtractedParams: params,
+    awsCommandParams: commandParams,
+  };
+}
+
+/**
+ * Verify a downloaded file against the object's checksum or ETag
+ * @param {string} filePath - Downloaded file
+ * @param {number} fileSize - Downloaded size in bytes
+ * @param {Object} head - HeadObject result
+ * @returns {Object} - Verification method, expected/actual values and result
+ */
+async function verifyDownload(filePath, fileSize, head) {
+  if (fileSize !== head.ContentLength) {
+    return {
+      method: "size",
+      expected: head.ContentLength,
+      actual: fileSize,
+      verified: false,
+    };
+  }
+
+  // Full-object SHA-256 checksum (composite checksums end with "-N")
+  if (head.ChecksumSHA256 && !head.ChecksumSHA256.includes("-")) {
+    const actual = await hashFile(filePath, "sha256", "base64");
+    return {
+      method: "sha256",
+      expected: head.ChecksumSHA256,
+      actual: actual,
+      verified: actual === head.ChecksumSHA256,
+    };
+  }
+
+  // Single-part, non-KMS ETags are the MD5 of the content
+  const etag = (head.ETag || "").replace(/"/g, "");
+  if (
+    /^[a-f0-9]{32}$/.test(etag) &&
+    head.ServerSideEncryption !== "aws:kms" &&
+    !head.SSECustomerAlgorithm
+  ) {
+    const actual = await hashFile(filePath, "md5", "hex");
+    return {
+      method: "etag_md5",
+      expected: etag,
+      actual: actual,
+      verified: actual === etag,
+    };
+  }
+
+  return {
+    method: "size",
+    expected: head.ContentLength,
+    actual: fileSize,
+    verified: true,
+    note: "Multipart or KMS ETag - only the size could be verified",
+  };
+}
+
+/**
+ * Hash a file without loading it into memory
+ */
+async function hashFile(filePath, algorithm, encoding) {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest(encoding);
+}
+
 /**
  * Determine file type based on content type and file extension
  * @param {string} contentType - MIME type from S3
@@ -216,3 +519,4 @@ function determineFileType(contentType, fileExtension) {
 }
 
 module.exports = getObject;
+module.exports.hashFile = hashFile;
@@ -0,0 +1,200 @@
+// tools/headObject.js - Inspect object metadata without downloading the content
+const { s3Client } = require("../utils/s3Client");
+const { HeadObjectCommand } = require("@aws-sdk/client-s3");
+const parameterMapper = require("../utils/parameterMapper");
+const { formatBytes } = require("../utils/formatters");
+const { daysRemaining } = require("../utils/objectLock");
+
+// Storage classes whose objects must be restored before they can be read
+const ARCHIVE_STORAGE_CLASSES = ["GLACIER", "DEEP_ARCHIVE"];
+
+async function headObject(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameters
+  if (!params.bucketName || !params.fileName) {
+    return {
+      success: false,
+      message: "Error: bucketName and fileName are required.",
+      receivedParams: params,
+    };
+  }
+
+  // Use smart parameter mapper for AWS SDK compliance
+  const commandParams = {
+    ChecksumMode: "ENABLED",
+    ...parameterMapper.mapParameters(params),
+  };
+
+  console.log("📤 Sending to AWS S3:", JSON.stringify(commandParams, null, 2));
+
+  try {
+    const head = await s3Client.send(new HeadObjectCommand(commandParams));
+    const details = describeHead(head);
+
+    return {
+      success: true,
+      message: `✅ "${params.fileName}" - ${details.object.sizeFormatted}, ${
+        details.object.contentType || "unknown type"
+      }, ${details.object.storageClass}${
+        details.restore.requiresRestore
+          ? details.restore.ongoing
+            ? " (restore in progress)"
+            : details.restore.restored
+            ? " (restored copy available)"
+            : " (archived - restore before download)"
+          : ""
+      }`,
+      object: {
+        bucketName: params.bucketName,
+        fileName: params.fileName,
+        ...details.object,
+      },
+      checksums: details.checksums,
+      encryption: details.encryption,
+      restore: details.restore,
+      objectLock: details.objectLock,
+      replicationStatus: head.ReplicationStatus || null,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      awsResponse: {
+        metadata: head.$metadata,
+      },
+    };
+  } catch (error) {
+    // Conditional requests that did not match are answers, not failures
+    const statusCode = error.$metadata?.httpStatusCode;
+    if (statusCode === 304 || statusCode === 412) {
+      return {
+        success: true,
+        conditionMet: false,
+        message:
+          statusCode === 304
+            ? `ℹ️  "${params.fileName}" has not been modified (ifNoneMatch / ifModifiedSince condition not met)`
+            : `ℹ️  "${params.fileName}" does not satisfy the precondition (ifMatch / ifUnmodifiedSince)`,
+        statusCode: statusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NotFound":
+      case "NoSuchKey":
+        hint = `Object "${params.fileName}" not found in bucket "${params.bucketName}" (check the key, or the versionId)`;
+        break;
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "Forbidden":
+      case "AccessDenied":
+        hint =
+          "Requires s3:GetObject permission. Objects encrypted with SSE-C need sseCustomerAlgorithm and sseCustomerKey";
+        break;
+      case "BadRequest":
+        hint =
+          "Check the parameters - SSE-C keys must match the key used at upload";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message || error.name}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: statusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Group a HeadObject response into friendly sections
+ * @param {Object} head - HeadObject response
+ * @returns {Object} - { object, checksums, encryption, restore, objectLock }
+ */
+function describeHead(head) {
+  const storageClass = head.StorageClass || "STANDARD";
+  const restore = parseRestoreHeader(head.Restore);
+  const requiresRestore =
+    ARCHIVE_STORAGE_CLASSES.includes(storageClass) ||
+    head.ArchiveStatus !== undefined;
+
+  return {
+    object: {
+      size: head.ContentLength,
+      sizeFormatted: formatBytes(head.ContentLength || 0),
+      contentType: head.ContentType,
+      lastModified: head.LastModified,
+      etag: head.ETag,
+      versionId: head.VersionId,
+      storageClass: storageClass,
+      partsCount: head.PartsCount,
+      cacheControl: head.CacheControl,
+      contentEncoding: head.ContentEncoding,
+      contentDisposition: head.ContentDisposition,
+      contentLanguage: head.ContentLanguage,
+      expires: head.ExpiresString || head.Expires,
+      websiteRedirectLocation: head.WebsiteRedirectLocation,
+      metadata: head.Metadata || {},
+    },
+    checksums: {
+      crc32: head.ChecksumCRC32,
+      crc32c: head.ChecksumCRC32C,
+      crc64nvme: head.ChecksumCRC64NVME,
+      sha1: head.ChecksumSHA1,
+      sha256: head.ChecksumSHA256,
+      type: head.ChecksumType,
+    },
+    encryption: {
+      serverSideEncryption: head.ServerSideEncryption || "none",
+      kmsKeyId: head.SSEKMSKeyId,
+      bucketKeyEnabled: head.BucketKeyEnabled,
+      sseCustomerAlgorithm: head.SSECustomerAlgorithm,
+    },
+    restore: {
+      requiresRestore: requiresRestore,
+      archiveStatus: head.ArchiveStatus,
+      ...restore,
+    },
+    objectLock: {
+      mode: head.ObjectLockMode,
+      retainUntilDate: head.ObjectLockRetainUntilDate,
+      daysRemaining: daysRemaining(head.ObjectLockRetainUntilDate),
+      legalHold: head.ObjectLockLegalHoldStatus === "ON",
+    },
+  };
+}
+
+/**
+ * Parse the x-amz-restore header,
+ * e.g. 'ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"'
+ * @param {string} header - Restore header value (may be undefined)
+ * @returns {Object} - { ongoing, restored, expiryDate }
+ */
+function parseRestoreHeader(header) {
+  if (!header) {
+    return { ongoing: false, restored: false, expiryDate: undefined };
+  }
+  const ongoing = /ongoing-request="true"/.test(header);
+  const expiry = header.match(/expiry-date="([^"]+)"/);
+
+  return {
+    ongoing: ongoing,
+    restored: !ongoing,
+    expiryDate: expiry ? new Date(expiry[1]).toISOString() : undefined,
+  };
+}
+
+module.exports = headObject;
+module.exports.describeHead = describeHead;
+module.exports.parseRestoreHeader = parseRestoreHeader;
@@ -0,0 +1,145 @@
+// tools/listObjectVersions.js - List object versions and delete markers
+const { s3Client } = require("../utils/s3Client");
+const { ListObjectVersionsCommand } = require("@aws-sdk/client-s3");
+const parameterMapper = require("../utils/parameterMapper");
+
+async function listObjectVersions(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  // A single key is listed via its prefix, then filtered exactly below
+  const listParams = {
+    bucketName: params.bucketName,
+    prefix: params.fileName || params.prefix,
+    delimiter: params.delimiter,
+    maxKeys: params.maxKeys,
+    keyMarker: params.keyMarker,
+    versionIdMarker: params.versionIdMarker,
+    expectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  // Use smart parameter mapper for AWS SDK compliance
+  const commandParams = parameterMapper.mapParameters(listParams);
+
+  console.log("📤 Sending to AWS S3:", JSON.stringify(commandParams, null, 2));
+
+  try {
+    const result = await s3Client.send(
+      new ListObjectVersionsCommand(commandParams)
+    );
+
+    const entries = [
+      ...(result.Versions || []).map((version) => ({
+        key: version.Key,
+        versionId: version.VersionId,
+        isLatest: version.IsLatest,
+        isDeleteMarker: false,
+        size: version.Size,
+        lastModified: version.LastModified,
+        etag: version.ETag,
+        storageClass: version.StorageClass,
+      })),
+      ...(result.DeleteMarkers || []).map((marker) => ({
+        key: marker.Key,
+        versionId: marker.VersionId,
+        isLatest: marker.IsLatest,
+        isDeleteMarker: true,
+        lastModified: marker.LastModified,
+      })),
+    ].filter((entry) => !params.fileName || entry.key === params.fileName);
+
+    // Group by key, newest version first
+    const objects = {};
+    for (const entry of entries) {
+      if (!objects[entry.key]) objects[entry.key] = [];
+      objects[entry.key].push(entry);
+    }
+
+    const keys = Object.keys(objects).sort();
+    const summary = keys.map((key) => {
+      const versions = objects[key].sort(
+        (a, b) => new Date(b.lastModified) - new Date(a.lastModified)
+      );
+      const latest = versions.find((version) => version.isLatest);
+
+      return {
+        key: key,
+        currentState: latest?.isDeleteMarker ? "deleted" : "exists",
+        versionCount: versions.filter((version) => !version.isDeleteMarker)
+          .length,
+        deleteMarkerCount: versions.filter((version) => version.isDeleteMarker)
+          .length,
+        versions: versions.map(({ key: _key, ...version }) => version),
+      };
+    });
+
+    const deletedKeys = summary.filter(
+      (item) => item.currentState === "deleted"
+    );
+
+    return {
+      success: true,
+      message: `✅ Found ${entries.length} versions/delete markers for ${keys.length} keys in "${params.bucketName}"`,
+      versionsInfo: {
+        bucketName: params.bucketName,
+        prefix: listParams.prefix || "",
+        totalKeys: keys.length,
+        totalVersions: entries.filter((entry) => !entry.isDeleteMarker).length,
+        totalDeleteMarkers: entries.filter((entry) => entry.isDeleteMarker)
+          .length,
+        deletedKeys: deletedKeys.map((item) => item.key),
+        isTruncated: result.IsTruncated || false,
+        nextKeyMarker: result.NextKeyMarker,
+        nextVersionIdMarker: result.NextVersionIdMarker,
+      },
+      objects: summary,
+      ...(deletedKeys.length > 0 && {
+        restoreHint:
+          "Keys whose latest entry is a delete marker can be recovered with restore_object_version.",
+      }),
+      ...(result.IsTruncated && {
+        paginationNote:
+          "More versions available. Call again with keyMarker and versionIdMarker set to nextKeyMarker and nextVersionIdMarker.",
+      }),
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint = "Ensure IAM policy includes s3:ListBucketVersions permission";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+module.exports = listObjectVersions;
@@ -0,0 +1,160 @@
+// tools/listObjects.js - List bucket contents with prefix/delimiter browsing
+const { s3Client } = require("../utils/s3Client");
+const { ListObjectsV2Command } = require("@aws-sdk/client-s3");
+const parameterMapper = require("../utils/parameterMapper");
+const { formatBytes } = require("../utils/formatters");
+
+async function listObjects(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  // Folder-style browsing uses "/" unless the user asks for a flat listing
+  const delimiter =
+    params.recursive === true ? undefined : params.delimiter || "/";
+
+  // Only forward ListObjectsV2 parameters - tool options stay local
+  const listParams = {
+    bucketName: params.bucketName,
+    prefix: params.prefix,
+    delimiter: delimiter,
+    maxKeys: params.maxKeys,
+    continuationToken: params.continuationToken,
+    startAfter: params.startAfter,
+    fetchOwner: params.fetchOwner,
+    encodingType: params.encodingType,
+    requestPayer: params.requestPayer,
+    expectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  // Use smart parameter mapper for AWS SDK compliance
+  const commandParams = parameterMapper.mapParameters(listParams);
+
+  console.log("📤 Sending to AWS S3:", JSON.stringify(commandParams, null, 2));
+
+  const command = new ListObjectsV2Command(commandParams);
+
+  try {
+    const result = await s3Client.send(command);
+    const prefix = params.prefix || "";
+
+    // Common prefixes behave like sub-directories
+    const folders = (result.CommonPrefixes || []).map((entry) => ({
+      name: entry.Prefix.slice(prefix.length),
+      key: entry.Prefix,
+      isDirectory: true,
+      isFile: false,
+    }));
+
+    const files = (result.Contents || [])
+      // The "folder" placeholder object itself is not interesting
+      .filter((object) => object.Key !== prefix || prefix === "")
+      .map((object) => ({
+        name: object.Key.slice(prefix.length),
+        key: object.Key,
+        isDirectory: false,
+        isFile: true,
+        size: object.Size,
+        sizeFormatted: formatBytes(object.Size),
+        lastModified: object.LastModified,
+        storageClass: object.StorageClass || "STANDARD",
+        etag: object.ETag,
+        ...(object.Owner && { owner: object.Owner }),
+      }));
+
+    // Sort: directories first, then files (same as list_directory)
+    const contents = [...folders, ...files].sort((a, b) => {
+      if (a.isDirectory && !b.isDirectory) return -1;
+      if (!a.isDirectory && b.isDirectory) return 1;
+      return a.name.localeCompare(b.name);
+    });
+
+    const totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+
+    return {
+      success: true,
+      message: `✅ Listed ${files.length} objects and ${folders.length} folders in "${params.bucketName}/${prefix}"`,
+      listingInfo: {
+        bucketName: params.bucketName,
+        prefix: prefix,
+        delimiter: delimiter || null,
+        totalItems: contents.length,
+        directories: folders.length,
+        files: files.length,
+        totalSize: totalSize,
+        totalSizeFormatted: formatBytes(totalSize),
+        isTruncated: result.IsTruncated || false,
+        nextContinuationToken: result.NextContinuationToken,
+        keyCount: result.KeyCount,
+      },
+      tree: buildTree(params.bucketName, prefix, contents),
+      contents: contents,
+      ...(result.IsTruncated && {
+        paginationNote:
+          "More results available. Call list_objects again with continuationToken set to nextContinuationToken.",
+      }),
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint = "Ensure IAM policy includes s3:ListBucket permission";
+        break;
+      case "InvalidArgument":
+        hint = "Check continuationToken and maxKeys (1-1000) values";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Render a tree-style text summary of the listing
+ * @param {string} bucketName - Bucket name
+ * @param {string} prefix - Listed prefix
+ * @param {Array} contents - Sorted folders and files
+ * @returns {string} - Tree summary
+ */
+function buildTree(bucketName, prefix, contents) {
+  const lines = [`${bucketName}/${prefix}`];
+
+  contents.forEach((item, index) => {
+    const branch = index === contents.length - 1 ? "└── " : "├── ";
+    const label = item.isDirectory
+      ? `📁 ${item.name}`
+      : `📄 ${item.name} (${item.sizeFormatted}, ${item.storageClass})`;
+    lines.push(branch + label);
+  });
+
+  return lines.join("\n");
+}
+
+module.exports = listObjects;
@@ -0,0 +1,69 @@
+// tools/listProfiles.js - Show the configured S3 endpoint profiles
+const { ListBucketsCommand } = require("@aws-sdk/client-s3");
+const { getS3Client } = require("../utils/s3Client");
+const { loadProfiles, describeProfile } = require("../utils/profiles");
+
+const CONNECTIVITY_TIMEOUT_MS = 5000;
+
+async function listProfiles(params = {}) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  const { profiles, defaultProfile, configFile, warnings } = loadProfiles();
+  const described = [...profiles.values()].map(describeProfile);
+
+  // Optionally try one cheap request per profile
+  if (params.checkConnectivity) {
+    await Promise.all(
+      described.map(async (profile) => {
+        profile.connectivity = await checkConnectivity(profile.name);
+      })
+    );
+  }
+
+  const reachable = described.filter((p) => p.connectivity?.reachable);
+
+  return {
+    success: true,
+    message: `🗂️  ${
+      described.length
+    } S3 profile(s) configured (default: "${defaultProfile}")${
+      params.checkConnectivity ? `, ${reachable.length} reachable` : ""
+    }`,
+    defaultProfile: defaultProfile,
+    profiles: described,
+    configFile: configFile,
+    ...(warnings.length > 0 && { warnings: warnings }),
+    usage:
+      'Pass profile: "<name>" to any S3 tool to run it against that store; without it the default profile is used.',
+    aiExtractedParams: params,
+  };
+}
+
+async function checkConnectivity(profileName) {
+  const started = Date.now();
+  try {
+    const client = getS3Client(profileName);
+    await client.send(new ListBucketsCommand({ MaxBuckets: 1 }), {
+      abortSignal: AbortSignal.timeout(CONNECTIVITY_TIMEOUT_MS),
+    });
+    // Temporary credentials (assumed roles, web identity) are renewed before this
+    const { expiration } = await client.config.credentials();
+    return {
+      reachable: true,
+      latencyMs: Date.now() - started,
+      ...(expiration && { credentialsExpire: expiration.toISOString() }),
+    };
+  } catch (error) {
+    return {
+      reachable: false,
+      errorCode: error.name,
+      error: error.message,
+      ...(error.tlsHint && { hint: error.tlsHint }),
+    };
+  }
+}
+
+module.exports = listProfiles;
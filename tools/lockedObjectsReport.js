@@ -0,0 +1,168 @@
+// tools/lockedObjectsReport.js - List objects under a prefix that are protected by Object Lock
+const { s3Client } = require("../utils/s3Client");
+const { HeadObjectCommand } = require("@aws-sdk/client-s3");
+const { listAllObjects } = require("../utils/objectLister");
+const {
+  mapWithConcurrency,
+  validateConcurrency,
+} = require("../utils/concurrency");
+const { daysRemaining } = require("../utils/objectLock");
+const { formatBytes } = require("../utils/formatters");
+
+const DEFAULT_MAX_SCANNED = 1000;
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_EXPIRING_DAYS = 30;
+
+async function lockedObjectsReport(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const concurrencyError = validateConcurrency(params.concurrency);
+  if (concurrencyError) {
+    return {
+      success: false,
+      message: `Error: ${concurrencyError}.`,
+      receivedParams: params,
+    };
+  }
+
+  const expiringWithinDays = params.expiringWithinDays ?? DEFAULT_EXPIRING_DAYS;
+
+  try {
+    const listing = await listAllObjects(params.bucketName, params.prefix, {
+      maxObjects: params.maxObjects || DEFAULT_MAX_SCANNED,
+      continuationToken: params.continuationToken,
+    });
+
+    const locked = [];
+    const errors = [];
+
+    // Lock state is only returned by HeadObject, one request per object
+    await mapWithConcurrency(
+      listing.objects,
+      Number(params.concurrency) || DEFAULT_CONCURRENCY,
+      async (object) => {
+        try {
+          const head = await s3Client.send(
+            new HeadObjectCommand({
+              Bucket: params.bucketName,
+              Key: object.key,
+              ExpectedBucketOwner: params.expectedBucketOwner,
+            })
+          );
+          const remaining = daysRemaining(head.ObjectLockRetainUntilDate);
+          const legalHold = head.ObjectLockLegalHoldStatus === "ON";
+
+          if (remaining > 0 || legalHold) {
+            locked.push({
+              key: object.key,
+              size: object.size,
+              sizeFormatted: formatBytes(object.size),
+              versionId: head.VersionId,
+              mode: remaining > 0 ? head.ObjectLockMode : undefined,
+              retainUntilDate:
+                remaining > 0
+                  ? new Date(head.ObjectLockRetainUntilDate).toISOString()
+                  : undefined,
+              daysRemaining: remaining,
+              legalHold: legalHold,
+            });
+          }
+        } catch (error) {
+          // Deleted since the listing - nothing to report
+          if (error.name !== "NotFound" && error.name !== "NoSuchKey") {
+            errors.push({ key: object.key, error: error.message });
+          }
+        }
+      }
+    );
+
+    // Soonest to unlock first; legal holds without retention last
+    locked.sort(
+      (a, b) =>
+        (a.retainUntilDate ? 0 : 1) - (b.retainUntilDate ? 0 : 1) ||
+        (a.retainUntilDate || "").localeCompare(b.retainUntilDate || "") ||
+        a.key.localeCompare(b.key)
+    );
+
+    const summary = {
+      governance: locked.filter((o) => o.mode === "GOVERNANCE").length,
+      compliance: locked.filter((o) => o.mode === "COMPLIANCE").length,
+      legalHold: locked.filter((o) => o.legalHold).length,
+      expiringSoon: locked.filter(
+        (o) =>
+          o.retainUntilDate &&
+          !o.legalHold &&
+          o.daysRemaining <= expiringWithinDays
+      ).length,
+    };
+    const lockedSize = locked.reduce((sum, o) => sum + o.size, 0);
+
+    return {
+      success: errors.length === 0 || errors.length < listing.objects.length,
+      message: `🔒 ${locked.length} of ${
+        listing.objects.length
+      } scanned objects in "${params.bucketName}/${
+        params.prefix || ""
+      }" are locked (${summary.compliance} compliance, ${
+        summary.governance
+      } governance, ${summary.legalHold} legal hold)`,
+      lockReport: {
+        bucketName: params.bucketName,
+        prefix: params.prefix || "",
+        scanned: listing.objects.length,
+        locked: locked.length,
+        lockedSize: lockedSize,
+        lockedSizeFormatted: formatBytes(lockedSize),
+        ...summary,
+        expiringWithinDays: expiringWithinDays,
+        failed: errors.length,
+        isTruncated: listing.isTruncated,
+        nextContinuationToken: listing.nextContinuationToken,
+      },
+      lockedObjects: locked,
+      ...(errors.length > 0 && { errors: errors.slice(0, 20) }),
+      ...(listing.isTruncated && {
+        paginationNote: `Only the first ${listing.objects.length} objects were scanned. Call locked_objects_report again with continuationToken set to nextContinuationToken to continue.`,
+      }),
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint =
+          "Requires s3:ListBucket, s3:GetObject, s3:GetObjectRetention and s3:GetObjectLegalHold permissions";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+module.exports = lockedObjectsReport;
@@ -0,0 +1,14 @@
+// tools/moveObject.js - Server-side move (copy then delete source)
+const { transferObjects } = require("./copyObject");
+
+async function moveObject(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // A move is a verified copy followed by deletion of the source
+  return await transferObjects(params, { deleteSource: true });
+}
+
+module.exports = moveObject;
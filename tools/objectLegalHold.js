@@ -0,0 +1,156 @@
+// tools/objectLegalHold.js - Read, place or release a legal hold on a single object
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetObjectLegalHoldCommand,
+  PutObjectLegalHoldCommand,
+} = require("@aws-sdk/client-s3");
+
+async function objectLegalHold(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameters
+  if (!params.bucketName || !params.fileName) {
+    return {
+      success: false,
+      message:
+        "Error: bucketName and fileName are required. Please provide both parameters.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+  if (!["get", "put"].includes(action)) {
+    return {
+      success: false,
+      message: `Error: action must be "get" or "put" (received "${params.action}").`,
+      receivedParams: params,
+    };
+  }
+
+  let commandParams = {
+    Bucket: params.bucketName,
+    Key: params.fileName,
+    VersionId: params.versionId,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    if (action === "get") {
+      let status = "OFF";
+      try {
+        const result = await s3Client.send(
+          new GetObjectLegalHoldCommand(commandParams)
+        );
+        status = result.LegalHold?.Status || "OFF";
+      } catch (error) {
+        // Never had a legal hold
+        if (error.name !== "NoSuchObjectLockConfiguration") {
+          throw error;
+        }
+      }
+
+      return {
+        success: true,
+        message:
+          status === "ON"
+            ? `🔒 "${params.fileName}" is under legal hold`
+            : `ℹ️  "${params.fileName}" has no legal hold`,
+        legalHold: {
+          bucketName: params.bucketName,
+          fileName: params.fileName,
+          versionId: params.versionId,
+          status: status,
+        },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    // Accept status "ON"/"OFF" or legalHold true/false
+    let status;
+    if (params.status !== undefined) {
+      status = String(params.status).trim().toUpperCase();
+    } else if (typeof params.legalHold === "boolean") {
+      status = params.legalHold ? "ON" : "OFF";
+    }
+    if (!["ON", "OFF"].includes(status)) {
+      return {
+        success: false,
+        message:
+          'Error: status must be "ON" (place hold) or "OFF" (release hold).',
+        receivedParams: params,
+      };
+    }
+
+    commandParams = {
+      ...commandParams,
+      LegalHold: { Status: status },
+    };
+
+    console.log(
+      "📤 Sending to AWS S3:",
+      JSON.stringify(commandParams, null, 2)
+    );
+
+    const result = await s3Client.send(
+      new PutObjectLegalHoldCommand(commandParams)
+    );
+
+    return {
+      success: true,
+      message:
+        status === "ON"
+          ? `✅ Legal hold placed on "${params.fileName}" - it cannot be deleted until the hold is released`
+          : `✅ Legal hold released from "${params.fileName}"`,
+      legalHold: {
+        bucketName: params.bucketName,
+        fileName: params.fileName,
+        versionId: params.versionId,
+        status: status,
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      awsResponse: {
+        metadata: result.$metadata,
+      },
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "NoSuchKey":
+      case "NoSuchVersion":
+        hint = `Object "${params.fileName}" not found in bucket "${params.bucketName}"`;
+        break;
+      case "AccessDenied":
+        hint =
+          "Requires s3:GetObjectLegalHold / s3:PutObjectLegalHold permission";
+        break;
+      case "InvalidRequest":
+        hint =
+          "The bucket must have Object Lock enabled (see bucket_object_lock)";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+module.exports = objectLegalHold;
@@ -0,0 +1,226 @@
+// tools/objectRetention.js - Read or set Object Lock retention on a single object
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetObjectRetentionCommand,
+  PutObjectRetentionCommand,
+} = require("@aws-sdk/client-s3");
+const {
+  normalizeLockMode,
+  resolveRetainUntil,
+  daysRemaining,
+} = require("../utils/objectLock");
+
+async function objectRetention(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameters
+  if (!params.bucketName || !params.fileName) {
+    return {
+      success: false,
+      message:
+        "Error: bucketName and fileName are required. Please provide both parameters.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+  if (!["get", "put", "delete"].includes(action)) {
+    return {
+      success: false,
+      message: `Error: action must be "get", "put" or "delete" (received "${params.action}").`,
+      receivedParams: params,
+    };
+  }
+
+  let commandParams = {
+    Bucket: params.bucketName,
+    Key: params.fileName,
+    VersionId: params.versionId,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    if (action === "get") {
+      const retention = await getRetention(commandParams);
+
+      return {
+        success: true,
+        message: retention
+          ? `🔒 "${params.fileName}" is retained in ${retention.mode} mode until ${retention.retainUntilDate} (${retention.daysRemaining} days left)`
+          : `ℹ️  "${params.fileName}" has no retention period`,
+        retention: {
+          bucketName: params.bucketName,
+          fileName: params.fileName,
+          versionId: params.versionId,
+          retained: Boolean(retention && retention.daysRemaining > 0),
+          ...(retention || {}),
+        },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    if (action === "put") {
+      const validationErrors = [];
+      const mode = normalizeLockMode(params.mode);
+      if (!mode) {
+        validationErrors.push(
+          `mode must be "governance" or "compliance" (received "${params.mode}")`
+        );
+      }
+      const retainUntil = resolveRetainUntil(params);
+      if (retainUntil.error) {
+        validationErrors.push(retainUntil.error);
+      }
+
+      if (validationErrors.length > 0) {
+        return {
+          success: false,
+          message: `Error: Invalid retention:\n- ${validationErrors.join(
+            "\n- "
+          )}`,
+          validationErrors: validationErrors,
+          receivedParams: params,
+        };
+      }
+
+      // Compliance retention can never be shortened or removed
+      if (mode === "COMPLIANCE" && params.acknowledgeCompliance !== true) {
+        return {
+          success: false,
+          message: `Error: COMPLIANCE retention cannot be shortened or removed by anyone, including the root account, until ${retainUntil.date.toISOString()}. Set acknowledgeCompliance: true to proceed, or use mode "governance".`,
+          receivedParams: params,
+        };
+      }
+
+      commandParams = {
+        ...commandParams,
+        Retention: {
+          Mode: mode,
+          RetainUntilDate: retainUntil.date,
+        },
+        BypassGovernanceRetention:
+          params.bypassGovernanceRetention || undefined,
+      };
+    } else {
+      // Removing retention is only possible for GOVERNANCE with bypass
+      if (!params.bypassGovernanceRetention) {
+        return {
+          success: false,
+          message:
+            "Error: Removing retention requires bypassGovernanceRetention: true (GOVERNANCE mode only - COMPLIANCE retention cannot be removed).",
+          receivedParams: params,
+        };
+      }
+      commandParams = {
+        ...commandParams,
+        Retention: {},
+        BypassGovernanceRetention: true,
+      };
+    }
+
+    if (commandParams.BypassGovernanceRetention) {
+      console.log(
+        "⚠️  WARNING: Bypassing governance retention - this is a privileged operation"
+      );
+    }
+    console.log(
+      "📤 Sending to AWS S3:",
+      JSON.stringify(commandParams, null, 2)
+    );
+
+    const result = await s3Client.send(
+      new PutObjectRetentionCommand(commandParams)
+    );
+
+    return {
+      success: true,
+      message:
+        action === "put"
+          ? `✅ "${params.fileName}" retained in ${
+              commandParams.Retention.Mode
+            } mode until ${commandParams.Retention.RetainUntilDate.toISOString()}`
+          : `✅ Retention removed from "${params.fileName}"`,
+      retention: {
+        bucketName: params.bucketName,
+        fileName: params.fileName,
+        versionId: params.versionId,
+        ...(action === "put" && {
+          mode: commandParams.Retention.Mode,
+          retainUntilDate:
+            commandParams.Retention.RetainUntilDate.toISOString(),
+          daysRemaining: daysRemaining(commandParams.Retention.RetainUntilDate),
+        }),
+      },
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      awsResponse: {
+        metadata: result.$metadata,
+      },
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "NoSuchKey":
+      case "NoSuchVersion":
+        hint = `Object "${params.fileName}" not found in bucket "${params.bucketName}"`;
+        break;
+      case "AccessDenied":
+        hint = params.bypassGovernanceRetention
+          ? "Shortening or removing GOVERNANCE retention requires s3:BypassGovernanceRetention permission; COMPLIANCE retention can only be extended"
+          : "Requires s3:GetObjectRetention / s3:PutObjectRetention permission. Shortening existing retention needs bypassGovernanceRetention: true";
+        break;
+      case "InvalidRequest":
+        hint =
+          "The bucket must have Object Lock enabled (see bucket_object_lock) - it cannot be set on objects in other buckets";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Retention of an object, or null when it has none
+ * @param {Object} commandParams - { Bucket, Key, VersionId, ExpectedBucketOwner }
+ * @returns {Object|null} - { mode, retainUntilDate, daysRemaining }
+ */
+async function getRetention(commandParams) {
+  try {
+    const result = await s3Client.send(
+      new GetObjectRetentionCommand(commandParams)
+    );
+    if (!result.Retention?.Mode) return null;
+
+    return {
+      mode: result.Retention.Mode,
+      retainUntilDate: new Date(result.Retention.RetainUntilDate).toISOString(),
+      daysRemaining: daysRemaining(result.Retention.RetainUntilDate),
+    };
+  } catch (error) {
+    if (error.name === "NoSuchObjectLockConfiguration") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = objectRetention;
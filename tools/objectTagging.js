@@ -0,0 +1,164 @@
+// tools/objectTagging.js - Read, change or remove tags on an object
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetObjectTaggingCommand,
+  PutObjectTaggingCommand,
+  DeleteObjectTaggingCommand,
+} = require("@aws-sdk/client-s3");
+const {
+  normalizeTags,
+  validateTags,
+  toTagSet,
+  fromTagSet,
+} = require("../utils/tagging");
+
+async function objectTagging(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameters
+  if (!params.bucketName || !params.fileName) {
+    return {
+      success: false,
+      message: "Error: bucketName and fileName are required.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+  if (!["get", "put", "delete"].includes(action)) {
+    return {
+      success: false,
+      message: `Error: action must be "get", "put" or "delete" (received "${params.action}").`,
+      receivedParams: params,
+    };
+  }
+
+  const commandParams = {
+    Bucket: params.bucketName,
+    Key: params.fileName,
+    VersionId: params.versionId,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    const current = fromTagSet(
+      (await s3Client.send(new GetObjectTaggingCommand(commandParams))).TagSet
+    );
+
+    if (action === "get") {
+      return {
+        success: true,
+        message: `✅ "${params.fileName}" has ${
+          Object.keys(current).length
+        } tag(s)`,
+        tagging: {
+          bucketName: params.bucketName,
+          fileName: params.fileName,
+          versionId: params.versionId,
+          tags: current,
+        },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    let tags;
+    if (action === "put") {
+      const incoming = normalizeTags(params.tags);
+      if (Object.keys(incoming).length === 0) {
+        return {
+          success: false,
+          message:
+            'Error: tags are required for action "put", e.g. { "project": "alpha" }.',
+          receivedParams: params,
+        };
+      }
+      // merge (default) keeps tags that are not mentioned
+      tags =
+        (params.mode || "merge").toLowerCase() === "replace"
+          ? incoming
+          : { ...current, ...incoming };
+    } else {
+      // delete: only the named keys, or everything
+      const tagKeys = [].concat(params.tagKeys || []);
+      tags = { ...current };
+      tagKeys.forEach((key) => delete tags[key]);
+      if (tagKeys.length === 0) tags = {};
+    }
+
+    const errors = validateTags(tags, "object");
+    if (errors.length > 0) {
+      return {
+        success: false,
+        message: `Error: Invalid tags:\n- ${errors.join("\n- ")}`,
+        validationErrors: errors,
+        receivedParams: params,
+      };
+    }
+
+    let result;
+    let sentParams = commandParams;
+    if (Object.keys(tags).length === 0) {
+      result = await s3Client.send(
+        new DeleteObjectTaggingCommand(commandParams)
+      );
+    } else {
+      sentParams = { ...commandParams, Tagging: { TagSet: toTagSet(tags) } };
+      console.log("📤 Sending to AWS S3:", JSON.stringify(sentParams, null, 2));
+      result = await s3Client.send(new PutObjectTaggingCommand(sentParams));
+    }
+
+    return {
+      success: true,
+      message: `✅ Tags on "${params.fileName}" updated (${
+        Object.keys(tags).length
+      } tag(s))`,
+      tagging: {
+        bucketName: params.bucketName,
+        fileName: params.fileName,
+        versionId: result.VersionId || params.versionId,
+        previousTags: current,
+        tags: tags,
+      },
+      aiExtractedParams: params,
+      awsCommandParams: sentParams,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "NoSuchKey":
+        hint = `The object "${params.fileName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint =
+          "Requires s3:GetObjectTagging / s3:PutObjectTagging (and s3:*ObjectVersionTagging for versionId) permission";
+        break;
+      case "InvalidTag":
+        hint =
+          "Tag keys/values may contain letters, digits, spaces and + - = . _ : / @";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+module.exports = objectTagging;
@@ -0,0 +1,192 @@
+// tools/publicAccessBlock.js - Read, change or remove Block Public Access settings
+const { s3Client } = require("../utils/s3Client");
+const {
+  GetPublicAccessBlockCommand,
+  PutPublicAccessBlockCommand,
+  DeletePublicAccessBlockCommand,
+} = require("@aws-sdk/client-s3");
+
+// Tool parameter → PublicAccessBlockConfiguration field
+const SETTINGS = {
+  blockPublicAcls: "BlockPublicAcls",
+  ignorePublicAcls: "IgnorePublicAcls",
+  blockPublicPolicy: "BlockPublicPolicy",
+  restrictPublicBuckets: "RestrictPublicBuckets",
+};
+
+async function publicAccessBlock(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "get").toLowerCase();
+  if (!["get", "put", "delete"].includes(action)) {
+    return {
+      success: false,
+      message: `Error: action must be "get", "put" or "delete" (received "${params.action}").`,
+      receivedParams: params,
+    };
+  }
+
+  const commandParams = {
+    Bucket: params.bucketName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    if (action === "get") {
+      const configuration = await fetchConfiguration(commandParams);
+
+      return {
+        success: true,
+        message: configuration
+          ? `✅ Block Public Access for "${params.bucketName}": ${describe(
+              configuration
+            )}`
+          : `⚠️  "${params.bucketName}" has no Block Public Access configuration - public ACLs and policies are allowed`,
+        publicAccessBlock: {
+          bucketName: params.bucketName,
+          configured: Boolean(configuration),
+          ...toToolSettings(configuration || {}),
+          allBlocked: isAllBlocked(configuration),
+        },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    if (action === "put") {
+      const current = (await fetchConfiguration(commandParams)) || {};
+      const configuration = {};
+
+      // blockAll sets every flag; individual flags override it
+      for (const [toolKey, sdkKey] of Object.entries(SETTINGS)) {
+        const value =
+          params[toolKey] !== undefined ? params[toolKey] : params.blockAll;
+        configuration[sdkKey] =
+          value !== undefined ? toBoolean(value) : current[sdkKey] === true;
+      }
+
+      const putParams = {
+        ...commandParams,
+        PublicAccessBlockConfiguration: configuration,
+      };
+
+      console.log("📤 Sending to AWS S3:", JSON.stringify(putParams, null, 2));
+
+      const result = await s3Client.send(
+        new PutPublicAccessBlockCommand(putParams)
+      );
+
+      return {
+        success: true,
+        message: `✅ Block Public Access for "${
+          params.bucketName
+        }" updated: ${describe(configuration)}`,
+        publicAccessBlock: {
+          bucketName: params.bucketName,
+          configured: true,
+          ...toToolSettings(configuration),
+          allBlocked: isAllBlocked(configuration),
+        },
+        aiExtractedParams: params,
+        awsCommandParams: putParams,
+        awsResponse: {
+          metadata: result.$metadata,
+        },
+      };
+    }
+
+    await s3Client.send(new DeletePublicAccessBlockCommand(commandParams));
+
+    return {
+      success: true,
+      message: `✅ Block Public Access configuration removed from "${params.bucketName}". Public ACLs and policies are now possible.`,
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint =
+          "Requires s3:GetBucketPublicAccessBlock / s3:PutBucketPublicAccessBlock permission. An account-level block may also apply";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Current configuration, or null when none is set
+ */
+async function fetchConfiguration(commandParams) {
+  try {
+    const result = await s3Client.send(
+      new GetPublicAccessBlockCommand(commandParams)
+    );
+    return result.PublicAccessBlockConfiguration || null;
+  } catch (error) {
+    if (error.name === "NoSuchPublicAccessBlockConfiguration") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function toToolSettings(configuration) {
+  const settings = {};
+  for (const [toolKey, sdkKey] of Object.entries(SETTINGS)) {
+    settings[toolKey] = configuration[sdkKey] === true;
+  }
+  return settings;
+}
+
+function isAllBlocked(configuration) {
+  return Boolean(
+    configuration &&
+      Object.values(SETTINGS).every((sdkKey) => configuration[sdkKey] === true)
+  );
+}
+
+function describe(configuration) {
+  if (isAllBlocked(configuration)) return "all public access blocked";
+  const on = Object.entries(SETTINGS)
+    .filter(([, sdkKey]) => configuration[sdkKey] === true)
+    .map(([toolKey]) => toolKey);
+  return on.length ? `only ${on.join(", ")}` : "nothing blocked";
+}
+
+function toBoolean(value) {
+  return ["true", "on", "yes", "enable", "enabled", "block"].includes(
+    String(value).toLowerCase()
+  );
+}
+
+module.exports = publicAccessBlock;
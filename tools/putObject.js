@@ -1,10 +1,26 @@
 // tools/putObject.js - Universal Upload Tool (Handles Everything!)
 const { s3Client } = require("../utils/s3Client");
-const { PutObjectCommand } = require("@aws-sdk/client-s3");
+const {
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require("@aws-sdk/client-s3");
 const parameterMapper = require("../utils/parameterMapper");
 const fileSystem = require("../utils/fileSystem");
+const { createReadStream } = require("fs");
+const fs = require("fs").promises;
 const path = require("path");
 
+// Multipart defaults (overridable per request or via env)
+const DEFAULT_MULTIPART_THRESHOLD_MB = 64;
+const DEFAULT_PART_SIZE_MB = 16;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 3;
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
 async function putObject(params) {
   console.log(
     "🔍 Universal Upload - Received parameters:",
@@ -20,6 +36,18 @@ async function putObject(params) {
     };
   }
 
+  const validationErrors = validateMultipartParams(params);
+  if (validationErrors.length > 0) {
+    return {
+      success: false,
+      message: `Error: Invalid upload options:\n- ${validationErrors.join(
+        "\n- "
+      )}`,
+      validationErrors: validationErrors,
+      receivedParams: params,
+    };
+  }
+
   // SCENARIO 1: Direct content upload (original behavior)
   if (params.fileContent && params.fileName) {
     return await uploadDirectContent(params);
@@ -78,13 +106,13 @@ async function uploadDirectContent(params) {
   }
 }
 
-// SCENARIO 2: Upload single file by path
+// SCENARIO 2: Upload single file by path (streamed, multipart above threshold)
 async function uploadSingleFile(params) {
   console.log("📁 Single file upload mode");
 
   try {
-    // Read the file
-    const fileResult = await fileSystem.readFile(params.filePath);
+    // Stat the file - content is streamed, never loaded into memory
+    const fileResult = await fileSystem.getFileInfo(params.filePath);
     if (!fileResult.success) {
       return {
         success: false,
@@ -101,30 +129,56 @@ async function uploadSingleFile(params) {
     // Prepare upload parameters
     const uploadParams = {
       bucketName: params.bucketName,
-      fileName: s3Key,
-      fileContent: fileResult.content,
       contentType: fileResult.contentType,
       // Pass through any additional S3 parameters
       ...params,
+      fileName: s3Key,
     };
 
-    // Remove file system specific params
+    // Remove file system and upload tuning specific params
     delete uploadParams.filePath;
     delete uploadParams.s3Key;
+    delete uploadParams.multipartThresholdMB;
+    delete uploadParams.partSizeMB;
+    delete uploadParams.concurrency;
+    delete uploadParams.maxRetries;
 
-    // Map and upload
+    // Map parameters
     const commandParams = parameterMapper.mapParameters(uploadParams);
-
-    // Handle binary content
-    if (fileResult.isBinary) {
-      commandParams.Body = Buffer.from(fileResult.content, "base64");
+    const uploadOptions = getMultipartOptions(params);
+
+    let uploadResult;
+    if (fileResult.fileSize > uploadOptions.threshold) {
+      uploadResult = await multipartUpload(
+        params.filePath,
+        fileResult.fileSize,
+        commandParams,
+        uploadOptions
+      );
     } else {
-      commandParams.Body = fileResult.content;
+      const startTime = Date.now();
+      commandParams.Body = createReadStream(params.filePath);
+      commandParams.ContentLength = fileResult.fileSize;
+
+      const command = new PutObjectCommand(commandParams);
+      const result = await s3Client.send(command);
+
+      uploadResult = {
+        uploadMethod: "single_put",
+        awsResponse: {
+          etag: result.ETag,
+          location: result.Location,
+          metadata: result.$metadata,
+        },
+        progress: {
+          totalBytes: fileResult.fileSize,
+          uploadedBytes: fileResult.fileSize,
+          percent: 100,
+          durationMs: Date.now() - startTime,
+        },
+      };
     }
 
-    const command = new PutObjectCommand(commandParams);
-    const result = await s3Client.send(command);
-
     return {
       success: true,
       message: `✅ File "${fileResult.fileName}" uploaded to bucket "${params.bucketName}" successfully!`,
@@ -136,23 +190,276 @@ async function uploadSingleFile(params) {
         fileSize: fileResult.fileSize,
         contentType: fileResult.contentType,
         isBinary: fileResult.isBinary,
+        uploadMethod: uploadResult.uploadMethod,
       },
-      awsResponse: {
-        etag: result.ETag,
-        location: result.Location,
-        metadata: result.$metadata,
-      },
+      uploadProgress: uploadResult.progress,
+      awsResponse: uploadResult.awsResponse,
     };
   } catch (error) {
     return {
       success: false,
       message: `❌ Single file upload error: ${error.message}`,
       uploadMode: "single_file",
-      errorDetails: { errorCode: error.name, errorMessage: error.message },
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        ...(error.uploadId && {
+          uploadId: error.uploadId,
+          aborted: error.aborted,
+          uploadProgress: error.progress,
+        }),
+      },
     };
   }
 }
 
+/**
+ * Resolve multipart tuning from params, then env vars, then defaults
+ * @param {Object} params - Tool parameters
+ * @returns {Object} - Threshold/part size in bytes, concurrency and retries
+ */
+function getMultipartOptions(params) {
+  // First valid value wins: param, env var, default (params are validated up front)
+  const megabytes = (...values) =>
+    Math.round(values.map(parseFloat).find((v) => v > 0) * 1024 * 1024);
+  const integer = (value, fallback, min) => {
+    const parsed = value === null || value === "" ? NaN : Number(value);
+    return Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+  };
+
+  return {
+    threshold: megabytes(
+      params.multipartThresholdMB,
+      process.env.S3_MULTIPART_THRESHOLD_MB,
+      DEFAULT_MULTIPART_THRESHOLD_MB
+    ),
+    partSize: Math.max(
+      MIN_PART_SIZE,
+      megabytes(
+        params.partSizeMB,
+        process.env.S3_MULTIPART_PART_SIZE_MB,
+        DEFAULT_PART_SIZE_MB
+      )
+    ),
+    concurrency: integer(
+      params.concurrency,
+      integer(process.env.S3_MULTIPART_CONCURRENCY, DEFAULT_CONCURRENCY, 1),
+      1
+    ),
+    maxRetries: integer(params.maxRetries, DEFAULT_MAX_RETRIES, 0),
+  };
+}
+
+/**
+ * Check multipart tuning params; NaN here would mean endless retries or no workers
+ * @returns {Array} - Validation error messages
+ */
+function validateMultipartParams(params) {
+  const errors = [];
+  const isSet = (value) =>
+    value !== undefined && value !== null && value !== "";
+
+  for (const name of ["multipartThresholdMB", "partSizeMB"]) {
+    if (isSet(params[name]) && !(Number(params[name]) > 0)) {
+      errors.push(
+        `${name} must be a positive number (received "${params[name]}")`
+      );
+    }
+  }
+  const isInteger = (value, min) =>
+    Number.isInteger(Number(value)) && Number(value) >= min;
+  if (isSet(params.concurrency) && !isInteger(params.concurrency, 1)) {
+    errors.push(
+      `concurrency must be a positive integer (received "${params.concurrency}")`
+    );
+  }
+  if (isSet(params.maxRetries) && !isInteger(params.maxRetries, 0)) {
+    errors.push(
+      `maxRetries must be 0 or a positive integer (received "${params.maxRetries}")`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Upload a file in parallel parts, aborting the upload ID on failure
+ * @param {string} filePath - Local file path
+ * @param {number} fileSize - File size in bytes
+ * @param {Object} commandParams - Mapped PutObject parameters
+ * @param {Object} options - Output of getMultipartOptions
+ * @returns {Object} - Upload method, AWS response and progress
+ */
+async function multipartUpload(filePath, fileSize, commandParams, options) {
+  const startTime = Date.now();
+  const { Body, ContentLength, ContentMD5, ...createParams } = commandParams;
+
+  // Grow parts if needed to stay within the 10,000 part limit
+  const partSize = Math.max(options.partSize, Math.ceil(fileSize / MAX_PARTS));
+  const totalParts = Math.ceil(fileSize / partSize);
+
+  console.log(
+    `📦 Multipart upload: ${totalParts} parts of ${partSize} bytes (concurrency ${options.concurrency})`
+  );
+
+  const created = await s3Client.send(
+    new CreateMultipartUploadCommand(createParams)
+  );
+  const uploadId = created.UploadId;
+
+  const fileHandle = await fs.open(filePath, "r");
+  const progress = {
+    totalBytes: fileSize,
+    uploadedBytes: 0,
+    totalParts: totalParts,
+    partsCompleted: 0,
+    retriedParts: 0,
+    partSize: partSize,
+  };
+  const parts = [];
+  let nextPartNumber = 1;
+  let failed = false;
+
+  // Each worker reads and uploads one part at a time
+  const worker = async () => {
+    while (!failed && nextPartNumber <= totalParts) {
+      const partNumber = nextPartNumber++;
+      const start = (partNumber - 1) * partSize;
+      const length = Math.min(partSize, fileSize - start);
+      const buffer = Buffer.alloc(length);
+      await fileHandle.read(buffer, 0, length, start);
+
+      const etag = await uploadPartWithRetry(
+        createParams,
+        uploadId,
+        partNumber,
+        buffer,
+        options.maxRetries,
+        progress
+      );
+
+      parts.push({ PartNumber: partNumber, ETag: etag });
+      progress.partsCompleted++;
+      progress.uploadedBytes += length;
+      console.log(
+        `📤 Part ${partNumber}/${totalParts} uploaded (${(
+          (progress.uploadedBytes / fileSize) *
+          100
+        ).toFixed(1)}%)`
+      );
+    }
+  };
+
+  try {
+    // Let in-flight parts settle before aborting so no part lands afterwards
+    const workers = [];
+    for (let i = 0; i < Math.min(options.concurrency, totalParts); i++) {
+      workers.push(
+        worker().catch((error) => {
+          failed = true;
+          throw error;
+        })
+      );
+    }
+    const outcomes = await Promise.allSettled(workers);
+    const rejected = outcomes.find((outcome) => outcome.status === "rejected");
+    if (rejected) throw rejected.reason;
+
+    parts.sort((a, b) => a.PartNumber - b.PartNumber);
+    const completed = await s3Client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: createParams.Bucket,
+        Key: createParams.Key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts },
+      })
+    );
+
+    const durationMs = Date.now() - startTime;
+    return {
+      uploadMethod: "multipart",
+      awsResponse: {
+        etag: completed.ETag,
+        location: completed.Location,
+        versionId: completed.VersionId,
+        uploadId: uploadId,
+        metadata: completed.$metadata,
+      },
+      progress: {
+        ...progress,
+        percent: 100,
+        durationMs: durationMs,
+        throughputMBps: (
+          fileSize /
+          1024 /
+          1024 /
+          Math.max(durationMs / 1000, 0.001)
+        ).toFixed(2),
+      },
+    };
+  } catch (error) {
+    console.warn(`⚠️  Multipart upload failed, aborting upload ${uploadId}`);
+    error.uploadId = uploadId;
+    error.progress = progress;
+    error.aborted = await s3Client
+      .send(
+        new AbortMultipartUploadCommand({
+          Bucket: createParams.Bucket,
+          Key: createParams.Key,
+          UploadId: uploadId,
+        })
+      )
+      .then(() => true)
+      .catch((abortError) => {
+        console.warn(
+          `⚠️  Could not abort multipart upload: ${abortError.message}`
+        );
+        return false;
+      });
+    throw error;
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+/**
+ * Upload one part, retrying with exponential backoff
+ */
+async function uploadPartWithRetry(
+  createParams,
+  uploadId,
+  partNumber,
+  buffer,
+  maxRetries,
+  progress
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await s3Client.send(
+        new UploadPartCommand({
+          Bucket: createParams.Bucket,
+          Key: createParams.Key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          Body: buffer,
+          ContentLength: buffer.length,
+          SSECustomerAlgorithm: createParams.SSECustomerAlgorithm,
+          SSECustomerKey: createParams.SSECustomerKey,
+          SSECustomerKeyMD5: createParams.SSECustomerKeyMD5,
+        })
+      );
+      return result.ETag;
+    } catch (error) {
+      if (attempt >= maxRetries) throw error;
+      if (attempt === 0) progress.retriedParts++;
+      const delay = 500 * Math.pow(2, attempt);
+      console.warn(
+        `⚠️  Part ${partNumber} failed (${error.message}), retrying in ${delay}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
 // SCENARIO 3: Upload entire directory
 async function uploadDirectory(params) {
   console.log("📦 Directory upload mode");
@@ -221,6 +528,10 @@ async function uploadDirectory(params) {
           serverSideEncryption: params.serverSideEncryption,
           storageClass: params.storageClass,
           metadata: params.metadata,
+          multipartThresholdMB: params.multipartThresholdMB,
+          partSizeMB: params.partSizeMB,
+          concurrency: params.concurrency,
+          maxRetries: params.maxRetries,
         });
 
         if (uploadResult.success) {
@@ -0,0 +1,424 @@
+// tools/queryObject.js - Run SQL against CSV / JSON / Parquet objects (S3 Select)
+const { s3Client } = require("../utils/s3Client");
+const {
+  SelectObjectContentCommand,
+  GetObjectCommand,
+} = require("@aws-sdk/client-s3");
+const zlib = require("zlib");
+const path = require("path");
+const {
+  compileQuery,
+  executeQuery,
+  csvRecords,
+  jsonRecords,
+} = require("../utils/localSelect");
+const { formatBytes } = require("../utils/formatters");
+
+const DEFAULT_MAX_ROWS = 500;
+// Keeps responses small enough for the model to read
+const MAX_RESULT_CHARS = 200000;
+// Errors meaning the endpoint has no SelectObjectContent support
+const SELECT_UNSUPPORTED_ERRORS = [
+  "NotImplemented",
+  "XNotImplemented",
+  "MethodNotAllowed",
+  "UnsupportedOperation",
+];
+
+async function queryObject(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameters
+  if (!params.bucketName || !params.fileName || !params.expression) {
+    return {
+      success: false,
+      message:
+        "Error: bucketName, fileName and expression are required, e.g. expression: \"SELECT * FROM S3Object s WHERE s.region = 'EU'\".",
+      receivedParams: params,
+    };
+  }
+
+  const engine = (params.engine || "auto").toLowerCase();
+  if (!["auto", "s3", "local"].includes(engine)) {
+    return {
+      success: false,
+      message: `Error: engine must be "auto", "s3" or "local" (received "${params.engine}").`,
+      receivedParams: params,
+    };
+  }
+
+  const format = resolveInputFormat(params);
+  if (format.error) {
+    return {
+      success: false,
+      message: `Error: ${format.error}`,
+      receivedParams: params,
+    };
+  }
+
+  const maxRows = params.maxRows || DEFAULT_MAX_ROWS;
+
+  if (engine === "local") {
+    return await runLocally(params, format, maxRows, null);
+  }
+
+  const commandParams = {
+    Bucket: params.bucketName,
+    Key: params.fileName,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+    Expression: params.expression,
+    ExpressionType: "SQL",
+    InputSerialization: buildInputSerialization(format),
+    OutputSerialization: { JSON: { RecordDelimiter: "\n" } },
+    RequestProgress: { Enabled: false },
+  };
+
+  console.log("📤 Sending to AWS S3:", JSON.stringify(commandParams, null, 2));
+
+  const controller = new AbortController();
+  try {
+    const response = await s3Client.send(
+      new SelectObjectContentCommand(commandParams),
+      { abortSignal: controller.signal }
+    );
+
+    const rows = [];
+    let pending = "";
+    let resultChars = 0;
+    let truncated = false;
+    let stats;
+    const decoder = new TextDecoder("utf-8");
+
+    // Records arrive in arbitrary chunks; split them on the record delimiter
+    read: for await (const event of response.Payload) {
+      if (event.Records) {
+        pending += decoder.decode(event.Records.Payload, { stream: true });
+        let newline;
+        while ((newline = pending.indexOf("\n")) !== -1) {
+          const line = pending.slice(0, newline);
+          pending = pending.slice(newline + 1);
+          if (!line.trim()) continue;
+          if (rows.length >= maxRows || resultChars >= MAX_RESULT_CHARS) {
+            truncated = true;
+            break read;
+          }
+          rows.push(JSON.parse(line));
+          resultChars += line.length;
+        }
+      } else if (event.Stats) {
+        stats = event.Stats.Details;
+      }
+    }
+    if (!truncated && pending.trim()) {
+      if (rows.length >= maxRows) truncated = true;
+      else rows.push(JSON.parse(pending));
+    }
+    if (truncated) controller.abort();
+
+    return buildResult(params, format, {
+      engine: "s3-select",
+      rows,
+      truncated,
+      maxRows,
+      stats: stats && {
+        bytesScanned: stats.BytesScanned,
+        bytesScannedFormatted: formatBytes(stats.BytesScanned || 0),
+        bytesProcessed: stats.BytesProcessed,
+        bytesReturned: stats.BytesReturned,
+      },
+      commandParams,
+    });
+  } catch (error) {
+    const statusCode = error.$metadata?.httpStatusCode;
+    const unsupported =
+      SELECT_UNSUPPORTED_ERRORS.includes(error.name) ||
+      statusCode === 501 ||
+      statusCode === 405;
+
+    if (unsupported && engine === "auto") {
+      console.log(
+        `⚠️  S3 Select not available (${error.name}) - evaluating the query locally`
+      );
+      return await runLocally(params, format, maxRows, error);
+    }
+
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchKey":
+        hint = `Object "${params.fileName}" not found in bucket "${params.bucketName}"`;
+        break;
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint = "Requires s3:GetObject permission";
+        break;
+      case "InvalidObjectState":
+        hint =
+          "The object is archived - restore it with restore_object before querying";
+        break;
+      case "ParseUnexpectedToken":
+      case "ParseSelectMissingFrom":
+      case "ParseInvalidTypeParam":
+      case "InvalidQuery":
+        hint =
+          "Check the SQL - use FROM S3Object alias, e.g. SELECT s.name FROM S3Object s WHERE CAST(s.price AS FLOAT) > 10";
+        break;
+      case "CSVParsingError":
+      case "JSONParsingError":
+      case "InvalidTextEncoding":
+        hint =
+          "The content does not match the input format - check inputFormat, jsonType, fieldDelimiter and compression";
+        break;
+      default:
+        if (unsupported) {
+          hint =
+            'This endpoint does not support S3 Select - retry with engine "auto" or "local"';
+        }
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message || error.name}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: statusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Evaluate the query in-process by streaming the object through the
+ * local S3 Select evaluator
+ */
+async function runLocally(params, format, maxRows, selectError) {
+  const fallbackNote = selectError
+    ? `S3 Select is not supported by this endpoint (${selectError.name}); the query was evaluated locally by streaming the object.`
+    : undefined;
+
+  if (format.inputFormat === "parquet") {
+    return {
+      success: false,
+      message:
+        '❌ Parquet objects can only be queried with S3 Select (engine "s3" on an endpoint that supports it)',
+      ...(fallbackNote && { note: fallbackNote }),
+      aiExtractedParams: params,
+    };
+  }
+  if (format.compression === "BZIP2") {
+    return {
+      success: false,
+      message:
+        '❌ BZIP2-compressed objects can only be queried with S3 Select (engine "s3" on an endpoint that supports it)',
+      ...(fallbackNote && { note: fallbackNote }),
+      aiExtractedParams: params,
+    };
+  }
+
+  let query;
+  try {
+    query = compileQuery(params.expression);
+  } catch (error) {
+    return {
+      success: false,
+      message: `❌ SQL Error: ${error.message}`,
+      errorDetails: {
+        errorCode: "InvalidQuery",
+        errorMessage: error.message,
+        aiExtractedParams: params,
+        hint: "Supported: SELECT * | expressions [AS name] FROM S3Object [alias] [WHERE ...] [LIMIT n], with COUNT/SUM/AVG/MIN/MAX, LIKE, IN, BETWEEN, IS NULL and CAST",
+      },
+    };
+  }
+
+  try {
+    const object = await s3Client.send(
+      new GetObjectCommand({
+        Bucket: params.bucketName,
+        Key: params.fileName,
+        ExpectedBucketOwner: params.expectedBucketOwner,
+      })
+    );
+
+    let body = object.Body;
+    if (format.compression === "GZIP") {
+      body = body.pipe(zlib.createGunzip());
+    }
+
+    const records =
+      format.inputFormat === "csv"
+        ? csvRecords(body, format.csv)
+        : jsonRecords(body, { jsonType: format.jsonType });
+
+    const result = await executeQuery(query, records, { maxRows });
+    body.destroy?.();
+    object.Body.destroy?.();
+
+    return buildResult(params, format, {
+      engine: "local",
+      rows: result.rows,
+      truncated: result.truncated,
+      maxRows,
+      stats: {
+        recordsScanned: result.recordsScanned,
+        objectSize: object.ContentLength,
+        objectSizeFormatted: formatBytes(object.ContentLength || 0),
+      },
+      note: fallbackNote,
+    });
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchKey":
+        hint = `Object "${params.fileName}" not found in bucket "${params.bucketName}"`;
+        break;
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint = "Requires s3:GetObject permission";
+        break;
+      case "InvalidObjectState":
+        hint =
+          "The object is archived - restore it with restore_object before querying";
+        break;
+      case "CSVParsingError":
+      case "JSONParsingError":
+        hint =
+          "The content could not be parsed - check inputFormat, jsonType, fieldDelimiter and compression";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ Query Error: ${error.message}`,
+      ...(fallbackNote && { note: fallbackNote }),
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+function buildResult(params, format, outcome) {
+  return {
+    success: true,
+    message: `✅ Query returned ${outcome.rows.length}${
+      outcome.truncated ? "+" : ""
+    } row(s) from "${params.fileName}"${
+      outcome.engine === "local" ? " (evaluated locally)" : ""
+    }`,
+    queryInfo: {
+      bucketName: params.bucketName,
+      fileName: params.fileName,
+      expression: params.expression,
+      engine: outcome.engine,
+      inputFormat: format.inputFormat,
+      compression: format.compression,
+      rowCount: outcome.rows.length,
+      truncated: outcome.truncated,
+      ...outcome.stats,
+    },
+    rows: outcome.rows,
+    ...(outcome.truncated && {
+      truncationNote: `Results were limited to ${outcome.rows.length} rows. Narrow the WHERE clause, aggregate with COUNT/SUM/AVG, or raise maxRows.`,
+    }),
+    ...(outcome.note && { note: outcome.note }),
+    aiExtractedParams: params,
+    ...(outcome.commandParams && { awsCommandParams: outcome.commandParams }),
+  };
+}
+
+/**
+ * Work out input format, compression and parser options from the
+ * parameters, falling back to the file extension
+ * @returns {Object} - { inputFormat, compression, csv, jsonType } or { error }
+ */
+function resolveInputFormat(params) {
+  let name = params.fileName.toLowerCase();
+  let compression = params.compression
+    ? String(params.compression).toUpperCase()
+    : "NONE";
+
+  if (!params.compression) {
+    if (name.endsWith(".gz")) compression = "GZIP";
+    else if (name.endsWith(".bz2")) compression = "BZIP2";
+  }
+  if (!["NONE", "GZIP", "BZIP2"].includes(compression)) {
+    return { error: 'compression must be "NONE", "GZIP" or "BZIP2"' };
+  }
+  name = name.replace(/\.(gz|bz2)$/, "");
+
+  const extension = path.extname(name);
+  let inputFormat = params.inputFormat
+    ? String(params.inputFormat).toLowerCase()
+    : undefined;
+  if (!inputFormat) {
+    if ([".csv", ".tsv", ".txt"].includes(extension)) inputFormat = "csv";
+    else if ([".json", ".jsonl", ".ndjson"].includes(extension))
+      inputFormat = "json";
+    else if (extension === ".parquet") inputFormat = "parquet";
+  }
+  if (!["csv", "json", "parquet"].includes(inputFormat)) {
+    return {
+      error: `Cannot tell the format of "${params.fileName}" - set inputFormat to "csv", "json" or "parquet"`,
+    };
+  }
+  if (inputFormat === "parquet" && compression !== "NONE") {
+    return {
+      error: "Parquet objects use internal compression - omit compression",
+    };
+  }
+
+  return {
+    inputFormat,
+    compression,
+    csv: {
+      fileHeaderInfo: (params.fileHeaderInfo || "USE").toUpperCase(),
+      fieldDelimiter:
+        params.fieldDelimiter || (extension === ".tsv" ? "\t" : ","),
+      quoteCharacter: params.quoteCharacter || '"',
+      comments: params.comments,
+    },
+    jsonType: (
+      params.jsonType ||
+      ([".jsonl", ".ndjson"].includes(extension) ? "LINES" : "DOCUMENT")
+    ).toUpperCase(),
+  };
+}
+
+function buildInputSerialization(format) {
+  if (format.inputFormat === "parquet") {
+    return { Parquet: {} };
+  }
+  if (format.inputFormat === "json") {
+    return {
+      JSON: { Type: format.jsonType },
+      CompressionType: format.compression,
+    };
+  }
+  return {
+    CSV: {
+      FileHeaderInfo: format.csv.fileHeaderInfo,
+      FieldDelimiter: format.csv.fieldDelimiter,
+      QuoteCharacter: format.csv.quoteCharacter,
+      ...(format.csv.comments && { Comments: format.csv.comments }),
+    },
+    CompressionType: format.compression,
+  };
+}
+
+module.exports = queryObject;
@@ -0,0 +1,278 @@
+// tools/restoreObject.js - Request a temporary copy of an archived object and track its status
+const { s3Client } = require("../utils/s3Client");
+const {
+  HeadObjectCommand,
+  RestoreObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { parseRestoreHeader } = require("./headObject");
+
+// Typical completion times per storage class and retrieval tier
+const RESTORE_TIMES = {
+  GLACIER: {
+    Expedited: "1-5 minutes",
+    Standard: "3-5 hours",
+    Bulk: "5-12 hours",
+  },
+  DEEP_ARCHIVE: {
+    Standard: "within 12 hours",
+    Bulk: "within 48 hours",
+  },
+  INTELLIGENT_TIERING: {
+    Standard:
+      "3-5 hours (Archive Access) or within 12 hours (Deep Archive Access)",
+    Bulk: "5-12 hours (Archive Access) or within 48 hours (Deep Archive Access)",
+  },
+};
+const TIERS = ["Expedited", "Standard", "Bulk"];
+const DEFAULT_DAYS = 7;
+
+async function restoreObject(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameters
+  if (!params.bucketName || !params.fileName) {
+    return {
+      success: false,
+      message: "Error: bucketName and fileName are required.",
+      receivedParams: params,
+    };
+  }
+
+  const action = (params.action || "restore").toLowerCase();
+  if (!["restore", "status"].includes(action)) {
+    return {
+      success: false,
+      message: `Error: action must be "restore" or "status" (received "${params.action}").`,
+      receivedParams: params,
+    };
+  }
+
+  const tier = normalizeTier(params.tier || "Standard");
+  if (!tier) {
+    return {
+      success: false,
+      message: `Error: tier must be "Expedited", "Standard" or "Bulk" (received "${params.tier}").`,
+      receivedParams: params,
+    };
+  }
+
+  const days = params.days !== undefined ? Number(params.days) : DEFAULT_DAYS;
+  if (!Number.isInteger(days) || days < 1) {
+    return {
+      success: false,
+      message: "Error: days must be a positive whole number.",
+      receivedParams: params,
+    };
+  }
+
+  let commandParams = {
+    Bucket: params.bucketName,
+    Key: params.fileName,
+    VersionId: params.versionId,
+    ExpectedBucketOwner: params.expectedBucketOwner,
+  };
+
+  try {
+    const head = await s3Client.send(new HeadObjectCommand(commandParams));
+    const status = describeRestoreStatus(head);
+
+    if (action === "status" || !status.archived) {
+      return {
+        success: true,
+        message: `${status.emoji} "${params.fileName}": ${status.summary}`,
+        restoreStatus: {
+          bucketName: params.bucketName,
+          fileName: params.fileName,
+          ...status,
+        },
+        ...(status.state === "not_requested" && {
+          suggestion: `Request a restore with restore_object (action "restore", tier "Standard" or "Bulk").`,
+        }),
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    if (status.state === "in_progress") {
+      return {
+        success: true,
+        message: `⏳ A restore of "${params.fileName}" is already in progress - check again later with action "status"`,
+        restoreStatus: {
+          bucketName: params.bucketName,
+          fileName: params.fileName,
+          ...status,
+        },
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+      };
+    }
+
+    if (tier === "Expedited" && status.storageClass !== "GLACIER") {
+      return {
+        success: false,
+        message: `Error: Expedited retrieval is not available for ${status.storageClass} - use "Standard" or "Bulk".`,
+        receivedParams: params,
+      };
+    }
+
+    // Intelligent-Tiering archive tiers restore back into the bucket, so no Days
+    const isIntelligentTiering = status.storageClass === "INTELLIGENT_TIERING";
+    commandParams = {
+      ...commandParams,
+      RestoreRequest: {
+        ...(!isIntelligentTiering && { Days: days }),
+        GlacierJobParameters: { Tier: tier },
+      },
+    };
+
+    console.log(
+      "📤 Sending to AWS S3:",
+      JSON.stringify(commandParams, null, 2)
+    );
+
+    const result = await s3Client.send(new RestoreObjectCommand(commandParams));
+    const estimate = RESTORE_TIMES[status.storageClass]?.[tier];
+
+    return {
+      success: true,
+      message:
+        status.state === "restored"
+          ? `✅ Restored copy of "${params.fileName}" extended to ${days} day(s) from now`
+          : `✅ Restore of "${params.fileName}" requested (${tier} tier${
+              estimate ? `, typically ${estimate}` : ""
+            })`,
+      restoreRequest: {
+        bucketName: params.bucketName,
+        fileName: params.fileName,
+        storageClass: status.storageClass,
+        tier: tier,
+        days: isIntelligentTiering ? undefined : days,
+        estimatedTime: estimate,
+        note: isIntelligentTiering
+          ? "The object moves back to the Frequent Access tier once restored."
+          : `The restored copy is available for ${days} day(s); the archived object is unchanged.`,
+      },
+      nextSteps: [
+        `Check progress with restore_object (action "status")`,
+        "Download with get_object once the restore has completed",
+      ],
+      aiExtractedParams: params,
+      awsCommandParams: commandParams,
+      awsResponse: {
+        metadata: result.$metadata,
+        restoreOutputPath: result.RestoreOutputPath,
+      },
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NotFound":
+      case "NoSuchKey":
+        hint = `Object "${params.fileName}" not found in bucket "${params.bucketName}"`;
+        break;
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+      case "Forbidden":
+        hint = "Requires s3:GetObject and s3:RestoreObject permissions";
+        break;
+      case "RestoreAlreadyInProgress":
+        hint = 'A restore is already running - check it with action "status"';
+        break;
+      case "GlacierExpeditedRetrievalNotAvailable":
+        hint =
+          'Expedited capacity is currently unavailable - retry with tier "Standard"';
+        break;
+      case "InvalidObjectState":
+        hint = "The object is not in an archive storage class or tier";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message || error.name}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        awsCommandParams: commandParams,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Summarize whether an object is archived and where its restore stands
+ * @param {Object} head - HeadObject response
+ * @returns {Object} - { archived, state, storageClass, summary, emoji, ... }
+ */
+function describeRestoreStatus(head) {
+  const storageClass = head.StorageClass || "STANDARD";
+  const archived =
+    storageClass === "GLACIER" ||
+    storageClass === "DEEP_ARCHIVE" ||
+    head.ArchiveStatus !== undefined;
+  const restore = parseRestoreHeader(head.Restore);
+
+  if (!archived) {
+    return {
+      archived: false,
+      state: "not_archived",
+      storageClass: storageClass,
+      emoji: "ℹ️ ",
+      summary: `stored in ${storageClass} - it can be downloaded directly, no restore needed`,
+    };
+  }
+
+  const location =
+    head.ArchiveStatus !== undefined
+      ? `${storageClass} (${head.ArchiveStatus})`
+      : storageClass;
+
+  if (restore.ongoing) {
+    return {
+      archived: true,
+      state: "in_progress",
+      storageClass: storageClass,
+      archiveStatus: head.ArchiveStatus,
+      emoji: "⏳",
+      summary: `archived in ${location}, restore in progress`,
+    };
+  }
+  if (restore.restored) {
+    return {
+      archived: true,
+      state: "restored",
+      storageClass: storageClass,
+      archiveStatus: head.ArchiveStatus,
+      expiryDate: restore.expiryDate,
+      emoji: "✅",
+      summary: `restored copy available${
+        restore.expiryDate ? ` until ${restore.expiryDate}` : ""
+      } - it can be downloaded now`,
+    };
+  }
+  return {
+    archived: true,
+    state: "not_requested",
+    storageClass: storageClass,
+    archiveStatus: head.ArchiveStatus,
+    emoji: "📦",
+    summary: `archived in ${location}, restore not requested`,
+  };
+}
+
+function normalizeTier(tier) {
+  const lower = String(tier).trim().toLowerCase();
+  return TIERS.find((t) => t.toLowerCase() === lower);
+}
+
+module.exports = restoreObject;
+module.exports.describeRestoreStatus = describeRestoreStatus;
@@ -0,0 +1,192 @@
+// tools/restoreObjectVersion.js - Promote a previous version to be current again
+const { s3Client } = require("../utils/s3Client");
+const { ListObjectVersionsCommand } = require("@aws-sdk/client-s3");
+const { transferObjects } = require("./copyObject");
+
+async function restoreObjectVersion(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameters
+  if (!params.bucketName || !params.fileName) {
+    return {
+      success: false,
+      message: "Error: bucketName and fileName are required.",
+      receivedParams: params,
+    };
+  }
+
+  try {
+    const versions = await getVersionsForKey(
+      params.bucketName,
+      params.fileName
+    );
+
+    if (versions.length === 0) {
+      return {
+        success: false,
+        message: `❌ No versions found for "${params.fileName}" in "${params.bucketName}". Versioning may not have been enabled when it was written or deleted.`,
+        aiExtractedParams: params,
+      };
+    }
+
+    const latest = versions.find((version) => version.isLatest);
+    let target;
+
+    if (params.versionId) {
+      target = versions.find(
+        (version) => version.versionId === params.versionId
+      );
+      if (!target) {
+        return {
+          success: false,
+          message: `❌ Version "${params.versionId}" of "${params.fileName}" was not found.`,
+          availableVersions: versions,
+        };
+      }
+      if (target.isDeleteMarker) {
+        return {
+          success: false,
+          message: `❌ Version "${params.versionId}" is a delete marker and has no content to restore.`,
+          availableVersions: versions,
+        };
+      }
+    } else {
+      // Undo a delete: newest real version. Undo an overwrite: the one before it.
+      target = versions.find(
+        (version) => !version.isDeleteMarker && !version.isLatest
+      );
+      if (!target) {
+        return {
+          success: false,
+          message: `❌ "${params.fileName}" has no previous version to restore.`,
+          availableVersions: versions,
+        };
+      }
+    }
+
+    if (target.isLatest) {
+      return {
+        success: true,
+        message: `ℹ️  Version "${target.versionId}" is already the current version of "${params.fileName}". Nothing to restore.`,
+        restoredVersion: target,
+      };
+    }
+
+    // Copy the old version over the key - history is preserved, nothing is deleted
+    const copyResult = await transferObjects(
+      {
+        sourceBucket: params.bucketName,
+        sourceKey: params.fileName,
+        sourceVersionId: target.versionId,
+        destinationKey: params.fileName,
+      },
+      { deleteSource: false }
+    );
+
+    if (!copyResult.success) {
+      return {
+        success: false,
+        message: `❌ Failed to restore version "${target.versionId}": ${copyResult.message}`,
+        copyResult: copyResult,
+      };
+    }
+
+    return {
+      success: true,
+      message: `✅ Restored "${params.fileName}" in "${
+        params.bucketName
+      }" from version ${target.versionId} (${new Date(
+        target.lastModified
+      ).toISOString()})`,
+      restoreInfo: {
+        bucketName: params.bucketName,
+        fileName: params.fileName,
+        restoredFromVersionId: target.versionId,
+        restoredFromDate: target.lastModified,
+        previousState: latest?.isDeleteMarker ? "deleted" : "overwritten",
+        newVersionId: copyResult.awsResponse?.versionId,
+        size: target.size,
+      },
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint =
+          "Restoring requires s3:ListBucketVersions, s3:GetObjectVersion and s3:PutObject permissions";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * List every version and delete marker of one key, newest first
+ */
+async function getVersionsForKey(bucketName, key) {
+  const versions = [];
+  let keyMarker;
+  let versionIdMarker;
+  let isTruncated = false;
+
+  do {
+    const result = await s3Client.send(
+      new ListObjectVersionsCommand({
+        Bucket: bucketName,
+        Prefix: key,
+        KeyMarker: keyMarker,
+        VersionIdMarker: versionIdMarker,
+      })
+    );
+
+    for (const version of result.Versions || []) {
+      if (version.Key !== key) continue;
+      versions.push({
+        versionId: version.VersionId,
+        isLatest: version.IsLatest,
+        isDeleteMarker: false,
+        size: version.Size,
+        lastModified: version.LastModified,
+      });
+    }
+    for (const marker of result.DeleteMarkers || []) {
+      if (marker.Key !== key) continue;
+      versions.push({
+        versionId: marker.VersionId,
+        isLatest: marker.IsLatest,
+        isDeleteMarker: true,
+        lastModified: marker.LastModified,
+      });
+    }
+
+    isTruncated = result.IsTruncated || false;
+    keyMarker = result.NextKeyMarker;
+    versionIdMarker = result.NextVersionIdMarker;
+    // Keys sort after their own prefix matches - stop once we've passed the key
+  } while (isTruncated && keyMarker <= key);
+
+  return versions.sort(
+    (a, b) => new Date(b.lastModified) - new Date(a.lastModified)
+  );
+}
+
+module.exports = restoreObjectVersion;
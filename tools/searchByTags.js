@@ -0,0 +1,161 @@
+// tools/searchByTags.js - Find objects whose tags match key/value filters
+const { s3Client } = require("../utils/s3Client");
+const { GetObjectTaggingCommand } = require("@aws-sdk/client-s3");
+const { listAllObjects } = require("../utils/objectLister");
+const { normalizeTags, fromTagSet, matchesTags } = require("../utils/tagging");
+const { formatBytes } = require("../utils/formatters");
+const {
+  mapWithConcurrency,
+  validateConcurrency,
+} = require("../utils/concurrency");
+
+// Tags are not returned by ListObjects, so every object costs one request
+const DEFAULT_MAX_SCANNED = 1000;
+const DEFAULT_CONCURRENCY = 10;
+
+async function searchByTags(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  // Validate required parameter
+  if (!params.bucketName) {
+    return {
+      success: false,
+      message: "Error: bucketName is required. Please provide a bucket name.",
+      receivedParams: params,
+    };
+  }
+
+  // tagKey/tagValue is shorthand for a single filter
+  const filters = normalizeTags(params.tags);
+  if (params.tagKey) {
+    filters[params.tagKey] =
+      params.tagValue === undefined ? "*" : String(params.tagValue);
+  }
+
+  if (Object.keys(filters).length === 0) {
+    return {
+      success: false,
+      message:
+        'Error: Provide tags to search for, e.g. { "project": "alpha" } or tagKey (value "*" matches any value).',
+      receivedParams: params,
+    };
+  }
+
+  const concurrencyError = validateConcurrency(params.concurrency);
+  if (concurrencyError) {
+    return {
+      success: false,
+      message: `Error: ${concurrencyError}.`,
+      receivedParams: params,
+    };
+  }
+
+  const maxScanned = params.maxObjects || DEFAULT_MAX_SCANNED;
+  const concurrency = Number(params.concurrency) || DEFAULT_CONCURRENCY;
+
+  try {
+    const listing = await listAllObjects(params.bucketName, params.prefix, {
+      maxObjects: maxScanned,
+      continuationToken: params.continuationToken,
+    });
+
+    const matches = [];
+    const errors = [];
+
+    // Fetch tags with a small worker pool
+    await mapWithConcurrency(listing.objects, concurrency, async (object) => {
+      try {
+        const result = await s3Client.send(
+          new GetObjectTaggingCommand({
+            Bucket: params.bucketName,
+            Key: object.key,
+            ExpectedBucketOwner: params.expectedBucketOwner,
+          })
+        );
+        const tags = fromTagSet(result.TagSet);
+        if (matchesTags(tags, filters)) {
+          matches.push({
+            key: object.key,
+            size: object.size,
+            sizeFormatted: formatBytes(object.size),
+            lastModified: object.lastModified,
+            storageClass: object.storageClass,
+            tags: tags,
+          });
+        }
+      } catch (error) {
+        // Deleted since the listing - nothing to report
+        if (error.name !== "NoSuchKey") {
+          errors.push({ key: object.key, error: error.message });
+        }
+      }
+    });
+
+    matches.sort((a, b) => a.key.localeCompare(b.key));
+    const totalSize = matches.reduce((sum, match) => sum + match.size, 0);
+
+    return {
+      // Only a failure when no object's tags could be read at all
+      success: errors.length === 0 || errors.length < listing.objects.length,
+      message: `🏷️  Found ${matches.length} of ${
+        listing.objects.length
+      } scanned objects matching ${describeFilters(filters)} in "${
+        params.bucketName
+      }/${params.prefix || ""}"`,
+      searchInfo: {
+        bucketName: params.bucketName,
+        prefix: params.prefix || "",
+        filters: filters,
+        scanned: listing.objects.length,
+        matched: matches.length,
+        matchedSize: totalSize,
+        matchedSizeFormatted: formatBytes(totalSize),
+        failed: errors.length,
+        isTruncated: listing.isTruncated,
+        nextContinuationToken: listing.nextContinuationToken,
+      },
+      matches: matches,
+      ...(errors.length > 0 && { errors: errors.slice(0, 20) }),
+      ...(listing.isTruncated && {
+        paginationNote: `Only the first ${listing.objects.length} objects were scanned. Call search_by_tags again with continuationToken set to nextContinuationToken to continue.`,
+      }),
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint = "Requires s3:ListBucket and s3:GetObjectTagging permissions";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+function describeFilters(filters) {
+  return Object.entries(filters)
+    .map(([key, value]) =>
+      value === "*" || value === "" ? `${key}=<any>` : `${key}=${value}`
+    )
+    .join(", ");
+}
+
+module.exports = searchByTags;
@@ -0,0 +1,485 @@
+// tools/searchObjects.js - Find objects by key pattern, size, date, storage class and content type
+const { s3Client } = require("../utils/s3Client");
+const { HeadObjectCommand } = require("@aws-sdk/client-s3");
+const { listAllObjects } = require("../utils/objectLister");
+const {
+  mapWithConcurrency,
+  validateConcurrency,
+} = require("../utils/concurrency");
+const { formatBytes } = require("../utils/formatters");
+
+const DEFAULT_MAX_RESULTS = 100;
+const DEFAULT_MAX_SCANNED = 10000;
+const DEFAULT_CONCURRENCY = 10;
+const PAGE_SIZE = 1000;
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 ** 2,
+  gb: 1024 ** 3,
+  tb: 1024 ** 4,
+};
+
+async function searchObjects(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  const bucketNames = [
+    ...new Set([
+      ...(params.bucketName ? [params.bucketName] : []),
+      ...(params.bucketNames || []),
+    ]),
+  ];
+
+  // Validate required parameters
+  if (bucketNames.length === 0) {
+    return {
+      success: false,
+      message:
+        "Error: bucketName (or bucketNames for several buckets) is required.",
+      receivedParams: params,
+    };
+  }
+
+  const { filters, validationErrors } = buildFilters(params);
+
+  // A zero or negative budget would stop before scanning anything
+  for (const name of ["maxResults", "maxScanned"]) {
+    if (params[name] === undefined) continue;
+    const value = Number(params[name]);
+    if (!Number.isInteger(value) || value < 1) {
+      validationErrors.push(
+        `${name} must be a whole number of 1 or more (received "${params[name]}")`
+      );
+    }
+  }
+  const concurrencyError = validateConcurrency(params.concurrency);
+  if (concurrencyError) validationErrors.push(concurrencyError);
+
+  let cursor = { bucketIndex: 0, startAfter: undefined };
+  if (params.cursor) {
+    cursor = decodeCursor(params.cursor, bucketNames);
+    if (!cursor) {
+      validationErrors.push(
+        "cursor is invalid or was issued for a different set of buckets - repeat the original search parameters with the cursor"
+      );
+    }
+  }
+
+  if (validationErrors.length > 0) {
+    return {
+      success: false,
+      message: `Error: Invalid search:\n- ${validationErrors.join("\n- ")}`,
+      validationErrors: validationErrors,
+      receivedParams: params,
+    };
+  }
+
+  const maxResults = Number(params.maxResults) || DEFAULT_MAX_RESULTS;
+  const maxScanned = Number(params.maxScanned) || DEFAULT_MAX_SCANNED;
+  const concurrency = Number(params.concurrency) || DEFAULT_CONCURRENCY;
+
+  const matches = [];
+  const bucketErrors = [];
+  const headErrors = [];
+  let scanned = 0;
+  let bucketsListed = 0;
+  let nextCursor;
+
+  // Walk buckets in order, one listing page at a time, until the result cap
+  // or scan budget is reached; the cursor records where to pick up
+  search: for (let b = cursor.bucketIndex; b < bucketNames.length; b++) {
+    const bucketName = bucketNames[b];
+    let startAfter = b === cursor.bucketIndex ? cursor.startAfter : undefined;
+    let listed = false;
+
+    while (true) {
+      if (scanned >= maxScanned) {
+        nextCursor = encodeCursor(bucketNames, b, startAfter);
+        break search;
+      }
+
+      let listing;
+      try {
+        listing = await listAllObjects(bucketName, params.prefix, {
+          maxObjects: Math.min(PAGE_SIZE, maxScanned - scanned),
+          startAfter: startAfter,
+        });
+      } catch (error) {
+        bucketErrors.push({
+          bucketName: bucketName,
+          errorCode: error.name,
+          error: error.message,
+          hint: bucketHint(error, bucketName),
+        });
+        break;
+      }
+      if (!listed) {
+        listed = true;
+        bucketsListed++;
+      }
+      scanned += listing.objects.length;
+
+      const candidates = listing.objects.filter((object) =>
+        matchesListingFilters(object, filters)
+      );
+
+      // Content-Type is only available from HeadObject, so it is checked last
+      if (filters.contentType && candidates.length > 0) {
+        await mapWithConcurrency(candidates, concurrency, async (object) => {
+          try {
+            const head = await s3Client.send(
+              new HeadObjectCommand({
+                Bucket: bucketName,
+                Key: object.key,
+                ExpectedBucketOwner: params.expectedBucketOwner,
+              })
+            );
+            object.contentType = head.ContentType;
+          } catch (error) {
+            // Deleted since the listing - nothing to report
+            if (error.name !== "NotFound" && error.name !== "NoSuchKey") {
+              headErrors.push({
+                bucketName: bucketName,
+                key: object.key,
+                error: error.message || error.name,
+              });
+            }
+          }
+        });
+      }
+
+      for (const object of candidates) {
+        if (
+          filters.contentType &&
+          !matchesContentType(object.contentType, filters.contentType)
+        ) {
+          continue;
+        }
+        matches.push({
+          bucketName: bucketName,
+          key: object.key,
+          size: object.size,
+          sizeFormatted: formatBytes(object.size),
+          lastModified: object.lastModified,
+          storageClass: object.storageClass,
+          ...(object.contentType !== undefined && {
+            contentType: object.contentType,
+          }),
+        });
+        if (matches.length >= maxResults) {
+          // Resume right after the last returned match
+          const last = listing.objects.at(-1).key;
+          if (object.key !== last || listing.isTruncated) {
+            nextCursor = encodeCursor(bucketNames, b, object.key);
+          } else if (b + 1 < bucketNames.length) {
+            nextCursor = encodeCursor(bucketNames, b + 1, undefined);
+          }
+          break search;
+        }
+      }
+
+      if (!listing.isTruncated || listing.objects.length === 0) break;
+      startAfter = listing.objects.at(-1).key;
+    }
+  }
+
+  // Every bucket failed: report it like any other AWS error
+  if (bucketErrors.length > 0 && bucketsListed === 0) {
+    const first = bucketErrors[0];
+    return {
+      success: false,
+      message: `❌ AWS Error: ${first.error || first.errorCode}`,
+      errorDetails: {
+        errorCode: first.errorCode,
+        errorMessage: first.error,
+        aiExtractedParams: params,
+        hint: first.hint,
+        ...(bucketErrors.length > 1 && { bucketErrors: bucketErrors }),
+      },
+    };
+  }
+
+  const matchedSize = matches.reduce((sum, match) => sum + match.size, 0);
+  const where =
+    bucketNames.length === 1
+      ? `"${bucketNames[0]}/${params.prefix || ""}"`
+      : `${bucketNames.length} buckets`;
+
+  return {
+    success: true,
+    message: `🔎 Found ${matches.length}${
+      nextCursor ? "+" : ""
+    } object(s) matching ${describeFilters(
+      filters
+    )} in ${where} (${scanned} scanned)`,
+    searchInfo: {
+      buckets: bucketNames,
+      prefix: params.prefix || "",
+      filters: describeFilters(filters),
+      scanned: scanned,
+      matched: matches.length,
+      matchedSize: matchedSize,
+      matchedSizeFormatted: formatBytes(matchedSize),
+      complete: !nextCursor,
+      nextCursor: nextCursor,
+    },
+    matches: matches,
+    ...(bucketErrors.length > 0 && { bucketErrors: bucketErrors }),
+    ...(headErrors.length > 0 && { errors: headErrors.slice(0, 20) }),
+    ...(nextCursor && {
+      paginationNote: `${
+        matches.length >= maxResults
+          ? `Stopped at maxResults (${maxResults}).`
+          : `Stopped after scanning ${scanned} objects (maxScanned).`
+      } Call search_objects again with the same filters and cursor set to nextCursor to continue.`,
+    }),
+    aiExtractedParams: params,
+  };
+}
+
+/**
+ * Turn tool parameters into compiled filters
+ * @returns {Object} - { filters, validationErrors }
+ */
+function buildFilters(params) {
+  const validationErrors = [];
+  const filters = {};
+  const caseSensitive = params.caseSensitive === true;
+
+  if (params.pattern) {
+    filters.pattern = params.pattern;
+    // Like `find -name`: a pattern without "/" is matched against the file name
+    filters.patternOnName = !params.pattern.includes("/");
+    filters.patternRegex = globToRegExp(params.pattern, caseSensitive);
+  }
+
+  if (params.regex) {
+    try {
+      filters.regex = new RegExp(params.regex, caseSensitive ? "" : "i");
+    } catch (error) {
+      validationErrors.push(`regex: ${error.message}`);
+    }
+  }
+
+  for (const name of ["minSize", "maxSize"]) {
+    if (params[name] === undefined) continue;
+    const bytes = parseSize(params[name]);
+    if (bytes === null) {
+      validationErrors.push(
+        `${name}: "${params[name]}" is not a size (use bytes or e.g. "10 MB")`
+      );
+    } else {
+      filters[name] = bytes;
+    }
+  }
+  if (filters.minSize > filters.maxSize) {
+    validationErrors.push("minSize is larger than maxSize");
+  }
+
+  for (const name of ["modifiedAfter", "modifiedBefore"]) {
+    if (params[name] === undefined) continue;
+    const date = new Date(params[name]);
+    if (isNaN(date.getTime())) {
+      validationErrors.push(`${name}: "${params[name]}" is not a valid date`);
+    } else {
+      filters[name] = date;
+    }
+  }
+  if (params.modifiedWithinDays !== undefined) {
+    const days = Number(params.modifiedWithinDays);
+    if (!(days > 0)) {
+      validationErrors.push("modifiedWithinDays must be a positive number");
+    } else {
+      const after = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      if (!filters.modifiedAfter || after > filters.modifiedAfter) {
+        filters.modifiedAfter = after;
+      }
+    }
+  }
+  if (filters.modifiedAfter > filters.modifiedBefore) {
+    validationErrors.push("modifiedAfter is later than modifiedBefore");
+  }
+
+  if (params.storageClass) {
+    filters.storageClasses = []
+      .concat(params.storageClass)
+      .flatMap((c) => String(c).split(","))
+      .map((c) => c.trim().toUpperCase())
+      .filter(Boolean);
+  }
+
+  if (params.contentType) {
+    filters.contentType = String(params.contentType).toLowerCase();
+  }
+
+  return { filters, validationErrors };
+}
+
+function matchesListingFilters(object, filters) {
+  if (filters.patternRegex) {
+    const target = filters.patternOnName
+      ? object.key.slice(object.key.lastIndexOf("/") + 1)
+      : object.key;
+    if (!filters.patternRegex.test(target)) return false;
+  }
+  if (filters.regex && !filters.regex.test(object.key)) return false;
+  if (filters.minSize !== undefined && object.size < filters.minSize) {
+    return false;
+  }
+  if (filters.maxSize !== undefined && object.size > filters.maxSize) {
+    return false;
+  }
+  const lastModified = new Date(object.lastModified);
+  if (filters.modifiedAfter && lastModified < filters.modifiedAfter) {
+    return false;
+  }
+  if (filters.modifiedBefore && lastModified > filters.modifiedBefore) {
+    return false;
+  }
+  if (
+    filters.storageClasses &&
+    !filters.storageClasses.includes(object.storageClass)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * "application/pdf" matches exactly (parameters ignored), "image/*" or "image/" by type
+ */
+function matchesContentType(contentType, filter) {
+  if (!contentType) return false;
+  const actual = contentType.split(";")[0].trim().toLowerCase();
+  if (filter.endsWith("/*") || filter.endsWith("/")) {
+    return actual.startsWith(filter.replace(/\*$/, ""));
+  }
+  return actual === filter;
+}
+
+/**
+ * Convert a glob to a RegExp: * and ? stay within one path segment,
+ * ** crosses "/", {a,b} are alternatives and [abc] character classes
+ */
+function globToRegExp(glob, caseSensitive) {
+  let source = "";
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        // "**/" also matches zero directories
+        if (glob[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        const body = glob.slice(i + 1, end).replace(/^!/, "^");
+        source += `[${body.replace(/\\/g, "\\\\")}]`;
+        i = end;
+      }
+    } else if (char === "{") {
+      inGroup = true;
+      source += "(?:";
+    } else if (char === "}" && inGroup) {
+      inGroup = false;
+      source += ")";
+    } else if (char === "," && inGroup) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`, caseSensitive ? "" : "i");
+}
+
+/**
+ * Parse 1048576, "10MB", "1.5 GB" into bytes (binary units, like formatBytes)
+ */
+function parseSize(value) {
+  if (typeof value === "number") return value >= 0 ? value : null;
+  const match = String(value)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb|k|m|g|t)?(?:ib)?$/);
+  if (!match) return null;
+  const unit = match[2] ? match[2].replace(/^([kmgt])$/, "$1b") : "b";
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit]);
+}
+
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.pattern) parts.push(`pattern "${filters.pattern}"`);
+  if (filters.regex) parts.push(`regex ${filters.regex}`);
+  if (filters.minSize !== undefined) {
+    parts.push(`size >= ${formatBytes(filters.minSize)}`);
+  }
+  if (filters.maxSize !== undefined) {
+    parts.push(`size <= ${formatBytes(filters.maxSize)}`);
+  }
+  if (filters.modifiedAfter) {
+    parts.push(`modified after ${filters.modifiedAfter.toISOString()}`);
+  }
+  if (filters.modifiedBefore) {
+    parts.push(`modified before ${filters.modifiedBefore.toISOString()}`);
+  }
+  if (filters.storageClasses) {
+    parts.push(`storage class ${filters.storageClasses.join("/")}`);
+  }
+  if (filters.contentType) parts.push(`content type ${filters.contentType}`);
+  return parts.length > 0 ? parts.join(", ") : "any object";
+}
+
+// The cursor is opaque to the caller: which bucket to resume and the last key handled
+function encodeCursor(bucketNames, bucketIndex, startAfter) {
+  return Buffer.from(
+    JSON.stringify({
+      b: bucketNames[bucketIndex],
+      i: bucketIndex,
+      k: startAfter,
+    })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor, bucketNames) {
+  try {
+    const { b, i, k } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (bucketNames[i] !== b) return null;
+    return { bucketIndex: i, startAfter: k || undefined };
+  } catch (error) {
+    return null;
+  }
+}
+
+function bucketHint(error, bucketName) {
+  switch (error.name) {
+    case "NoSuchBucket":
+      return `The bucket "${bucketName}" does not exist`;
+    case "AccessDenied":
+      return "Requires s3:ListBucket permission (and s3:GetObject for contentType filters)";
+    default:
+      return "Check AWS credentials and permissions";
+  }
+}
+
+module.exports = searchObjects;
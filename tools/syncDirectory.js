@@ -0,0 +1,513 @@
+// tools/syncDirectory.js - Sync a local directory with a bucket prefix (either direction)
+const { s3Client } = require("../utils/s3Client");
+const { DeleteObjectsCommand } = require("@aws-sdk/client-s3");
+const fileSystem = require("../utils/fileSystem");
+const { listAllObjects } = require("../utils/objectLister");
+const { formatBytes } = require("../utils/formatters");
+const putObject = require("./putObject");
+const getObject = require("./getObject");
+const { hashFile } = require("./getObject");
+const fs = require("fs").promises;
+const path = require("path");
+
+const DIRECTIONS = ["upload", "download"];
+const COMPARE_MODES = ["size-mtime", "etag", "size"];
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+const PLAN_SAMPLE_SIZE = 50;
+const DEFAULT_MAX_DEPTH = 20;
+
+async function syncDirectory(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  const localPath = params.localPath || params.directoryPath;
+  const direction = (params.direction || "upload").toLowerCase();
+  const compareMode = (params.compareMode || "size-mtime").toLowerCase();
+
+  // Validate required parameters
+  if (!params.bucketName || !localPath) {
+    return {
+      success: false,
+      message: "Error: bucketName and localPath are required.",
+      receivedParams: params,
+    };
+  }
+
+  if (!DIRECTIONS.includes(direction)) {
+    return {
+      success: false,
+      message: `Error: direction must be one of: ${DIRECTIONS.join(", ")}.`,
+      receivedParams: params,
+    };
+  }
+
+  if (!COMPARE_MODES.includes(compareMode)) {
+    return {
+      success: false,
+      message: `Error: compareMode must be one of: ${COMPARE_MODES.join(
+        ", "
+      )}.`,
+      receivedParams: params,
+    };
+  }
+
+  // Treat the prefix as a folder so "photos" never matches "photos-old/"
+  const prefix =
+    params.prefix && !params.prefix.endsWith("/")
+      ? `${params.prefix}/`
+      : params.prefix || "";
+  // 0 is a valid depth (top-level files only), so only unset means default
+  const maxDepth =
+    params.maxDepth === undefined ? DEFAULT_MAX_DEPTH : Number(params.maxDepth);
+  if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+    return {
+      success: false,
+      message: `Error: maxDepth must be 0 or a positive integer (received "${params.maxDepth}").`,
+      receivedParams: params,
+    };
+  }
+
+  const resolvedLocalPath = path.resolve(localPath);
+  const walkOptions = {
+    showHidden: params.includeHidden === true,
+    maxDepth: maxDepth,
+  };
+
+  try {
+    const local = await getLocalFiles(
+      resolvedLocalPath,
+      direction,
+      walkOptions
+    );
+    if (!local.success) {
+      return {
+        success: false,
+        message: `❌ Cannot read local directory "${resolvedLocalPath}": ${local.error}`,
+        receivedParams: params,
+      };
+    }
+
+    const { objects } = await listAllObjects(params.bucketName, prefix);
+    const listedFiles = objects
+      // Zero-byte "folder" placeholders are not files
+      .filter((object) => !object.key.endsWith("/"))
+      .map((object) => ({
+        ...object,
+        relativePath: object.key.slice(prefix.length),
+      }));
+
+    // Objects under paths the local walk skipped (hidden, too deep or
+    // unreadable) would otherwise look extraneous and be deleted although
+    // they may exist locally
+    const remoteFiles =
+      direction === "upload"
+        ? listedFiles.filter(
+            (f) =>
+              isWalked(f.relativePath, walkOptions) &&
+              !isUnder(f.relativePath, local.unreadable)
+          )
+        : listedFiles;
+    const outOfScope = listedFiles.length - remoteFiles.length;
+
+    const plan = await buildPlan(
+      local.files,
+      remoteFiles,
+      direction,
+      compareMode
+    );
+    const sourceCount =
+      direction === "upload" ? local.files.length : remoteFiles.length;
+
+    // Never mirror an empty source - it would wipe the destination
+    if (params.deleteExtraneous === true && sourceCount === 0) {
+      return {
+        success: false,
+        message: `❌ The ${
+          direction === "upload" ? "local directory" : "bucket prefix"
+        } is empty; refusing to delete ${
+          plan.extraneous.length
+        } extraneous files. Check the path and prefix.`,
+        receivedParams: params,
+      };
+    }
+
+    const syncInfo = {
+      direction: direction,
+      localPath: resolvedLocalPath,
+      bucketName: params.bucketName,
+      prefix: prefix,
+      compareMode: compareMode,
+      deleteExtraneous: params.deleteExtraneous === true,
+      localFiles: local.files.length,
+      remoteObjects: remoteFiles.length,
+      ...(outOfScope > 0 && {
+        remoteOutOfScope: outOfScope,
+        outOfScopeNote: `${outOfScope} remote object(s) are under hidden, unreadable or deeper than maxDepth (${walkOptions.maxDepth}) paths that were not scanned locally; they are left untouched (use includeHidden / maxDepth to include them)`,
+      }),
+      ...(local.unreadable.length > 0 && {
+        unreadableDirectories: local.unreadable.slice(0, PLAN_SAMPLE_SIZE),
+      }),
+    };
+    const summary = summarisePlan(plan, params.deleteExtraneous === true);
+
+    // DRY RUN (default): report the plan only
+    if (params.dryRun !== false) {
+      return {
+        success: true,
+        dryRun: true,
+        message: `🔎 Sync plan (${direction}): ${summary.toTransfer} to transfer (${summary.newFiles} new, ${summary.changedFiles} changed), ${summary.unchangedFiles} unchanged, ${summary.toDelete} to delete. Nothing has been changed.`,
+        syncInfo: syncInfo,
+        planSummary: summary,
+        plan: samplePlan(plan, params.deleteExtraneous === true),
+        nextStep:
+          "Show this plan to the user. If they confirm, call sync again with the same parameters plus dryRun: false.",
+        aiExtractedParams: params,
+      };
+    }
+
+    const results = { successful: [], failed: [], deleted: [] };
+
+    for (const item of [...plan.new, ...plan.changed]) {
+      const result =
+        direction === "upload"
+          ? await uploadItem(params, prefix, item)
+          : await downloadItem(params, resolvedLocalPath, item);
+
+      if (result.success) {
+        results.successful.push({
+          relativePath: item.relativePath,
+          reason: item.reason,
+          size: item.size,
+        });
+      } else {
+        results.failed.push({
+          relativePath: item.relativePath,
+          error: result.message,
+        });
+      }
+    }
+
+    if (params.deleteExtraneous === true && plan.extraneous.length > 0) {
+      const deleteResults =
+        direction === "upload"
+          ? await deleteRemote(params, plan.extraneous)
+          : await deleteLocal(plan.extraneous);
+      results.deleted.push(...deleteResults.deleted);
+      results.failed.push(...deleteResults.failed);
+    }
+
+    return {
+      success: results.failed.length === 0,
+      message: `🔄 Sync (${direction}) completed: ${results.successful.length} transferred, ${results.deleted.length} deleted, ${results.failed.length} failed, ${summary.unchangedFiles} unchanged`,
+      syncInfo: syncInfo,
+      syncSummary: {
+        ...summary,
+        transferred: results.successful.length,
+        deleted: results.deleted.length,
+        failed: results.failed.length,
+      },
+      results: {
+        successful: results.successful.slice(0, PLAN_SAMPLE_SIZE),
+        deleted: results.deleted.slice(0, PLAN_SAMPLE_SIZE),
+        failed: results.failed.slice(0, 100),
+      },
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials, permissions and local path";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint =
+          direction === "upload"
+            ? "Requires s3:ListBucket and s3:PutObject (and s3:DeleteObject with deleteExtraneous) permissions"
+            : "Requires s3:ListBucket and s3:GetObject permissions";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Walk the local side; a missing directory is fine when downloading into it
+ */
+async function getLocalFiles(localPath, direction, walkOptions) {
+  const result = await fileSystem.getAllFileDetails(localPath, walkOptions);
+
+  if (!result.success && direction === "download") {
+    const exists = await fs.stat(localPath).catch(() => null);
+    if (!exists) {
+      return { success: true, files: [], unreadable: [] };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Classify every file as new, changed, unchanged or extraneous
+ * @param {Array} localFiles - Local files with relativePath/size/lastModified
+ * @param {Array} remoteFiles - Remote objects with relativePath/size/lastModified/etag
+ * @param {string} direction - "upload" or "download"
+ * @param {string} compareMode - "size-mtime", "etag" or "size"
+ * @returns {Object} - Plan buckets
+ */
+async function buildPlan(localFiles, remoteFiles, direction, compareMode) {
+  const localByPath = new Map(localFiles.map((f) => [f.relativePath, f]));
+  const remoteByPath = new Map(remoteFiles.map((f) => [f.relativePath, f]));
+  const [sources, destinations] =
+    direction === "upload"
+      ? [localByPath, remoteByPath]
+      : [remoteByPath, localByPath];
+
+  const plan = { new: [], changed: [], unchanged: [], extraneous: [] };
+
+  for (const [relativePath, source] of sources) {
+    // Keys like "../x" or "/x" would escape the target directory
+    if (direction === "download" && !isSafeRelativePath(relativePath)) {
+      continue;
+    }
+
+    const destination = destinations.get(relativePath);
+    if (!destination) {
+      plan.new.push({ ...source, reason: "new" });
+      continue;
+    }
+
+    const local = localByPath.get(relativePath);
+    const remote = remoteByPath.get(relativePath);
+    const reason = await compareFiles(local, remote, direction, compareMode);
+
+    if (reason) {
+      plan.changed.push({ ...source, reason: reason });
+    } else {
+      plan.unchanged.push(source);
+    }
+  }
+
+  for (const [relativePath, destination] of destinations) {
+    if (!sources.has(relativePath)) {
+      plan.extraneous.push(destination);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Compare one local file with its remote object
+ * @returns {string|null} - Why the file must be transferred, or null if in sync
+ */
+async function compareFiles(local, remote, direction, compareMode) {
+  if (local.size !== remote.size) {
+    return "size differs";
+  }
+  if (compareMode === "size") {
+    return null;
+  }
+
+  // Single-part ETags are the MD5 of the content; multipart ones end in "-N"
+  const etag = (remote.etag || "").replace(/"/g, "");
+  if (compareMode === "etag" && /^[a-f0-9]{32}$/.test(etag)) {
+    const localMd5 = await hashFile(local.path, "md5", "hex");
+    return localMd5 === etag ? null : "content differs";
+  }
+
+  // Newer on the source side wins
+  const localTime = new Date(local.lastModified).getTime();
+  const remoteTime = new Date(remote.lastModified).getTime();
+  // S3 timestamps have one-second precision
+  if (direction === "upload" && localTime - remoteTime >= 1000) {
+    return "local file is newer";
+  }
+  if (direction === "download" && remoteTime - localTime >= 1000) {
+    return "remote object is newer";
+  }
+  return null;
+}
+
+/**
+ * Whether the local walk would have reached this path: no hidden segments
+ * (unless shown) and at most maxDepth directories deep
+ */
+function isWalked(relativePath, walkOptions) {
+  const segments = relativePath.split("/");
+  if (segments.length > walkOptions.maxDepth + 1) return false;
+  return walkOptions.showHidden || !segments.some((s) => s.startsWith("."));
+}
+
+/**
+ * Whether a path lies inside one of the local directories that could not be read
+ */
+function isUnder(relativePath, directories) {
+  return directories.some((directory) =>
+    relativePath.startsWith(`${directory.relativePath}/`)
+  );
+}
+
+function isSafeRelativePath(relativePath) {
+  return (
+    relativePath.length > 0 &&
+    !path.isAbsolute(relativePath) &&
+    !relativePath.split("/").includes("..")
+  );
+}
+
+function summarisePlan(plan, deleteExtraneous) {
+  const transferBytes = [...plan.new, ...plan.changed].reduce(
+    (sum, item) => sum + (item.size || 0),
+    0
+  );
+
+  return {
+    newFiles: plan.new.length,
+    changedFiles: plan.changed.length,
+    unchangedFiles: plan.unchanged.length,
+    extraneousFiles: plan.extraneous.length,
+    toTransfer: plan.new.length + plan.changed.length,
+    toDelete: deleteExtraneous ? plan.extraneous.length : 0,
+    transferBytes: transferBytes,
+    transferBytesFormatted: formatBytes(transferBytes),
+  };
+}
+
+function samplePlan(plan, deleteExtraneous) {
+  const describe = (item) => ({
+    relativePath: item.relativePath,
+    size: item.size,
+    ...(item.reason && { reason: item.reason }),
+  });
+
+  return {
+    new: plan.new.slice(0, PLAN_SAMPLE_SIZE).map(describe),
+    changed: plan.changed.slice(0, PLAN_SAMPLE_SIZE).map(describe),
+    extraneous: plan.extraneous.slice(0, PLAN_SAMPLE_SIZE).map(describe),
+    ...(!deleteExtraneous &&
+      plan.extraneous.length > 0 && {
+        extraneousNote:
+          "Extraneous files are kept. Set deleteExtraneous: true to remove them.",
+      }),
+  };
+}
+
+/**
+ * Upload one local file via put_object (streams and goes multipart when large)
+ */
+async function uploadItem(params, prefix, item) {
+  return await putObject({
+    bucketName: params.bucketName,
+    filePath: item.path,
+    s3Key: `${prefix}${item.relativePath}`,
+    acl: params.acl,
+    serverSideEncryption: params.serverSideEncryption,
+    storageClass: params.storageClass,
+    multipartThresholdMB: params.multipartThresholdMB,
+    partSizeMB: params.partSizeMB,
+    concurrency: params.concurrency,
+    maxRetries: params.maxRetries,
+  });
+}
+
+/**
+ * Download one object via get_object, then stamp the remote time on the file
+ * so the next size-mtime comparison sees it as unchanged
+ */
+async function downloadItem(params, localPath, item) {
+  const localFilePath = path.join(localPath, ...item.relativePath.split("/"));
+  const result = await getObject({
+    bucketName: params.bucketName,
+    fileName: item.key,
+    localFilePath: localFilePath,
+    overwrite: true,
+  });
+
+  if (result.success && item.lastModified) {
+    const remoteTime = new Date(item.lastModified);
+    await fs.utimes(localFilePath, remoteTime, remoteTime);
+  }
+
+  return result;
+}
+
+/**
+ * Delete extraneous objects with DeleteObjects, 1000 keys per request
+ */
+async function deleteRemote(params, items) {
+  const results = { deleted: [], failed: [] };
+
+  for (let i = 0; i < items.length; i += DELETE_BATCH_SIZE) {
+    const batch = items.slice(i, i + DELETE_BATCH_SIZE);
+
+    try {
+      const response = await s3Client.send(
+        new DeleteObjectsCommand({
+          Bucket: params.bucketName,
+          Delete: {
+            Objects: batch.map((item) => ({ Key: item.key })),
+            Quiet: true,
+          },
+        })
+      );
+
+      const failedKeys = new Set();
+      for (const error of response.Errors || []) {
+        failedKeys.add(error.Key);
+        results.failed.push({
+          relativePath: error.Key,
+          error: `${error.Code}: ${error.Message}`,
+        });
+      }
+      for (const item of batch) {
+        if (!failedKeys.has(item.key)) {
+          results.deleted.push({ relativePath: item.relativePath });
+        }
+      }
+    } catch (error) {
+      for (const item of batch) {
+        results.failed.push({
+          relativePath: item.relativePath,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+async function deleteLocal(items) {
+  const results = { deleted: [], failed: [] };
+
+  for (const item of items) {
+    try {
+      await fs.unlink(item.path);
+      results.deleted.push({ relativePath: item.relativePath });
+    } catch (error) {
+      results.failed.push({
+        relativePath: item.relativePath,
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+module.exports = syncDirectory;
@@ -0,0 +1,465 @@
+// tools/updateObjectMetadata.js - Change metadata and headers in place via self-copy
+const { s3Client } = require("../utils/s3Client");
+const {
+  HeadObjectCommand,
+  GetObjectAclCommand,
+} = require("@aws-sdk/client-s3");
+const { transferObjects } = require("./copyObject");
+const { listAllObjects } = require("../utils/objectLister");
+const {
+  mapWithConcurrency,
+  validateConcurrency,
+} = require("../utils/concurrency");
+
+// System headers that can be rewritten, with the HeadObject field holding the current value
+const SYSTEM_HEADERS = {
+  contentType: "ContentType",
+  cacheControl: "CacheControl",
+  contentDisposition: "ContentDisposition",
+  contentEncoding: "ContentEncoding",
+  contentLanguage: "ContentLanguage",
+  expires: "ExpiresString",
+};
+
+// S3 limit for all user-defined metadata (keys + values)
+const MAX_METADATA_BYTES = 2048;
+
+// Object ACL permissions and the copy_object option that grants each
+const GRANT_OPTIONS = {
+  FULL_CONTROL: "grantFullControl",
+  READ: "grantRead",
+  READ_ACP: "grantReadACP",
+  WRITE_ACP: "grantWriteACP",
+};
+
+// Stores without object ACLs; the copy has nothing to carry over
+const ACL_UNSUPPORTED_ERRORS = [
+  "AccessControlListNotSupported",
+  "NotImplemented",
+];
+const DEFAULT_MAX_OBJECTS = 1000;
+const DEFAULT_CONCURRENCY = 5;
+
+async function updateObjectMetadata(params) {
+  console.log(
+    "🔍 Received parameters from AI:",
+    JSON.stringify(params, null, 2)
+  );
+
+  const key = params.fileName || params.key;
+
+  // Validate required parameters
+  if (!params.bucketName || (!key && params.prefix === undefined)) {
+    return {
+      success: false,
+      message:
+        "Error: bucketName and either fileName (single object) or prefix (every object under it) are required.",
+      receivedParams: params,
+    };
+  }
+
+  const mode = (params.mode || "merge").toLowerCase();
+  if (!["merge", "replace"].includes(mode)) {
+    return {
+      success: false,
+      message: `Error: mode must be "merge" or "replace" (received "${params.mode}").`,
+      receivedParams: params,
+    };
+  }
+
+  const changes = {
+    metadata: normalizeMetadata(params.metadata),
+    removeMetadataKeys: (params.removeMetadataKeys || []).map((k) =>
+      String(k).toLowerCase()
+    ),
+    headers: {},
+  };
+  for (const header of Object.keys(SYSTEM_HEADERS)) {
+    if (params[header] !== undefined) changes.headers[header] = params[header];
+  }
+
+  const concurrencyError = validateConcurrency(params.concurrency);
+  if (concurrencyError) {
+    return {
+      success: false,
+      message: `Error: ${concurrencyError}.`,
+      receivedParams: params,
+    };
+  }
+
+  if (
+    mode === "merge" &&
+    Object.keys(changes.metadata).length === 0 &&
+    changes.removeMetadataKeys.length === 0 &&
+    Object.keys(changes.headers).length === 0
+  ) {
+    return {
+      success: false,
+      message:
+        "Error: Nothing to change. Provide metadata, removeMetadataKeys or a header such as contentType or cacheControl.",
+      receivedParams: params,
+    };
+  }
+
+  try {
+    // SCENARIO 1: Single object
+    if (key) {
+      const result = await updateSingleObject(params, key, mode, changes);
+
+      return {
+        ...result,
+        aiExtractedParams: params,
+      };
+    }
+
+    // SCENARIO 2: Every object under a prefix
+    const listing = await listAllObjects(params.bucketName, params.prefix, {
+      maxObjects: params.maxObjects || DEFAULT_MAX_OBJECTS,
+      continuationToken: params.continuationToken,
+    });
+
+    if (listing.objects.length === 0) {
+      return {
+        success: false,
+        message: `❌ No objects found under "${params.bucketName}/${params.prefix}"`,
+        aiExtractedParams: params,
+      };
+    }
+
+    console.log(
+      `📦 Updating metadata of ${listing.objects.length} objects${
+        params.dryRun ? " (dry run)" : ""
+      }...`
+    );
+
+    const results = await mapWithConcurrency(
+      listing.objects,
+      Number(params.concurrency) || DEFAULT_CONCURRENCY,
+      (object) => updateSingleObject(params, object.key, mode, changes)
+    );
+
+    const updated = results.filter((r) => r.success && r.status === "updated");
+    const unchanged = results.filter(
+      (r) => r.success && r.status === "unchanged"
+    );
+    const failed = results.filter((r) => !r.success);
+
+    return {
+      success: failed.length < results.length,
+      message: `${params.dryRun ? "🔎 Dry run: " : "📦 "}${
+        updated.length
+      } object(s) ${params.dryRun ? "would be updated" : "updated"}, ${
+        unchanged.length
+      } already up to date, ${failed.length} failed under "${
+        params.bucketName
+      }/${params.prefix}"`,
+      updateSummary: {
+        bucketName: params.bucketName,
+        prefix: params.prefix,
+        mode: mode,
+        dryRun: Boolean(params.dryRun),
+        objectsFound: listing.objects.length,
+        updated: updated.length,
+        unchanged: unchanged.length,
+        failed: failed.length,
+        isTruncated: listing.isTruncated,
+        nextContinuationToken: listing.nextContinuationToken,
+      },
+      updatedKeys: updated.map((r) => r.key),
+      ...(failed.length > 0 && {
+        failures: failed.map((r) => ({ key: r.key, error: r.message })),
+      }),
+      ...(listing.isTruncated && {
+        paginationNote: `Only the first ${listing.objects.length} objects were processed. Call update_object_metadata again with continuationToken set to nextContinuationToken to continue.`,
+      }),
+      aiExtractedParams: params,
+    };
+  } catch (error) {
+    let hint = "Check AWS credentials and permissions";
+
+    switch (error.name) {
+      case "NoSuchBucket":
+        hint = `The bucket "${params.bucketName}" does not exist`;
+        break;
+      case "AccessDenied":
+        hint =
+          "Requires s3:ListBucket, s3:GetObject, s3:GetObjectAcl and s3:PutObject permissions (plus s3:PutObjectAcl for objects with grants and s3:PutObjectRetention / s3:PutObjectLegalHold for locked objects)";
+        break;
+    }
+
+    return {
+      success: false,
+      message: `❌ AWS Error: ${error.message}`,
+      errorDetails: {
+        errorCode: error.name,
+        errorMessage: error.message,
+        statusCode: error.$metadata?.httpStatusCode,
+        aiExtractedParams: params,
+        hint: hint,
+      },
+    };
+  }
+}
+
+/**
+ * Rewrite one object's metadata with a self-copy (MetadataDirective REPLACE)
+ * @param {Object} params - Tool parameters
+ * @param {string} key - Object key
+ * @param {string} mode - "merge" or "replace"
+ * @param {Object} changes - { metadata, removeMetadataKeys, headers }
+ * @returns {Object} - { success, key, status, before, after, ... }
+ */
+async function updateSingleObject(params, key, mode, changes) {
+  let head;
+  try {
+    head = await s3Client.send(
+      new HeadObjectCommand({
+        Bucket: params.bucketName,
+        Key: key,
+        ExpectedBucketOwner: params.expectedBucketOwner,
+      })
+    );
+  } catch (error) {
+    return {
+      success: false,
+      key: key,
+      message:
+        error.name === "NotFound"
+          ? `❌ Object "${params.bucketName}/${key}" not found`
+          : `❌ AWS Error: ${error.message || error.name}`,
+    };
+  }
+
+  // A self-copy needs the object's data, which archived and SSE-C objects cannot provide
+  if (
+    ["GLACIER", "DEEP_ARCHIVE"].includes(head.StorageClass) &&
+    !head.Restore?.includes('ongoing-request="false"')
+  ) {
+    return {
+      success: false,
+      key: key,
+      message: `❌ "${key}" is archived in ${head.StorageClass} - restore it before changing its metadata`,
+    };
+  }
+  if (head.SSECustomerAlgorithm) {
+    return {
+      success: false,
+      key: key,
+      message: `❌ "${key}" uses SSE-C; metadata cannot be changed without the customer key`,
+    };
+  }
+
+  const before = {
+    metadata: head.Metadata || {},
+    headers: currentHeaders(head),
+  };
+
+  const metadata =
+    mode === "merge"
+      ? { ...before.metadata, ...changes.metadata }
+      : { ...changes.metadata };
+  changes.removeMetadataKeys.forEach((k) => delete metadata[k]);
+
+  const headers =
+    mode === "merge"
+      ? { ...before.headers, ...changes.headers }
+      : { ...changes.headers };
+  // copy_object keeps Content-Type on REPLACE rather than resetting it
+  if (!headers.contentType && head.ContentType) {
+    headers.contentType = head.ContentType;
+  }
+
+  const after = { metadata: metadata, headers: headers };
+
+  const metadataBytes = Object.entries(metadata).reduce(
+    (sum, [k, v]) => sum + Buffer.byteLength(k) + Buffer.byteLength(v),
+    0
+  );
+  if (metadataBytes > MAX_METADATA_BYTES) {
+    return {
+      success: false,
+      key: key,
+      message: `❌ User metadata for "${key}" would be ${metadataBytes} bytes (S3 limit: ${MAX_METADATA_BYTES})`,
+    };
+  }
+
+  if (JSON.stringify(sortKeys(before)) === JSON.stringify(sortKeys(after))) {
+    return {
+      success: true,
+      key: key,
+      status: "unchanged",
+      message: `ℹ️  "${key}" already has the requested metadata`,
+      before: before,
+      after: after,
+    };
+  }
+
+  if (params.dryRun) {
+    return {
+      success: true,
+      key: key,
+      status: "updated",
+      message: `🔎 Dry run: "${key}" would be updated`,
+      before: before,
+      after: after,
+    };
+  }
+
+  // A copy gets a private ACL unless grants are sent with it
+  let grants;
+  try {
+    grants = await currentGrants(params, key);
+  } catch (error) {
+    return {
+      success: false,
+      key: key,
+      message: `❌ Could not read the ACL of "${key}" (${
+        error.message || error.name
+      }) - not updated, as the copy would reset it to private. Requires s3:GetObjectAcl`,
+    };
+  }
+
+  // Carry over what a REPLACE copy would otherwise reset, and refuse
+  // to overwrite the object if it changed since it was read
+  const copyResult = await transferObjects(
+    {
+      bucketName: params.bucketName,
+      sourceKey: key,
+      destinationKey: key,
+      metadataDirective: "REPLACE",
+      metadata: metadata,
+      ...headers,
+      storageClass:
+        head.StorageClass && head.StorageClass !== "STANDARD"
+          ? head.StorageClass
+          : undefined,
+      serverSideEncryption: head.ServerSideEncryption,
+      sseKMSKeyId: head.SSEKMSKeyId,
+      bucketKeyEnabled: head.BucketKeyEnabled,
+      websiteRedirectLocation: head.WebsiteRedirectLocation,
+      ...grants,
+      ...objectLockSettings(head),
+      copySourceIfMatch: head.ETag,
+      expectedBucketOwner: params.expectedBucketOwner,
+    },
+    { deleteSource: false }
+  );
+
+  if (!copyResult.success) {
+    return {
+      success: false,
+      key: key,
+      message: copyResult.message,
+      errorDetails: copyResult.errorDetails,
+    };
+  }
+
+  return {
+    success: true,
+    key: key,
+    status: "updated",
+    message: `✅ Metadata of "${params.bucketName}/${key}" updated (${mode})`,
+    before: before,
+    after: after,
+    awsCommandParams: copyResult.awsCommandParams,
+    awsResponse: copyResult.awsResponse,
+  };
+}
+
+/**
+ * The object's ACL as copy_object grant options, or {} when it is the
+ * default (owner full control only) so ACL-less buckets are not sent any
+ */
+async function currentGrants(params, key) {
+  let acl;
+  try {
+    acl = await s3Client.send(
+      new GetObjectAclCommand({
+        Bucket: params.bucketName,
+        Key: key,
+        ExpectedBucketOwner: params.expectedBucketOwner,
+      })
+    );
+  } catch (error) {
+    if (ACL_UNSUPPORTED_ERRORS.includes(error.name)) return {};
+    throw error;
+  }
+
+  const grants = acl.Grants || [];
+  const ownerOnly = grants.every(
+    (grant) =>
+      grant.Permission === "FULL_CONTROL" &&
+      grant.Grantee?.ID &&
+      grant.Grantee.ID === acl.Owner?.ID
+  );
+  if (ownerOnly) return {};
+
+  const grantees = {};
+  for (const grant of grants) {
+    const option = GRANT_OPTIONS[grant.Permission];
+    const grantee = formatGrantee(grant.Grantee || {});
+    if (!option || !grantee) continue;
+    (grantees[option] = grantees[option] || []).push(grantee);
+  }
+  return Object.fromEntries(
+    Object.entries(grantees).map(([option, list]) => [option, list.join(", ")])
+  );
+}
+
+// Grant header syntax: id="...", uri="..." or emailAddress="..."
+function formatGrantee(grantee) {
+  if (grantee.ID) return `id="${grantee.ID}"`;
+  if (grantee.URI) return `uri="${grantee.URI}"`;
+  if (grantee.EmailAddress) return `emailAddress="${grantee.EmailAddress}"`;
+  return null;
+}
+
+/**
+ * Retention and legal hold for the new version, so it is as protected as
+ * the one it replaces (HeadObject only reports them with the Get* permissions)
+ */
+function objectLockSettings(head) {
+  const settings = {};
+  if (
+    head.ObjectLockMode &&
+    new Date(head.ObjectLockRetainUntilDate) > new Date()
+  ) {
+    settings.objectLockMode = head.ObjectLockMode;
+    settings.objectLockRetainUntilDate = head.ObjectLockRetainUntilDate;
+  }
+  if (head.ObjectLockLegalHoldStatus === "ON") {
+    settings.objectLockLegalHoldStatus = "ON";
+  }
+  return settings;
+}
+
+/**
+ * Lowercase keys and stringify values the way S3 stores user metadata
+ */
+function normalizeMetadata(metadata) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(metadata || {})) {
+    normalized[key.toLowerCase().replace(/^x-amz-meta-/, "")] = String(value);
+  }
+  return normalized;
+}
+
+function currentHeaders(head) {
+  const headers = {};
+  for (const [param, field] of Object.entries(SYSTEM_HEADERS)) {
+    const value =
+      field === "ExpiresString" ? head[field] || head.Expires : head[field];
+    if (value !== undefined) headers[param] = value;
+  }
+  return headers;
+}
+
+function sortKeys(state) {
+  const sort = (obj) =>
+    Object.fromEntries(
+      Object.entries(obj).sort(([a], [b]) => a.localeCompare(b))
+    );
+  return { metadata: sort(state.metadata), headers: sort(state.headers) };
+}
+
+module.exports = updateObjectMetadata;
@@ -0,0 +1,44 @@
+// utils/concurrency.js - Bounded parallelism for per-object requests
+
+/**
+ * Run an async function over items with at most `concurrency` in flight
+ * @param {Array} items - Inputs
+ * @param {number} concurrency - Maximum parallel calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Array} - Results in input order
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  // Zero workers would skip every item and look like "nothing matched"
+  const error = validateConcurrency(concurrency);
+  if (error || concurrency === undefined) {
+    throw new RangeError(error || "concurrency is required");
+  }
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(Number(concurrency), items.length) }, worker)
+  );
+  return results;
+}
+
+/**
+ * Check a user-supplied concurrency (unset is fine - tools use their default)
+ * @returns {string|undefined} - Validation message, or undefined when valid
+ */
+function validateConcurrency(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1
+    ? undefined
+    : `concurrency must be a whole number of 1 or more (received "${value}")`;
+}
+
+module.exports = { mapWithConcurrency, validateConcurrency };
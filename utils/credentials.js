@@ -0,0 +1,122 @@
+// utils/credentials.js - Credential provider for a profile: static keys, shared
+// config profiles, web identity and STS AssumeRole
+const {
+  fromIni,
+  fromTokenFile,
+  fromTemporaryCredentials,
+} = require("@aws-sdk/credential-providers");
+
+const DEFAULT_ROLE_SESSION_NAME = "mcp-s3-assistant";
+
+/**
+ * Credentials for an S3 client. Temporary credentials carry an expiration and
+ * the SDK fetches new ones shortly before it, so long sessions keep working.
+ * @param {Object} profile - Profile from utils/profiles
+ * @param {Object} requestHandler - HTTP handler options for STS (same TLS settings as S3)
+ * @returns {Object|Function|undefined} - Static keys, a provider, or undefined
+ *   to let the SDK use its default credential chain
+ */
+function credentialsFor(profile, requestHandler) {
+  const stsConfig = {
+    region: profile.region,
+    ...(profile.stsEndpoint && { endpoint: profile.stsEndpoint }),
+    requestHandler: requestHandler,
+  };
+  const sessionName = profile.roleSessionName || DEFAULT_ROLE_SESSION_NAME;
+
+  // A web identity token (e.g. EKS / OIDC) is exchanged for the role directly
+  if (profile.webIdentityTokenFile) {
+    return withProfileName(
+      fromTokenFile({
+        webIdentityTokenFile: profile.webIdentityTokenFile,
+        roleArn: profile.roleArn,
+        roleSessionName: sessionName,
+        durationSeconds: profile.durationSeconds,
+        clientConfig: stsConfig,
+      }),
+      profile
+    );
+  }
+
+  let base;
+  if (profile.accessKeyId) {
+    base = {
+      accessKeyId: profile.accessKeyId,
+      secretAccessKey: profile.secretAccessKey,
+      sessionToken: profile.sessionToken,
+    };
+  } else if (profile.awsProfile) {
+    // ~/.aws/credentials and ~/.aws/config, including role_arn / source_profile,
+    // credential_process and SSO entries
+    base = fromIni({ profile: profile.awsProfile, clientConfig: stsConfig });
+  }
+
+  if (!profile.roleArn) {
+    return typeof base === "function" ? withProfileName(base, profile) : base;
+  }
+
+  // Without base credentials the default chain signs the AssumeRole call
+  return withProfileName(
+    fromTemporaryCredentials({
+      masterCredentials: base,
+      params: {
+        RoleArn: profile.roleArn,
+        RoleSessionName: sessionName,
+        ...(profile.externalId && { ExternalId: profile.externalId }),
+        ...(profile.durationSeconds && {
+          DurationSeconds: profile.durationSeconds,
+        }),
+      },
+      clientConfig: stsConfig,
+    }),
+    profile
+  );
+}
+
+// Say which profile failed; the SDK's own messages don't
+function withProfileName(provider, profile) {
+  return async (options) => {
+    try {
+      return await provider(options);
+    } catch (error) {
+      error.message = `Could not get credentials for S3 profile "${
+        profile.name
+      }" (${describeCredentials(profile)}): ${error.message}`;
+      throw error;
+    }
+  };
+}
+
+/**
+ * Where a profile's credentials come from, without revealing secrets
+ */
+function describeCredentials(profile) {
+  if (profile.webIdentityTokenFile) {
+    return `web identity token ${profile.webIdentityTokenFile} → ${profile.roleArn}`;
+  }
+
+  let source;
+  if (profile.accessKeyId) {
+    source = `${maskKey(profile.accessKeyId)}${
+      profile.sessionToken ? " (with session token)" : ""
+    }`;
+  } else if (profile.awsProfile) {
+    source = `shared config profile "${profile.awsProfile}"`;
+  } else {
+    source = "SDK default credential chain";
+  }
+
+  if (!profile.roleArn) return source;
+  return `${source} → assume ${profile.roleArn}${
+    profile.externalId ? " (with external ID)" : ""
+  }`;
+}
+
+function maskKey(key) {
+  return key.length > 8 ? `${key.slice(0, 4)}…${key.slice(-4)}` : "****";
+}
+
+module.exports = {
+  credentialsFor,
+  describeCredentials,
+};
@@ -23,38 +23,7 @@ class FileSystemUtils {
       const fileSize = stats.size;
 
       // Determine if file is binary or text
-      const binaryExtensions = [
-        ".jpg",
-        ".jpeg",
-        ".png",
-        ".gif",
-        ".bmp",
-        ".webp",
-        ".svg",
-        ".pdf",
-        ".doc",
-        ".docx",
-        ".xls",
-        ".xlsx",
-        ".ppt",
-        ".pptx",
-        ".zip",
-        ".rar",
-        ".tar",
-        ".gz",
-        ".7z",
-        ".mp3",
-        ".wav",
-        ".mp4",
-        ".avi",
-        ".mov",
-        ".exe",
-        ".bin",
-        ".dll",
-        ".so",
-      ];
-
-      const isBinary = binaryExtensions.includes(ext);
+      const isBinary = this.isBinaryExtension(ext);
 
       // Read file content
       let content;
@@ -92,6 +61,80 @@ class FileSystemUtils {
     }
   }
 
+  /**
+   * Get file metadata without reading its content (for streaming uploads)
+   * @param {string} filePath - Path to the file
+   * @returns {Object} - File metadata
+   */
+  async getFileInfo(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+
+      if (!stats.isFile()) {
+        throw new Error(`Path "${filePath}" is not a file`);
+      }
+
+      const ext = path.extname(filePath).toLowerCase();
+
+      return {
+        success: true,
+        fileName: path.basename(filePath),
+        filePath,
+        contentType: this.getContentType(ext),
+        fileSize: stats.size,
+        isBinary: this.isBinaryExtension(ext),
+        extension: ext,
+        lastModified: stats.mtime,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        filePath,
+      };
+    }
+  }
+
+  /**
+   * Check whether a file extension denotes binary content
+   * @param {string} ext - File extension (lowercase, with dot)
+   * @returns {boolean} - True for binary files
+   */
+  isBinaryExtension(ext) {
+    const binaryExtensions = [
+      ".jpg",
+      ".jpeg",
+      ".png",
+      ".gif",
+      ".bmp",
+      ".webp",
+      ".svg",
+      ".pdf",
+      ".doc",
+      ".docx",
+      ".xls",
+      ".xlsx",
+      ".ppt",
+      ".pptx",
+      ".zip",
+      ".rar",
+      ".tar",
+      ".gz",
+      ".7z",
+      ".mp3",
+      ".wav",
+      ".mp4",
+      ".avi",
+      ".mov",
+      ".exe",
+      ".bin",
+      ".dll",
+      ".so",
+    ];
+
+    return binaryExtensions.includes(ext);
+  }
+
   /**
    * List directory contents with file details
    * @param {string} dirPath - Path to directory
@@ -151,6 +194,9 @@ class FileSystemUtils {
           });
           if (subContents.success) {
             itemInfo.contents = subContents.contents;
+          } else {
+            // Keep the failure so callers can tell "empty" from "unreadable"
+            itemInfo.error = subContents.error;
           }
         }
       }
@@ -266,6 +312,58 @@ class FileSystemUtils {
       return [];
     }
   }
+
+  /**
+   * Get every file under a directory with size and modification time (for sync)
+   * @param {string} dirPath - Directory path
+   * @param {Object} options - { showHidden, maxDepth }
+   * @returns {Object} - Files with "/"-separated paths relative to dirPath, and
+   *   the subdirectories that could not be read
+   */
+  async getAllFileDetails(dirPath, options = {}) {
+    const result = await this.listDirectory(dirPath, {
+      recursive: true,
+      showHidden: options.showHidden || false,
+      maxDepth: options.maxDepth ?? 20,
+    });
+    if (!result.success) {
+      return { success: false, error: result.error, path: dirPath };
+    }
+
+    const files = [];
+    const unreadable = [];
+
+    const extractFiles = (items) => {
+      for (const item of items) {
+        if (item.isFile) {
+          files.push({
+            path: item.path,
+            relativePath: path
+              .relative(dirPath, item.path)
+              .split(path.sep)
+              .join("/"),
+            size: item.size,
+            lastModified: item.lastModified,
+          });
+        }
+        if (item.contents) {
+          extractFiles(item.contents);
+        }
+        if (item.error) {
+          unreadable.push({
+            relativePath: path
+              .relative(dirPath, item.path)
+              .split(path.sep)
+              .join("/"),
+            error: item.error,
+          });
+        }
+      }
+    };
+
+    extractFiles(result.contents);
+    return { success: true, path: dirPath, files, unreadable };
+  }
 }
 
 module.exports = new FileSystemUtils();
@@ -0,0 +1,20 @@
+// utils/formatters.js - Display helpers shared by tool results
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human readable size
+ */
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const exponent = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(1024)),
+    units.length - 1
+  );
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${
+    units[exponent]
+  }`;
+}
+
+module.exports = { formatBytes };
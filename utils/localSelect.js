@@ -0,0 +1,1018 @@
+// utils/localSelect.js - Local evaluator for the S3 Select SQL subset
+// Used when an S3-compatible store does not implement SelectObjectContent.
+// Supports: SELECT * | expr [AS name], ... FROM S3Object[path] [alias]
+//           [WHERE condition] [LIMIT n]
+// with aggregates COUNT/SUM/AVG/MIN/MAX (no GROUP BY, as in S3 Select).
+
+const KEYWORDS = new Set([
+  "SELECT",
+  "FROM",
+  "WHERE",
+  "LIMIT",
+  "AS",
+  "AND",
+  "OR",
+  "NOT",
+  "LIKE",
+  "IS",
+  "NULL",
+  "TRUE",
+  "FALSE",
+  "IN",
+  "BETWEEN",
+  "CAST",
+  "ESCAPE",
+]);
+const AGGREGATES = new Set(["COUNT", "SUM", "AVG", "MIN", "MAX"]);
+const SCALAR_FUNCTIONS = {
+  LOWER: (v) => (v === null ? null : String(v).toLowerCase()),
+  UPPER: (v) => (v === null ? null : String(v).toUpperCase()),
+  TRIM: (v) => (v === null ? null : String(v).trim()),
+  CHAR_LENGTH: (v) => (v === null ? null : String(v).length),
+  CHARACTER_LENGTH: (v) => (v === null ? null : String(v).length),
+  ABS: (v) => (toNumber(v) === null ? null : Math.abs(toNumber(v))),
+  COALESCE: (...values) => values.find((v) => v !== null) ?? null,
+  NULLIF: (a, b) => (compareValues(a, b) === 0 ? null : a),
+  SUBSTRING: (v, start, length) => {
+    if (v === null) return null;
+    const from = Math.max(Number(start) - 1, 0);
+    return length === undefined
+      ? String(v).slice(from)
+      : String(v).substr(from, Number(length));
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "'") {
+      // String literal, '' escapes a quote
+      let value = "";
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === "'" && sql[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (sql[i] === "'") {
+          break;
+        } else {
+          value += sql[i++];
+        }
+      }
+      if (i >= sql.length) throw new Error("Unterminated string literal");
+      i++;
+      tokens.push({ type: "string", value });
+    } else if (ch === '"') {
+      // Quoted identifier (case-sensitive)
+      const end = sql.indexOf('"', i + 1);
+      if (end === -1) throw new Error("Unterminated quoted identifier");
+      tokens.push({
+        type: "ident",
+        value: sql.slice(i + 1, end),
+        quoted: true,
+      });
+      i = end + 1;
+    } else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(sql[i + 1]))) {
+      const match = sql.slice(i).match(/^\d*\.?\d+(e[+-]?\d+)?/i);
+      tokens.push({ type: "number", value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = sql.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      const upper = match[0].toUpperCase();
+      tokens.push(
+        KEYWORDS.has(upper)
+          ? { type: "keyword", value: upper }
+          : { type: "ident", value: match[0], quoted: false }
+      );
+      i += match[0].length;
+    } else {
+      const two = sql.slice(i, i + 2);
+      if (["<=", ">=", "<>", "!=", "||"].includes(two)) {
+        tokens.push({ type: "op", value: two });
+        i += 2;
+      } else if ("=<>*,.()+-/%[]".includes(ch)) {
+        tokens.push({ type: "op", value: ch });
+        i++;
+      } else if (ch === ";" && sql.slice(i + 1).trim() === "") {
+        i = sql.length;
+      } else {
+        throw new Error(`Unexpected character "${ch}" at position ${i}`);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return token && token.type === "keyword" && token.value === value;
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return token && token.type === "op" && token.value === value;
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expectKeyword(value) {
+    if (!this.isKeyword(value)) {
+      throw new Error(`Expected ${value} ${this.describeCurrent()}`);
+    }
+    return this.next();
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) {
+      throw new Error(`Expected "${value}" ${this.describeCurrent()}`);
+    }
+    return this.next();
+  }
+
+  describeCurrent() {
+    const token = this.peek();
+    return token ? `near "${token.value}"` : "at end of query";
+  }
+
+  parseQuery() {
+    this.expectKeyword("SELECT");
+    const select = this.parseSelectList();
+    this.expectKeyword("FROM");
+    const source = this.parseSource();
+
+    let alias;
+    if (this.isKeyword("AS")) this.next();
+    if (this.peek()?.type === "ident") alias = this.next().value;
+
+    let where;
+    if (this.isKeyword("WHERE")) {
+      this.next();
+      where = this.parseExpression();
+    }
+
+    let limit;
+    if (this.isKeyword("LIMIT")) {
+      this.next();
+      const token = this.next();
+      if (!token || token.type !== "number") {
+        throw new Error("LIMIT must be followed by a number");
+      }
+      limit = token.value;
+    }
+
+    if (this.peek()) {
+      throw new Error(`Unsupported syntax ${this.describeCurrent()}`);
+    }
+
+    return { select, source, alias, where, limit };
+  }
+
+  parseSelectList() {
+    if (this.isOp("*")) {
+      this.next();
+      return { star: true, items: [] };
+    }
+
+    const items = [];
+    do {
+      if (items.length > 0) this.next();
+      const expr = this.parseExpression();
+      let name;
+      if (this.isKeyword("AS")) {
+        this.next();
+        name = this.next().value;
+      } else if (this.peek()?.type === "ident" && !this.isKeyword("FROM")) {
+        name = this.next().value;
+      }
+      items.push({
+        expr,
+        name: name || (expr.type === "column" ? expr.path.at(-1).name : null),
+      });
+    } while (this.isOp(","));
+
+    return { star: false, items };
+  }
+
+  parseSource() {
+    const token = this.next();
+    if (
+      !token ||
+      token.type !== "ident" ||
+      token.value.toLowerCase() !== "s3object"
+    ) {
+      throw new Error("FROM must reference S3Object");
+    }
+
+    // Optional JSON path: S3Object[*].items[*] / S3Object.records
+    const path = [];
+    while (this.isOp("[") || this.isOp(".")) {
+      if (this.isOp("[")) {
+        this.next();
+        this.expectOp("*");
+        this.expectOp("]");
+        path.push({ wildcard: true });
+      } else {
+        this.next();
+        path.push({ name: this.next().value });
+      }
+    }
+    return { path };
+  }
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword("OR")) {
+      this.next();
+      left = { type: "or", left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword("AND")) {
+      this.next();
+      left = { type: "and", left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword("NOT")) {
+      this.next();
+      return { type: "not", operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+
+    const token = this.peek();
+    if (
+      token?.type === "op" &&
+      ["=", "!=", "<>", "<", "<=", ">", ">="].includes(token.value)
+    ) {
+      this.next();
+      return {
+        type: "compare",
+        op: token.value,
+        left,
+        right: this.parseAdditive(),
+      };
+    }
+
+    if (this.isKeyword("IS")) {
+      this.next();
+      const negated = this.isKeyword("NOT") ? Boolean(this.next()) : false;
+      this.expectKeyword("NULL");
+      return { type: "isNull", operand: left, negated };
+    }
+
+    let negated = false;
+    if (this.isKeyword("NOT")) {
+      this.next();
+      negated = true;
+    }
+
+    if (this.isKeyword("LIKE")) {
+      this.next();
+      const pattern = this.parseAdditive();
+      let escape;
+      if (this.isKeyword("ESCAPE")) {
+        this.next();
+        escape = this.parseAdditive();
+      }
+      return { type: "like", operand: left, pattern, escape, negated };
+    }
+
+    if (this.isKeyword("IN")) {
+      this.next();
+      this.expectOp("(");
+      const values = [this.parseExpression()];
+      while (this.isOp(",")) {
+        this.next();
+        values.push(this.parseExpression());
+      }
+      this.expectOp(")");
+      return { type: "in", operand: left, values, negated };
+    }
+
+    if (this.isKeyword("BETWEEN")) {
+      this.next();
+      const low = this.parseAdditive();
+      this.expectKeyword("AND");
+      const high = this.parseAdditive();
+      return { type: "between", operand: left, low, high, negated };
+    }
+
+    if (negated) {
+      throw new Error(
+        `Expected LIKE, IN or BETWEEN after NOT ${this.describeCurrent()}`
+      );
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOp("+") || this.isOp("-") || this.isOp("||")) {
+      const op = this.next().value;
+      left = { type: "arith", op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOp("*") || this.isOp("/") || this.isOp("%")) {
+      const op = this.next().value;
+      left = { type: "arith", op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp("-")) {
+      this.next();
+      return { type: "negate", operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) throw new Error("Unexpected end of query");
+
+    if (token.type === "number" || token.type === "string") {
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "keyword") {
+      if (token.value === "NULL") return { type: "literal", value: null };
+      if (token.value === "TRUE") return { type: "literal", value: true };
+      if (token.value === "FALSE") return { type: "literal", value: false };
+      if (token.value === "CAST") {
+        this.expectOp("(");
+        const operand = this.parseExpression();
+        this.expectKeyword("AS");
+        const target = this.next().value.toUpperCase();
+        this.expectOp(")");
+        return { type: "cast", operand, target };
+      }
+      throw new Error(`Unexpected ${token.value}`);
+    }
+    if (token.type === "op" && token.value === "(") {
+      const expr = this.parseExpression();
+      this.expectOp(")");
+      return expr;
+    }
+
+    if (token.type === "ident") {
+      // Function call
+      if (!token.quoted && this.isOp("(")) {
+        this.next();
+        const name = token.value.toUpperCase();
+        const args = [];
+        if (name === "COUNT" && this.isOp("*")) {
+          this.next();
+          args.push({ type: "star" });
+        } else if (!this.isOp(")")) {
+          args.push(this.parseExpression());
+          while (this.isOp(",")) {
+            this.next();
+            args.push(this.parseExpression());
+          }
+        }
+        this.expectOp(")");
+
+        if (AGGREGATES.has(name)) {
+          return { type: "aggregate", name, arg: args[0] };
+        }
+        if (!SCALAR_FUNCTIONS[name]) {
+          throw new Error(
+            `Function ${name} is not supported by the local evaluator`
+          );
+        }
+        return { type: "call", name, args };
+      }
+
+      // Column reference: col, s.col, s."Col Name", s.a.b
+      const path = [{ name: token.value, quoted: token.quoted }];
+      while (this.isOp(".") && this.peek(1)?.type === "ident") {
+        this.next();
+        const part = this.next();
+        path.push({ name: part.value, quoted: part.quoted });
+      }
+      return { type: "column", path };
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+}
+
+/**
+ * Parse an S3 Select SQL expression
+ * @param {string} sql - SQL expression
+ * @returns {Object} - Compiled query
+ */
+function compileQuery(sql) {
+  const query = new Parser(tokenize(sql)).parseQuery();
+  query.aggregates = [];
+  for (const item of query.select.items)
+    collectAggregates(item.expr, query.aggregates);
+  if (query.where && containsAggregate(query.where)) {
+    throw new Error("Aggregate functions are not allowed in WHERE");
+  }
+  query.isAggregate = query.aggregates.length > 0;
+  if (
+    query.isAggregate &&
+    query.select.items.some((item) => !containsAggregate(item.expr))
+  ) {
+    throw new Error(
+      "Aggregate queries may only select aggregate expressions (GROUP BY is not supported by S3 Select)"
+    );
+  }
+  return query;
+}
+
+function collectAggregates(node, list) {
+  if (!node || typeof node !== "object") return;
+  if (node.type === "aggregate") {
+    list.push(node);
+    return;
+  }
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) value.forEach((v) => collectAggregates(v, list));
+    else if (value && typeof value === "object") collectAggregates(value, list);
+  }
+}
+
+function containsAggregate(node) {
+  const found = [];
+  collectAggregates(node, found);
+  return found.length > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Compare two values; numeric when both sides look numeric (CSV fields are
+ * strings, so this is more lenient than S3 Select, which requires CAST)
+ * @returns {number|null} - negative / 0 / positive, or null if either is NULL
+ */
+function compareValues(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined)
+    return null;
+  const numA = toNumber(a);
+  const numB = toNumber(b);
+  if (
+    numA !== null &&
+    numB !== null &&
+    (typeof a === "number" ||
+      typeof b === "number" ||
+      (typeof a === typeof b && a !== "" && b !== ""))
+  ) {
+    return numA - numB;
+  }
+  const strA = String(a);
+  const strB = String(b);
+  return strA < strB ? -1 : strA > strB ? 1 : 0;
+}
+
+function likeToRegExp(pattern, escape) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (escape && ch === escape && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (ch === "%") {
+      source += ".*";
+    } else if (ch === "_") {
+      source += ".";
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "s");
+}
+
+function resolveColumn(path, record, alias) {
+  let parts = path;
+  const first = parts[0].name.toLowerCase();
+  if (
+    parts.length > 1 &&
+    ((alias && first === alias.toLowerCase()) || first === "s3object")
+  ) {
+    parts = parts.slice(1);
+  }
+
+  // Positional reference: _1, _2, ... (CSV)
+  if (parts.length === 1 && /^_\d+$/.test(parts[0].name) && record.positional) {
+    const value = record.positional[Number(parts[0].name.slice(1)) - 1];
+    return value === undefined ? null : value;
+  }
+
+  let current = record.fields;
+  for (const part of parts) {
+    if (current === null || typeof current !== "object") return null;
+    if (
+      part.quoted ||
+      Object.prototype.hasOwnProperty.call(current, part.name)
+    ) {
+      current = current[part.name];
+    } else {
+      const key = Object.keys(current).find(
+        (k) => k.toLowerCase() === part.name.toLowerCase()
+      );
+      current = key === undefined ? undefined : current[key];
+    }
+    if (current === undefined) return null;
+  }
+  return current;
+}
+
+function castValue(value, target) {
+  if (value === null) return null;
+  switch (target) {
+    case "INT":
+    case "INTEGER":
+    case "BIGINT": {
+      const number = toNumber(value);
+      return number === null ? null : Math.trunc(number);
+    }
+    case "FLOAT":
+    case "DOUBLE":
+    case "DECIMAL":
+    case "NUMERIC":
+    case "REAL":
+      return toNumber(value);
+    case "STRING":
+    case "VARCHAR":
+    case "CHAR":
+      return String(value);
+    case "BOOL":
+    case "BOOLEAN":
+      return value === true || String(value).toLowerCase() === "true";
+    case "TIMESTAMP": {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    default:
+      throw new Error(
+        `CAST to ${target} is not supported by the local evaluator`
+      );
+  }
+}
+
+function evaluate(node, record, context) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "column":
+      return resolveColumn(node.path, record, context.alias);
+    case "aggregate":
+      return context.aggregateResults.get(node);
+    case "call":
+      return SCALAR_FUNCTIONS[node.name](
+        ...node.args.map((arg) => evaluate(arg, record, context))
+      );
+    case "cast":
+      return castValue(evaluate(node.operand, record, context), node.target);
+    case "negate": {
+      const value = toNumber(evaluate(node.operand, record, context));
+      return value === null ? null : -value;
+    }
+    case "arith": {
+      const left = evaluate(node.left, record, context);
+      const right = evaluate(node.right, record, context);
+      if (left === null || right === null) return null;
+      if (node.op === "||") return String(left) + String(right);
+      const a = toNumber(left);
+      const b = toNumber(right);
+      if (a === null || b === null) return null;
+      switch (node.op) {
+        case "+":
+          return a + b;
+        case "-":
+          return a - b;
+        case "*":
+          return a * b;
+        case "/":
+          return b === 0 ? null : a / b;
+        case "%":
+          return b === 0 ? null : a % b;
+      }
+      return null;
+    }
+    case "compare": {
+      const result = compareValues(
+        evaluate(node.left, record, context),
+        evaluate(node.right, record, context)
+      );
+      if (result === null) return null;
+      switch (node.op) {
+        case "=":
+          return result === 0;
+        case "!=":
+        case "<>":
+          return result !== 0;
+        case "<":
+          return result < 0;
+        case "<=":
+          return result <= 0;
+        case ">":
+          return result > 0;
+        case ">=":
+          return result >= 0;
+      }
+      return null;
+    }
+    case "isNull": {
+      const value = evaluate(node.operand, record, context);
+      const isNull = value === null || value === undefined;
+      return node.negated ? !isNull : isNull;
+    }
+    case "like": {
+      const value = evaluate(node.operand, record, context);
+      const pattern = evaluate(node.pattern, record, context);
+      if (value === null || pattern === null) return null;
+      const escape = node.escape
+        ? evaluate(node.escape, record, context)
+        : undefined;
+      const matched = likeToRegExp(String(pattern), escape).test(String(value));
+      return node.negated ? !matched : matched;
+    }
+    case "in": {
+      const value = evaluate(node.operand, record, context);
+      if (value === null) return null;
+      const matched = node.values.some(
+        (candidate) =>
+          compareValues(value, evaluate(candidate, record, context)) === 0
+      );
+      return node.negated ? !matched : matched;
+    }
+    case "between": {
+      const value = evaluate(node.operand, record, context);
+      const low = compareValues(value, evaluate(node.low, record, context));
+      const high = compareValues(value, evaluate(node.high, record, context));
+      if (low === null || high === null) return null;
+      const inside = low >= 0 && high <= 0;
+      return node.negated ? !inside : inside;
+    }
+    case "and": {
+      const left = evaluate(node.left, record, context);
+      if (left === false) return false;
+      const right = evaluate(node.right, record, context);
+      if (right === false) return false;
+      return left === null || right === null ? null : true;
+    }
+    case "or": {
+      const left = evaluate(node.left, record, context);
+      if (left === true) return true;
+      const right = evaluate(node.right, record, context);
+      if (right === true) return true;
+      return left === null || right === null ? null : false;
+    }
+    case "not": {
+      const value = evaluate(node.operand, record, context);
+      return value === null ? null : !value;
+    }
+  }
+  throw new Error(`Cannot evaluate ${node.type}`);
+}
+
+function createAccumulator(aggregate) {
+  return { name: aggregate.name, count: 0, sum: 0, min: null, max: null };
+}
+
+function accumulate(state, aggregate, record, context) {
+  if (aggregate.arg.type === "star") {
+    state.count++;
+    return;
+  }
+  const value = evaluate(aggregate.arg, record, context);
+  if (value === null || value === undefined) return;
+
+  state.count++;
+  if (state.name === "SUM" || state.name === "AVG") {
+    const number = toNumber(value);
+    if (number !== null) state.sum += number;
+  }
+  if (state.min === null || compareValues(value, state.min) < 0)
+    state.min = value;
+  if (state.max === null || compareValues(value, state.max) > 0)
+    state.max = value;
+}
+
+function finishAccumulator(state) {
+  switch (state.name) {
+    case "COUNT":
+      return state.count;
+    case "SUM":
+      return state.count === 0 ? null : state.sum;
+    case "AVG":
+      return state.count === 0 ? null : state.sum / state.count;
+    case "MIN":
+      return state.min;
+    case "MAX":
+      return state.max;
+  }
+  return null;
+}
+
+/**
+ * Expand a parsed JSON value along the FROM path (S3Object[*].items ...)
+ */
+function expandSource(value, path) {
+  let current = [value];
+  for (const step of path) {
+    const expanded = [];
+    for (const item of current) {
+      if (step.wildcard) {
+        // S3Object[*] on a single document yields the document itself
+        if (Array.isArray(item)) expanded.push(...item);
+        else if (item !== null && item !== undefined) expanded.push(item);
+      } else if (
+        item &&
+        typeof item === "object" &&
+        item[step.name] !== undefined
+      ) {
+        expanded.push(item[step.name]);
+      }
+    }
+    current = expanded;
+  }
+  return current;
+}
+
+function projectRow(query, record, context) {
+  if (query.select.star) {
+    if (record.hasHeader || !record.positional) return record.fields;
+    return Object.fromEntries(
+      record.positional.map((value, i) => [`_${i + 1}`, value])
+    );
+  }
+
+  const row = {};
+  query.select.items.forEach((item, index) => {
+    row[item.name || `_${index + 1}`] = evaluate(item.expr, record, context);
+  });
+  return row;
+}
+
+/**
+ * Run a compiled query over an async stream of records
+ * @param {Object} query - Result of compileQuery
+ * @param {AsyncIterable} records - { fields, positional, hasHeader } records
+ * @param {Object} options - { maxRows }
+ * @returns {Object} - { rows, recordsScanned, truncated }
+ */
+async function executeQuery(query, records, options = {}) {
+  const context = { alias: query.alias, aggregateResults: new Map() };
+  const limit = query.limit ?? Infinity;
+  const maxRows = options.maxRows || Infinity;
+  const rows = [];
+  const accumulators = query.aggregates.map(createAccumulator);
+  let recordsScanned = 0;
+  let truncated = false;
+
+  scan: for await (const source of records) {
+    const expanded =
+      query.source.path.length > 0 && !source.positional
+        ? expandSource(source.fields, query.source.path).map((fields) => ({
+            fields,
+          }))
+        : [source];
+
+    for (const record of expanded) {
+      recordsScanned++;
+      if (query.where && evaluate(query.where, record, context) !== true)
+        continue;
+
+      if (query.isAggregate) {
+        query.aggregates.forEach((aggregate, i) =>
+          accumulate(accumulators[i], aggregate, record, context)
+        );
+        continue;
+      }
+
+      // One more match past maxRows means the result was cut short
+      if (rows.length >= maxRows) {
+        truncated = true;
+        break scan;
+      }
+      rows.push(projectRow(query, record, context));
+      if (rows.length >= limit) break scan;
+    }
+  }
+
+  if (query.isAggregate) {
+    query.aggregates.forEach((aggregate, i) =>
+      context.aggregateResults.set(
+        aggregate,
+        finishAccumulator(accumulators[i])
+      )
+    );
+    rows.push(projectRow(query, { fields: {} }, context));
+  }
+
+  return { rows, recordsScanned, truncated };
+}
+
+// ---------------------------------------------------------------------------
+// Record readers
+// ---------------------------------------------------------------------------
+
+/**
+ * Stream CSV records from a byte stream
+ * @param {AsyncIterable} stream - Readable stream of Buffers
+ * @param {Object} options - { fileHeaderInfo, fieldDelimiter, quoteCharacter, comments }
+ */
+async function* csvRecords(stream, options = {}) {
+  const delimiter = options.fieldDelimiter || ",";
+  const quote = options.quoteCharacter || '"';
+  const headerMode = (options.fileHeaderInfo || "USE").toUpperCase();
+  let header = null;
+  let headerHandled = headerMode === "NONE";
+
+  let field = "";
+  let row = [];
+  let inQuotes = false;
+  let pendingQuote = false;
+  let fieldQuoted = false;
+
+  const decoder = new TextDecoder("utf-8");
+
+  function* finishRow() {
+    row.push(field);
+    field = "";
+    fieldQuoted = false;
+    const values = row;
+    row = [];
+
+    if (values.length === 1 && values[0] === "") return;
+    if (options.comments && values[0].startsWith(options.comments)) return;
+
+    if (!headerHandled) {
+      headerHandled = true;
+      if (headerMode === "USE") header = values;
+      return;
+    }
+
+    yield {
+      fields: header
+        ? Object.fromEntries(header.map((name, i) => [name, values[i] ?? null]))
+        : {},
+      positional: values,
+      hasHeader: Boolean(header),
+    };
+  }
+
+  function* consume(text) {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (ch === quote) {
+          field += quote;
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (ch === quote) pendingQuote = true;
+        else field += ch;
+      } else if (ch === quote && field === "" && !fieldQuoted) {
+        inQuotes = true;
+        fieldQuoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = "";
+        fieldQuoted = false;
+      } else if (ch === "\n") {
+        yield* finishRow();
+      } else if (ch !== "\r") {
+        field += ch;
+      }
+    }
+  }
+
+  for await (const chunk of stream) {
+    yield* consume(decoder.decode(chunk, { stream: true }));
+  }
+  yield* consume(decoder.decode());
+  if (pendingQuote) inQuotes = false;
+  if (field !== "" || row.length > 0) yield* finishRow();
+}
+
+/**
+ * Stream JSON records (one per line for LINES, or a single document)
+ * @param {AsyncIterable} stream - Readable stream of Buffers
+ * @param {Object} options - { jsonType: "LINES" | "DOCUMENT", maxDocumentBytes }
+ */
+async function* jsonRecords(stream, options = {}) {
+  const decoder = new TextDecoder("utf-8");
+
+  if ((options.jsonType || "LINES").toUpperCase() === "DOCUMENT") {
+    const maxBytes = options.maxDocumentBytes || 256 * 1024 * 1024;
+    let text = "";
+    let bytes = 0;
+    for await (const chunk of stream) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        throw parsingError(
+          `JSON document is larger than ${maxBytes} bytes - use JSON Lines for local queries of this size`
+        );
+      }
+      text += decoder.decode(chunk, { stream: true });
+    }
+    text += decoder.decode();
+    try {
+      yield { fields: JSON.parse(text) };
+    } catch (error) {
+      throw parsingError(`Invalid JSON document: ${error.message}`);
+    }
+    return;
+  }
+
+  let buffer = "";
+  let lineNumber = 0;
+  const parseLine = (line) => {
+    lineNumber++;
+    try {
+      return { fields: JSON.parse(line) };
+    } catch (error) {
+      throw parsingError(
+        `Invalid JSON on line ${lineNumber}: ${error.message}`
+      );
+    }
+  };
+
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield parseLine(line);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) yield parseLine(buffer.trim());
+}
+
+function parsingError(message) {
+  const error = new Error(message);
+  error.name = "JSONParsingError";
+  return error;
+}
+
+module.exports = {
+  compileQuery,
+  executeQuery,
+  csvRecords,
+  jsonRecords,
+};
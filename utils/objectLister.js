@@ -0,0 +1,125 @@
+// utils/objectLister.js - Paginated object listing shared by bulk tools
+const { s3Client } = require("./s3Client");
+const {
+  ListObjectsV2Command,
+  ListObjectVersionsCommand,
+} = require("@aws-sdk/client-s3");
+
+/**
+ * List every object under a prefix, following continuation tokens
+ * @param {string} bucketName - Bucket to walk
+ * @param {string} prefix - Key prefix (optional)
+ * @param {Object} options - Listing options
+ * @param {number} options.maxObjects - Stop after this many objects (default: unlimited)
+ * @param {string} options.continuationToken - Resume a previous walk
+ * @param {string} options.startAfter - Start listing after this key
+ * @param {S3Client} options.client - Client to list with (default: shared client)
+ * @returns {Object} - Objects plus pagination state
+ */
+async function listAllObjects(bucketName, prefix = "", options = {}) {
+  const maxObjects = options.maxObjects || Infinity;
+  const objects = [];
+  let continuationToken = options.continuationToken;
+  let isTruncated = false;
+  let pagesFetched = 0;
+  const client = options.client || s3Client;
+
+  do {
+    const result = await client.send(
+      new ListObjectsV2Command({
+        Bucket: bucketName,
+        Prefix: prefix || undefined,
+        ContinuationToken: continuationToken,
+        StartAfter: continuationToken ? undefined : options.startAfter,
+        MaxKeys: Math.min(1000, maxObjects - objects.length),
+      })
+    );
+    pagesFetched++;
+
+    for (const object of result.Contents || []) {
+      objects.push({
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+        etag: object.ETag,
+        storageClass: object.StorageClass || "STANDARD",
+      });
+    }
+
+    isTruncated = result.IsTruncated || false;
+    continuationToken = result.NextContinuationToken;
+  } while (isTruncated && objects.length < maxObjects);
+
+  return {
+    objects,
+    isTruncated,
+    nextContinuationToken: isTruncated ? continuationToken : undefined,
+    pagesFetched,
+  };
+}
+
+/**
+ * List every version and delete marker under a prefix
+ * @param {string} bucketName - Bucket to walk
+ * @param {string} prefix - Key prefix (optional)
+ * @param {Object} options - Listing options
+ * @param {number} options.maxEntries - Stop after this many entries (default: unlimited)
+ * @param {string} options.keyMarker - Resume a previous walk (with versionIdMarker)
+ * @param {string} options.versionIdMarker - Resume a previous walk
+ * @returns {Object} - Versions (delete markers flagged) plus pagination state
+ */
+async function listAllObjectVersions(bucketName, prefix = "", options = {}) {
+  const maxEntries = options.maxEntries || Infinity;
+  const versions = [];
+  let keyMarker = options.keyMarker;
+  let versionIdMarker = options.versionIdMarker;
+  let isTruncated = false;
+
+  do {
+    const result = await s3Client.send(
+      new ListObjectVersionsCommand({
+        Bucket: bucketName,
+        Prefix: prefix || undefined,
+        KeyMarker: keyMarker,
+        VersionIdMarker: versionIdMarker,
+        MaxKeys: Math.min(1000, maxEntries - versions.length),
+      })
+    );
+
+    for (const version of result.Versions || []) {
+      versions.push({
+        key: version.Key,
+        versionId: version.VersionId,
+        isLatest: version.IsLatest,
+        isDeleteMarker: false,
+        size: version.Size,
+        lastModified: version.LastModified,
+        etag: version.ETag,
+        storageClass: version.StorageClass || "STANDARD",
+      });
+    }
+    for (const marker of result.DeleteMarkers || []) {
+      versions.push({
+        key: marker.Key,
+        versionId: marker.VersionId,
+        isLatest: marker.IsLatest,
+        isDeleteMarker: true,
+        size: 0,
+        lastModified: marker.LastModified,
+      });
+    }
+
+    isTruncated = result.IsTruncated || false;
+    keyMarker = result.NextKeyMarker;
+    versionIdMarker = result.NextVersionIdMarker;
+  } while (isTruncated && versions.length < maxEntries);
+
+  return {
+    versions,
+    isTruncated,
+    nextKeyMarker: isTruncated ? keyMarker : undefined,
+    nextVersionIdMarker: isTruncated ? versionIdMarker : undefined,
+  };
+}
+
+module.exports = { listAllObjects, listAllObjectVersions };
@@ -0,0 +1,74 @@
+// utils/objectLock.js - Shared Object Lock mode and retention period handling
+
+const LOCK_MODES = ["GOVERNANCE", "COMPLIANCE"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a friendly lock mode ("governance", "Compliance") to the S3 value
+ * @param {string} mode - Mode as provided
+ * @returns {string|undefined} - GOVERNANCE / COMPLIANCE, or undefined if unknown
+ */
+function normalizeLockMode(mode) {
+  if (!mode) return undefined;
+  const upper = String(mode).trim().toUpperCase();
+  return LOCK_MODES.includes(upper) ? upper : undefined;
+}
+
+/**
+ * Resolve a retain-until date from retainUntilDate, days or years
+ * @param {Object} params - { retainUntilDate, days, years }
+ * @returns {Object} - { date } or { error }
+ */
+function resolveRetainUntil(params) {
+  const given = ["retainUntilDate", "days", "years"].filter(
+    (field) => params[field] !== undefined
+  );
+  if (given.length !== 1) {
+    return {
+      error:
+        "Provide exactly one of retainUntilDate (ISO date), days or years for the retention period",
+    };
+  }
+
+  let date;
+  if (params.retainUntilDate !== undefined) {
+    date = new Date(params.retainUntilDate);
+    if (isNaN(date.getTime())) {
+      return {
+        error: `retainUntilDate "${params.retainUntilDate}" is not a valid date`,
+      };
+    }
+  } else {
+    const count = Number(params.days ?? params.years);
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: `${given[0]} must be a positive whole number` };
+    }
+    date = new Date();
+    if (params.days !== undefined) {
+      date = new Date(date.getTime() + count * DAY_MS);
+    } else {
+      date.setUTCFullYear(date.getUTCFullYear() + count);
+    }
+  }
+
+  if (date.getTime() <= Date.now()) {
+    return { error: "The retain-until date must be in the future" };
+  }
+  return { date };
+}
+
+/**
+ * Whole days remaining until a retain-until date (0 once expired)
+ */
+function daysRemaining(retainUntilDate) {
+  if (!retainUntilDate) return 0;
+  const remaining = new Date(retainUntilDate).getTime() - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / DAY_MS) : 0;
+}
+
+module.exports = {
+  LOCK_MODES,
+  normalizeLockMode,
+  resolveRetainUntil,
+  daysRemaining,
+};
@@ -82,6 +82,26 @@ class ParameterMapper {
       prefix: "Prefix",
       bucketRegion: "BucketRegion",
 
+      // listObjects specific
+      delimiter: "Delimiter",
+      maxKeys: "MaxKeys",
+      startAfter: "StartAfter",
+      fetchOwner: "FetchOwner",
+      encodingType: "EncodingType",
+
+      // listObjectVersions specific
+      keyMarker: "KeyMarker",
+      versionIdMarker: "VersionIdMarker",
+
+      // copyObject specific
+      copySource: "CopySource",
+      metadataDirective: "MetadataDirective",
+      taggingDirective: "TaggingDirective",
+      copySourceIfMatch: "CopySourceIfMatch",
+      copySourceIfNoneMatch: "CopySourceIfNoneMatch",
+      copySourceIfModifiedSince: "CopySourceIfModifiedSince",
+      copySourceIfUnmodifiedSince: "CopySourceIfUnmodifiedSince",
+
       // deleteObject specific
       mfa: "MFA",
       bypassGovernanceRetention: "BypassGovernanceRetention",
@@ -94,9 +114,18 @@ class ParameterMapper {
       "ResponseExpires",
       "Expires",
       "ObjectLockRetainUntilDate",
+      "CopySourceIfModifiedSince",
+      "CopySourceIfUnmodifiedSince",
+    ];
+
+    this.booleanParameters = [
+      "ObjectLockEnabledForBucket",
+      "BucketKeyEnabled",
+      "FetchOwner",
     ];
 
-    this.booleanParameters = ["ObjectLockEnabledForBucket", "BucketKeyEnabled"];
+    // Parameters that select how a tool runs and never go to AWS
+    this.toolParameters = ["profile"];
   }
 
   /**
@@ -116,6 +145,7 @@ class ParameterMapper {
 
     for (const [key, value] of Object.entries(inputParams)) {
       if (value === undefined || value === null) continue;
+      if (this.toolParameters.includes(key)) continue;
 
       const mappedKey = this.knownMappings[key];
 
@@ -0,0 +1,307 @@
+// utils/policyTemplates.js - Built-in bucket policy templates and policy validation
+
+const POLICY_VERSION = "2012-10-17";
+// S3 bucket policies are limited to 20 KB
+const MAX_POLICY_BYTES = 20 * 1024;
+
+// Region prefixes outside the standard "aws" partition; ARNs differ per partition
+const PARTITIONS = [
+  { regionPrefix: "cn-", partition: "aws-cn" },
+  { regionPrefix: "us-gov-", partition: "aws-us-gov" },
+  { regionPrefix: "us-isob-", partition: "aws-iso-b" },
+  { regionPrefix: "us-iso-", partition: "aws-iso" },
+];
+
+// Condition keys that limit an Allow for Principal "*" to known networks,
+// accounts or organizations; any other condition still counts as public
+const RESTRICTING_CONDITION_KEYS = [
+  "aws:sourceip",
+  "aws:sourcevpc",
+  "aws:sourcevpce",
+  "aws:principalorgid",
+  "aws:principalaccount",
+  "aws:sourceaccount",
+];
+const OPEN_IP_RANGES = ["0.0.0.0/0", "::/0"];
+
+const POLICY_TEMPLATES = {
+  "read-only": {
+    description:
+      "Let one AWS principal list the bucket (or a prefix) and download objects",
+    requires: ["principal"],
+  },
+  "public-website-read": {
+    description:
+      "Let anyone on the internet download objects (static website hosting)",
+    requires: [],
+  },
+  "deny-insecure-transport": {
+    description: "Reject every request that does not use HTTPS",
+    requires: [],
+  },
+};
+
+/**
+ * Expand a template into policy statements for a bucket
+ * @param {string} templateName - Key of POLICY_TEMPLATES
+ * @param {string} bucketName - Bucket the statements apply to
+ * @param {Object} options - { principal, prefix, partition }
+ * @returns {Object} - { statements } or { error }
+ */
+function buildTemplateStatements(templateName, bucketName, options = {}) {
+  const name = String(templateName)
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+  const template = POLICY_TEMPLATES[name];
+  if (!template) {
+    return {
+      error: `Unknown policy template "${templateName}". Available: ${Object.keys(
+        POLICY_TEMPLATES
+      ).join(", ")}`,
+    };
+  }
+
+  const missing = template.requires.filter((key) => !options[key]);
+  if (missing.length > 0) {
+    return {
+      error: `Template "${name}" requires: ${missing.join(", ")}`,
+    };
+  }
+
+  const partition = options.partition || "aws";
+  const bucketArn = `arn:${partition}:s3:::${bucketName}`;
+  const prefix = (options.prefix || "").replace(/^\/+/, "");
+  const objectArn = `${bucketArn}/${prefix}*`;
+
+  switch (name) {
+    case "read-only": {
+      const principal = normalizePrincipal(options.principal, partition);
+      const sidSuffix = String(options.principal)
+        .replace(/[^A-Za-z0-9]/g, "")
+        .slice(-32);
+      return {
+        statements: [
+          {
+            Sid: `ReadOnlyList${sidSuffix}`,
+            Effect: "Allow",
+            Principal: { AWS: principal },
+            Action: "s3:ListBucket",
+            Resource: bucketArn,
+            ...(prefix && {
+              Condition: { StringLike: { "s3:prefix": `${prefix}*` } },
+            }),
+          },
+          {
+            Sid: `ReadOnlyGet${sidSuffix}`,
+            Effect: "Allow",
+            Principal: { AWS: principal },
+            Action: "s3:GetObject",
+            Resource: objectArn,
+          },
+        ],
+      };
+    }
+
+    case "public-website-read":
+      return {
+        statements: [
+          {
+            Sid: "PublicWebsiteRead",
+            Effect: "Allow",
+            Principal: "*",
+            Action: "s3:GetObject",
+            Resource: objectArn,
+          },
+        ],
+      };
+
+    case "deny-insecure-transport":
+      return {
+        statements: [
+          {
+            Sid: "DenyInsecureTransport",
+            Effect: "Deny",
+            Principal: "*",
+            Action: "s3:*",
+            Resource: [bucketArn, `${bucketArn}/*`],
+            Condition: { Bool: { "aws:SecureTransport": "false" } },
+          },
+        ],
+      };
+  }
+}
+
+/**
+ * 12-digit account IDs become the account root ARN; ARNs pass through
+ */
+function normalizePrincipal(principal, partition) {
+  const values = Array.isArray(principal) ? principal : [principal];
+  const normalized = values.map((value) =>
+    /^\d{12}$/.test(String(value).trim())
+      ? `arn:${partition}:iam::${String(value).trim()}:root`
+      : String(value).trim()
+  );
+  return normalized.length === 1 ? normalized[0] : normalized;
+}
+
+/**
+ * ARN partition of a region ("aws", "aws-cn", "aws-us-gov", ...)
+ */
+function partitionForRegion(region) {
+  const match = PARTITIONS.find((entry) =>
+    String(region || "").startsWith(entry.regionPrefix)
+  );
+  return match ? match.partition : "aws";
+}
+
+/**
+ * Check a bucket policy document before it is sent to S3
+ * @param {Object} policy - Parsed policy document
+ * @param {string} bucketName - Bucket the policy is for
+ * @param {string} partition - ARN partition of the bucket's region (default "aws")
+ * @returns {Object} - { valid, errors, warnings, isPublic }
+ */
+function validatePolicy(policy, bucketName, partition = "aws") {
+  const errors = [];
+  const warnings = [];
+  let isPublic = false;
+
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return {
+      valid: false,
+      errors: ["Policy must be a JSON object"],
+      warnings,
+      isPublic,
+    };
+  }
+
+  if (!["2012-10-17", "2008-10-17"].includes(policy.Version)) {
+    errors.push(`Version must be "${POLICY_VERSION}"`);
+  }
+
+  const size = Buffer.byteLength(JSON.stringify(policy));
+  if (size > MAX_POLICY_BYTES) {
+    errors.push(`Policy is ${size} bytes; the limit is ${MAX_POLICY_BYTES}`);
+  }
+
+  const statements = Array.isArray(policy.Statement)
+    ? policy.Statement
+    : policy.Statement
+    ? [policy.Statement]
+    : [];
+  if (statements.length === 0) {
+    errors.push("Policy needs at least one Statement");
+  }
+
+  const bucketArn = `arn:${partition}:s3:::${bucketName}`;
+  const sids = new Set();
+
+  statements.forEach((statement, index) => {
+    const label = statement.Sid
+      ? `Statement "${statement.Sid}"`
+      : `Statement ${index + 1}`;
+
+    if (statement.Sid !== undefined) {
+      if (!/^[A-Za-z0-9]*$/.test(statement.Sid)) {
+        errors.push(`${label}: Sid may only contain letters and digits`);
+      }
+      if (sids.has(statement.Sid)) {
+        errors.push(`${label}: Sid is used more than once`);
+      }
+      sids.add(statement.Sid);
+    }
+
+    if (!["Allow", "Deny"].includes(statement.Effect)) {
+      errors.push(`${label}: Effect must be "Allow" or "Deny"`);
+    }
+    if (!statement.Principal && !statement.NotPrincipal) {
+      errors.push(`${label}: bucket policies need a Principal`);
+    }
+    if (!statement.Action && !statement.NotAction) {
+      errors.push(`${label}: needs Action or NotAction`);
+    }
+    if (!statement.Resource && !statement.NotResource) {
+      errors.push(`${label}: needs Resource or NotResource`);
+    }
+
+    const actions = [].concat(statement.Action || []);
+    for (const action of actions) {
+      if (action !== "*" && !/^s3:[A-Za-z*]+$/.test(action)) {
+        errors.push(`${label}: "${action}" is not an S3 action`);
+      }
+    }
+
+    const resources = [].concat(statement.Resource || []);
+    for (const resource of resources) {
+      if (resource !== bucketArn && !resource.startsWith(`${bucketArn}/`)) {
+        errors.push(
+          `${label}: resource "${resource}" is not this bucket (${bucketArn} or ${bucketArn}/...)`
+        );
+      }
+    }
+
+    // Object actions need object ARNs, bucket actions the bucket ARN
+    const hasObjectAction = actions.some((action) =>
+      /^s3:(Get|Put|Delete)Object/.test(action)
+    );
+    if (
+      hasObjectAction &&
+      resources.length > 0 &&
+      !resources.some((resource) => resource.startsWith(`${bucketArn}/`))
+    ) {
+      warnings.push(
+        `${label}: object actions only match object ARNs like "${bucketArn}/*"`
+      );
+    }
+
+    const principal = statement.Principal;
+    const isEveryone =
+      principal === "*" ||
+      (principal &&
+        [].concat(principal.AWS || []).some((value) => value === "*"));
+    if (
+      statement.Effect === "Allow" &&
+      isEveryone &&
+      !restrictsPrincipals(statement.Condition)
+    ) {
+      isPublic = true;
+      warnings.push(
+        `${label}: grants access to everyone on the internet (Principal "*")`
+      );
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings, isPublic };
+}
+
+/**
+ * Whether a condition block narrows who can use the statement: a positive
+ * match on one of RESTRICTING_CONDITION_KEYS (not "...IfExists", which also
+ * matches requests without the key, and not an IP range open to everyone)
+ */
+function restrictsPrincipals(condition) {
+  if (!condition || typeof condition !== "object") return false;
+  return Object.entries(condition).some(([operator, keys]) => {
+    if (/^Not|Not[A-Z]|IfExists$/.test(operator.replace(/^For\w+:/, ""))) {
+      return false;
+    }
+    return Object.entries(keys || {}).some(([key, value]) => {
+      if (!RESTRICTING_CONDITION_KEYS.includes(key.toLowerCase())) {
+        return false;
+      }
+      const values = [].concat(value);
+      if (key.toLowerCase() === "aws:sourceip") {
+        return values.every((range) => !OPEN_IP_RANGES.includes(range));
+      }
+      return values.every((v) => v !== "*" && !String(v).includes("*"));
+    });
+  });
+}
+
+module.exports = {
+  POLICY_VERSION,
+  POLICY_TEMPLATES,
+  buildTemplateStatements,
+  partitionForRegion,
+  validatePolicy,
+};
@@ -0,0 +1,298 @@
+// utils/profiles.js - Named S3 endpoint profiles from a config file and environment variables
+const fs = require("fs");
+const path = require("path");
+const { describeCredentials } = require("./credentials");
+require("dotenv").config();
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, "..", "s3-profiles.json");
+
+// Profile settings and the suffix used for S3_PROFILE_<NAME>_<SUFFIX> variables
+const PROFILE_FIELDS = {
+  endpoint: "ENDPOINT",
+  region: "REGION",
+  accessKeyId: "ACCESS_KEY_ID",
+  secretAccessKey: "SECRET_ACCESS_KEY",
+  sessionToken: "SESSION_TOKEN",
+  awsProfile: "AWS_PROFILE",
+  roleArn: "ROLE_ARN",
+  externalId: "EXTERNAL_ID",
+  roleSessionName: "ROLE_SESSION_NAME",
+  durationSeconds: "DURATION_SECONDS",
+  webIdentityTokenFile: "WEB_IDENTITY_TOKEN_FILE",
+  stsEndpoint: "STS_ENDPOINT",
+  forcePathStyle: "FORCE_PATH_STYLE",
+  verifyTls: "VERIFY_TLS",
+  caBundle: "CA_BUNDLE",
+  clientCert: "CLIENT_CERT",
+  clientKey: "CLIENT_KEY",
+  clientKeyPassphrase: "CLIENT_KEY_PASSPHRASE",
+  description: "DESCRIPTION",
+};
+const BOOLEAN_FIELDS = ["forcePathStyle", "verifyTls"];
+// File settings; relative paths in the config file are resolved next to it
+const FILE_FIELDS = [
+  "caBundle",
+  "clientCert",
+  "clientKey",
+  "webIdentityTokenFile",
+];
+// STS accepts role sessions of 15 minutes up to 12 hours
+const MIN_DURATION_SECONDS = 900;
+const MAX_DURATION_SECONDS = 43200;
+
+let loaded;
+
+/**
+ * Load every profile once: the legacy S3_ENDPOINT / AWS_* variables form the
+ * "default" profile, s3-profiles.json adds more, and S3_PROFILE_<NAME>_*
+ * variables add or override profiles (environment wins over the file)
+ * @returns {Object} - { profiles: Map, defaultProfile, configFile, warnings }
+ */
+function loadProfiles() {
+  if (loaded) return loaded;
+
+  const profiles = new Map();
+  const warnings = [];
+  const configFile = process.env.S3_PROFILES_FILE || DEFAULT_PROFILES_FILE;
+  let fileDefault;
+
+  if (fs.existsSync(configFile)) {
+    try {
+      const config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+      fileDefault = config.default;
+      for (const [name, settings] of Object.entries(config.profiles || {})) {
+        profiles.set(name, {
+          name: name,
+          source: "file",
+          ...resolveFilePaths(
+            normalizeSettings(interpolateEnv(settings), warnings, name),
+            path.dirname(configFile)
+          ),
+        });
+      }
+    } catch (error) {
+      warnings.push(`Could not read ${configFile}: ${error.message}`);
+    }
+  } else if (process.env.S3_PROFILES_FILE) {
+    warnings.push(`S3_PROFILES_FILE ${configFile} does not exist`);
+  }
+
+  const legacy = {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.AWS_SESSION_TOKEN,
+    awsProfile: process.env.AWS_PROFILE,
+    roleArn: process.env.S3_ROLE_ARN,
+    externalId: process.env.S3_ROLE_EXTERNAL_ID,
+    roleSessionName: process.env.S3_ROLE_SESSION_NAME,
+    durationSeconds: process.env.S3_ROLE_DURATION_SECONDS,
+    stsEndpoint: process.env.S3_STS_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE,
+    verifyTls: process.env.S3_VERIFY_TLS,
+    caBundle: process.env.S3_CA_BUNDLE || process.env.AWS_CA_BUNDLE,
+    clientCert: process.env.S3_CLIENT_CERT,
+    clientKey: process.env.S3_CLIENT_KEY,
+    clientKeyPassphrase: process.env.S3_CLIENT_KEY_PASSPHRASE,
+  };
+  mergeEnvProfile(profiles, "default", legacy, warnings);
+
+  for (const [name, settings] of Object.entries(readProfileEnv())) {
+    mergeEnvProfile(profiles, name, settings, warnings);
+  }
+
+  let defaultProfile =
+    process.env.S3_DEFAULT_PROFILE || fileDefault || "default";
+  if (!profiles.has(defaultProfile)) {
+    warnings.push(
+      `Default profile "${defaultProfile}" is not defined - using "default"`
+    );
+    defaultProfile = "default";
+  }
+
+  loaded = { profiles, defaultProfile, configFile, warnings };
+  warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+  return loaded;
+}
+
+/**
+ * Look up a profile by name (case-insensitive); no name means the default profile
+ * @returns {Object|undefined}
+ */
+function getProfile(name) {
+  const { profiles, defaultProfile } = loadProfiles();
+  if (!name) return profiles.get(defaultProfile);
+  if (profiles.has(name)) return profiles.get(name);
+  const lower = String(name).toLowerCase();
+  return [...profiles.values()].find((p) => p.name.toLowerCase() === lower);
+}
+
+function profileNames() {
+  return [...loadProfiles().profiles.keys()];
+}
+
+/**
+ * Profile details that are safe to show: no secrets, access key masked
+ */
+function describeProfile(profile) {
+  const { defaultProfile } = loadProfiles();
+  return {
+    name: profile.name,
+    isDefault: profile.name === defaultProfile,
+    description: profile.description,
+    endpoint: profile.endpoint || `AWS S3 (${profile.region})`,
+    region: profile.region,
+    forcePathStyle: profile.forcePathStyle,
+    verifyTls: profile.verifyTls,
+    caBundle: pemSource(profile.caBundle),
+    clientCertificate: pemSource(profile.clientCert),
+    credentials: describeCredentials(profile),
+    ...(profile.durationSeconds && {
+      roleSessionSeconds: profile.durationSeconds,
+    }),
+    source: profile.source,
+  };
+}
+
+function mergeEnvProfile(profiles, name, settings, warnings) {
+  const defined = Object.fromEntries(
+    Object.entries(settings).filter(([, value]) => value !== undefined)
+  );
+  const existing = profiles.get(name);
+  if (!existing && Object.keys(defined).length === 0 && name !== "default") {
+    return;
+  }
+
+  profiles.set(name, {
+    ...normalizeSettings(
+      { ...existing, ...normalizeSettings(defined, warnings, name, true) },
+      warnings,
+      name
+    ),
+    name: name,
+    source: existing
+      ? Object.keys(defined).length > 0
+        ? `${existing.source}+env`
+        : existing.source
+      : "env",
+  });
+}
+
+/**
+ * Collect S3_PROFILE_<NAME>_<FIELD> variables, e.g. S3_PROFILE_MINIO_ENDPOINT
+ * → { minio: { endpoint } }; underscores in names become dashes
+ */
+function readProfileEnv() {
+  const result = {};
+  const suffixes = Object.entries(PROFILE_FIELDS).sort(
+    ([, a], [, b]) => b.length - a.length
+  );
+
+  for (const [variable, value] of Object.entries(process.env)) {
+    if (!variable.startsWith("S3_PROFILE_")) continue;
+    const rest = variable.slice("S3_PROFILE_".length);
+    const match = suffixes.find(([, suffix]) => rest.endsWith(`_${suffix}`));
+    if (!match) continue;
+
+    const name = rest
+      .slice(0, -(match[1].length + 1))
+      .toLowerCase()
+      .replace(/_/g, "-");
+    if (!name) continue;
+    result[name] = { ...result[name], [match[0]]: value };
+  }
+  return result;
+}
+
+/**
+ * Apply defaults and types; with partial set, only convert what is present
+ */
+function normalizeSettings(settings, warnings, name, partial = false) {
+  const normalized = {};
+  for (const field of Object.keys(PROFILE_FIELDS)) {
+    if (settings[field] === undefined || settings[field] === "") continue;
+    if (field === "durationSeconds") {
+      const seconds = Number(settings[field]);
+      if (
+        !Number.isInteger(seconds) ||
+        seconds < MIN_DURATION_SECONDS ||
+        seconds > MAX_DURATION_SECONDS
+      ) {
+        warnings.push(
+          `Profile "${name}": durationSeconds must be ${MIN_DURATION_SECONDS}-${MAX_DURATION_SECONDS} - using the role's default`
+        );
+        continue;
+      }
+      normalized[field] = seconds;
+      continue;
+    }
+    normalized[field] = BOOLEAN_FIELDS.includes(field)
+      ? parseBoolean(settings[field])
+      : String(settings[field]);
+  }
+  for (const key of Object.keys(settings)) {
+    if (!PROFILE_FIELDS[key] && !["name", "source"].includes(key)) {
+      warnings.push(`Profile "${name}": unknown setting "${key}" ignored`);
+    }
+  }
+  if (partial) return normalized;
+
+  if (normalized.webIdentityTokenFile && !normalized.roleArn) {
+    warnings.push(
+      `Profile "${name}": webIdentityTokenFile needs roleArn - token ignored`
+    );
+    delete normalized.webIdentityTokenFile;
+  }
+
+  return {
+    region: "us-east-1",
+    // Path-style URLs (http://host/bucket/key) are needed with MinIO and most
+    // on-prem stores; set forcePathStyle false for virtual-hosted AWS URLs
+    forcePathStyle: true,
+    // Certificates are verified unless a profile opts out with verifyTls false
+    verifyTls: true,
+    ...normalized,
+  };
+}
+
+function resolveFilePaths(settings, baseDir) {
+  for (const field of FILE_FIELDS) {
+    if (settings[field] && !settings[field].includes("-----BEGIN")) {
+      settings[field] = path.resolve(baseDir, settings[field]);
+    }
+  }
+  return settings;
+}
+
+// Shown instead of PEM text, which may be pasted inline
+function pemSource(value) {
+  if (!value) return undefined;
+  return value.includes("-----BEGIN") ? "(inline PEM)" : value;
+}
+
+// "${VAR}" in config values is replaced from the environment, so secrets can stay out of the file
+function interpolateEnv(settings) {
+  return Object.fromEntries(
+    Object.entries(settings || {}).map(([key, value]) => [
+      key,
+      typeof value === "string"
+        ? value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, v) => process.env[v] || "")
+        : value,
+    ])
+  );
+}
+
+function parseBoolean(value) {
+  if (typeof value === "boolean") return value;
+  return !["false", "0", "no", "off"].includes(
+    String(value).trim().toLowerCase()
+  );
+}
+
+module.exports = {
+  loadProfiles,
+  getProfile,
+  profileNames,
+  describeProfile,
+};
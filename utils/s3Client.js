@@ -1,28 +1,122 @@
 // utils/s3Client.js
 const { S3Client } = require("@aws-sdk/client-s3");
 const https = require("https");
-require("dotenv").config();
-
-// Create HTTPS agent that accepts self-signed certificates
-const httpsAgent = new https.Agent({
-  rejectUnauthorized: false,
-});
-
-// Use fallback region if not set
-const region = process.env.AWS_REGION || "us-east-1";
-
-const s3Client = new S3Client({
-  endpoint: process.env.S3_ENDPOINT,
-  region: region,
-  forcePathStyle: true, // needed with MinIO
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-  // Handle self-signed certificates for internal S3 services
-  requestHandler: {
-    httpsAgent: httpsAgent,
-  },
-});
-
-module.exports = { s3Client };
+const { AsyncLocalStorage } = require("async_hooks");
+const { getProfile, profileNames } = require("./profiles");
+const { buildTlsOptions, describeTlsError } = require("./tls");
+const { credentialsFor } = require("./credentials");
+
+// Profile chosen for the tool call currently running (see withProfile)
+const activeProfile = new AsyncLocalStorage();
+
+// One client per profile, created on first use
+const clients = new Map();
+
+/**
+ * Build an S3 client for a profile
+ * @param {Object} overrides - Optional { profile, endpoint, region,
+ *   requestChecksumCalculation }; endpoint and region override the profile's
+ *   own settings (default: active profile)
+ * @returns {S3Client}
+ */
+function createS3Client(overrides = {}) {
+  const profile = overrides.profile
+    ? getProfile(overrides.profile)
+    : getActiveProfile();
+  if (!profile) {
+    throw unknownProfileError(overrides.profile);
+  }
+
+  // Certificate verification, private CA bundle and mTLS client certificate;
+  // STS calls for role assumption use the same settings
+  const requestHandler = {
+    httpsAgent: new https.Agent(buildTlsOptions(profile)),
+  };
+  const credentials = credentialsFor(profile, requestHandler);
+
+  const client = new S3Client({
+    endpoint: overrides.endpoint || profile.endpoint,
+    region: overrides.region || profile.region,
+    forcePathStyle: profile.forcePathStyle,
+    // Without credentials the SDK falls back to its default credential chain
+    ...(credentials && { credentials: credentials }),
+    requestHandler: requestHandler,
+    ...(overrides.requestChecksumCalculation && {
+      requestChecksumCalculation: overrides.requestChecksumCalculation,
+    }),
+  });
+
+  // Certificate failures reach tools as errors with a hint on how to fix them
+  client.middlewareStack.add(
+    (next) => async (args) => {
+      try {
+        return await next(args);
+      } catch (error) {
+        throw describeTlsError(error, profile.name);
+      }
+    },
+    { step: "initialize", name: "tlsErrorHintMiddleware" }
+  );
+  return client;
+}
+
+/**
+ * Client for a named profile (default profile when no name is given)
+ */
+function getS3Client(profileName) {
+  const profile = getProfile(profileName);
+  if (!profile) {
+    throw unknownProfileError(profileName);
+  }
+  if (!clients.has(profile.name)) {
+    clients.set(profile.name, createS3Client({ profile: profile.name }));
+  }
+  return clients.get(profile.name);
+}
+
+/**
+ * Run fn with every s3Client call inside it going to the given profile
+ * @param {string} profileName - Profile name (undefined: default profile)
+ * @param {Function} fn - Async work, typically one tool call
+ */
+function withProfile(profileName, fn) {
+  const profile = getProfile(profileName);
+  if (!profile) {
+    throw unknownProfileError(profileName);
+  }
+  return activeProfile.run(profile.name, fn);
+}
+
+function getActiveProfile() {
+  return getProfile(activeProfile.getStore());
+}
+
+function unknownProfileError(profileName) {
+  const error = new Error(
+    `Unknown S3 profile "${profileName}". Available profiles: ${profileNames().join(
+      ", "
+    )}`
+  );
+  error.name = "UnknownProfile";
+  return error;
+}
+
+// Tools share this one object; it forwards to the active profile's client
+const s3Client = new Proxy(
+  {},
+  {
+    get(target, property) {
+      const client = getS3Client(activeProfile.getStore());
+      const value = client[property];
+      return typeof value === "function" ? value.bind(client) : value;
+    },
+  }
+);
+
+module.exports = {
+  s3Client,
+  createS3Client,
+  getS3Client,
+  withProfile,
+  getActiveProfile,
+};
@@ -0,0 +1,110 @@
+// utils/tagging.js - Tag set parsing and validation shared by the tagging tools
+
+// S3 limits
+const MAX_OBJECT_TAGS = 10;
+const MAX_BUCKET_TAGS = 50;
+const MAX_KEY_LENGTH = 128;
+const MAX_VALUE_LENGTH = 256;
+
+/**
+ * Accept tags as { key: value }, [{ key, value }] / [{ Key, Value }]
+ * or the upload-style "key1=value1&key2=value2" string
+ * @param {Object|Array|string} tags - Tags in any supported shape
+ * @returns {Object} - Plain { key: value } object
+ */
+function normalizeTags(tags) {
+  if (!tags) return {};
+
+  if (typeof tags === "string") {
+    const result = {};
+    for (const [key, value] of new URLSearchParams(tags)) {
+      result[key] = value;
+    }
+    return result;
+  }
+
+  if (Array.isArray(tags)) {
+    const result = {};
+    for (const tag of tags) {
+      const key = tag.Key ?? tag.key;
+      if (key !== undefined) {
+        result[key] = String(tag.Value ?? tag.value ?? "");
+      }
+    }
+    return result;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(tags)) {
+    result[key] = String(value ?? "");
+  }
+  return result;
+}
+
+/**
+ * Check a tag set against the S3 limits
+ * @param {Object} tags - Plain { key: value } object
+ * @param {string} target - "object" or "bucket"
+ * @returns {Array} - Validation errors (empty when valid)
+ */
+function validateTags(tags, target) {
+  const errors = [];
+  const limit = target === "bucket" ? MAX_BUCKET_TAGS : MAX_OBJECT_TAGS;
+  const keys = Object.keys(tags);
+
+  if (keys.length > limit) {
+    errors.push(
+      `A ${target} can have at most ${limit} tags (would have ${keys.length})`
+    );
+  }
+
+  for (const key of keys) {
+    if (!key) {
+      errors.push("Tag keys cannot be empty");
+    } else if (key.length > MAX_KEY_LENGTH) {
+      errors.push(
+        `Tag key "${key}" is longer than ${MAX_KEY_LENGTH} characters`
+      );
+    } else if (key.toLowerCase().startsWith("aws:")) {
+      errors.push(`Tag key "${key}" uses the reserved "aws:" prefix`);
+    }
+    if (tags[key].length > MAX_VALUE_LENGTH) {
+      errors.push(
+        `Value of tag "${key}" is longer than ${MAX_VALUE_LENGTH} characters`
+      );
+    }
+  }
+
+  return errors;
+}
+
+function toTagSet(tags) {
+  return Object.entries(tags).map(([Key, Value]) => ({ Key, Value }));
+}
+
+function fromTagSet(tagSet) {
+  return normalizeTags(tagSet || []);
+}
+
+/**
+ * Does a tag set satisfy every filter? A filter value of "*" (or empty)
+ * only requires the key to be present; matching is case-sensitive like S3
+ * @param {Object} tags - Object's tags
+ * @param {Object} filters - { key: value | "*" }
+ * @returns {boolean}
+ */
+function matchesTags(tags, filters) {
+  return Object.entries(filters).every(([key, value]) =>
+    value === "*" || value === ""
+      ? Object.prototype.hasOwnProperty.call(tags, key)
+      : tags[key] === value
+  );
+}
+
+module.exports = {
+  normalizeTags,
+  validateTags,
+  toTagSet,
+  fromTagSet,
+  matchesTags,
+};
@@ -0,0 +1,127 @@
+// utils/tls.js - TLS settings per profile and friendly certificate error hints
+const fs = require("fs");
+const tls = require("tls");
+
+// Node / OpenSSL error codes and what to do about them
+const TLS_ERROR_HINTS = {
+  DEPTH_ZERO_SELF_SIGNED_CERT: (profile) =>
+    `The endpoint uses a self-signed certificate. Trust it by setting caBundle for profile "${profile}" (S3_CA_BUNDLE for the default profile) to its PEM file, or set verifyTls false for this profile only if the store is trusted`,
+  SELF_SIGNED_CERT_IN_CHAIN: (profile) =>
+    `The certificate chain ends in a private root CA. Set caBundle for profile "${profile}" (S3_CA_BUNDLE for the default profile) to that CA's PEM file`,
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: (profile) =>
+    `The certificate's issuer is not trusted. Set caBundle for profile "${profile}" to a PEM file with the issuing CA and any intermediates`,
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: (profile) =>
+    `The certificate's issuer is not trusted. Set caBundle for profile "${profile}" to a PEM file with the issuing CA and any intermediates`,
+  UNABLE_TO_GET_ISSUER_CERT: (profile) =>
+    `The server did not send its intermediate certificates. Add them to caBundle for profile "${profile}", or fix the chain on the server`,
+  CERT_HAS_EXPIRED: () =>
+    "The server certificate has expired - renew it on the object store (and check this machine's clock)",
+  CERT_NOT_YET_VALID: () =>
+    "The server certificate is not valid yet - check this machine's clock",
+  ERR_TLS_CERT_ALTNAME_INVALID: (profile) =>
+    `The endpoint hostname does not match the certificate. Use a hostname listed in the certificate in the endpoint of profile "${profile}" (not an IP address)`,
+  ERR_SSL_WRONG_VERSION_NUMBER: (profile) =>
+    `The endpoint of profile "${profile}" does not speak TLS - use http:// instead of https:// or check the port`,
+  ERR_OSSL_BAD_DECRYPT: (profile) =>
+    `The client key of profile "${profile}" could not be decrypted - check clientKeyPassphrase`,
+  CLIENT_CERTIFICATE_REQUIRED: (profile) =>
+    `The object store requires a client certificate (mTLS). Set clientCert and clientKey for profile "${profile}" to PEM files it accepts`,
+};
+
+/**
+ * https.Agent options for a profile: verification, extra CAs and client certificate
+ * @param {Object} profile - Profile from utils/profiles
+ * @returns {Object} - Options for new https.Agent()
+ */
+function buildTlsOptions(profile) {
+  const options = { rejectUnauthorized: profile.verifyTls !== false };
+
+  // Extend the built-in roots rather than replace them, so public
+  // endpoints keep working next to the private CA
+  if (profile.caBundle) {
+    options.ca = [
+      ...tls.rootCertificates,
+      readPem(profile.caBundle, "caBundle", profile.name),
+    ];
+  }
+  if (profile.clientCert || profile.clientKey) {
+    if (!profile.clientCert || !profile.clientKey) {
+      throw tlsConfigError(
+        `Profile "${profile.name}" needs both clientCert and clientKey for mTLS`
+      );
+    }
+    options.cert = readPem(profile.clientCert, "clientCert", profile.name);
+    options.key = readPem(profile.clientKey, "clientKey", profile.name);
+    options.passphrase = profile.clientKeyPassphrase;
+  }
+  return options;
+}
+
+/**
+ * Give a certificate / handshake error a recognizable name and a hint
+ * @param {Error} error - Error thrown by the HTTP handler
+ * @param {string} profileName - Profile the request was sent with
+ * @returns {Error} - The same error, annotated when it is TLS related
+ */
+function describeTlsError(error, profileName) {
+  const code = tlsErrorCode(error);
+  if (!code || error.tlsHint) return error;
+
+  error.name = code;
+  error.tlsHint = TLS_ERROR_HINTS[code](profileName);
+  error.message = `TLS error (${code}): ${error.message}`;
+  return error;
+}
+
+function tlsErrorCode(error) {
+  if (!error) return undefined;
+  if (TLS_ERROR_HINTS[error.code]) return error.code;
+
+  // Handshake alerts only show up in the message
+  const message = String(error.message || "");
+  if (
+    /certificate required|alert bad certificate|alert number 116/i.test(message)
+  ) {
+    return "CLIENT_CERTIFICATE_REQUIRED";
+  }
+  if (/wrong version number/i.test(message)) {
+    return "ERR_SSL_WRONG_VERSION_NUMBER";
+  }
+  if (/bad decrypt/i.test(message)) return "ERR_OSSL_BAD_DECRYPT";
+  return undefined;
+}
+
+/**
+ * Tool results report errors as errorDetails.errorCode; swap the generic
+ * hint for the TLS one so the fix is shown where users look first
+ */
+function applyTlsHint(result, profileName) {
+  const code = result?.errorDetails?.errorCode;
+  if (!code || !TLS_ERROR_HINTS[code]) return result;
+  result.errorDetails.hint = TLS_ERROR_HINTS[code](profileName);
+  return result;
+}
+
+// Values may be a file path or the PEM text itself
+function readPem(value, setting, profileName) {
+  if (value.includes("-----BEGIN")) return value;
+  try {
+    return fs.readFileSync(value, "utf8");
+  } catch (error) {
+    throw tlsConfigError(
+      `Cannot read ${setting} "${value}" for profile "${profileName}": ${error.message}`
+    );
+  }
+}
+
+function tlsConfigError(message) {
+  const error = new Error(message);
+  error.name = "TlsConfigError";
+  return error;
+}
+
+module.exports = {
+  buildTlsOptions,
+  describeTlsError,
+  applyTlsHint,
+};